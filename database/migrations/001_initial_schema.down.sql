@@ -0,0 +1,20 @@
+-- =====================================================
+-- 001 Initial Schema (rollback)
+-- Drops every object created by 001_initial_schema.up.sql
+-- WARNING: destroys all telemetry data
+-- =====================================================
+
+DROP FUNCTION IF EXISTS get_system_stats();
+DROP FUNCTION IF EXISTS refresh_analytics();
+DROP MATERIALIZED VIEW IF EXISTS vehicle_24h_performance CASCADE;
+
+DROP TABLE IF EXISTS charging_sessions;
+DROP TABLE IF EXISTS meter_vehicle_pairings;
+DROP TABLE IF EXISTS devices;
+DROP TABLE IF EXISTS idempotency_keys;
+DROP TABLE IF EXISTS meter_current_status;
+DROP TABLE IF EXISTS vehicle_current_status;
+
+-- Dropping the partitioned parents drops every partition
+DROP TABLE IF EXISTS meter_telemetry_history CASCADE;
+DROP TABLE IF EXISTS vehicle_telemetry_history CASCADE;
@@ -0,0 +1,395 @@
+-- =====================================================
+-- 001 Initial Schema
+-- High-Scale Energy Ingestion Engine - Database Schema
+-- Baseline of the schema previously applied by
+-- scripts/setup-database.js; safe to run against databases
+-- created that way (every statement is idempotent)
+-- =====================================================
+-- Strategy: Hot/Cold Data Architecture
+-- Hot: Current status (fast reads, UPSERT operations)
+-- Cold: Historical data (append-only, time-series)
+-- =====================================================
+
+-- =====================================================
+-- COLD STORAGE: Historical Data (Append-Only)
+-- Optimized for: Write-heavy ingestion, time-based queries
+-- Range-partitioned on recorded_at (daily or monthly);
+-- partitions are pre-created and retired as a whole by
+-- src/services/partitionService.js
+-- =====================================================
+
+-- Convert pre-partitioning heap tables: the old table is renamed to
+-- *_legacy (with its sequence and indexes) and attached below as a
+-- single partition covering everything up to its last reading
+DO $$
+DECLARE
+    t TEXT;
+    idx TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['meter_telemetry_history', 'vehicle_telemetry_history'] LOOP
+        IF EXISTS (
+            SELECT 1 FROM pg_class 
+            WHERE relname = t AND relkind = 'r' AND relnamespace = 'public'::regnamespace
+        ) THEN
+            EXECUTE format('ALTER TABLE %I RENAME TO %I', t, t || '_legacy');
+            EXECUTE format('ALTER SEQUENCE IF EXISTS %I RENAME TO %I', t || '_id_seq', t || '_legacy_id_seq');
+            EXECUTE format('ALTER TABLE %I RENAME CONSTRAINT %I TO %I', t || '_legacy', t || '_pkey', t || '_legacy_pkey');
+            FOR idx IN 
+                SELECT indexname FROM pg_indexes 
+                WHERE tablename = t || '_legacy' AND indexname NOT LIKE '%_pkey'
+            LOOP
+                EXECUTE format('ALTER INDEX %I RENAME TO %I', idx, idx || '_legacy');
+            END LOOP;
+        END IF;
+    END LOOP;
+END $$;
+
+-- Meter Historical Data (Time-series, INSERT only)
+CREATE TABLE IF NOT EXISTS meter_telemetry_history (
+    id BIGSERIAL,
+    meter_id VARCHAR(100) NOT NULL,
+    kwh_consumed_ac DECIMAL(10, 4) NOT NULL,
+    kwh_consumed_ac_delta DECIMAL(10, 4),
+    voltage DECIMAL(8, 2) NOT NULL,
+    recorded_at TIMESTAMPTZ NOT NULL,
+    ingested_at TIMESTAMPTZ DEFAULT NOW(),
+    counter_event VARCHAR(20),
+    PRIMARY KEY (id, recorded_at)
+) PARTITION BY RANGE (recorded_at);
+
+-- Catch-all for readings outside every pre-created range (normally empty)
+CREATE TABLE IF NOT EXISTS meter_telemetry_history_default 
+    PARTITION OF meter_telemetry_history DEFAULT;
+
+-- Indexes for time-based queries (critical for analytics)
+CREATE INDEX IF NOT EXISTS idx_meter_history_time 
+    ON meter_telemetry_history(meter_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_meter_history_recorded 
+    ON meter_telemetry_history(recorded_at DESC);
+
+-- Vehicle Historical Data (Time-series, INSERT only)
+CREATE TABLE IF NOT EXISTS vehicle_telemetry_history (
+    id BIGSERIAL,
+    vehicle_id VARCHAR(100) NOT NULL,
+    soc DECIMAL(5, 2) NOT NULL CHECK (soc >= 0 AND soc <= 100),
+    kwh_delivered_dc DECIMAL(10, 4) NOT NULL,
+    kwh_delivered_dc_delta DECIMAL(10, 4),
+    battery_temp DECIMAL(5, 2) NOT NULL,
+    recorded_at TIMESTAMPTZ NOT NULL,
+    ingested_at TIMESTAMPTZ DEFAULT NOW(),
+    counter_event VARCHAR(20),
+    PRIMARY KEY (id, recorded_at)
+) PARTITION BY RANGE (recorded_at);
+
+CREATE TABLE IF NOT EXISTS vehicle_telemetry_history_default 
+    PARTITION OF vehicle_telemetry_history DEFAULT;
+
+-- Indexes for time-based queries
+CREATE INDEX IF NOT EXISTS idx_vehicle_history_time 
+    ON vehicle_telemetry_history(vehicle_id, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_vehicle_history_recorded 
+    ON vehicle_telemetry_history(recorded_at DESC);
+
+-- Attach converted legacy tables (empty ones are simply dropped)
+DO $$
+DECLARE
+    t TEXT;
+    legacy TEXT;
+    id_col TEXT;
+    energy_col TEXT;
+    upper_bound TIMESTAMPTZ;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['meter_telemetry_history', 'vehicle_telemetry_history'] LOOP
+        legacy := t || '_legacy';
+        IF to_regclass(legacy) IS NOT NULL 
+            AND NOT EXISTS (SELECT 1 FROM pg_inherits WHERE inhrelid = to_regclass(legacy)) THEN
+            id_col := CASE t WHEN 'meter_telemetry_history' THEN 'meter_id' ELSE 'vehicle_id' END;
+            energy_col := CASE t WHEN 'meter_telemetry_history' THEN 'kwh_consumed_ac' ELSE 'kwh_delivered_dc' END;
+
+            -- Bring the legacy table up to the parent's shape and keys
+            EXECUTE format(
+                'ALTER TABLE %I ADD COLUMN IF NOT EXISTS %I DECIMAL(10, 4), ADD COLUMN IF NOT EXISTS counter_event VARCHAR(20)',
+                legacy, energy_col || '_delta');
+            EXECUTE format('UPDATE %I SET %I = %I WHERE %I IS NULL',
+                legacy, energy_col || '_delta', energy_col, energy_col || '_delta');
+            EXECUTE format(
+                'DELETE FROM %I a USING %I b WHERE a.%I = b.%I AND a.recorded_at = b.recorded_at AND a.id > b.id',
+                legacy, legacy, id_col, id_col);
+
+            EXECUTE format(
+                'SELECT (date_trunc(''day'', MAX(recorded_at) AT TIME ZONE ''UTC'') + INTERVAL ''1 day'') AT TIME ZONE ''UTC'' FROM %I',
+                legacy) INTO upper_bound;
+
+            IF upper_bound IS NULL THEN
+                EXECUTE format('DROP TABLE %I', legacy);
+            ELSE
+                EXECUTE format('ALTER TABLE %I ATTACH PARTITION %I FOR VALUES FROM (MINVALUE) TO (%L)',
+                    t, legacy, upper_bound);
+                EXECUTE format('SELECT setval(pg_get_serial_sequence(%L, ''id''), (SELECT MAX(id) FROM %I))',
+                    t, legacy);
+            END IF;
+        END IF;
+    END LOOP;
+END $$;
+
+-- Energy deltas: kwh_* holds the value as reported (interval value or
+-- cumulative register), kwh_*_delta the energy used in the interval.
+-- Analytics always run on the deltas.
+ALTER TABLE meter_telemetry_history 
+    ADD COLUMN IF NOT EXISTS kwh_consumed_ac_delta DECIMAL(10, 4),
+    ADD COLUMN IF NOT EXISTS counter_event VARCHAR(20);
+ALTER TABLE vehicle_telemetry_history 
+    ADD COLUMN IF NOT EXISTS kwh_delivered_dc_delta DECIMAL(10, 4),
+    ADD COLUMN IF NOT EXISTS counter_event VARCHAR(20);
+
+-- =====================================================
+-- IDEMPOTENCY
+-- Devices retry on flaky links; a reading is identified by
+-- (device id, recorded_at) so retries are never stored twice
+-- =====================================================
+
+-- Remove duplicates stored before the natural keys existed (keep the first copy)
+DELETE FROM meter_telemetry_history a 
+    USING meter_telemetry_history b 
+    WHERE a.meter_id = b.meter_id 
+    AND a.recorded_at = b.recorded_at 
+    AND a.id > b.id;
+DELETE FROM vehicle_telemetry_history a 
+    USING vehicle_telemetry_history b 
+    WHERE a.vehicle_id = b.vehicle_id 
+    AND a.recorded_at = b.recorded_at 
+    AND a.id > b.id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_meter_history_reading 
+    ON meter_telemetry_history(meter_id, recorded_at);
+CREATE UNIQUE INDEX IF NOT EXISTS uq_vehicle_history_reading 
+    ON vehicle_telemetry_history(vehicle_id, recorded_at);
+
+-- Responses to requests carrying an Idempotency-Key header
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_path VARCHAR(255) NOT NULL,
+    status_code INTEGER NOT NULL,
+    response_body JSONB NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (idempotency_key, request_path)
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_created 
+    ON idempotency_keys(created_at);
+
+-- Rows ingested before deltas existed were interval values
+UPDATE meter_telemetry_history SET kwh_consumed_ac_delta = kwh_consumed_ac 
+    WHERE kwh_consumed_ac_delta IS NULL;
+UPDATE vehicle_telemetry_history SET kwh_delivered_dc_delta = kwh_delivered_dc 
+    WHERE kwh_delivered_dc_delta IS NULL;
+
+-- =====================================================
+-- HOT STORAGE: Current Status (UPSERT)
+-- Optimized for: Fast reads, dashboard queries
+-- =====================================================
+
+-- Meter Current Status (Latest reading per meter)
+CREATE TABLE IF NOT EXISTS meter_current_status (
+    meter_id VARCHAR(100) PRIMARY KEY,
+    kwh_consumed_ac DECIMAL(10, 4) NOT NULL,
+    voltage DECIMAL(8, 2) NOT NULL,
+    last_updated TIMESTAMPTZ NOT NULL,
+    ingested_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Vehicle Current Status (Latest reading per vehicle)
+CREATE TABLE IF NOT EXISTS vehicle_current_status (
+    vehicle_id VARCHAR(100) PRIMARY KEY,
+    soc DECIMAL(5, 2) NOT NULL CHECK (soc >= 0 AND soc <= 100),
+    kwh_delivered_dc DECIMAL(10, 4) NOT NULL,
+    battery_temp DECIMAL(5, 2) NOT NULL,
+    last_updated TIMESTAMPTZ NOT NULL,
+    ingested_at TIMESTAMPTZ DEFAULT NOW(),
+    is_charging BOOLEAN DEFAULT FALSE
+);
+
+-- =====================================================
+-- DEVICE REGISTRY: Meters, Vehicles and Pairings
+-- Chargers carry their own meter IDs and vehicles move
+-- between chargers, so AC/DC correlation is time-bounded
+-- =====================================================
+
+-- Registered devices (meter_id and vehicle_id namespaces may overlap)
+CREATE TABLE IF NOT EXISTS devices (
+    device_id VARCHAR(100) NOT NULL,
+    device_type VARCHAR(20) NOT NULL CHECK (device_type IN ('meter', 'vehicle')),
+    name VARCHAR(200),
+    metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+    counter_mode VARCHAR(20) NOT NULL DEFAULT 'interval' 
+        CHECK (counter_mode IN ('interval', 'cumulative')),
+    counter_max DECIMAL(14, 4) CHECK (counter_max IS NULL OR counter_max > 0),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (device_type, device_id)
+);
+
+-- Energy counter semantics per device:
+-- interval = energy since last report, cumulative = ever-increasing register
+-- counter_max = register value at which a cumulative counter rolls over
+ALTER TABLE devices 
+    ADD COLUMN IF NOT EXISTS counter_mode VARCHAR(20) NOT NULL DEFAULT 'interval' 
+        CHECK (counter_mode IN ('interval', 'cumulative')),
+    ADD COLUMN IF NOT EXISTS counter_max DECIMAL(14, 4) 
+        CHECK (counter_max IS NULL OR counter_max > 0);
+
+-- Meter <-> Vehicle associations (paired_to NULL = still plugged in)
+CREATE TABLE IF NOT EXISTS meter_vehicle_pairings (
+    id BIGSERIAL PRIMARY KEY,
+    meter_id VARCHAR(100) NOT NULL,
+    vehicle_id VARCHAR(100) NOT NULL,
+    paired_from TIMESTAMPTZ NOT NULL,
+    paired_to TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (paired_to IS NULL OR paired_to > paired_from)
+);
+
+-- Indexes for resolving the active pairing at a point in time
+CREATE INDEX IF NOT EXISTS idx_pairings_meter 
+    ON meter_vehicle_pairings(meter_id, paired_from DESC);
+CREATE INDEX IF NOT EXISTS idx_pairings_vehicle 
+    ON meter_vehicle_pairings(vehicle_id, paired_from DESC);
+
+-- =====================================================
+-- CHARGING SESSIONS
+-- Discrete sessions built by the sessionizer from the
+-- vehicle and meter history streams
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS charging_sessions (
+    id BIGSERIAL PRIMARY KEY,
+    vehicle_id VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('active', 'completed')),
+    started_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ NOT NULL,
+    soc_start DECIMAL(5, 2) NOT NULL,
+    soc_end DECIMAL(5, 2) NOT NULL,
+    kwh_delivered_dc DECIMAL(12, 4) NOT NULL DEFAULT 0,
+    kwh_consumed_ac DECIMAL(12, 4) NOT NULL DEFAULT 0,
+    efficiency_ratio DECIMAL(6, 2) NOT NULL DEFAULT 0,
+    meter_ids TEXT[] NOT NULL DEFAULT '{}',
+    reading_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (vehicle_id, started_at)
+);
+
+-- Index for per-vehicle session listing
+CREATE INDEX IF NOT EXISTS idx_sessions_vehicle 
+    ON charging_sessions(vehicle_id, started_at DESC);
+
+-- =====================================================
+-- ANALYTICS OPTIMIZATION: Materialized View
+-- Prevents full table scans for 24-hour analytics
+-- =====================================================
+
+-- Drop existing view if it exists
+DROP MATERIALIZED VIEW IF EXISTS vehicle_24h_performance CASCADE;
+
+-- 24-hour rolling window for analytics
+CREATE MATERIALIZED VIEW vehicle_24h_performance AS
+WITH time_window AS (
+    SELECT NOW() - INTERVAL '24 hours' AS start_time
+),
+vehicle_dc_totals AS (
+    SELECT 
+        vehicle_id,
+        SUM(kwh_delivered_dc_delta) AS total_dc_delivered,
+        AVG(battery_temp) AS avg_battery_temp,
+        COUNT(*) AS reading_count,
+        MIN(recorded_at) AS first_reading,
+        MAX(recorded_at) AS last_reading
+    FROM vehicle_telemetry_history
+    CROSS JOIN time_window
+    WHERE recorded_at >= time_window.start_time
+    GROUP BY vehicle_id
+),
+meter_ac_totals AS (
+    -- Attribute each meter reading to the vehicle plugged in at that moment
+    SELECT 
+        p.vehicle_id,
+        SUM(mh.kwh_consumed_ac_delta) AS total_ac_consumed,
+        COUNT(*) AS reading_count
+    FROM meter_telemetry_history mh
+    JOIN meter_vehicle_pairings p 
+        ON p.meter_id = mh.meter_id
+        AND mh.recorded_at >= p.paired_from
+        AND (p.paired_to IS NULL OR mh.recorded_at < p.paired_to)
+    CROSS JOIN time_window
+    WHERE mh.recorded_at >= time_window.start_time
+    GROUP BY p.vehicle_id
+)
+SELECT 
+    v.vehicle_id,
+    v.total_dc_delivered,
+    COALESCE(m.total_ac_consumed, 0) AS total_ac_consumed,
+    CASE 
+        WHEN COALESCE(m.total_ac_consumed, 0) > 0 
+        THEN ROUND((v.total_dc_delivered / m.total_ac_consumed * 100)::numeric, 2)
+        ELSE 0 
+    END AS efficiency_ratio,
+    v.avg_battery_temp,
+    v.reading_count AS vehicle_readings,
+    COALESCE(m.reading_count, 0) AS meter_readings,
+    v.first_reading,
+    v.last_reading,
+    NOW() AS computed_at
+FROM vehicle_dc_totals v
+LEFT JOIN meter_ac_totals m ON v.vehicle_id = m.vehicle_id;
+
+-- Index on materialized view for fast lookups
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicle_24h_perf 
+    ON vehicle_24h_performance(vehicle_id);
+
+-- =====================================================
+-- HELPER FUNCTIONS
+-- =====================================================
+
+-- Function to refresh materialized view (run periodically via cron)
+CREATE OR REPLACE FUNCTION refresh_analytics()
+RETURNS void AS $$
+BEGIN
+    REFRESH MATERIALIZED VIEW CONCURRENTLY vehicle_24h_performance;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Retention drops whole partitions (src/services/partitionService.js);
+-- the old row-by-row DELETE bloated the history tables
+DROP FUNCTION IF EXISTS cleanup_old_data(INTEGER);
+
+-- Function to get system statistics
+CREATE OR REPLACE FUNCTION get_system_stats()
+RETURNS TABLE(
+    total_meters BIGINT,
+    total_vehicles BIGINT,
+    meter_history_count BIGINT,
+    vehicle_history_count BIGINT,
+    total_records BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT 
+        (SELECT COUNT(DISTINCT meter_id) FROM meter_current_status),
+        (SELECT COUNT(DISTINCT vehicle_id) FROM vehicle_current_status),
+        (SELECT COUNT(*) FROM meter_telemetry_history),
+        (SELECT COUNT(*) FROM vehicle_telemetry_history),
+        (SELECT COUNT(*) FROM meter_telemetry_history) + 
+        (SELECT COUNT(*) FROM vehicle_telemetry_history);
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- PERFORMANCE NOTES
+-- =====================================================
+-- For production with billions of rows:
+-- 1. History tables are range-partitioned on recorded_at; keep
+--    future partitions pre-created (POST /v1/admin/partitions/maintain)
+-- 2. Consider TimescaleDB for time-series optimization
+-- 3. Set up automated VACUUM and ANALYZE jobs
+-- 4. Configure appropriate autovacuum settings
+-- =====================================================
\ No newline at end of file
@@ -0,0 +1,5 @@
+-- =====================================================
+-- 002 Job Runs (rollback)
+-- =====================================================
+
+DROP TABLE IF EXISTS job_runs;
@@ -0,0 +1,20 @@
+-- =====================================================
+-- 002 Job Runs
+-- Run history for the in-process job scheduler
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGSERIAL PRIMARY KEY,
+    job_name VARCHAR(100) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'succeeded', 'failed')),
+    triggered_by VARCHAR(20) NOT NULL DEFAULT 'schedule',
+    instance VARCHAR(255),
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ,
+    duration_ms INTEGER,
+    result JSONB,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started
+    ON job_runs(job_name, started_at DESC);
@@ -0,0 +1,5 @@
+-- =====================================================
+-- 003 API Keys (rollback)
+-- =====================================================
+
+DROP TABLE IF EXISTS api_keys;
@@ -0,0 +1,21 @@
+-- =====================================================
+-- 003 API Keys
+-- Hashed API keys with scopes; ingest keys are bound to
+-- the meters/vehicles they may report for
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id BIGSERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    scopes TEXT[] NOT NULL CHECK (
+        cardinality(scopes) > 0 AND scopes <@ ARRAY['ingest', 'read', 'admin']
+    ),
+    meter_ids TEXT[] NOT NULL DEFAULT '{}',
+    vehicle_ids TEXT[] NOT NULL DEFAULT '{}',
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
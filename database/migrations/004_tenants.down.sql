@@ -0,0 +1,97 @@
+-- =====================================================
+-- 004 Tenants (rollback)
+-- =====================================================
+
+DROP MATERIALIZED VIEW IF EXISTS vehicle_24h_performance CASCADE;
+
+CREATE MATERIALIZED VIEW vehicle_24h_performance AS
+WITH time_window AS (
+    SELECT NOW() - INTERVAL '24 hours' AS start_time
+),
+vehicle_dc_totals AS (
+    SELECT 
+        vehicle_id,
+        SUM(kwh_delivered_dc_delta) AS total_dc_delivered,
+        AVG(battery_temp) AS avg_battery_temp,
+        COUNT(*) AS reading_count,
+        MIN(recorded_at) AS first_reading,
+        MAX(recorded_at) AS last_reading
+    FROM vehicle_telemetry_history
+    CROSS JOIN time_window
+    WHERE recorded_at >= time_window.start_time
+    GROUP BY vehicle_id
+),
+meter_ac_totals AS (
+    SELECT 
+        p.vehicle_id,
+        SUM(mh.kwh_consumed_ac_delta) AS total_ac_consumed,
+        COUNT(*) AS reading_count
+    FROM meter_telemetry_history mh
+    JOIN meter_vehicle_pairings p 
+        ON p.meter_id = mh.meter_id
+        AND mh.recorded_at >= p.paired_from
+        AND (p.paired_to IS NULL OR mh.recorded_at < p.paired_to)
+    CROSS JOIN time_window
+    WHERE mh.recorded_at >= time_window.start_time
+    GROUP BY p.vehicle_id
+)
+SELECT 
+    v.vehicle_id,
+    v.total_dc_delivered,
+    COALESCE(m.total_ac_consumed, 0) AS total_ac_consumed,
+    CASE 
+        WHEN COALESCE(m.total_ac_consumed, 0) > 0 
+        THEN ROUND((v.total_dc_delivered / m.total_ac_consumed * 100)::numeric, 2)
+        ELSE 0 
+    END AS efficiency_ratio,
+    v.avg_battery_temp,
+    v.reading_count AS vehicle_readings,
+    COALESCE(m.reading_count, 0) AS meter_readings,
+    v.first_reading,
+    v.last_reading,
+    NOW() AS computed_at
+FROM vehicle_dc_totals v
+LEFT JOIN meter_ac_totals m ON v.vehicle_id = m.vehicle_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicle_24h_perf 
+    ON vehicle_24h_performance(vehicle_id);
+
+CREATE OR REPLACE FUNCTION refresh_analytics()
+RETURNS void AS $$
+BEGIN
+    REFRESH MATERIALIZED VIEW CONCURRENTLY vehicle_24h_performance;
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE api_keys DROP COLUMN IF EXISTS tenant_id;
+
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_pkey;
+-- Keys from different tenants may collide; keep the newest
+DELETE FROM idempotency_keys a
+    USING idempotency_keys b
+    WHERE a.idempotency_key = b.idempotency_key
+    AND a.request_path = b.request_path
+    AND a.created_at < b.created_at;
+ALTER TABLE idempotency_keys ADD PRIMARY KEY (idempotency_key, request_path);
+
+ALTER TABLE devices DROP CONSTRAINT IF EXISTS fk_devices_tenant;
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY[
+        'devices', 'meter_vehicle_pairings', 'charging_sessions',
+        'meter_telemetry_history', 'vehicle_telemetry_history',
+        'meter_current_status', 'vehicle_current_status',
+        'idempotency_keys'
+    ] LOOP
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format('ALTER TABLE %I NO FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I DISABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS tenant_id', t);
+    END LOOP;
+END $$;
+
+DROP FUNCTION IF EXISTS current_tenant();
+DROP TABLE IF EXISTS tenants;
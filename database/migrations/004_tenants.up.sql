@@ -0,0 +1,139 @@
+-- =====================================================
+-- 004 Tenants
+-- Tenant dimension on devices and telemetry, isolated with
+-- row-level security on the app.tenant_id setting
+-- =====================================================
+-- The application sets app.tenant_id per connection from the
+-- caller's API key. An empty setting (platform keys, background
+-- jobs) sees every tenant. Superusers bypass RLS entirely, so the
+-- application must connect as a regular (owner) role.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS tenants (
+    tenant_id VARCHAR(100) PRIMARY KEY,
+    name VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Existing data belongs to the default tenant
+INSERT INTO tenants (tenant_id, name) VALUES ('default', 'Default tenant')
+ON CONFLICT (tenant_id) DO NOTHING;
+
+-- Tenant of the current connection (NULL when unscoped)
+CREATE OR REPLACE FUNCTION current_tenant()
+RETURNS TEXT AS $$
+    SELECT NULLIF(current_setting('app.tenant_id', true), '')
+$$ LANGUAGE sql STABLE;
+
+-- Tenant column, default and isolation policy on every tenant-owned table
+-- (on the partitioned history tables this covers all partitions)
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY[
+        'devices', 'meter_vehicle_pairings', 'charging_sessions',
+        'meter_telemetry_history', 'vehicle_telemetry_history',
+        'meter_current_status', 'vehicle_current_status',
+        'idempotency_keys'
+    ] LOOP
+        EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) NOT NULL DEFAULT ''default''', t);
+        EXECUTE format('ALTER TABLE %I ALTER COLUMN tenant_id SET DEFAULT COALESCE(current_tenant(), ''default'')', t);
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I USING (current_tenant() IS NULL OR tenant_id = current_tenant())',
+            t
+        );
+    END LOOP;
+END $$;
+
+ALTER TABLE devices
+    ADD CONSTRAINT fk_devices_tenant FOREIGN KEY (tenant_id) REFERENCES tenants(tenant_id);
+
+CREATE INDEX IF NOT EXISTS idx_devices_tenant ON devices(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_meter_status_tenant ON meter_current_status(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_status_tenant ON vehicle_current_status(tenant_id);
+
+-- Idempotency keys are per tenant
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_pkey;
+ALTER TABLE idempotency_keys ADD PRIMARY KEY (tenant_id, idempotency_key, request_path);
+
+-- API keys act for one tenant; NULL marks a platform (cross-tenant) key
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS tenant_id VARCHAR(100) REFERENCES tenants(tenant_id);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_tenant ON api_keys(tenant_id);
+
+-- =====================================================
+-- ANALYTICS: per-tenant rows in the 24h view
+-- =====================================================
+
+DROP MATERIALIZED VIEW IF EXISTS vehicle_24h_performance CASCADE;
+
+CREATE MATERIALIZED VIEW vehicle_24h_performance AS
+WITH time_window AS (
+    SELECT NOW() - INTERVAL '24 hours' AS start_time
+),
+vehicle_dc_totals AS (
+    SELECT 
+        tenant_id,
+        vehicle_id,
+        SUM(kwh_delivered_dc_delta) AS total_dc_delivered,
+        AVG(battery_temp) AS avg_battery_temp,
+        COUNT(*) AS reading_count,
+        MIN(recorded_at) AS first_reading,
+        MAX(recorded_at) AS last_reading
+    FROM vehicle_telemetry_history
+    CROSS JOIN time_window
+    WHERE recorded_at >= time_window.start_time
+    GROUP BY tenant_id, vehicle_id
+),
+meter_ac_totals AS (
+    -- Attribute each meter reading to the vehicle plugged in at that moment
+    SELECT 
+        p.tenant_id,
+        p.vehicle_id,
+        SUM(mh.kwh_consumed_ac_delta) AS total_ac_consumed,
+        COUNT(*) AS reading_count
+    FROM meter_telemetry_history mh
+    JOIN meter_vehicle_pairings p 
+        ON p.meter_id = mh.meter_id
+        AND p.tenant_id = mh.tenant_id
+        AND mh.recorded_at >= p.paired_from
+        AND (p.paired_to IS NULL OR mh.recorded_at < p.paired_to)
+    CROSS JOIN time_window
+    WHERE mh.recorded_at >= time_window.start_time
+    GROUP BY p.tenant_id, p.vehicle_id
+)
+SELECT 
+    v.tenant_id,
+    v.vehicle_id,
+    v.total_dc_delivered,
+    COALESCE(m.total_ac_consumed, 0) AS total_ac_consumed,
+    CASE 
+        WHEN COALESCE(m.total_ac_consumed, 0) > 0 
+        THEN ROUND((v.total_dc_delivered / m.total_ac_consumed * 100)::numeric, 2)
+        ELSE 0 
+    END AS efficiency_ratio,
+    v.avg_battery_temp,
+    v.reading_count AS vehicle_readings,
+    COALESCE(m.reading_count, 0) AS meter_readings,
+    v.first_reading,
+    v.last_reading,
+    NOW() AS computed_at
+FROM vehicle_dc_totals v
+LEFT JOIN meter_ac_totals m ON v.tenant_id = m.tenant_id AND v.vehicle_id = m.vehicle_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vehicle_24h_perf 
+    ON vehicle_24h_performance(tenant_id, vehicle_id);
+
+-- Always refresh across all tenants, whoever triggers it
+CREATE OR REPLACE FUNCTION refresh_analytics()
+RETURNS void AS $$
+BEGIN
+    REFRESH MATERIALIZED VIEW CONCURRENTLY vehicle_24h_performance;
+END;
+$$ LANGUAGE plpgsql
+SET app.tenant_id = '';
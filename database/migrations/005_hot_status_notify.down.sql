@@ -0,0 +1,7 @@
+-- =====================================================
+-- 005 Hot Status Notifications (rollback)
+-- =====================================================
+
+DROP TRIGGER IF EXISTS meter_current_status_notify ON meter_current_status;
+DROP TRIGGER IF EXISTS vehicle_current_status_notify ON vehicle_current_status;
+DROP FUNCTION IF EXISTS notify_hot_status();
@@ -0,0 +1,31 @@
+-- =====================================================
+-- 005 Hot Status Notifications
+-- Publish every hot-status change on the hot_status channel
+-- (LISTEN/NOTIFY) for the live status stream
+-- =====================================================
+-- Notifications are delivered when the writing transaction
+-- commits, and only for rows actually written: an out-of-order
+-- reading that loses the last_updated guard fires nothing.
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION notify_hot_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_notify('hot_status', json_build_object(
+        'type', TG_ARGV[0],
+        'tenantId', NEW.tenant_id,
+        'status', row_to_json(NEW)
+    )::text);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS meter_current_status_notify ON meter_current_status;
+CREATE TRIGGER meter_current_status_notify
+    AFTER INSERT OR UPDATE ON meter_current_status
+    FOR EACH ROW EXECUTE FUNCTION notify_hot_status('meter');
+
+DROP TRIGGER IF EXISTS vehicle_current_status_notify ON vehicle_current_status;
+CREATE TRIGGER vehicle_current_status_notify
+    AFTER INSERT OR UPDATE ON vehicle_current_status
+    FOR EACH ROW EXECUTE FUNCTION notify_hot_status('vehicle');
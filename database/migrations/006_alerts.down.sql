@@ -0,0 +1,7 @@
+-- =====================================================
+-- 006 Alerts (rollback)
+-- =====================================================
+
+DROP TABLE IF EXISTS alert_notifications;
+DROP TABLE IF EXISTS alerts;
+DROP TABLE IF EXISTS alert_rules;
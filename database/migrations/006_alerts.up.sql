@@ -0,0 +1,88 @@
+-- =====================================================
+-- 006 Alerts
+-- User-defined alert rules, alert state per rule and device,
+-- and an outbox of webhook notifications
+-- =====================================================
+-- Alert lifecycle: pending (condition holds, not yet for the
+-- rule's duration) -> firing -> acknowledged (optional) ->
+-- resolved. At most one open (not resolved) alert exists per
+-- rule and device. Notifications are written in the same
+-- transaction as the state change and delivered with retry.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default')
+        REFERENCES tenants(tenant_id),
+    name VARCHAR(255) NOT NULL,
+    device_type VARCHAR(20) NOT NULL CHECK (device_type IN ('meter', 'vehicle')),
+    device_ids TEXT[],
+    metric VARCHAR(50),
+    operator VARCHAR(20) NOT NULL CHECK (operator IN ('above', 'below', 'outside', 'silent')),
+    threshold DECIMAL(12, 4),
+    threshold_high DECIMAL(12, 4),
+    duration_seconds INTEGER NOT NULL DEFAULT 0 CHECK (duration_seconds >= 0),
+    severity VARCHAR(20) NOT NULL DEFAULT 'warning' CHECK (severity IN ('info', 'warning', 'critical')),
+    webhook_url TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_tenant ON alert_rules(tenant_id);
+
+CREATE TABLE IF NOT EXISTS alerts (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    rule_id BIGINT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    device_type VARCHAR(20) NOT NULL,
+    device_id VARCHAR(100) NOT NULL,
+    state VARCHAR(20) NOT NULL CHECK (state IN ('pending', 'firing', 'acknowledged', 'resolved')),
+    value DECIMAL(12, 4),
+    pending_since TIMESTAMPTZ NOT NULL,
+    observed_at TIMESTAMPTZ NOT NULL,
+    fired_at TIMESTAMPTZ,
+    acknowledged_at TIMESTAMPTZ,
+    acknowledged_by VARCHAR(255),
+    resolved_at TIMESTAMPTZ,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One open alert per rule and device
+CREATE UNIQUE INDEX IF NOT EXISTS idx_alerts_open
+    ON alerts(rule_id, device_id) WHERE state <> 'resolved';
+
+CREATE INDEX IF NOT EXISTS idx_alerts_tenant_state ON alerts(tenant_id, state, updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS alert_notifications (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    alert_id BIGINT NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    event VARCHAR(20) NOT NULL CHECK (event IN ('firing', 'acknowledged', 'resolved')),
+    webhook_url TEXT NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_error TEXT,
+    delivered_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_notifications_due
+    ON alert_notifications(next_attempt_at) WHERE status = 'pending';
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['alert_rules', 'alerts', 'alert_notifications'] LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I USING (current_tenant() IS NULL OR tenant_id = current_tenant())',
+            t
+        );
+    END LOOP;
+END $$;
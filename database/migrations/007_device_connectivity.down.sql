@@ -0,0 +1,8 @@
+-- =====================================================
+-- 007 Device Connectivity (rollback)
+-- =====================================================
+
+DROP TABLE IF EXISTS device_connectivity_history;
+DROP TABLE IF EXISTS device_connectivity;
+
+ALTER TABLE devices DROP COLUMN IF EXISTS expected_interval_seconds;
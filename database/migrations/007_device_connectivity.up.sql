@@ -0,0 +1,66 @@
+-- =====================================================
+-- 007 Device Connectivity
+-- Expected reporting interval per device, the current
+-- connectivity state (online / late / offline) of every
+-- reporting device and a history of state transitions
+-- =====================================================
+-- A device is late once it has been silent for longer than
+-- its interval times the late factor, and offline after the
+-- offline factor (both configured in the application). The
+-- connectivity job records each change with the time it
+-- actually happened (derived from last_updated), so uptime
+-- can be computed from the history regardless of how often
+-- the job runs.
+-- =====================================================
+
+-- NULL = the default interval (DEVICE_EXPECTED_INTERVAL_SECONDS)
+ALTER TABLE devices
+    ADD COLUMN IF NOT EXISTS expected_interval_seconds INTEGER
+        CHECK (expected_interval_seconds IS NULL OR expected_interval_seconds > 0);
+
+CREATE TABLE IF NOT EXISTS device_connectivity (
+    device_type VARCHAR(20) NOT NULL CHECK (device_type IN ('meter', 'vehicle')),
+    device_id VARCHAR(100) NOT NULL,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    state VARCHAR(20) NOT NULL CHECK (state IN ('online', 'late', 'offline')),
+    since TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (device_type, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_connectivity_state
+    ON device_connectivity(tenant_id, state);
+
+-- from_state NULL = first time the device was seen
+CREATE TABLE IF NOT EXISTS device_connectivity_history (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    device_type VARCHAR(20) NOT NULL,
+    device_id VARCHAR(100) NOT NULL,
+    from_state VARCHAR(20),
+    to_state VARCHAR(20) NOT NULL,
+    changed_at TIMESTAMPTZ NOT NULL,
+    last_seen TIMESTAMPTZ NOT NULL,
+    recorded_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_connectivity_history_device
+    ON device_connectivity_history(device_type, device_id, changed_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_connectivity_history_changed
+    ON device_connectivity_history(changed_at);
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['device_connectivity', 'device_connectivity_history'] LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I USING (current_tenant() IS NULL OR tenant_id = current_tenant())',
+            t
+        );
+    END LOOP;
+END $$;
@@ -0,0 +1,7 @@
+-- =====================================================
+-- 008 OCPP (rollback)
+-- =====================================================
+
+DROP TABLE IF EXISTS ocpp_transactions;
+DROP TABLE IF EXISTS ocpp_connectors;
+DROP TABLE IF EXISTS ocpp_charge_points;
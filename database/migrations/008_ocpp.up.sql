@@ -0,0 +1,83 @@
+-- =====================================================
+-- 008 OCPP
+-- Charge points connected over OCPP 1.6J, their connector
+-- status and their charging transactions
+-- =====================================================
+-- Each connector's meter is the device "<chargePointId>-<connectorId>";
+-- a transaction pairs that meter with the vehicle identified by
+-- the transaction's idTag while it runs, and is linked to the
+-- charging session built from the vehicle's readings.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS ocpp_charge_points (
+    charge_point_id VARCHAR(100) PRIMARY KEY,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default')
+        REFERENCES tenants(tenant_id),
+    vendor VARCHAR(50),
+    model VARCHAR(50),
+    serial_number VARCHAR(50),
+    firmware_version VARCHAR(50),
+    last_boot_at TIMESTAMPTZ,
+    last_heartbeat_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- connector_id 0 is the charge point as a whole
+CREATE TABLE IF NOT EXISTS ocpp_connectors (
+    charge_point_id VARCHAR(100) NOT NULL REFERENCES ocpp_charge_points(charge_point_id) ON DELETE CASCADE,
+    connector_id INTEGER NOT NULL CHECK (connector_id >= 0),
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    status VARCHAR(30) NOT NULL,
+    error_code VARCHAR(30) NOT NULL DEFAULT 'NoError',
+    info VARCHAR(50),
+    status_at TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (charge_point_id, connector_id)
+);
+
+-- id is the OCPP transactionId handed to the charge point
+CREATE TABLE IF NOT EXISTS ocpp_transactions (
+    id SERIAL PRIMARY KEY,
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    charge_point_id VARCHAR(100) NOT NULL REFERENCES ocpp_charge_points(charge_point_id) ON DELETE CASCADE,
+    connector_id INTEGER NOT NULL,
+    id_tag VARCHAR(20) NOT NULL,
+    meter_id VARCHAR(100) NOT NULL,
+    vehicle_id VARCHAR(100) NOT NULL,
+    meter_start_wh BIGINT NOT NULL,
+    meter_stop_wh BIGINT,
+    -- Outlet register at the last vehicle reading (base of the next delta)
+    last_vehicle_wh DECIMAL(16, 3),
+    started_at TIMESTAMPTZ NOT NULL,
+    stopped_at TIMESTAMPTZ,
+    stop_reason VARCHAR(30),
+    pairing_id BIGINT REFERENCES meter_vehicle_pairings(id) ON DELETE SET NULL,
+    session_id BIGINT REFERENCES charging_sessions(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    -- A StartTransaction the charge point retries maps to the same transaction
+    UNIQUE (charge_point_id, connector_id, started_at)
+);
+
+-- At most one running transaction per connector
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ocpp_transactions_open
+    ON ocpp_transactions(charge_point_id, connector_id) WHERE stopped_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ocpp_transactions_vehicle
+    ON ocpp_transactions(vehicle_id, started_at DESC);
+
+DO $$
+DECLARE
+    t TEXT;
+BEGIN
+    FOREACH t IN ARRAY ARRAY['ocpp_charge_points', 'ocpp_connectors', 'ocpp_transactions'] LOOP
+        EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', t);
+        EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', t);
+        EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', t);
+        EXECUTE format(
+            'CREATE POLICY tenant_isolation ON %I USING (current_tenant() IS NULL OR tenant_id = current_tenant())',
+            t
+        );
+    END LOOP;
+END $$;
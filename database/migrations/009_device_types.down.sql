@@ -0,0 +1,13 @@
+-- =====================================================
+-- 009 Device Types (rollback)
+-- Fails while rows of types other than meter and vehicle exist
+-- =====================================================
+
+ALTER TABLE api_keys DROP COLUMN IF EXISTS device_ids;
+
+ALTER TABLE device_connectivity
+    ADD CONSTRAINT device_connectivity_device_type_check CHECK (device_type IN ('meter', 'vehicle'));
+ALTER TABLE alert_rules
+    ADD CONSTRAINT alert_rules_device_type_check CHECK (device_type IN ('meter', 'vehicle'));
+ALTER TABLE devices
+    ADD CONSTRAINT devices_device_type_check CHECK (device_type IN ('meter', 'vehicle'));
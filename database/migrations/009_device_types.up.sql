@@ -0,0 +1,17 @@
+-- =====================================================
+-- 009 Device Types
+-- Device types come from the application's registry
+-- (src/deviceTypes) instead of a fixed meter/vehicle list
+-- =====================================================
+-- device_type columns accept any registered type; the
+-- application rejects unknown ones. API keys gain
+-- device_ids { "<type>": ["<deviceId>", ...] } to bind ingest
+-- keys to devices of types other than meter and vehicle.
+-- =====================================================
+
+ALTER TABLE devices DROP CONSTRAINT IF EXISTS devices_device_type_check;
+ALTER TABLE alert_rules DROP CONSTRAINT IF EXISTS alert_rules_device_type_check;
+ALTER TABLE device_connectivity DROP CONSTRAINT IF EXISTS device_connectivity_device_type_check;
+
+ALTER TABLE api_keys
+    ADD COLUMN IF NOT EXISTS device_ids JSONB NOT NULL DEFAULT '{}';
@@ -0,0 +1,5 @@
+-- =====================================================
+-- 010 Session Watermarks (rollback)
+-- =====================================================
+
+DROP TABLE IF EXISTS session_watermarks;
@@ -0,0 +1,25 @@
+-- =====================================================
+-- 010 Session Watermarks
+-- How far the sessionizer has walked each vehicle's history
+-- =====================================================
+-- readings_through is the newest reading already sessionized
+-- (kept even when no session was found, so the next run does
+-- not fall back to the lookback window) and ingested_through
+-- the time of that run: readings ingested after it but
+-- recorded before readings_through arrived late, and the
+-- sessions from there on are rebuilt.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS session_watermarks (
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    vehicle_id VARCHAR(100) NOT NULL,
+    readings_through TIMESTAMPTZ NOT NULL,
+    ingested_through TIMESTAMPTZ NOT NULL,
+    PRIMARY KEY (tenant_id, vehicle_id)
+);
+
+ALTER TABLE session_watermarks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE session_watermarks FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON session_watermarks;
+CREATE POLICY tenant_isolation ON session_watermarks
+    USING (current_tenant() IS NULL OR tenant_id = current_tenant());
@@ -0,0 +1,14 @@
+-- =====================================================
+-- 011 Idempotency Pending
+-- An Idempotency-Key is claimed before the request runs
+-- =====================================================
+-- A row without a status_code is a request still in progress
+-- (repeats are answered 409). request_hash is the SHA-256 of
+-- the request body; reusing a key with another body is
+-- rejected (NULL for responses stored before this migration).
+-- =====================================================
+
+ALTER TABLE idempotency_keys
+    ALTER COLUMN status_code DROP NOT NULL,
+    ALTER COLUMN response_body DROP NOT NULL,
+    ADD COLUMN IF NOT EXISTS request_hash VARCHAR(64);
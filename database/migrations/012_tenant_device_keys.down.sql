@@ -0,0 +1,28 @@
+-- =====================================================
+-- 012 Tenant Device Keys (rollback)
+-- =====================================================
+-- Back to global device IDs; fails while two tenants share an ID
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_devices_tenant ON devices(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_meter_status_tenant ON meter_current_status(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_vehicle_status_tenant ON vehicle_current_status(tenant_id);
+
+ALTER TABLE charging_sessions DROP CONSTRAINT IF EXISTS charging_sessions_tenant_vehicle_started_key;
+ALTER TABLE charging_sessions ADD CONSTRAINT charging_sessions_vehicle_id_started_at_key 
+    UNIQUE (vehicle_id, started_at);
+
+DROP INDEX IF EXISTS uq_meter_history_reading;
+CREATE UNIQUE INDEX uq_meter_history_reading 
+    ON meter_telemetry_history(meter_id, recorded_at);
+DROP INDEX IF EXISTS uq_vehicle_history_reading;
+CREATE UNIQUE INDEX uq_vehicle_history_reading 
+    ON vehicle_telemetry_history(vehicle_id, recorded_at);
+
+ALTER TABLE meter_current_status DROP CONSTRAINT IF EXISTS meter_current_status_pkey;
+ALTER TABLE meter_current_status ADD PRIMARY KEY (meter_id);
+ALTER TABLE vehicle_current_status DROP CONSTRAINT IF EXISTS vehicle_current_status_pkey;
+ALTER TABLE vehicle_current_status ADD PRIMARY KEY (vehicle_id);
+
+ALTER TABLE devices DROP CONSTRAINT IF EXISTS devices_pkey;
+ALTER TABLE devices ADD PRIMARY KEY (device_type, device_id);
@@ -0,0 +1,33 @@
+-- =====================================================
+-- 012 Tenant Device Keys
+-- Device IDs are unique per tenant, not globally
+-- =====================================================
+-- Every natural key leads with tenant_id, so tenants may
+-- reuse an ID and ON CONFLICT never lands on a row the
+-- writer's row-level security policy hides.
+-- =====================================================
+
+ALTER TABLE devices DROP CONSTRAINT IF EXISTS devices_pkey;
+ALTER TABLE devices ADD PRIMARY KEY (tenant_id, device_type, device_id);
+
+ALTER TABLE meter_current_status DROP CONSTRAINT IF EXISTS meter_current_status_pkey;
+ALTER TABLE meter_current_status ADD PRIMARY KEY (tenant_id, meter_id);
+ALTER TABLE vehicle_current_status DROP CONSTRAINT IF EXISTS vehicle_current_status_pkey;
+ALTER TABLE vehicle_current_status ADD PRIMARY KEY (tenant_id, vehicle_id);
+
+DROP INDEX IF EXISTS uq_meter_history_reading;
+CREATE UNIQUE INDEX uq_meter_history_reading 
+    ON meter_telemetry_history(tenant_id, meter_id, recorded_at);
+DROP INDEX IF EXISTS uq_vehicle_history_reading;
+CREATE UNIQUE INDEX uq_vehicle_history_reading 
+    ON vehicle_telemetry_history(tenant_id, vehicle_id, recorded_at);
+
+ALTER TABLE charging_sessions DROP CONSTRAINT IF EXISTS charging_sessions_vehicle_id_started_at_key;
+ALTER TABLE charging_sessions DROP CONSTRAINT IF EXISTS charging_sessions_tenant_vehicle_started_key;
+ALTER TABLE charging_sessions ADD CONSTRAINT charging_sessions_tenant_vehicle_started_key 
+    UNIQUE (tenant_id, vehicle_id, started_at);
+
+-- Covered by the keys above
+DROP INDEX IF EXISTS idx_devices_tenant;
+DROP INDEX IF EXISTS idx_meter_status_tenant;
+DROP INDEX IF EXISTS idx_vehicle_status_tenant;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- 013 Connectivity Tenant Keys (rollback)
+-- =====================================================
+-- Fails while two tenants share a device ID
+-- =====================================================
+
+DROP INDEX IF EXISTS idx_connectivity_history_device;
+CREATE INDEX idx_connectivity_history_device
+    ON device_connectivity_history(device_type, device_id, changed_at DESC);
+
+ALTER TABLE device_connectivity DROP CONSTRAINT IF EXISTS device_connectivity_pkey;
+ALTER TABLE device_connectivity ADD PRIMARY KEY (device_type, device_id);
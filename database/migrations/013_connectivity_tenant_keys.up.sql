@@ -0,0 +1,12 @@
+-- =====================================================
+-- 013 Connectivity Tenant Keys
+-- Device connectivity is tracked per tenant, like the
+-- device keys (012)
+-- =====================================================
+
+ALTER TABLE device_connectivity DROP CONSTRAINT IF EXISTS device_connectivity_pkey;
+ALTER TABLE device_connectivity ADD PRIMARY KEY (tenant_id, device_type, device_id);
+
+DROP INDEX IF EXISTS idx_connectivity_history_device;
+CREATE INDEX idx_connectivity_history_device
+    ON device_connectivity_history(tenant_id, device_type, device_id, changed_at DESC);
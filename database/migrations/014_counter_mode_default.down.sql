@@ -0,0 +1,9 @@
+-- =====================================================
+-- 014 Counter Mode Default (rollback)
+-- =====================================================
+
+UPDATE devices SET counter_mode = 'interval' WHERE counter_mode IS NULL;
+
+ALTER TABLE devices
+    ALTER COLUMN counter_mode SET DEFAULT 'interval',
+    ALTER COLUMN counter_mode SET NOT NULL;
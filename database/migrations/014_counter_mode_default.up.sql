@@ -0,0 +1,9 @@
+-- =====================================================
+-- 014 Counter Mode Default
+-- A device without a counter_mode follows the application's
+-- DEFAULT_COUNTER_MODE instead of a fixed 'interval'
+-- =====================================================
+
+ALTER TABLE devices
+    ALTER COLUMN counter_mode DROP NOT NULL,
+    ALTER COLUMN counter_mode DROP DEFAULT;
@@ -0,0 +1,10 @@
+-- =====================================================
+-- 015 Wide Energy Registers (rollback)
+-- =====================================================
+-- Fails while a stored register exceeds 999999.9999
+-- =====================================================
+
+ALTER TABLE vehicle_current_status ALTER COLUMN kwh_delivered_dc TYPE DECIMAL(10, 4);
+ALTER TABLE meter_current_status ALTER COLUMN kwh_consumed_ac TYPE DECIMAL(10, 4);
+ALTER TABLE vehicle_telemetry_history ALTER COLUMN kwh_delivered_dc TYPE DECIMAL(10, 4);
+ALTER TABLE meter_telemetry_history ALTER COLUMN kwh_consumed_ac TYPE DECIMAL(10, 4);
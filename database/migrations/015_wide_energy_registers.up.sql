@@ -0,0 +1,12 @@
+-- =====================================================
+-- 015 Wide Energy Registers
+-- Raw energy columns as wide as devices.counter_max, so a
+-- cumulative register can climb to its rollover value
+-- =====================================================
+-- Deltas keep their width: they hold one interval's energy.
+-- =====================================================
+
+ALTER TABLE meter_telemetry_history ALTER COLUMN kwh_consumed_ac TYPE DECIMAL(14, 4);
+ALTER TABLE vehicle_telemetry_history ALTER COLUMN kwh_delivered_dc TYPE DECIMAL(14, 4);
+ALTER TABLE meter_current_status ALTER COLUMN kwh_consumed_ac TYPE DECIMAL(14, 4);
+ALTER TABLE vehicle_current_status ALTER COLUMN kwh_delivered_dc TYPE DECIMAL(14, 4);
@@ -0,0 +1,30 @@
+-- =====================================================
+-- 016 OCPP Tenant Keys (rollback)
+-- =====================================================
+-- Fails while two tenants share a charge point ID
+-- =====================================================
+
+DROP INDEX IF EXISTS idx_ocpp_transactions_vehicle;
+CREATE INDEX idx_ocpp_transactions_vehicle
+    ON ocpp_transactions(vehicle_id, started_at DESC);
+
+DROP INDEX IF EXISTS idx_ocpp_transactions_open;
+CREATE UNIQUE INDEX idx_ocpp_transactions_open
+    ON ocpp_transactions(charge_point_id, connector_id) WHERE stopped_at IS NULL;
+
+ALTER TABLE ocpp_transactions DROP CONSTRAINT IF EXISTS ocpp_transactions_tenant_connector_started_key;
+ALTER TABLE ocpp_transactions ADD CONSTRAINT ocpp_transactions_charge_point_id_connector_id_started_at_key
+    UNIQUE (charge_point_id, connector_id, started_at);
+ALTER TABLE ocpp_transactions DROP CONSTRAINT IF EXISTS ocpp_transactions_charge_point_fkey;
+ALTER TABLE ocpp_connectors DROP CONSTRAINT IF EXISTS ocpp_connectors_charge_point_fkey;
+
+ALTER TABLE ocpp_connectors DROP CONSTRAINT IF EXISTS ocpp_connectors_pkey;
+ALTER TABLE ocpp_connectors ADD PRIMARY KEY (charge_point_id, connector_id);
+
+ALTER TABLE ocpp_charge_points DROP CONSTRAINT IF EXISTS ocpp_charge_points_pkey;
+ALTER TABLE ocpp_charge_points ADD PRIMARY KEY (charge_point_id);
+
+ALTER TABLE ocpp_connectors ADD CONSTRAINT ocpp_connectors_charge_point_id_fkey
+    FOREIGN KEY (charge_point_id) REFERENCES ocpp_charge_points(charge_point_id) ON DELETE CASCADE;
+ALTER TABLE ocpp_transactions ADD CONSTRAINT ocpp_transactions_charge_point_id_fkey
+    FOREIGN KEY (charge_point_id) REFERENCES ocpp_charge_points(charge_point_id) ON DELETE CASCADE;
@@ -0,0 +1,33 @@
+-- =====================================================
+-- 016 OCPP Tenant Keys
+-- Charge point IDs are unique per tenant, like device IDs
+-- (012): connector and transaction keys carry the tenant
+-- =====================================================
+
+ALTER TABLE ocpp_connectors DROP CONSTRAINT IF EXISTS ocpp_connectors_charge_point_id_fkey;
+ALTER TABLE ocpp_transactions DROP CONSTRAINT IF EXISTS ocpp_transactions_charge_point_id_fkey;
+
+ALTER TABLE ocpp_charge_points DROP CONSTRAINT IF EXISTS ocpp_charge_points_pkey;
+ALTER TABLE ocpp_charge_points ADD PRIMARY KEY (tenant_id, charge_point_id);
+
+ALTER TABLE ocpp_connectors DROP CONSTRAINT IF EXISTS ocpp_connectors_pkey;
+ALTER TABLE ocpp_connectors ADD PRIMARY KEY (tenant_id, charge_point_id, connector_id);
+ALTER TABLE ocpp_connectors ADD CONSTRAINT ocpp_connectors_charge_point_fkey
+    FOREIGN KEY (tenant_id, charge_point_id)
+    REFERENCES ocpp_charge_points(tenant_id, charge_point_id) ON DELETE CASCADE;
+
+ALTER TABLE ocpp_transactions ADD CONSTRAINT ocpp_transactions_charge_point_fkey
+    FOREIGN KEY (tenant_id, charge_point_id)
+    REFERENCES ocpp_charge_points(tenant_id, charge_point_id) ON DELETE CASCADE;
+ALTER TABLE ocpp_transactions
+    DROP CONSTRAINT IF EXISTS ocpp_transactions_charge_point_id_connector_id_started_at_key;
+ALTER TABLE ocpp_transactions ADD CONSTRAINT ocpp_transactions_tenant_connector_started_key
+    UNIQUE (tenant_id, charge_point_id, connector_id, started_at);
+
+DROP INDEX IF EXISTS idx_ocpp_transactions_open;
+CREATE UNIQUE INDEX idx_ocpp_transactions_open
+    ON ocpp_transactions(tenant_id, charge_point_id, connector_id) WHERE stopped_at IS NULL;
+
+DROP INDEX IF EXISTS idx_ocpp_transactions_vehicle;
+CREATE INDEX idx_ocpp_transactions_vehicle
+    ON ocpp_transactions(tenant_id, vehicle_id, started_at DESC);
@@ -0,0 +1,272 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline } = require('stream/promises');
+const batchIngestionService = require('../src/services/batchIngestionService');
+const exportService = require('../src/services/exportService');
+const { exportFields } = require('../src/services/exportService');
+const telemetryService = require('../src/services/telemetryService');
+const partitionService = require('../src/services/partitionService');
+const deviceTypes = require('../src/deviceTypes');
+const { invalidTypeMessage } = require('../src/utils/telemetry');
+const { decodeStream, readRecords, formatCsvLine } = require('../src/utils/recordStream');
+const { parseTimeRange } = require('../src/utils/history');
+const requestContext = require('../src/utils/requestContext');
+const { closePool } = require('../src/config/database');
+
+// Rejected records printed to the console (all go to --rejects)
+const MAX_PRINTED_REJECTS = 20;
+
+const EXPORT_FORMATS = ['csv', 'ndjson', 'parquet'];
+
+/**
+ * Bulk import / export of telemetry history
+ *
+ *   node scripts/bulk-data.js import <file> [--format csv|ndjson] [--tenant <id>]
+ *        [--dry-run] [--restart] [--rejects <file>]
+ *   node scripts/bulk-data.js export --type <device type> [--devices M1,M2]
+ *        [--from <iso>] [--to <iso>] [--format csv|ndjson|parquet] [--out <file>] [--tenant <id>]
+ *
+ * Files ending in .gz are read and written gzip-compressed.
+ */
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+    } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = argv[++i];
+    }
+  }
+  return args;
+}
+
+const list = (value) => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Format from --format or the file extension (ignoring .gz)
+ */
+function formatOf(file, format, formats) {
+  const resolved = format || path.extname(file ? file.replace(/\.gz$/, '') : '').slice(1).replace(/^jsonl$/, 'ndjson');
+  if (!formats.includes(resolved)) {
+    throw new Error(`Unknown format "${resolved}". Expected ${formats.join(', ')} (use --format).`);
+  }
+  return resolved;
+}
+
+/**
+ * Import a CSV or NDJSON file into history, then move imported history
+ * out of the default partition and rebuild hot status
+ *
+ * Progress is saved next to the file after every committed chunk; a rerun
+ * resumes after the last committed line (readings stored twice are
+ * skipped as duplicates anyway). --restart ignores saved progress,
+ * --dry-run only validates.
+ */
+async function importFile(file, args) {
+  if (!file) {
+    throw new Error('Missing file: bulk-data.js import <file>');
+  }
+
+  const format = formatOf(file, args.format, ['csv', 'ndjson']);
+  const dryRun = args['dry-run'] === true;
+  const stat = fs.statSync(file);
+  const progressFile = `${file}.import-progress.json`;
+  const source = { size: stat.size, modifiedAt: stat.mtime.toISOString() };
+
+  console.log(`${dryRun ? '🔍 Validating' : '📥 Importing'} ${file} (${format})`);
+
+  let skipThroughLine = 0;
+  if (!dryRun && !args.restart && fs.existsSync(progressFile)) {
+    const progress = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+    if (progress.size !== source.size || progress.modifiedAt !== source.modifiedAt) {
+      throw new Error(`${file} changed since the interrupted import; rerun with --restart`);
+    }
+    skipThroughLine = progress.line;
+    console.log(`↪️  Resuming ${file} after line ${skipThroughLine}`);
+  }
+
+  const rejects = args.rejects ? fs.createWriteStream(args.rejects) : null;
+  let printed = 0;
+
+  const input = decodeStream(fs.createReadStream(file), file.endsWith('.gz') ? 'gzip' : 'identity');
+  const totals = await batchIngestionService.ingestRecords(readRecords(input, format), {
+    dryRun,
+    skipThroughLine,
+    onRejected: (result) => {
+      if (printed++ < MAX_PRINTED_REJECTS) {
+        console.log(`  ✗ line ${result.line}: ${result.error}`);
+      }
+      if (rejects) {
+        rejects.write(`${JSON.stringify({ line: result.line, error: result.error })}\n`);
+      }
+    },
+    onChunk: (progress) => {
+      if (!dryRun) {
+        const temporary = `${progressFile}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify({ file, ...source, ...progress, updatedAt: new Date() }, null, 2));
+        fs.renameSync(temporary, progressFile);
+      }
+      console.log(`  … line ${progress.line}: ${progress.valid} valid, ${progress.rejected} rejected`);
+    }
+  });
+
+  if (rejects) {
+    rejects.end();
+    await once(rejects, 'finish');
+  }
+  if (printed > MAX_PRINTED_REJECTS) {
+    console.log(`  … ${printed - MAX_PRINTED_REJECTS} more rejected record(s)${args.rejects ? ` in ${args.rejects}` : ' (use --rejects <file>)'}`);
+  }
+
+  if (dryRun) {
+    console.log(`✅ Dry run: ${totals.valid} valid, ${totals.rejected} rejected of ${totals.received} record(s); nothing stored`);
+    return totals;
+  }
+
+  const perType = (count, suffix = '') => deviceTypes.list().map(type => `${count(type)} ${type.name}${suffix}`).join(', ');
+  console.log(`✅ Imported ${totals.accepted} record(s) (${perType(type => totals[type.plural])}), ${totals.duplicates} duplicate(s), ${totals.rejected} rejected${totals.skipped > 0 ? `, ${totals.skipped} skipped from the previous run` : ''}`);
+
+  // Partition maintenance spans all tenants, so it runs unscoped
+  const { created } = await requestContext.run({ tenantId: null }, () => partitionService.ensurePartitions());
+  console.log(`✅ History partitions ready (${created.length} created)`);
+
+  const rebuilt = {};
+  for (const type of deviceTypes.list()) {
+    rebuilt[type.name] = await telemetryService.forType(type.name).rebuildCurrentStatus(totals.deviceIds[type.name]);
+  }
+  console.log(`✅ Hot status rebuilt (${perType(type => rebuilt[type.name], '(s)')} updated)`);
+
+  fs.rmSync(progressFile, { force: true });
+  return totals;
+}
+
+/**
+ * Export one device type's history in a time range to a file or stdout
+ * (Parquet needs --out). Status messages go to stderr so stdout stays
+ * clean for the data.
+ */
+async function exportHistory(args) {
+  const type = args.type;
+  if (!deviceTypes.get(type)) {
+    throw new Error(invalidTypeMessage('--type'));
+  }
+
+  const out = typeof args.out === 'string' ? args.out : null;
+  const format = formatOf(out, args.format || (out ? null : 'csv'), EXPORT_FORMATS);
+  const { from, to } = parseTimeRange(args.from, args.to);
+  const records = exportService.readHistory(type, { deviceIds: list(args.devices), from, to });
+
+  let count = 0;
+  if (format === 'parquet') {
+    if (!out) {
+      throw new Error('Parquet exports need --out <file>');
+    }
+    count = await writeParquet(type, records, out);
+  } else {
+    count = await writeText(type, format, records, out);
+  }
+
+  console.error(`✅ Exported ${count} ${type} reading(s) from ${from} to ${to}${out ? ` to ${out}` : ''}`);
+  return count;
+}
+
+/**
+ * Write records as CSV or NDJSON, gzip-compressed for .gz files
+ */
+async function writeText(type, format, records, out) {
+  const fields = exportFields(deviceTypes.get(type)).map(([field]) => field);
+  const compress = out && out.endsWith('.gz') ? zlib.createGzip() : null;
+  const destination = out ? fs.createWriteStream(out) : process.stdout;
+  const stream = compress || destination;
+  const finished = compress ? pipeline(compress, destination) : null;
+
+  const write = async (line) => {
+    if (!stream.write(`${line}\n`)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  let count = 0;
+  if (format === 'csv') {
+    await write(formatCsvLine(fields));
+  }
+  for await (const record of records) {
+    await write(format === 'csv'
+      ? formatCsvLine(fields.map(field => record[field]))
+      : JSON.stringify(record));
+    count++;
+  }
+
+  if (compress) {
+    compress.end();
+    await finished;
+  } else if (out) {
+    destination.end();
+    await once(destination, 'finish');
+  }
+  return count;
+}
+
+/**
+ * Write records to a Parquet file (one row group per 10k rows)
+ */
+async function writeParquet(type, records, out) {
+  const parquet = require('@dsnp/parquetjs');
+
+  const PARQUET_TYPES = { string: 'UTF8', number: 'DOUBLE', boolean: 'BOOLEAN', timestamp: 'TIMESTAMP_MILLIS' };
+  const schema = new parquet.ParquetSchema(Object.fromEntries(
+    exportFields(deviceTypes.get(type)).map(([field, , kind]) => [field, { type: PARQUET_TYPES[kind], optional: true }])
+  ));
+
+  const writer = await parquet.ParquetWriter.openFile(schema, out, { rowGroupSize: 10000 });
+  let count = 0;
+  try {
+    for await (const record of records) {
+      await writer.appendRow(record);
+      count++;
+    }
+  } finally {
+    await writer.close();
+  }
+  return count;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const [command, file] = args._;
+
+  const run = () => {
+    switch (command) {
+      case 'import':
+        return importFile(file, args);
+      case 'export':
+        return exportHistory(args);
+      default:
+        throw new Error(`Unknown command "${command}". Expected import or export.`);
+    }
+  };
+
+  // --tenant scopes reads and writes to one tenant (row-level security)
+  return typeof args.tenant === 'string'
+    ? requestContext.run({ tenantId: args.tenant }, run)
+    : run();
+}
+
+// Run if executed directly
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(() => closePool())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('❌ Bulk data command failed:', error.message);
+      await closePool();
+      process.exit(1);
+    });
+}
+
+module.exports = { importFile, exportHistory };
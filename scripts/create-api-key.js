@@ -0,0 +1,72 @@
+require('dotenv').config();
+const apiKeyService = require('../src/services/apiKeyService');
+const { closePool } = require('../src/config/database');
+
+/**
+ * Create an API key from the command line (e.g. the first admin key)
+ *
+ *   node scripts/create-api-key.js --name ops --scopes admin
+ *   node scripts/create-api-key.js --name site-12 --tenant fleet-a --scopes ingest --meters M1,M2 --vehicles V1
+ *   node scripts/create-api-key.js --name site-7 --scopes ingest --devices inverter:INV-1,battery:B-3
+ */
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith('--') || argv[i + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+const list = (value) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * --devices type:id,type:id as { type: [ids] }
+ */
+function deviceList(value) {
+  const deviceIds = {};
+  for (const item of list(value)) {
+    const separator = item.indexOf(':');
+    if (separator <= 0) {
+      throw new Error(`Invalid device "${item}": expected <type>:<deviceId>`);
+    }
+    const type = item.slice(0, separator);
+    (deviceIds[type] = deviceIds[type] || []).push(item.slice(separator + 1));
+  }
+  return deviceIds;
+}
+
+async function createApiKey(argv) {
+  const args = parseArgs(argv);
+  const key = await apiKeyService.createKey({
+    name: args.name,
+    scopes: list(args.scopes),
+    tenantId: args.tenant || null,
+    meterIds: list(args.meters),
+    vehicleIds: list(args.vehicles),
+    deviceIds: deviceList(args.devices),
+    expiresAt: args.expires || null
+  });
+
+  console.log(`✅ Created API key #${key.keyId} "${key.name}" [${key.scopes.join(', ')}] for ${key.tenantId || 'all tenants'}`);
+  console.log('');
+  console.log(`   ${key.key}`);
+  console.log('');
+  console.log('Store this key now; it cannot be retrieved again.');
+}
+
+// Run if executed directly
+if (require.main === module) {
+  createApiKey(process.argv.slice(2))
+    .then(() => closePool())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('❌ Failed to create API key:', error.message);
+      await closePool();
+      process.exit(1);
+    });
+}
+
+module.exports = { createApiKey };
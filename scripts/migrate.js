@@ -0,0 +1,60 @@
+require('dotenv').config();
+const migrationService = require('../src/services/migrationService');
+const { closePool } = require('../src/config/database');
+
+/**
+ * Schema migration CLI
+ *
+ *   node scripts/migrate.js up            apply pending migrations
+ *   node scripts/migrate.js down [steps]  roll back the last N migrations (default 1)
+ *   node scripts/migrate.js status        show applied / pending migrations
+ */
+async function main(command = 'up', arg) {
+  switch (command) {
+    case 'up': {
+      const { applied } = await migrationService.migrate();
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Database schema is up to date');
+      break;
+    }
+
+    case 'down': {
+      const steps = parseInt(arg) || 1;
+      const { rolledBack } = await migrationService.rollback(steps);
+      console.log(`✅ Rolled back ${rolledBack.length} migration(s)`);
+      break;
+    }
+
+    case 'status': {
+      const status = await migrationService.status();
+      console.log(`📊 Schema version: ${status.current || 'none'} (latest: ${status.latest || 'none'})`);
+      for (const migration of status.migrations) {
+        const flag = migration.modified ? '  ⚠️  modified since applied' : '';
+        console.log(`  ${migration.status === 'applied' ? '✔' : '·'} ${migration.version}_${migration.name} [${migration.status}]${flag}`);
+      }
+      for (const migration of status.unknown) {
+        console.log(`  ? ${migration.version}_${migration.name} [applied, not in this build]`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown command "${command}". Expected up, down or status.`);
+  }
+}
+
+// Run if executed directly
+if (require.main === module) {
+  const [command, arg] = process.argv.slice(2);
+  main(command, arg)
+    .then(() => closePool())
+    .then(() => process.exit(0))
+    .catch(async (error) => {
+      console.error('❌ Migration failed:', error.message);
+      await closePool();
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
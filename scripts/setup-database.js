@@ -1,49 +1,43 @@
-const { Pool } = require('pg');
-const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
+const migrationService = require('../src/services/migrationService');
+const partitionService = require('../src/services/partitionService');
+const { query, testConnection, closePool } = require('../src/config/database');
 
 async function setupDatabase() {
   console.log('🔧 Setting up database...');
-  
-  const pool = new Pool({
-    host: process.env.DB_HOST || 'localhost',
-    port: parseInt(process.env.DB_PORT) || 5432,
-    user: process.env.DB_USER || 'energy_user',
-    password: process.env.DB_PASSWORD || 'energy_pass',
-    database: process.env.DB_NAME || 'energy_ingestion',
-  });
 
   try {
     // Test connection
-    await pool.query('SELECT NOW()');
-    console.log('✅ Database connection successful');
+    if (!await testConnection()) {
+      throw new Error('Database connection failed');
+    }
 
-    // Read and execute schema
-    const schemaPath = path.join(__dirname, '../database/schema.sql');
-    const schema = fs.readFileSync(schemaPath, 'utf8');
-    
-    await pool.query(schema);
-    console.log('✅ Database schema created successfully');
+    // Apply pending schema migrations
+    const { applied } = await migrationService.migrate();
+    console.log(`✅ Database schema up to date (${applied.length} migration(s) applied)`);
+
+    // Pre-create history partitions
+    const { created } = await partitionService.ensurePartitions();
+    console.log(`✅ History partitions ready (${created.length} created)`);
 
     // Verify tables
-    const tables = await pool.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
+    const tables = await query(`
+      SELECT table_name
+      FROM information_schema.tables
       WHERE table_schema = 'public'
       ORDER BY table_name
     `);
-    
+
     console.log('\n📊 Created tables:');
     tables.rows.forEach(row => console.log(`  - ${row.table_name}`));
 
     console.log('\n✅ Database setup complete!');
-    
+
   } catch (error) {
     console.error('❌ Database setup failed:', error.message);
     throw error;
   } finally {
-    await pool.end();
+    await closePool();
   }
 }
 
@@ -54,4 +48,4 @@ if (require.main === module) {
     .catch(() => process.exit(1));
 }
 
-module.exports = { setupDatabase };
\ No newline at end of file
+module.exports = { setupDatabase };
@@ -1,46 +1,106 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const metricsService = require('../services/metricsService');
 require('dotenv').config();
 
-// Create singleton connection pool
-const pool = new Pool({
+// Connection settings shared by the pool and dedicated clients
+const connectionConfig = {
   host: process.env.DB_HOST || 'localhost',
   port: parseInt(process.env.DB_PORT) || 5432,
   user: process.env.DB_USER || 'energy_user',
   password: process.env.DB_PASSWORD || 'energy_pass',
-  database: process.env.DB_NAME || 'energy_ingestion',
+  database: process.env.DB_NAME || 'energy_ingestion'
+};
+
+// Create singleton connection pool
+const pool = new Pool({
+  ...connectionConfig,
   min: parseInt(process.env.DB_POOL_MIN) || 2,
   max: parseInt(process.env.DB_POOL_MAX) || 10,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 2000,
 });
 
-// Handle pool errors
+// An idle client lost its connection (server restart, failover, network
+// blip). The pool has already discarded it and opens a fresh connection on
+// the next checkout, so the process keeps running.
 pool.on('error', (err) => {
-  console.error('Unexpected error on idle PostgreSQL client', err);
-  process.exit(-1);
+  metricsService.increment('db_pool_errors_total');
+  logger.warn('Idle PostgreSQL client error, connection discarded', { error: err });
 });
 
+// Startup connection attempts before giving up (exponential backoff)
+const DB_CONNECT_ATTEMPTS = parseInt(process.env.DB_CONNECT_ATTEMPTS) || 10;
+const DB_CONNECT_MAX_DELAY_MS = 10000;
+
+// Errors meaning the connection itself is gone (not a failed statement)
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', '57P01', '57P02', '57P03'];
+function isConnectionError(error) {
+  return Boolean(error) && (
+    CONNECTION_ERROR_CODES.includes(error.code) ||
+    /^08/.test(error.code || '') ||
+    /Connection terminated/i.test(error.message || '')
+  );
+}
+
+// Smoothed time spent waiting for a pooled connection (drives load shedding)
+const POOL_WAIT_SMOOTHING = 0.2;
+let poolWaitMs = 0;
+
+// Check out a client scoped to the current request's tenant
+// Row-level security policies read app.tenant_id; the value is set per
+// connection and only re-issued when the tenant changes
+async function getClient() {
+  const waitStart = Date.now();
+  const client = await pool.connect();
+  poolWaitMs += (Date.now() - waitStart - poolWaitMs) * POOL_WAIT_SMOOTHING;
+  const tenantId = requestContext.currentTenant() || '';
+
+  if (client.tenantId !== tenantId) {
+    try {
+      await client.query("SELECT set_config('app.tenant_id', $1, false)", [tenantId]);
+    } catch (error) {
+      client.release(error);
+      throw error;
+    }
+    client.tenantId = tenantId;
+  }
+
+  return client;
+}
+
 // Helper function to execute queries with logging
+// Query logs carry the request ID but never the bound parameters
 async function query(text, params = []) {
   const start = Date.now();
   try {
-    const result = await pool.query(text, params);
-    const duration = Date.now() - start;
-    
-    if (process.env.NODE_ENV === 'development') {
-      console.log('Query executed:', {
-        duration: `${duration}ms`,
-        rows: result.rowCount,
-        command: text.split(' ')[0]
-      });
+    const client = await getClient();
+    let result;
+    try {
+      result = await client.query(text, params);
+    } catch (error) {
+      // Broken connections are destroyed rather than returned to the pool
+      client.release(isConnectionError(error) ? error : undefined);
+      throw error;
     }
-    
+    client.release();
+    const duration = Date.now() - start;
+    metricsService.observe('db_query_duration_seconds', { command: sqlCommand(text) }, duration / 1000);
+
+    logger.debug('Query executed', {
+      command: sqlCommand(text),
+      durationMs: duration,
+      rows: result.rowCount
+    });
+
     return result;
   } catch (error) {
-    console.error('Query error:', {
-      error: error.message,
-      query: text,
-      params
+    logger.error('Query error', {
+      error,
+      command: sqlCommand(text),
+      durationMs: Date.now() - start,
+      query: text.replace(/\s+/g, ' ').trim()
     });
     throw error;
   }
@@ -48,42 +108,112 @@ async function query(text, params = []) {
 
 // Helper function for transactions
 async function transaction(callback) {
-  const client = await pool.connect();
+  const client = await getClient();
+  const endTimer = metricsService.startTimer('db_transaction_duration_seconds');
+  let broken = null;
   try {
     await client.query('BEGIN');
     const result = await callback(client);
     await client.query('COMMIT');
+    endTimer({ outcome: 'commit' });
     return result;
   } catch (error) {
-    await client.query('ROLLBACK');
+    endTimer({ outcome: 'rollback' });
+    if (isConnectionError(error)) {
+      // Nothing to roll back on a dead connection; the server already did
+      broken = error;
+    } else {
+      try {
+        await client.query('ROLLBACK');
+      } catch (rollbackError) {
+        broken = rollbackError;
+      }
+    }
     throw error;
   } finally {
-    client.release();
+    client.release(broken || undefined);
   }
 }
 
+// Statement type label for query metrics (bounded set of values)
+const SQL_COMMANDS = ['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'WITH'];
+function sqlCommand(text) {
+  const command = text.trimStart().split(/\s/, 1)[0].toUpperCase();
+  return SQL_COMMANDS.includes(command) ? command : 'OTHER';
+}
+
+// Pool utilization snapshot
+function getPoolStats() {
+  return {
+    max: pool.options.max,
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    waiting: pool.waitingCount,
+    avgWaitMs: parseFloat(poolWaitMs.toFixed(2))
+  };
+}
+
+// Pool gauges are read at scrape time
+metricsService.addCollector(() => {
+  const stats = getPoolStats();
+  return [
+    { name: 'db_pool_connections', labels: { state: 'idle' }, value: stats.idle },
+    { name: 'db_pool_connections', labels: { state: 'active' }, value: stats.total - stats.idle },
+    { name: 'db_pool_max_connections', value: stats.max },
+    { name: 'db_pool_waiting_clients', value: stats.waiting },
+    { name: 'db_pool_wait_seconds', value: stats.avgWaitMs / 1000 }
+  ];
+});
+
 // Test database connection
 async function testConnection() {
   try {
     const result = await query('SELECT NOW() as time, version() as version');
-    console.log('✅ Database connected:', result.rows[0].time);
+    logger.info('Database connected', { serverTime: result.rows[0].time });
     return true;
   } catch (error) {
-    console.error('❌ Database connection failed:', error.message);
+    logger.error('Database connection failed', { error });
     return false;
   }
 }
 
+// Dedicated connection outside the pool, for sessions that must stay
+// open (LISTEN). The caller connects, handles 'error' and ends it.
+function createClient() {
+  return new Client({ ...connectionConfig, connectionTimeoutMillis: 2000 });
+}
+
+// Wait for the database at startup, retrying with exponential backoff
+// (e.g. while Postgres is still starting next to the API)
+async function waitForDatabase(attempts = DB_CONNECT_ATTEMPTS) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (await testConnection()) {
+      return true;
+    }
+    if (attempt < attempts) {
+      const delay = Math.min(500 * 2 ** (attempt - 1), DB_CONNECT_MAX_DELAY_MS);
+      logger.warn('Database not reachable, retrying', { attempt, attempts, retryInMs: delay });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+  return false;
+}
+
 // Graceful shutdown
 async function closePool() {
   await pool.end();
-  console.log('Database connection pool closed');
+  logger.info('Database connection pool closed');
 }
 
 module.exports = {
   pool,
   query,
   transaction,
+  getClient,
+  createClient,
+  getPoolStats,
+  isConnectionError,
   testConnection,
+  waitForDatabase,
   closePool
 };
\ No newline at end of file
@@ -0,0 +1,245 @@
+const partitionService = require('../services/partitionService');
+const schedulerService = require('../services/schedulerService');
+const apiKeyService = require('../services/apiKeyService');
+const tenantService = require('../services/tenantService');
+const logger = require('../utils/logger');
+
+/**
+ * Admin Controller
+ * Operational endpoints for storage maintenance, background jobs,
+ * API keys and tenants
+ */
+class AdminController {
+
+  /**
+   * GET /v1/admin/partitions
+   * Partition inventory for the history tables
+   */
+  async getPartitions(req, res) {
+    try {
+      const inventory = await partitionService.getInventory();
+
+      return res.json({
+        success: true,
+        data: inventory
+      });
+
+    } catch (error) {
+      logger.error('Get partitions error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/admin/partitions/maintain
+   * Create upcoming and backfilled partitions and drop expired ones
+   */
+  async maintainPartitions(req, res) {
+    try {
+      const result = await partitionService.maintain();
+
+      return res.json({
+        success: true,
+        message: `Created ${result.created.length}, dropped ${result.dropped.length} partition(s)`,
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Partition maintenance error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/admin/jobs
+   * Scheduled jobs with next run time and recent run history
+   */
+  async getJobs(req, res) {
+    try {
+      const historyLimit = Math.min(parseInt(req.query.limit) || 10, 100);
+      const jobs = await schedulerService.getJobs(historyLimit);
+
+      return res.json({
+        success: true,
+        data: jobs
+      });
+
+    } catch (error) {
+      logger.error('Get jobs error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/admin/jobs/:name/run
+   * Run a job immediately
+   */
+  async runJob(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (!schedulerService.jobs.has(name)) {
+        return res.status(404).json({
+          success: false,
+          error: `Job not found: ${name}`
+        });
+      }
+
+      const run = await schedulerService.runJob(name, 'manual');
+
+      if (!run) {
+        return res.status(409).json({
+          success: false,
+          error: `Job ${name} is already running`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: run
+      });
+
+    } catch (error) {
+      logger.error('Run job error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/admin/api-keys
+   * List API keys (without the keys themselves)
+   * Tenant admin keys only see their own tenant's keys
+   */
+  async listApiKeys(req, res) {
+    try {
+      const keys = await apiKeyService.listKeys(keyTenant(req) || req.query.tenantId || null);
+
+      return res.json({
+        success: true,
+        data: {
+          count: keys.length,
+          keys
+        }
+      });
+
+    } catch (error) {
+      logger.error('List API keys error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/admin/api-keys
+   * Create an API key; the plaintext key is only returned here
+   */
+  async createApiKey(req, res) {
+    try {
+      const keyData = { ...(req.body || {}) };
+      const ownTenant = keyTenant(req);
+
+      // Tenant admins can only issue keys for their own tenant
+      if (ownTenant) {
+        if (keyData.tenantId && keyData.tenantId !== ownTenant) {
+          return res.status(403).json({
+            success: false,
+            error: `API key is bound to tenant ${ownTenant}`
+          });
+        }
+        keyData.tenantId = ownTenant;
+      }
+
+      const key = await apiKeyService.createKey(keyData);
+
+      return res.status(201).json({
+        success: true,
+        message: 'API key created; store it now, it cannot be retrieved again',
+        data: key
+      });
+
+    } catch (error) {
+      logger.error('Create API key error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /v1/admin/api-keys/:keyId
+   * Revoke an API key
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const key = await apiKeyService.revokeKey(req.params.keyId, keyTenant(req));
+
+      if (!key) {
+        return res.status(404).json({
+          success: false,
+          error: `API key not found: ${req.params.keyId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: 'API key revoked',
+        data: key
+      });
+
+    } catch (error) {
+      logger.error('Revoke API key error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/admin/tenants
+   * Register a tenant
+   */
+  async createTenant(req, res) {
+    try {
+      const tenant = await tenantService.createTenant(req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        message: 'Tenant created',
+        data: tenant
+      });
+
+    } catch (error) {
+      logger.error('Create tenant error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Tenant the presented API key is bound to (null for platform keys
+ * or when authentication is disabled)
+ */
+function keyTenant(req) {
+  return req.apiKey ? req.apiKey.tenantId : null;
+}
+
+module.exports = new AdminController();
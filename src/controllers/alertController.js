@@ -0,0 +1,227 @@
+const alertService = require('../services/alertService');
+const { ALERT_STATES } = require('../services/alertService');
+const logger = require('../utils/logger');
+
+/**
+ * Alert Controller
+ * Alert rule management, alert listing and acknowledgement
+ */
+class AlertController {
+
+  /**
+   * GET /v1/alerts/rules
+   * List alert rules
+   */
+  async listRules(req, res) {
+    try {
+      const rules = await alertService.listRules();
+
+      return res.json({
+        success: true,
+        data: {
+          count: rules.length,
+          rules
+        }
+      });
+
+    } catch (error) {
+      logger.error('List alert rules error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/alerts/rules
+   * Create an alert rule
+   */
+  async createRule(req, res) {
+    try {
+      const rule = await alertService.createRule(req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        message: 'Alert rule created successfully',
+        data: rule
+      });
+
+    } catch (error) {
+      logger.error('Create alert rule error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/alerts/rules/:ruleId
+   * Get an alert rule
+   */
+  async getRule(req, res) {
+    try {
+      const rule = await alertService.getRule(req.params.ruleId);
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: `Alert rule not found: ${req.params.ruleId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: rule
+      });
+
+    } catch (error) {
+      logger.error('Get alert rule error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PATCH /v1/alerts/rules/:ruleId
+   * Update an alert rule (e.g. thresholds, enabled)
+   */
+  async updateRule(req, res) {
+    try {
+      const rule = await alertService.updateRule(req.params.ruleId, req.body || {});
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          error: `Alert rule not found: ${req.params.ruleId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: rule
+      });
+
+    } catch (error) {
+      logger.error('Update alert rule error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /v1/alerts/rules/:ruleId
+   * Delete an alert rule and its alerts
+   */
+  async deleteRule(req, res) {
+    try {
+      const deleted = await alertService.deleteRule(req.params.ruleId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Alert rule not found: ${req.params.ruleId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Alert rule ${req.params.ruleId} deleted`
+      });
+
+    } catch (error) {
+      logger.error('Delete alert rule error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/alerts
+   * List alerts (optional ?state=open|pending|firing|acknowledged|resolved,
+   * ?ruleId, ?deviceId, ?limit)
+   */
+  async listAlerts(req, res) {
+    try {
+      const { state, ruleId, deviceId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      if (state && state !== 'open' && !ALERT_STATES.includes(state)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid state: must be open or one of ${ALERT_STATES.join(', ')}`
+        });
+      }
+
+      if (ruleId && !/^\d+$/.test(ruleId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid ruleId: must be a positive integer'
+        });
+      }
+
+      const alerts = await alertService.listAlerts({ state, ruleId, deviceId, limit });
+
+      return res.json({
+        success: true,
+        data: {
+          count: alerts.length,
+          alerts
+        }
+      });
+
+    } catch (error) {
+      logger.error('List alerts error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/alerts/:alertId/acknowledge
+   * Acknowledge a firing alert (optional body { acknowledgedBy })
+   */
+  async acknowledgeAlert(req, res) {
+    try {
+      const { acknowledgedBy } = req.body || {};
+      if (acknowledgedBy !== undefined && (typeof acknowledgedBy !== 'string' || acknowledgedBy.length > 255)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid acknowledgedBy: must be a string of at most 255 characters'
+        });
+      }
+
+      const alert = await alertService.acknowledgeAlert(
+        req.params.alertId,
+        acknowledgedBy || (req.apiKey ? req.apiKey.name : null)
+      );
+      if (!alert) {
+        return res.status(404).json({
+          success: false,
+          error: `Alert not found: ${req.params.alertId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: alert
+      });
+
+    } catch (error) {
+      logger.error('Acknowledge alert error', { error });
+      // Only firing alerts can be acknowledged
+      return res.status(error.message.startsWith('Invalid state') ? 409 : 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AlertController();
@@ -1,4 +1,6 @@
 const analyticsService = require('../services/analyticsService');
+const { EFFICIENCY_ALERT_THRESHOLD } = require('../services/analyticsService');
+const logger = require('../utils/logger');
 
 /**
  * Analytics Controller
@@ -29,7 +31,7 @@ class AnalyticsController {
       });
 
     } catch (error) {
-      console.error('Get vehicle performance error:', error);
+      logger.error('Get vehicle performance error', { error });
       return res.status(500).json({
         success: false,
         error: error.message
@@ -52,7 +54,7 @@ class AnalyticsController {
       });
 
     } catch (error) {
-      console.error('Refresh analytics error:', error);
+      logger.error('Refresh analytics error', { error });
       return res.status(500).json({
         success: false,
         error: error.message
@@ -74,7 +76,7 @@ class AnalyticsController {
       });
 
     } catch (error) {
-      console.error('Get system stats error:', error);
+      logger.error('Get system stats error', { error });
       return res.status(500).json({
         success: false,
         error: error.message
@@ -85,10 +87,11 @@ class AnalyticsController {
   /**
    * GET /v1/analytics/alerts
    * Get efficiency alerts for vehicles below threshold
+   * (?threshold, default EFFICIENCY_ALERT_THRESHOLD)
    */
   async getEfficiencyAlerts(req, res) {
     try {
-      const threshold = parseFloat(req.query.threshold) || 85;
+      const threshold = parseFloat(req.query.threshold) || EFFICIENCY_ALERT_THRESHOLD;
 
       const alerts = await analyticsService.getEfficiencyAlerts(threshold);
 
@@ -102,7 +105,33 @@ class AnalyticsController {
       });
 
     } catch (error) {
-      console.error('Get efficiency alerts error:', error);
+      logger.error('Get efficiency alerts error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/analytics/tenants
+   * Per-tenant device counts and 24h energy totals
+   * (only the caller's tenant for tenant-bound keys)
+   */
+  async getTenantStats(req, res) {
+    try {
+      const tenants = await analyticsService.getTenantStats();
+
+      return res.json({
+        success: true,
+        data: {
+          count: tenants.length,
+          tenants
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get tenant stats error', { error });
       return res.status(500).json({
         success: false,
         error: error.message
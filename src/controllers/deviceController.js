@@ -0,0 +1,399 @@
+const deviceService = require('../services/deviceService');
+const { PAIRING_COLUMNS } = require('../services/deviceService');
+const connectivityService = require('../services/connectivityService');
+const { MAX_UPTIME_HOURS } = require('../services/connectivityService');
+const deviceTypes = require('../deviceTypes');
+const { invalidTypeMessage } = require('../utils/telemetry');
+const logger = require('../utils/logger');
+
+/**
+ * Device Controller
+ * Device registry and meter <-> vehicle pairing management
+ */
+class DeviceController {
+
+  /**
+   * GET /v1/device-types
+   * Registered device types with their payload schema
+   */
+  async listDeviceTypes(req, res) {
+    try {
+      const types = deviceTypes.list().map(type => ({
+        name: type.name,
+        idField: type.idField,
+        fields: Object.fromEntries(Object.entries(type.fields).map(([field, { column, ...spec }]) => [field, spec])),
+        counter: type.counter,
+        derived: Object.keys(type.hotStatus.derived)
+      }));
+
+      return res.json({
+        success: true,
+        data: {
+          count: types.length,
+          types
+        }
+      });
+
+    } catch (error) {
+      logger.error('List device types error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/devices
+   * List registered devices (optional ?type, e.g. meter or vehicle)
+   */
+  async listDevices(req, res) {
+    try {
+      const { type } = req.query;
+
+      if (type && !deviceTypes.get(type)) {
+        return res.status(400).json({
+          success: false,
+          error: invalidTypeMessage()
+        });
+      }
+
+      const devices = await deviceService.listDevices(type);
+
+      return res.json({
+        success: true,
+        data: {
+          count: devices.length,
+          devices
+        }
+      });
+
+    } catch (error) {
+      logger.error('List devices error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/devices
+   * Register a device
+   */
+  async createDevice(req, res) {
+    try {
+      const device = await deviceService.createDevice(req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        message: 'Device registered successfully',
+        data: device
+      });
+
+    } catch (error) {
+      logger.error('Create device error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/devices/:type/:id
+   * Get a registered device with its pairings
+   */
+  async getDevice(req, res) {
+    try {
+      const { type, id } = req.params;
+
+      const device = await deviceService.getDevice(type, id);
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: `Device not found: ${type} ${id}`
+        });
+      }
+
+      // Only meters and vehicles are paired
+      const pairings = PAIRING_COLUMNS[type]
+        ? await deviceService.listPairings(type === 'meter' ? { meterId: id } : { vehicleId: id })
+        : [];
+
+      return res.json({
+        success: true,
+        data: { ...device, pairings }
+      });
+
+    } catch (error) {
+      logger.error('Get device error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PATCH /v1/devices/:type/:id
+   * Update device name/metadata
+   */
+  async updateDevice(req, res) {
+    try {
+      const { type, id } = req.params;
+
+      const device = await deviceService.updateDevice(type, id, req.body || {});
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: `Device not found: ${type} ${id}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: device
+      });
+
+    } catch (error) {
+      logger.error('Update device error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /v1/devices/:type/:id
+   * Remove a device and its pairings
+   */
+  async deleteDevice(req, res) {
+    try {
+      const { type, id } = req.params;
+
+      const deleted = await deviceService.deleteDevice(type, id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Device not found: ${type} ${id}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Device ${type} ${id} deleted`
+      });
+
+    } catch (error) {
+      logger.error('Delete device error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/devices/offline
+   * Devices that stopped reporting (optional ?type, ?includeLate=true,
+   * ?limit)
+   */
+  async listOfflineDevices(req, res) {
+    try {
+      const { type } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      if (type && !deviceTypes.get(type)) {
+        return res.status(400).json({
+          success: false,
+          error: invalidTypeMessage()
+        });
+      }
+
+      const states = req.query.includeLate === 'true' ? ['late', 'offline'] : ['offline'];
+      const devices = await connectivityService.listDevices({ type, states, limit });
+
+      return res.json({
+        success: true,
+        data: {
+          count: devices.length,
+          devices
+        }
+      });
+
+    } catch (error) {
+      logger.error('List offline devices error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/devices/:type/:id/connectivity
+   * Connectivity state, transitions and uptime (optional ?hours, default 24)
+   */
+  async getConnectivity(req, res) {
+    try {
+      const { type, id } = req.params;
+      const hours = req.query.hours !== undefined ? parseFloat(req.query.hours) : 24;
+
+      if (!deviceTypes.get(type)) {
+        return res.status(400).json({
+          success: false,
+          error: invalidTypeMessage()
+        });
+      }
+
+      if (!(hours > 0 && hours <= MAX_UPTIME_HOURS)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid hours: must be greater than 0 and at most ${MAX_UPTIME_HOURS}`
+        });
+      }
+
+      const connectivity = await connectivityService.getDeviceConnectivity(type, id, hours);
+      if (!connectivity) {
+        return res.status(404).json({
+          success: false,
+          error: `No data found for ${type} ${id}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: connectivity
+      });
+
+    } catch (error) {
+      logger.error('Get device connectivity error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/devices/pairings
+   * List pairings (optional ?meterId, ?vehicleId, ?at)
+   */
+  async listPairings(req, res) {
+    try {
+      const { meterId, vehicleId, at } = req.query;
+
+      if (at && isNaN(new Date(at).getTime())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid at: must be a valid ISO 8601 date string'
+        });
+      }
+
+      const pairings = await deviceService.listPairings({ meterId, vehicleId, at });
+
+      return res.json({
+        success: true,
+        data: {
+          count: pairings.length,
+          pairings
+        }
+      });
+
+    } catch (error) {
+      logger.error('List pairings error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * POST /v1/devices/pairings
+   * Pair a meter with a vehicle: { meterId, vehicleId, pairedFrom, pairedTo? }
+   */
+  async createPairing(req, res) {
+    try {
+      const pairing = await deviceService.createPairing(req.body || {});
+
+      return res.status(201).json({
+        success: true,
+        message: 'Pairing created successfully',
+        data: pairing
+      });
+
+    } catch (error) {
+      logger.error('Create pairing error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * PATCH /v1/devices/pairings/:pairingId
+   * End a pairing: { pairedTo? } (defaults to now)
+   */
+  async endPairing(req, res) {
+    try {
+      const { pairingId } = req.params;
+      const { pairedTo } = req.body || {};
+
+      const pairing = await deviceService.endPairing(pairingId, pairedTo);
+      if (!pairing) {
+        return res.status(404).json({
+          success: false,
+          error: `Pairing not found or pairedTo outside its current interval: ${pairingId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: pairing
+      });
+
+    } catch (error) {
+      logger.error('End pairing error', { error });
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * DELETE /v1/devices/pairings/:pairingId
+   * Delete a pairing
+   */
+  async deletePairing(req, res) {
+    try {
+      const { pairingId } = req.params;
+
+      const deleted = await deviceService.deletePairing(pairingId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: `Pairing not found: ${pairingId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        message: `Pairing ${pairingId} deleted`
+      });
+
+    } catch (error) {
+      logger.error('Delete pairing error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new DeviceController();
@@ -0,0 +1,55 @@
+const healthService = require('../services/healthService');
+const logger = require('../utils/logger');
+
+/**
+ * Health Controller
+ * Liveness and readiness probes for load balancers and orchestrators
+ */
+class HealthController {
+
+  /**
+   * GET /v1/health/live
+   * The process is up and serving requests (no dependency checks)
+   */
+  live(req, res) {
+    return res.json({
+      success: true,
+      data: healthService.liveness()
+    });
+  }
+
+  /**
+   * GET /v1/health/ready (also GET /v1/health)
+   * Database, pool, schema and materialized view checks; 503 when any fails
+   */
+  async ready(req, res) {
+    try {
+      const report = await healthService.readiness();
+
+      if (!report.ready) {
+        logger.warn('Readiness check failed', {
+          failed: Object.keys(report.checks).filter(name => report.checks[name].status === 'fail')
+        });
+        return res.status(503).json({
+          success: false,
+          error: 'Service not ready',
+          data: report
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: report
+      });
+
+    } catch (error) {
+      logger.error('Readiness error', { error });
+      return res.status(503).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new HealthController();
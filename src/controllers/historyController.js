@@ -0,0 +1,76 @@
+const telemetryService = require('../services/telemetryService');
+const { invalidTypeMessage } = require('../utils/telemetry');
+const {
+  parseTimeRange,
+  parseLimit,
+  parseBucket,
+  encodeCursor,
+  decodeCursor,
+  formatBucketRow
+} = require('../utils/history');
+const logger = require('../utils/logger');
+
+/**
+ * History Controller
+ * Time-range history queries with cursor pagination and downsampling
+ */
+class HistoryController {
+
+  /**
+   * GET /v1/history/:type/:id
+   * Device history (?from, ?to, ?cursor, ?limit, ?bucket=1m|15m|1h|1d):
+   * raw keyset pages, or aggregated series when bucketed
+   */
+  async getHistory(req, res) {
+    const service = telemetryService.forType(req.params.type);
+    if (!service) {
+      return res.status(400).json({
+        success: false,
+        error: invalidTypeMessage()
+      });
+    }
+
+    let range, limit, bucketSeconds, cursor;
+    try {
+      range = parseTimeRange(req.query.from, req.query.to);
+      limit = parseLimit(req.query.limit);
+      bucketSeconds = parseBucket(req.query.bucket);
+      cursor = decodeCursor(req.query.cursor, { withId: !bucketSeconds });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    try {
+      const { id } = req.params;
+
+      const page = bucketSeconds
+        ? await service.getHistoryAggregated(id, range.from, range.to, bucketSeconds, { limit, cursor })
+        : await service.getHistory(id, range.from, range.to, { limit, cursor });
+
+      return res.json({
+        success: true,
+        data: {
+          [service.type.idField]: id,
+          from: range.from,
+          to: range.to,
+          bucket: req.query.bucket || null,
+          count: page.rows.length,
+          items: bucketSeconds ? page.rows.map(formatBucketRow) : page.rows,
+          nextCursor: page.nextCursor ? encodeCursor(page.nextCursor) : null
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get history error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new HistoryController();
@@ -1,5 +1,15 @@
-const meterService = require('../services/meterService');
-const vehicleService = require('../services/vehicleService');
+const telemetryService = require('../services/telemetryService');
+const batchIngestionService = require('../services/batchIngestionService');
+const apiKeyService = require('../services/apiKeyService');
+const rateLimitService = require('../services/rateLimitService');
+const metricsService = require('../services/metricsService');
+const deviceTypes = require('../deviceTypes');
+const { identifyTelemetryType, unknownTypeMessage, invalidTypeMessage } = require('../utils/telemetry');
+const { STREAM_FORMATS, decodeStream, readRecords } = require('../utils/recordStream');
+const logger = require('../utils/logger');
+
+// Most not-accepted records listed in a streamed batch response
+const STREAM_MAX_REPORTED_RESULTS = 1000;
 
 /**
  * Ingestion Controller
@@ -9,7 +19,8 @@ class IngestionController {
   
   /**
    * POST /v1/ingest
-   * Polymorphic endpoint - automatically detects meter vs vehicle telemetry
+   * Polymorphic endpoint - detects the device type (meter, vehicle, ...)
+   * from the payload
    */
   async ingestTelemetry(req, res) {
     try {
@@ -24,16 +35,45 @@ class IngestionController {
 
       // Identify telemetry type
       const telemetryType = identifyTelemetryType(telemetryData);
+
+      const denied = deviceDenied(req.apiKey, telemetryType, telemetryData);
+      if (denied) {
+        return res.status(403).json({
+          success: false,
+          error: denied
+        });
+      }
+
+      const service = telemetryService.forType(telemetryType);
+      if (service) {
+        const deviceId = telemetryData[service.type.idField];
+        const limit = await rateLimitService.consume('device', `${telemetryType}:${deviceId}`);
+        if (!limit.allowed) {
+          res.set('Retry-After', String(limit.retryAfterSeconds));
+          return res.status(429).json({
+            success: false,
+            error: `Rate limit exceeded for ${telemetryType} ${deviceId}`,
+            retryAfter: limit.retryAfterSeconds
+          });
+        }
+      }
       
-      let result;
-      if (telemetryType === 'meter') {
-        result = await meterService.ingest(telemetryData);
-      } else if (telemetryType === 'vehicle') {
-        result = await vehicleService.ingest(telemetryData);
-      } else {
+      if (!service) {
+        metricsService.increment('validation_failures_total', { type: 'unknown' });
         return res.status(400).json({
           success: false,
-          error: 'Unknown telemetry type. Expected meter or vehicle format.'
+          error: unknownTypeMessage()
+        });
+      }
+
+      const result = await service.ingest(telemetryData);
+
+      // Retried reading already stored: acknowledge without storing again
+      if (result.duplicate) {
+        return res.status(200).json({
+          success: true,
+          message: 'Duplicate telemetry ignored',
+          data: result
         });
       }
 
@@ -44,7 +84,7 @@ class IngestionController {
       });
 
     } catch (error) {
-      console.error('Ingestion error:', error);
+      logger.error('Ingestion error', { error });
       return res.status(400).json({
         success: false,
         error: error.message
@@ -55,10 +95,19 @@ class IngestionController {
   /**
    * POST /v1/ingest/batch
    * Batch ingestion for high-throughput scenarios
+   * Each record is validated individually; valid records are committed
+   * and per-index results returned. ?atomic=true makes it all-or-nothing.
+   * CSV and NDJSON bodies are streamed (see ingestStream).
    */
   async ingestBatch(req, res) {
+    const format = Object.keys(STREAM_FORMATS).find(name => req.is(STREAM_FORMATS[name]));
+    if (format) {
+      return this.ingestStream(req, res, format);
+    }
+
     try {
       const batchData = req.body;
+      const atomic = req.query.atomic === 'true';
 
       if (!Array.isArray(batchData) || batchData.length === 0) {
         return res.status(400).json({
@@ -67,45 +116,40 @@ class IngestionController {
         });
       }
 
-      // Separate by type
-      const meterBatch = [];
-      const vehicleBatch = [];
+      // Classify each record, keeping its position for the response
+      const entries = batchData.map((data, index) => classify(index, data));
 
-      for (const data of batchData) {
-        const type = identifyTelemetryType(data);
-        if (type === 'meter') {
-          meterBatch.push(data);
-        } else if (type === 'vehicle') {
-          vehicleBatch.push(data);
-        }
-      }
+      const authorizer = batchAuthorizer(req.apiKey);
+      const outcome = await batchIngestionService.ingest(entries, {
+        atomic,
+        authorize: authorizer.authorize
+      });
 
-      // Process in parallel
-      const [meterResult, vehicleResult] = await Promise.allSettled([
-        meterBatch.length > 0 ? meterService.ingestBatch(meterBatch) : Promise.resolve({ count: 0 }),
-        vehicleBatch.length > 0 ? vehicleService.ingestBatch(vehicleBatch) : Promise.resolve({ count: 0 })
-      ]);
+      if (authorizer.retryAfter > 0) {
+        res.set('Retry-After', String(authorizer.retryAfter));
+      }
 
-      const totalProcessed = 
-        (meterResult.status === 'fulfilled' ? meterResult.value.count : 0) +
-        (vehicleResult.status === 'fulfilled' ? vehicleResult.value.count : 0);
+      // 201 none rejected, 207 partially accepted, 400 nothing accepted
+      const handled = outcome.accepted + outcome.duplicates;
+      const status = outcome.rejected === 0 ? 201 : (handled > 0 ? 207 : 400);
 
-      return res.status(201).json({
-        success: true,
-        message: `Processed ${totalProcessed} records`,
+      return res.status(status).json({
+        success: outcome.rejected === 0,
+        message: `Processed ${outcome.accepted} of ${batchData.length} records`,
         data: {
-          total: totalProcessed,
-          meters: meterResult.status === 'fulfilled' ? meterResult.value.count : 0,
-          vehicles: vehicleResult.status === 'fulfilled' ? vehicleResult.value.count : 0,
-          errors: [
-            ...(meterResult.status === 'rejected' ? [meterResult.reason.message] : []),
-            ...(vehicleResult.status === 'rejected' ? [vehicleResult.reason.message] : [])
-          ]
+          total: outcome.accepted,
+          received: batchData.length,
+          accepted: outcome.accepted,
+          duplicates: outcome.duplicates,
+          rejected: outcome.rejected,
+          atomic,
+          ...typeCounts(outcome),
+          results: outcome.results
         }
       });
 
     } catch (error) {
-      console.error('Batch ingestion error:', error);
+      logger.error('Batch ingestion error', { error });
       return res.status(400).json({
         success: false,
         error: error.message
@@ -113,6 +157,93 @@ class IngestionController {
     }
   }
 
+  /**
+   * POST /v1/ingest/batch with a text/csv or application/x-ndjson body,
+   * optionally Content-Encoding: gzip
+   * Records are read from the request as it arrives and committed
+   * INGEST_CHUNK_SIZE at a time, so the body is never buffered whole.
+   * Only records that were not stored are listed, with their line number.
+   * Chunks committed before a broken body stay stored: resending the body
+   * reports them as duplicates.
+   */
+  async ingestStream(req, res, format) {
+    if (req.query.atomic === 'true') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: atomic mode is not supported for CSV or NDJSON bodies'
+      });
+    }
+
+    let stream;
+    try {
+      // The idempotency middleware hashes the body on its way through
+      stream = decodeStream(req.bodyStream || req, req.get('Content-Encoding'));
+    } catch (error) {
+      return res.status(415).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const authorizer = batchAuthorizer(req.apiKey);
+    const results = [];
+    let resultsTruncated = false;
+
+    let totals;
+    try {
+      totals = await batchIngestionService.ingestRecords(readRecords(stream, format), {
+        authorize: authorizer.authorize,
+        onRejected: (result) => {
+          if (results.length < STREAM_MAX_REPORTED_RESULTS) {
+            results.push(result);
+          } else {
+            resultsTruncated = true;
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Streamed batch ingestion error', { format, error });
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        data: { format, ...streamSummary(error.totals), results, resultsTruncated }
+      });
+    }
+
+    const summary = { format, ...streamSummary(totals), results, resultsTruncated };
+    if (summary.received === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid batch data: expected at least one record'
+      });
+    }
+
+    if (authorizer.retryAfter > 0) {
+      res.set('Retry-After', String(authorizer.retryAfter));
+    }
+
+    logger.info('Streamed batch ingested', {
+      format,
+      received: summary.received,
+      accepted: summary.accepted,
+      duplicates: summary.duplicates,
+      rejected: summary.rejected
+    });
+
+    // Same statuses as JSON batches
+    const handled = summary.accepted + summary.duplicates;
+    const status = summary.rejected === 0 ? 201 : (handled > 0 ? 207 : 400);
+
+    return res.status(status).json({
+      success: summary.rejected === 0,
+      message: `Processed ${summary.accepted} of ${summary.received} records`,
+      data: {
+        total: summary.accepted,
+        ...summary
+      }
+    });
+  }
+
   /**
    * GET /v1/ingest/status/:type/:id
    * Get current status of a device
@@ -121,18 +252,16 @@ class IngestionController {
     try {
       const { type, id } = req.params;
 
-      let status;
-      if (type === 'meter') {
-        status = await meterService.getCurrentStatus(id);
-      } else if (type === 'vehicle') {
-        status = await vehicleService.getCurrentStatus(id);
-      } else {
+      const service = telemetryService.forType(type);
+      if (!service) {
         return res.status(400).json({
           success: false,
-          error: 'Invalid type: must be "meter" or "vehicle"'
+          error: invalidTypeMessage()
         });
       }
 
+      const status = await service.getCurrentStatus(id);
+
       if (!status) {
         return res.status(404).json({
           success: false,
@@ -146,7 +275,7 @@ class IngestionController {
       });
 
     } catch (error) {
-      console.error('Get status error:', error);
+      logger.error('Get status error', { error });
       return res.status(500).json({
         success: false,
         error: error.message
@@ -156,26 +285,84 @@ class IngestionController {
 }
 
 /**
- * Identify telemetry type based on payload structure
- * Meter: { meterId, kwhConsumedAc, voltage, timestamp }
- * Vehicle: { vehicleId, soc, kwhDeliveredDc, batteryTemp, timestamp }
+ * Batch entry for a record: its position, detected type and payload
  */
-function identifyTelemetryType(data) {
-  // Check for meter fields
-  if (data.meterId !== undefined && 
-      data.kwhConsumedAc !== undefined && 
-      data.voltage !== undefined) {
-    return 'meter';
-  }
-  
-  // Check for vehicle fields
-  if (data.vehicleId !== undefined && 
-      data.soc !== undefined && 
-      data.kwhDeliveredDc !== undefined) {
-    return 'vehicle';
+function classify(index, data) {
+  return {
+    index,
+    type: data && typeof data === 'object' ? identifyTelemetryType(data) : 'unknown',
+    data
+  };
+}
+
+/**
+ * Counts reported for a streamed batch
+ */
+function streamSummary(totals = {}) {
+  return {
+    received: totals.received || 0,
+    accepted: totals.accepted || 0,
+    duplicates: totals.duplicates || 0,
+    rejected: totals.rejected || 0,
+    ...typeCounts(totals)
+  };
+}
+
+/**
+ * Accepted records per device type, keyed by its plural (meters, vehicles, ...)
+ */
+function typeCounts(counts) {
+  return Object.fromEntries(deviceTypes.list().map(type => [type.plural, counts[type.plural] || 0]));
+}
+
+/**
+ * Per-record authorization for batches: device binding of the API key,
+ * then the device rate limit. A batch is charged once per device it
+ * carries, not per record, so a backfill of a day of readings per device
+ * is one request's worth for each. retryAfter holds the longest wait
+ * among rate-limited devices.
+ */
+function batchAuthorizer(apiKey) {
+  // Rate limit outcome per device in this request (null = allowed)
+  const charged = new Map();
+
+  const authorizer = {
+    retryAfter: 0,
+    authorize: async (entry) => {
+      const denied = deviceDenied(apiKey, entry.type, entry.data);
+      if (denied) {
+        return denied;
+      }
+
+      const deviceId = entry.data[deviceTypes.get(entry.type).idField];
+      const key = `${entry.type}:${deviceId}`;
+      if (!charged.has(key)) {
+        const limit = await rateLimitService.consume('device', key);
+        if (!limit.allowed) {
+          authorizer.retryAfter = Math.max(authorizer.retryAfter, limit.retryAfterSeconds);
+        }
+        charged.set(key, limit.allowed ? null : `Rate limit exceeded for ${entry.type} ${deviceId}`);
+      }
+      return charged.get(key);
+    }
+  };
+  return authorizer;
+}
+
+/**
+ * Error message when the request's API key may not ingest for the
+ * payload's device, otherwise null (no key means auth is disabled)
+ */
+function deviceDenied(apiKey, type, data) {
+  const deviceType = deviceTypes.get(type);
+  if (!apiKey || !deviceType) {
+    return null;
   }
-  
-  return 'unknown';
+
+  const deviceId = data[deviceType.idField];
+  return apiKeyService.allowsDevice(apiKey, type, deviceId)
+    ? null
+    : `API key is not allowed to ingest for ${type} ${deviceId}`;
 }
 
 module.exports = new IngestionController();
\ No newline at end of file
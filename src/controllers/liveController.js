@@ -0,0 +1,168 @@
+const liveStatusService = require('../services/liveStatusService');
+const { TENANT_ID_PATTERN } = require('../services/apiKeyService');
+const deviceTypes = require('../deviceTypes');
+const { invalidTypeMessage } = require('../utils/telemetry');
+const logger = require('../utils/logger');
+
+// Comment line sent on idle streams so proxies keep them open
+const LIVE_HEARTBEAT_MS = parseInt(process.env.LIVE_HEARTBEAT_MS) || 25000;
+
+// Most device ids accepted in ?ids
+const MAX_DEVICE_IDS = 1000;
+
+/**
+ * Live Controller
+ * Server-Sent Events stream of hot-status changes
+ */
+class LiveController {
+
+  /**
+   * GET /v1/stream/status
+   * Stream hot-status changes as they commit (optional ?ids, ?type, ?tenant,
+   * ?backfill=false)
+   *
+   * Events: "snapshot" (current status of each matching device on
+   * subscribe), "ready" (backfill complete), "status" (a change), "resync"
+   * (changes may have been missed; the snapshot is sent again)
+   */
+  async streamStatus(req, res) {
+    let unsubscribe = null;
+    let heartbeat = null;
+    let closed = false;
+
+    const stop = () => {
+      clearInterval(heartbeat);
+      if (unsubscribe) {
+        unsubscribe();
+        unsubscribe = null;
+      }
+    };
+
+    // Registered before subscribing, so a client that disconnects while
+    // the subscription is set up is still unsubscribed
+    res.on('close', () => {
+      closed = true;
+      stop();
+    });
+
+    try {
+      const filter = this.parseFilter(req);
+      if (filter.error) {
+        return res.status(filter.status || 400).json({
+          success: false,
+          error: filter.error
+        });
+      }
+      const backfill = req.query.backfill !== 'false';
+
+      // Changes arriving while the snapshot is read are held back and sent
+      // after it, so nothing is lost or delivered out of order
+      let pending = backfill ? [] : null;
+      const onEvent = (event) => {
+        if (event.resync) {
+          return this.sendSnapshot(res, filter, 'resync')
+            .catch(error => logger.warn('Live status resync failed', { error }));
+        }
+        if (pending) {
+          pending.push(event);
+        } else {
+          send(res, 'status', event);
+        }
+      };
+
+      try {
+        unsubscribe = await liveStatusService.subscribe(filter, onEvent);
+      } catch (error) {
+        logger.warn('Live status subscribe failed', { error });
+        return res.status(503).json({
+          success: false,
+          error: error.message
+        });
+      }
+      if (closed) {
+        return stop();
+      }
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+
+      heartbeat = setInterval(() => res.write(': ping\n\n'), LIVE_HEARTBEAT_MS);
+
+      if (backfill) {
+        await this.sendSnapshot(res, filter, 'ready');
+        pending.forEach(event => send(res, 'status', event));
+        pending = null;
+      }
+
+    } catch (error) {
+      logger.error('Live status stream error', { error });
+      stop();
+      if (res.headersSent) {
+        send(res, 'error', { error: error.message });
+        return res.end();
+      }
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Send the current status of every matching device, then a marker event
+   */
+  async sendSnapshot(res, filter, marker) {
+    const events = await liveStatusService.backfill(filter);
+    events.forEach(event => send(res, 'snapshot', event));
+    send(res, marker, { count: events.length });
+  }
+
+  /**
+   * Subscription filter from the query string
+   * Tenant-bound keys only ever see their own tenant
+   */
+  parseFilter(req) {
+    const { type, ids, tenant } = req.query;
+
+    if (type !== undefined && !deviceTypes.get(type)) {
+      return { error: invalidTypeMessage() };
+    }
+
+    let deviceIds = null;
+    if (ids !== undefined) {
+      const list = String(ids).split(',').map(id => id.trim()).filter(Boolean);
+      if (list.length === 0 || list.length > MAX_DEVICE_IDS) {
+        return { error: `Invalid ids: must list 1 to ${MAX_DEVICE_IDS} comma-separated device ids` };
+      }
+      deviceIds = new Set(list);
+    }
+
+    if (tenant !== undefined && !TENANT_ID_PATTERN.test(tenant)) {
+      return { error: 'Invalid tenant' };
+    }
+    if (tenant && req.tenantId && tenant !== req.tenantId) {
+      return { status: 403, error: `Stream is scoped to tenant ${req.tenantId}` };
+    }
+
+    return {
+      type: type || null,
+      deviceIds,
+      tenantId: req.tenantId || tenant || null
+    };
+  }
+}
+
+/**
+ * Write one Server-Sent Event
+ */
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+module.exports = new LiveController();
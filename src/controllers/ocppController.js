@@ -0,0 +1,317 @@
+const ocppService = require('../services/ocppService');
+const apiKeyService = require('../services/apiKeyService');
+const metricsService = require('../services/metricsService');
+const { AUTH_ENABLED } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+
+// Set to 'false' to refuse charge point connections in this instance
+const OCPP_ENABLED = process.env.OCPP_ENABLED !== 'false';
+
+// Charge points connect to ws(s)://<host><OCPP_PATH>/<chargePointId>
+const OCPP_PATH = (process.env.OCPP_PATH || '/ocpp').replace(/\/+$/, '');
+
+// Connections that miss a WebSocket ping for this long are dropped
+const OCPP_PING_INTERVAL_MS = parseInt(process.env.OCPP_PING_INTERVAL_MS) || 30000;
+
+const OCPP_SUBPROTOCOL = 'ocpp1.6';
+
+// Charge box identity (CiString48)
+const CHARGE_POINT_ID_PATTERN = /^[A-Za-z0-9._:-]{1,48}$/;
+
+// OCPP-J message types
+const CALL = 2;
+const CALLRESULT = 3;
+const CALLERROR = 4;
+
+/**
+ * OCPP Controller
+ * OCPP 1.6J WebSocket endpoint for charge points, plus read endpoints for
+ * charge points and transactions
+ *
+ * Charge points authenticate with HTTP Basic auth (OCPP security profile
+ * 1): the charge point id as user name and an API key as password. The key
+ * must be an admin key or an ingest key whose meterIds list the charge
+ * point id; telemetry is stored under the key's tenant. CALLs on one
+ * connection are answered in order, one at a time.
+ */
+class OcppController {
+
+  constructor() {
+    this.wss = null;
+    this.connections = new Map();
+    this.pingTimer = null;
+  }
+
+  /**
+   * Accept OCPP WebSocket upgrades on the HTTP server
+   */
+  attach(server) {
+    if (!OCPP_ENABLED || this.wss) {
+      return;
+    }
+
+    const { WebSocketServer } = require('ws');
+    this.wss = new WebSocketServer({
+      noServer: true,
+      handleProtocols: (protocols) => protocols.has(OCPP_SUBPROTOCOL) ? OCPP_SUBPROTOCOL : false
+    });
+
+    server.on('upgrade', (req, socket, head) => {
+      this.upgrade(req, socket, head).catch(error => {
+        logger.error('OCPP upgrade error', { error });
+        rejectUpgrade(socket, 500, 'Internal Server Error');
+      });
+    });
+
+    this.pingTimer = setInterval(() => this.ping(), OCPP_PING_INTERVAL_MS);
+    this.pingTimer.unref();
+  }
+
+  /**
+   * Authenticate a charge point and complete the WebSocket handshake
+   */
+  async upgrade(req, socket, head) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (!pathname.startsWith(`${OCPP_PATH}/`)) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    let chargePointId;
+    try {
+      chargePointId = decodeURIComponent(pathname.slice(OCPP_PATH.length + 1));
+    } catch (error) {
+      return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+    if (!CHARGE_POINT_ID_PATTERN.test(chargePointId)) {
+      return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+
+    const protocols = (req.headers['sec-websocket-protocol'] || '').split(',').map(p => p.trim());
+    if (!protocols.includes(OCPP_SUBPROTOCOL)) {
+      return rejectUpgrade(socket, 400, 'Bad Request');
+    }
+
+    let tenantId = null;
+    if (AUTH_ENABLED) {
+      const credentials = basicCredentials(req);
+      const apiKey = credentials && credentials.user === chargePointId
+        ? await apiKeyService.authenticate(credentials.password)
+        : null;
+
+      if (!apiKey) {
+        return rejectUpgrade(socket, 401, 'Unauthorized', { 'WWW-Authenticate': 'Basic realm="OCPP"' });
+      }
+      if (!apiKeyService.allowsDevice(apiKey, 'meter', chargePointId)) {
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+      tenantId = apiKey.tenantId;
+    }
+
+    this.wss.handleUpgrade(req, socket, head, (ws) => this.connect(ws, chargePointId, tenantId));
+  }
+
+  /**
+   * Serve one charge point connection
+   * A reconnecting charge point replaces its previous connection (of the
+   * same tenant)
+   */
+  connect(ws, chargePointId, tenantId) {
+    const key = ocppService.tenantKey(tenantId, chargePointId);
+    const previous = this.connections.get(key);
+    if (previous) {
+      previous.close(4000, 'Replaced by a new connection');
+    }
+    this.connections.set(key, ws);
+    logger.info('OCPP charge point connected', { chargePointId, tenantId });
+
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    let queue = Promise.resolve();
+    ws.on('message', (data) => {
+      queue = queue.then(() => this.handleMessage(ws, chargePointId, tenantId, data));
+    });
+
+    ws.on('close', (code) => {
+      if (this.connections.get(key) === ws) {
+        this.connections.delete(key);
+      }
+      logger.info('OCPP charge point disconnected', { chargePointId, code });
+    });
+    ws.on('error', (error) => {
+      logger.warn('OCPP connection error', { chargePointId, error });
+    });
+  }
+
+  /**
+   * Answer one OCPP-J frame
+   * CALLRESULT / CALLERROR frames are ignored: the Central System sends no
+   * requests of its own
+   */
+  async handleMessage(ws, chargePointId, tenantId, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString('utf8'));
+    } catch (error) {
+      logger.warn('OCPP message is not JSON', { chargePointId });
+      return;
+    }
+
+    if (!Array.isArray(message) || message[0] === CALLRESULT || message[0] === CALLERROR) {
+      return;
+    }
+
+    const [messageType, uniqueId, action, payload] = message;
+    if (messageType !== CALL || typeof uniqueId !== 'string' || typeof action !== 'string') {
+      return send(ws, [CALLERROR, typeof uniqueId === 'string' ? uniqueId : '-1',
+        'ProtocolError', 'Expected [2, uniqueId, action, payload]', {}]);
+    }
+
+    try {
+      const result = await requestContext.run(
+        { tenantId, chargePointId, ocppAction: action },
+        () => ocppService.handleCall(chargePointId, action, payload)
+      );
+      send(ws, [CALLRESULT, uniqueId, result]);
+    } catch (error) {
+      const level = error.ocppCode === 'InternalError' ? 'error' : 'warn';
+      logger[level]('OCPP call failed', { chargePointId, action, uniqueId, error });
+      send(ws, [CALLERROR, uniqueId, error.ocppCode || 'InternalError', error.message, {}]);
+    }
+  }
+
+  /**
+   * Drop connections that did not answer the previous ping
+   */
+  ping() {
+    for (const ws of this.connections.values()) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }
+
+  /**
+   * Close every connection (charge points reconnect to another instance)
+   */
+  close() {
+    clearInterval(this.pingTimer);
+    for (const ws of this.connections.values()) {
+      ws.close(1001, 'Server shutting down');
+    }
+    if (this.wss) {
+      this.wss.close();
+    }
+  }
+
+  /**
+   * GET /v1/ocpp/charge-points
+   * Charge points with connector status (connected = open connection on
+   * this instance)
+   */
+  async listChargePoints(req, res) {
+    try {
+      const chargePoints = await ocppService.listChargePoints(new Set(this.connections.keys()));
+
+      return res.json({
+        success: true,
+        data: {
+          count: chargePoints.length,
+          chargePoints
+        }
+      });
+
+    } catch (error) {
+      logger.error('List charge points error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/ocpp/transactions
+   * OCPP transactions, newest first (optional ?chargePointId, ?vehicleId,
+   * ?open=true, ?limit)
+   */
+  async listTransactions(req, res) {
+    try {
+      const { chargePointId, vehicleId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      const transactions = await ocppService.listTransactions({
+        chargePointId,
+        vehicleId,
+        open: req.query.open === 'true',
+        limit
+      });
+
+      return res.json({
+        success: true,
+        data: {
+          count: transactions.length,
+          transactions
+        }
+      });
+
+    } catch (error) {
+      logger.error('List OCPP transactions error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * User name and password from "Authorization: Basic ...", or null
+ */
+function basicCredentials(req) {
+  const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) {
+    return null;
+  }
+
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator < 0 ? null : {
+    user: decoded.slice(0, separator),
+    password: decoded.slice(separator + 1)
+  };
+}
+
+/**
+ * Answer a refused upgrade with a plain HTTP response
+ */
+function rejectUpgrade(socket, status, reason, headers = {}) {
+  const lines = [`HTTP/1.1 ${status} ${reason}`, 'Connection: close', 'Content-Length: 0'];
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`${name}: ${value}`);
+  }
+  socket.end(`${lines.join('\r\n')}\r\n\r\n`);
+}
+
+/**
+ * Send an OCPP-J frame if the connection is still open
+ */
+function send(ws, frame) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(frame));
+  }
+}
+
+const ocppController = new OcppController();
+
+metricsService.addCollector(() => OCPP_ENABLED ? [
+  { name: 'ocpp_connections', value: ocppController.connections.size }
+] : []);
+
+module.exports = ocppController;
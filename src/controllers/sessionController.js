@@ -0,0 +1,81 @@
+const sessionService = require('../services/sessionService');
+const logger = require('../utils/logger');
+
+/**
+ * Session Controller
+ * Exposes discrete charging sessions built by the sessionizer
+ */
+class SessionController {
+
+  /**
+   * GET /v1/vehicles/:id/sessions
+   * List charging sessions for a vehicle (optional ?from, ?to, ?limit)
+   * Read-only: sessions are built by the charging-sessions job
+   */
+  async getVehicleSessions(req, res) {
+    try {
+      const { id } = req.params;
+      const { from, to } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+      for (const [name, value] of Object.entries({ from, to })) {
+        if (value && isNaN(new Date(value).getTime())) {
+          return res.status(400).json({
+            success: false,
+            error: `Invalid ${name}: must be a valid ISO 8601 date string`
+          });
+        }
+      }
+
+      const sessions = await sessionService.getVehicleSessions(id, { from, to, limit });
+
+      return res.json({
+        success: true,
+        data: {
+          vehicleId: id,
+          count: sessions.length,
+          sessions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Get vehicle sessions error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * GET /v1/sessions/:sessionId
+   * Get a single charging session
+   */
+  async getSession(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const session = await sessionService.getSession(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: `Session not found: ${sessionId}`
+        });
+      }
+
+      return res.json({
+        success: true,
+        data: session
+      });
+
+    } catch (error) {
+      logger.error('Get session error', { error });
+      return res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SessionController();
@@ -0,0 +1,153 @@
+/**
+ * Device type registry
+ * Each device type is a plugin that declares its payload schema, detection
+ * rule, storage tables and hot-status projection. Ingestion, status,
+ * history, alerts, connectivity, live streams and exports work from these
+ * definitions, so a new type needs a definition and a migration for its
+ * tables, not new services or routes.
+ *
+ * Definition:
+ *   name        type name used in routes, the device registry and metrics
+ *   plural      name of the type's count in batch responses
+ *   idField     payload field holding the device id
+ *   idColumn    column holding the device id in both tables
+ *   fields      reading fields besides the id and timestamp:
+ *               { field: { column, type: 'number'|'string'|'boolean', min?, max?, required? } }
+ *   detect      payload fields that mark a reading of this type, or
+ *               function(data) => boolean
+ *   tables      { history, status }: partitioned cold table with a unique
+ *               (tenant_id, idColumn, recorded_at) and hot table keyed by
+ *               (tenant_id, idColumn)
+ *   counter     energy register field, if any: counter modes apply and its
+ *               interval delta is stored in <column>_delta
+ *   hotStatus   { fields, derived }: reading fields copied to hot status
+ *               (default: all) and computed columns
+ *               { field: { column, type, compute(reading, previous) } }
+ *               where previous is the device's prior reading, if known
+ *
+ * Payloads are matched against types in registration order.
+ */
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,19}$/;
+const IDENTIFIER_PATTERN = /^[a-z_][a-z0-9_]*$/;
+const FIELD_TYPES = ['number', 'string', 'boolean'];
+
+const registry = new Map();
+
+/**
+ * Register a device type; throws for an invalid or duplicate definition
+ * Returns the normalized definition
+ */
+function register(definition) {
+  const type = normalize(definition);
+  if (registry.has(type.name)) {
+    throw new Error(`Invalid device type: ${type.name} is already registered`);
+  }
+  registry.set(type.name, type);
+  return type;
+}
+
+/**
+ * Definition of a registered type, or null
+ */
+function get(name) {
+  return registry.get(name) || null;
+}
+
+/**
+ * All registered definitions, in registration order
+ */
+function list() {
+  return [...registry.values()];
+}
+
+/**
+ * Names of all registered types
+ */
+function names() {
+  return [...registry.keys()];
+}
+
+/**
+ * Type of a telemetry payload, or null when no type matches
+ */
+function detect(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return null;
+  }
+  return list().find(type => type.detect(data)) || null;
+}
+
+/**
+ * Check a definition and fill in defaults
+ * Columns end up in SQL, so they must be plain identifiers
+ */
+function normalize(definition) {
+  const { name, plural, idField, idColumn, fields, detect: rule, tables, counter = null, hotStatus = {} } = definition || {};
+
+  if (!NAME_PATTERN.test(name || '')) {
+    throw new Error('Invalid device type: name must be 1-20 lowercase letters, digits or "_"');
+  }
+  const invalid = (reason) => new Error(`Invalid device type ${name}: ${reason}`);
+
+  if (!idField || typeof idField !== 'string' || !IDENTIFIER_PATTERN.test(idColumn || '')) {
+    throw invalid('idField and idColumn are required');
+  }
+  if (!tables || !IDENTIFIER_PATTERN.test(tables.history || '') || !IDENTIFIER_PATTERN.test(tables.status || '')) {
+    throw invalid('tables.history and tables.status are required');
+  }
+  if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+    throw invalid('fields must declare at least one reading field');
+  }
+  for (const [field, spec] of Object.entries(fields)) {
+    if (!IDENTIFIER_PATTERN.test(spec.column || '') || !FIELD_TYPES.includes(spec.type)) {
+      throw invalid(`field ${field} needs a column and a type (${FIELD_TYPES.join(', ')})`);
+    }
+  }
+  if (counter !== null && (!fields[counter] || fields[counter].type !== 'number')) {
+    throw invalid('counter must name a number field');
+  }
+
+  const hotFields = hotStatus.fields || Object.keys(fields);
+  if (!hotFields.every(field => fields[field])) {
+    throw invalid('hotStatus.fields must be reading fields');
+  }
+  const derived = hotStatus.derived || {};
+  for (const [field, spec] of Object.entries(derived)) {
+    if (!IDENTIFIER_PATTERN.test(spec.column || '') || !FIELD_TYPES.includes(spec.type) || typeof spec.compute !== 'function') {
+      throw invalid(`derived field ${field} needs a column, a type and compute()`);
+    }
+  }
+
+  let detector = rule;
+  if (Array.isArray(rule) && rule.length > 0) {
+    detector = (data) => rule.every(field => data[field] !== undefined);
+  }
+  if (typeof detector !== 'function') {
+    throw invalid('detect must list payload fields or be a function');
+  }
+
+  return Object.freeze({
+    name,
+    plural: plural || `${name}s`,
+    idField,
+    idColumn,
+    fields,
+    detect: detector,
+    tables: { history: tables.history, status: tables.status },
+    counter,
+    counterColumn: counter ? fields[counter].column : null,
+    hotStatus: { fields: hotFields, derived }
+  });
+}
+
+register(require('./meter'));
+register(require('./vehicle'));
+
+module.exports = {
+  register,
+  get,
+  list,
+  names,
+  detect
+};
@@ -0,0 +1,20 @@
+/**
+ * Smart meter: AC energy drawn from the grid by a charger
+ * { meterId, kwhConsumedAc, voltage, timestamp }
+ */
+module.exports = {
+  name: 'meter',
+  plural: 'meters',
+  idField: 'meterId',
+  idColumn: 'meter_id',
+  fields: {
+    kwhConsumedAc: { column: 'kwh_consumed_ac', type: 'number', min: 0 },
+    voltage: { column: 'voltage', type: 'number', min: 0 }
+  },
+  detect: ['meterId', 'kwhConsumedAc', 'voltage'],
+  tables: {
+    history: 'meter_telemetry_history',
+    status: 'meter_current_status'
+  },
+  counter: 'kwhConsumedAc'
+};
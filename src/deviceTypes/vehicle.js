@@ -0,0 +1,31 @@
+/**
+ * Electric vehicle: battery state and DC energy delivered to it
+ * { vehicleId, soc, kwhDeliveredDc, batteryTemp, timestamp }
+ */
+module.exports = {
+  name: 'vehicle',
+  plural: 'vehicles',
+  idField: 'vehicleId',
+  idColumn: 'vehicle_id',
+  fields: {
+    soc: { column: 'soc', type: 'number', min: 0, max: 100 },
+    kwhDeliveredDc: { column: 'kwh_delivered_dc', type: 'number', min: 0 },
+    batteryTemp: { column: 'battery_temp', type: 'number' }
+  },
+  detect: ['vehicleId', 'soc', 'kwhDeliveredDc'],
+  tables: {
+    history: 'vehicle_telemetry_history',
+    status: 'vehicle_current_status'
+  },
+  counter: 'kwhDeliveredDc',
+  hotStatus: {
+    derived: {
+      // Charging = SoC rose since the previous reading
+      isCharging: {
+        column: 'is_charging',
+        type: 'boolean',
+        compute: (reading, previous) => (previous ? reading.soc > previous.soc : false)
+      }
+    }
+  }
+};
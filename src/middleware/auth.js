@@ -0,0 +1,90 @@
+const apiKeyService = require('../services/apiKeyService');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+const { TENANT_ID_PATTERN } = apiKeyService;
+
+// Set to 'false' to disable API key checks (local development only)
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== 'false';
+
+/**
+ * Read the API key from "Authorization: Bearer <key>" or "X-API-Key"
+ */
+function presentedKey(req) {
+  const authorization = req.get('Authorization');
+  if (authorization && /^Bearer\s+/i.test(authorization)) {
+    return authorization.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key');
+}
+
+/**
+ * Authentication middleware factory
+ * Requires a valid API key granting `scope` and exposes it as req.apiKey.
+ * Missing/invalid keys get 401, keys without the scope get 403.
+ * With { platform: true } the key must not be bound to a tenant.
+ *
+ * The request then runs scoped to the key's tenant (req.tenantId); platform
+ * keys may act for one tenant through the X-Tenant-Id header.
+ */
+function requireScope(scope, { platform = false } = {}) {
+  return async function auth(req, res, next) {
+    let apiKey = null;
+
+    if (AUTH_ENABLED) {
+      try {
+        apiKey = await apiKeyService.authenticate(presentedKey(req));
+      } catch (error) {
+        logger.error('API key lookup error', { error });
+        return res.status(500).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      if (!apiKey) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).json({
+          success: false,
+          error: 'Missing or invalid API key'
+        });
+      }
+
+      if (!apiKeyService.hasScope(apiKey, scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API key lacks the "${scope}" scope`
+        });
+      }
+
+      if (platform && apiKey.tenantId) {
+        return res.status(403).json({
+          success: false,
+          error: 'This endpoint requires a platform API key (not bound to a tenant)'
+        });
+      }
+    }
+
+    const requestedTenant = req.get('X-Tenant-Id');
+    if (requestedTenant !== undefined && !TENANT_ID_PATTERN.test(requestedTenant)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid X-Tenant-Id header'
+      });
+    }
+
+    if (apiKey && apiKey.tenantId && requestedTenant && requestedTenant !== apiKey.tenantId) {
+      return res.status(403).json({
+        success: false,
+        error: `API key is bound to tenant ${apiKey.tenantId}`
+      });
+    }
+
+    req.apiKey = apiKey;
+    req.tenantId = (apiKey && apiKey.tenantId) || requestedTenant || null;
+
+    return requestContext.run({ tenantId: req.tenantId }, next);
+  };
+}
+
+module.exports = { requireScope, AUTH_ENABLED };
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { Transform, pipeline } = require('stream');
+const idempotencyService = require('../services/idempotencyService');
+const logger = require('../utils/logger');
+
+/**
+ * Idempotency middleware
+ * When a request carries an Idempotency-Key header, the key is claimed on
+ * the path before the handler runs. A repeat while the first request is
+ * still running is answered 409; a repeat after it replays the stored
+ * response, unless the body differs (422).
+ * Only successful (2xx) responses are stored, before they are sent; the
+ * key is released after a failure so the request can be retried.
+ *
+ * JSON bodies are hashed up front. Streamed (CSV / NDJSON) bodies are
+ * hashed as the handler reads them from req.bodyStream, so they are never
+ * buffered whole.
+ */
+async function idempotency(req, res, next) {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (idempotencyKey === undefined) {
+    return next();
+  }
+
+  if (!idempotencyKey || idempotencyKey.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key: must be 1-255 characters'
+    });
+  }
+
+  const requestPath = req.baseUrl + req.path;
+  const streamed = req.body === undefined;
+  let requestHash = streamed ? null : sha256(JSON.stringify(req.body));
+
+  try {
+    if (!await idempotencyService.claim(idempotencyKey, requestPath, requestHash)) {
+      const stored = await idempotencyService.find(idempotencyKey, requestPath);
+      if (!stored || stored.status_code === null) {
+        return res.status(409).json({
+          success: false,
+          error: 'A request with this Idempotency-Key is still in progress'
+        });
+      }
+
+      if (streamed) {
+        requestHash = await hashStream(req);
+      }
+      if (stored.request_hash && stored.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status_code).json(stored.response_body);
+    }
+  } catch (error) {
+    logger.error('Idempotency lookup error', { error });
+    return res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (streamed) {
+    const hash = crypto.createHash('sha256');
+    const tap = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+      flush(callback) {
+        requestHash = hash.digest('hex');
+        callback();
+      }
+    });
+    // Errors of the request (e.g. an aborted upload) surface on the tap
+    req.bodyStream = pipeline(req, tap, () => {});
+  }
+
+  // Store the outcome before the response goes out
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const success = res.statusCode >= 200 && res.statusCode < 300;
+    const settle = success
+      ? idempotencyService.complete(idempotencyKey, requestPath, requestHash, res.statusCode, body)
+      : idempotencyService.release(idempotencyKey, requestPath);
+
+    settle
+      .catch((error) => {
+        logger.error('Idempotency save error', { error });
+        // Do not leave the key pending until the timeout
+        return idempotencyService.release(idempotencyKey, requestPath).catch(() => {});
+      })
+      .then(() => json(body));
+    return res;
+  };
+
+  return next();
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * SHA-256 of a whole stream, read chunk by chunk
+ */
+async function hashStream(stream) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of stream) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+module.exports = idempotency;
@@ -0,0 +1,22 @@
+const metricsService = require('../services/metricsService');
+
+/**
+ * Request metrics middleware
+ * Counts requests and records latency per route pattern (e.g.
+ * /v1/history/meter/:id), so label cardinality stays bounded
+ */
+function requestMetrics(req, res, next) {
+  const endTimer = metricsService.startTimer('http_request_duration_seconds');
+
+  res.on('finish', () => {
+    const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+    const labels = { method: req.method, route };
+
+    endTimer(labels);
+    metricsService.increment('http_requests_total', { ...labels, status: String(res.statusCode) });
+  });
+
+  return next();
+}
+
+module.exports = requestMetrics;
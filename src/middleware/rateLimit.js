@@ -0,0 +1,68 @@
+const rateLimitService = require('../services/rateLimitService');
+const { getPoolStats } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Shed load while requests queue for a connection longer than this on average
+const LOAD_SHED_POOL_WAIT_MS = parseInt(process.env.LOAD_SHED_POOL_WAIT_MS) || 250;
+
+// Retry-After sent with shed requests
+const LOAD_SHED_RETRY_AFTER_SECONDS = parseInt(process.env.LOAD_SHED_RETRY_AFTER_SECONDS) || 2;
+
+/**
+ * Per-API-key rate limit (client IP when authentication is disabled)
+ * Must run after the auth middleware. Responds 429 with Retry-After.
+ */
+async function apiKeyRateLimit(req, res, next) {
+  const id = req.apiKey ? req.apiKey.keyId : `ip:${req.ip}`;
+
+  let result;
+  try {
+    result = await rateLimitService.consume('apiKey', id);
+  } catch (error) {
+    // A broken limiter store must not take ingestion down with it
+    logger.error('Rate limit store error', { error });
+    return next();
+  }
+
+  res.set('X-RateLimit-Limit', String(result.limit));
+  res.set('X-RateLimit-Remaining', String(result.remaining));
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded for API key',
+      retryAfter: result.retryAfterSeconds
+    });
+  }
+
+  return next();
+}
+
+/**
+ * Global load shedding
+ * While requests are queueing for a database connection and the smoothed
+ * wait exceeds LOAD_SHED_POOL_WAIT_MS, new requests get 503 with
+ * Retry-After instead of joining the queue.
+ */
+function loadShedding(req, res, next) {
+  // Health checks are never shed
+  if (req.path.startsWith('/health')) {
+    return next();
+  }
+
+  const pool = getPoolStats();
+
+  if (pool.waiting > 0 && pool.avgWaitMs > LOAD_SHED_POOL_WAIT_MS) {
+    res.set('Retry-After', String(LOAD_SHED_RETRY_AFTER_SECONDS));
+    return res.status(503).json({
+      success: false,
+      error: 'Service overloaded, retry later',
+      retryAfter: LOAD_SHED_RETRY_AFTER_SECONDS
+    });
+  }
+
+  return next();
+}
+
+module.exports = { apiKeyRateLimit, loadShedding };
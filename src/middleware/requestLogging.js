@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+
+// Accepted shape of a caller-supplied X-Request-Id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID and access log middleware
+ * Takes the request ID from X-Request-Id (or generates one), echoes it in
+ * the response and runs the request with it in the request context, so
+ * controller, service and query logs carry it. Logs one line per request
+ * when the response closes (including streams the client disconnects).
+ */
+function requestLogging(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const start = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  res.on('close', () => {
+    const level = res.statusCode >= 500 ? 'warn' : req.path.startsWith('/v1/health') ? 'debug' : 'info';
+    logger[level]('Request completed', {
+      requestId,
+      tenantId: req.tenantId || undefined,
+      method: req.method,
+      path: req.path,
+      route: req.route ? req.baseUrl + req.route.path : undefined,
+      status: res.statusCode,
+      durationMs: parseFloat((Number(process.hrtime.bigint() - start) / 1e6).toFixed(2)),
+      bytes: parseInt(res.get('Content-Length')) || undefined,
+      ip: req.ip,
+      apiKeyId: req.apiKey ? req.apiKey.keyId : undefined
+    });
+  });
+
+  return requestContext.run({ requestId }, next);
+}
+
+module.exports = requestLogging;
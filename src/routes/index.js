@@ -1,49 +1,165 @@
 const express = require('express');
 const ingestionController = require('../controllers/ingestionController');
 const analyticsController = require('../controllers/analyticsController');
+const deviceController = require('../controllers/deviceController');
+const sessionController = require('../controllers/sessionController');
+const historyController = require('../controllers/historyController');
+const adminController = require('../controllers/adminController');
+const healthController = require('../controllers/healthController');
+const liveController = require('../controllers/liveController');
+const alertController = require('../controllers/alertController');
+const ocppController = require('../controllers/ocppController');
+const idempotency = require('../middleware/idempotency');
+const { requireScope } = require('../middleware/auth');
+const { apiKeyRateLimit } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
+// API key scopes (admin keys satisfy every scope), each followed by the
+// per-key rate limit
+const ingestScope = [requireScope('ingest'), apiKeyRateLimit];
+const readScope = [requireScope('read'), apiKeyRateLimit];
+const adminScope = [requireScope('admin'), apiKeyRateLimit];
+const platformScope = [requireScope('admin', { platform: true }), apiKeyRateLimit];
+
 // =====================================================
 // Ingestion Routes
 // =====================================================
 
 // Polymorphic telemetry ingestion
-router.post('/ingest', (req, res) => ingestionController.ingestTelemetry(req, res));
+router.post('/ingest', ingestScope, idempotency, (req, res) => ingestionController.ingestTelemetry(req, res));
 
 // Batch telemetry ingestion
-router.post('/ingest/batch', (req, res) => ingestionController.ingestBatch(req, res));
+router.post('/ingest/batch', ingestScope, idempotency, (req, res) => ingestionController.ingestBatch(req, res));
 
 // Get current status of a device
-router.get('/ingest/status/:type/:id', (req, res) => ingestionController.getStatus(req, res));
+router.get('/ingest/status/:type/:id', readScope, (req, res) => ingestionController.getStatus(req, res));
+
+// =====================================================
+// Live Stream Routes
+// =====================================================
+
+// Server-Sent Events stream of hot-status changes
+router.get('/stream/status', readScope, (req, res) => liveController.streamStatus(req, res));
+
+// =====================================================
+// History Routes
+// =====================================================
+
+// Time-range history with cursor pagination and optional downsampling
+router.get('/history/:type/:id', readScope, (req, res) => historyController.getHistory(req, res));
 
 // =====================================================
 // Analytics Routes
 // =====================================================
 
 // Get 24-hour performance summary for a vehicle
-router.get('/analytics/performance/:vehicleId', (req, res) => analyticsController.getVehiclePerformance(req, res));
+router.get('/analytics/performance/:vehicleId', readScope, (req, res) => analyticsController.getVehiclePerformance(req, res));
 
 // Refresh materialized view
-router.post('/analytics/refresh', (req, res) => analyticsController.refreshAnalytics(req, res));
+router.post('/analytics/refresh', platformScope, (req, res) => analyticsController.refreshAnalytics(req, res));
 
 // Get system-wide statistics
-router.get('/analytics/stats', (req, res) => analyticsController.getSystemStats(req, res));
+router.get('/analytics/stats', readScope, (req, res) => analyticsController.getSystemStats(req, res));
 
 // Get efficiency alerts
-router.get('/analytics/alerts', (req, res) => analyticsController.getEfficiencyAlerts(req, res));
+router.get('/analytics/alerts', readScope, (req, res) => analyticsController.getEfficiencyAlerts(req, res));
+
+// Per-tenant statistics
+router.get('/analytics/tenants', readScope, (req, res) => analyticsController.getTenantStats(req, res));
+
+// =====================================================
+// Device Registry Routes
+// =====================================================
+
+// Registered device types and their payload schema
+router.get('/device-types', readScope, (req, res) => deviceController.listDeviceTypes(req, res));
+
+// List / register devices
+router.get('/devices', readScope, (req, res) => deviceController.listDevices(req, res));
+router.post('/devices', adminScope, (req, res) => deviceController.createDevice(req, res));
+
+// Meter <-> vehicle pairings (declared before /devices/:type/:id)
+router.get('/devices/pairings', readScope, (req, res) => deviceController.listPairings(req, res));
+router.post('/devices/pairings', adminScope, (req, res) => deviceController.createPairing(req, res));
+router.patch('/devices/pairings/:pairingId', adminScope, (req, res) => deviceController.endPairing(req, res));
+router.delete('/devices/pairings/:pairingId', adminScope, (req, res) => deviceController.deletePairing(req, res));
+
+// Devices that stopped reporting, and per-device connectivity with uptime
+router.get('/devices/offline', readScope, (req, res) => deviceController.listOfflineDevices(req, res));
+router.get('/devices/:type/:id/connectivity', readScope, (req, res) => deviceController.getConnectivity(req, res));
+
+// Single device
+router.get('/devices/:type/:id', readScope, (req, res) => deviceController.getDevice(req, res));
+router.patch('/devices/:type/:id', adminScope, (req, res) => deviceController.updateDevice(req, res));
+router.delete('/devices/:type/:id', adminScope, (req, res) => deviceController.deleteDevice(req, res));
+
+// =====================================================
+// Charging Session Routes
+// =====================================================
+
+// List charging sessions for a vehicle
+router.get('/vehicles/:id/sessions', readScope, (req, res) => sessionController.getVehicleSessions(req, res));
+
+// Get a single charging session
+router.get('/sessions/:sessionId', readScope, (req, res) => sessionController.getSession(req, res));
+
+// =====================================================
+// Alert Routes
+// =====================================================
+
+// Alert rules
+router.get('/alerts/rules', readScope, (req, res) => alertController.listRules(req, res));
+router.post('/alerts/rules', adminScope, (req, res) => alertController.createRule(req, res));
+router.get('/alerts/rules/:ruleId', readScope, (req, res) => alertController.getRule(req, res));
+router.patch('/alerts/rules/:ruleId', adminScope, (req, res) => alertController.updateRule(req, res));
+router.delete('/alerts/rules/:ruleId', adminScope, (req, res) => alertController.deleteRule(req, res));
+
+// Alerts and acknowledgement
+router.get('/alerts', readScope, (req, res) => alertController.listAlerts(req, res));
+router.post('/alerts/:alertId/acknowledge', adminScope, (req, res) => alertController.acknowledgeAlert(req, res));
+
+// =====================================================
+// OCPP Routes
+// =====================================================
+
+// Charge points connected over OCPP 1.6J and their transactions
+router.get('/ocpp/charge-points', readScope, (req, res) => ocppController.listChargePoints(req, res));
+router.get('/ocpp/transactions', readScope, (req, res) => ocppController.listTransactions(req, res));
 
 // =====================================================
-// Health Check Route
+// Admin Routes
 // =====================================================
 
-router.get('/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Energy Ingestion Engine is running',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+// History partition inventory
+router.get('/admin/partitions', platformScope, (req, res) => adminController.getPartitions(req, res));
+
+// Create upcoming and backfilled partitions and drop expired ones
+router.post('/admin/partitions/maintain', platformScope, (req, res) => adminController.maintainPartitions(req, res));
+
+// Scheduled jobs with next run time and run history
+router.get('/admin/jobs', platformScope, (req, res) => adminController.getJobs(req, res));
+
+// Run a scheduled job immediately
+router.post('/admin/jobs/:name/run', platformScope, (req, res) => adminController.runJob(req, res));
+
+// API keys (the plaintext key is only returned on creation)
+router.get('/admin/api-keys', adminScope, (req, res) => adminController.listApiKeys(req, res));
+router.post('/admin/api-keys', adminScope, (req, res) => adminController.createApiKey(req, res));
+router.delete('/admin/api-keys/:keyId', adminScope, (req, res) => adminController.revokeApiKey(req, res));
+
+// Register a tenant
+router.post('/admin/tenants', platformScope, (req, res) => adminController.createTenant(req, res));
+
+// =====================================================
+// Health Check Routes
+// =====================================================
+
+// Liveness: process is up (no dependency checks)
+router.get('/health/live', (req, res) => healthController.live(req, res));
+
+// Readiness: database, pool, schema and materialized view (503 when not ready)
+router.get('/health/ready', (req, res) => healthController.ready(req, res));
+router.get('/health', (req, res) => healthController.ready(req, res));
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,18 @@
 const express = require('express');
-const morgan = require('morgan');
 const cors = require('cors');
 const routes = require('./routes');
-const { testConnection, closePool } = require('./config/database');
+const requestLogging = require('./middleware/requestLogging');
+const { loadShedding } = require('./middleware/rateLimit');
+const requestMetrics = require('./middleware/metrics');
+const metricsService = require('./services/metricsService');
+const { waitForDatabase, closePool } = require('./config/database');
+const partitionService = require('./services/partitionService');
+const migrationService = require('./services/migrationService');
+const schedulerService = require('./services/schedulerService');
+const liveStatusService = require('./services/liveStatusService');
+const mqttIngestionService = require('./services/mqttIngestionService');
+const ocppController = require('./controllers/ocppController');
+const logger = require('./utils/logger');
 require('dotenv').config();
 
 const app = express();
@@ -12,11 +22,19 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 // =====================================================
 
-// Request logging
-app.use(morgan('dev'));
+// Request ID (X-Request-Id) and structured access log
+app.use(requestLogging);
 
-// Enable CORS
-app.use(cors());
+// Request rate and latency per route
+app.use(requestMetrics);
+
+// CORS: only origins listed in CORS_ORIGINS (comma-separated, '*' for any)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors({
+  origin: corsOrigins.includes('*') ? '*' : corsOrigins,
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Tenant-Id', 'Idempotency-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
+}));
 
 // Parse JSON bodies
 app.use(express.json({ limit: '10mb' }));
@@ -28,6 +46,20 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Routes
 // =====================================================
 
+// Prometheus metrics (unauthenticated: restrict at the network level)
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metricsService.render());
+  } catch (error) {
+    logger.error('Metrics error', { error });
+    res.status(500).send(`# metrics unavailable: ${error.message}\n`);
+  }
+});
+
+// Shed load before touching the database when the pool is saturated
+app.use('/v1', loadShedding);
+
 // API routes with /v1 prefix
 app.use('/v1', routes);
 
@@ -38,13 +70,42 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: 'GET /v1/health',
+      liveness: 'GET /v1/health/live',
+      readiness: 'GET /v1/health/ready',
+      metrics: 'GET /metrics',
       ingest: 'POST /v1/ingest',
       ingestBatch: 'POST /v1/ingest/batch',
       deviceStatus: 'GET /v1/ingest/status/:type/:id',
+      statusStream: 'GET /v1/stream/status',
+      history: 'GET /v1/history/:type/:id',
       vehiclePerformance: 'GET /v1/analytics/performance/:vehicleId',
       systemStats: 'GET /v1/analytics/stats',
       efficiencyAlerts: 'GET /v1/analytics/alerts',
-      refreshAnalytics: 'POST /v1/analytics/refresh'
+      tenantStats: 'GET /v1/analytics/tenants',
+      refreshAnalytics: 'POST /v1/analytics/refresh',
+      deviceTypes: 'GET /v1/device-types',
+      devices: 'GET|POST /v1/devices',
+      device: 'GET|PATCH|DELETE /v1/devices/:type/:id',
+      pairings: 'GET|POST /v1/devices/pairings',
+      pairing: 'PATCH|DELETE /v1/devices/pairings/:pairingId',
+      offlineDevices: 'GET /v1/devices/offline',
+      deviceConnectivity: 'GET /v1/devices/:type/:id/connectivity',
+      vehicleSessions: 'GET /v1/vehicles/:id/sessions',
+      session: 'GET /v1/sessions/:sessionId',
+      alertRules: 'GET|POST /v1/alerts/rules',
+      alertRule: 'GET|PATCH|DELETE /v1/alerts/rules/:ruleId',
+      alerts: 'GET /v1/alerts',
+      acknowledgeAlert: 'POST /v1/alerts/:alertId/acknowledge',
+      chargePoints: 'GET /v1/ocpp/charge-points',
+      ocppTransactions: 'GET /v1/ocpp/transactions',
+      ocppWebSocket: 'WS /ocpp/:chargePointId',
+      partitions: 'GET /v1/admin/partitions',
+      maintainPartitions: 'POST /v1/admin/partitions/maintain',
+      jobs: 'GET /v1/admin/jobs',
+      runJob: 'POST /v1/admin/jobs/:name/run',
+      apiKeys: 'GET|POST /v1/admin/api-keys',
+      apiKey: 'DELETE /v1/admin/api-keys/:keyId',
+      tenants: 'POST /v1/admin/tenants'
     },
     documentation: 'See README.md for detailed API documentation'
   });
@@ -61,7 +122,7 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  logger.error('Server error', { error: err });
   res.status(500).json({
     success: false,
     error: process.env.NODE_ENV === 'production' 
@@ -76,47 +137,69 @@ app.use((err, req, res, next) => {
 
 async function startServer() {
   try {
-    // Test database connection
-    const dbConnected = await testConnection();
+    // Wait for the database (retries with backoff)
+    const dbConnected = await waitForDatabase();
     if (!dbConnected) {
-      console.error('❌ Failed to connect to database');
+      logger.error('Failed to connect to database');
       process.exit(1);
     }
 
+    // Refuse to serve against an outdated schema
+    try {
+      await migrationService.assertUpToDate();
+    } catch (error) {
+      logger.error('Schema check failed', { error });
+      process.exit(1);
+    }
+
+    // Make sure today's and upcoming history partitions exist
+    try {
+      await partitionService.ensurePartitions();
+    } catch (error) {
+      logger.warn('Partition maintenance failed', { error });
+    }
+
     // Start server
-    app.listen(PORT, () => {
-      console.log('');
-      console.log('═══════════════════════════════════════════════════');
-      console.log('🚀 Energy Ingestion Engine Started');
-      console.log('═══════════════════════════════════════════════════');
-      console.log(`📡 Server running on: http://localhost:${PORT}`);
-      console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-      console.log('');
-      console.log('📋 Available Endpoints:');
-      console.log(`   Health Check:       GET  http://localhost:${PORT}/v1/health`);
-      console.log(`   Ingest Telemetry:   POST http://localhost:${PORT}/v1/ingest`);
-      console.log(`   Batch Ingest:       POST http://localhost:${PORT}/v1/ingest/batch`);
-      console.log(`   Vehicle Performance: GET  http://localhost:${PORT}/v1/analytics/performance/:vehicleId`);
-      console.log(`   System Stats:       GET  http://localhost:${PORT}/v1/analytics/stats`);
-      console.log('═══════════════════════════════════════════════════');
-      console.log('');
+    const server = app.listen(PORT, () => {
+      logger.info('Energy Ingestion Engine started', {
+        port: Number(PORT),
+        environment: process.env.NODE_ENV || 'development',
+        logLevel: logger.LOG_LEVEL
+      });
     });
 
+    // Background jobs (analytics refresh, retention, partitions, sessions)
+    schedulerService.start();
+
+    // MQTT telemetry listener (when MQTT_URL is set)
+    mqttIngestionService.start();
+
+    // OCPP 1.6J charge point connections (WebSocket upgrades on OCPP_PATH)
+    ocppController.attach(server);
+
   } catch (error) {
-    console.error('Failed to start server:', error);
+    logger.error('Failed to start server', { error });
     process.exit(1);
   }
 }
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully...');
+  logger.info('Shutting down gracefully', { signal: 'SIGTERM' });
+  schedulerService.stop();
+  liveStatusService.close();
+  ocppController.close();
+  await mqttIngestionService.stop();
   await closePool();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
-  console.log('SIGINT received, shutting down gracefully...');
+  logger.info('Shutting down gracefully', { signal: 'SIGINT' });
+  schedulerService.stop();
+  liveStatusService.close();
+  ocppController.close();
+  await mqttIngestionService.stop();
   await closePool();
   process.exit(0);
 });
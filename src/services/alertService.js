@@ -0,0 +1,714 @@
+const { query, transaction } = require('../config/database');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const { isLate } = require('../utils/telemetry');
+const metricsService = require('./metricsService');
+const webhookService = require('./webhookService');
+const deviceTypes = require('../deviceTypes');
+
+// Metrics evaluated on schedule against the analytics view (vehicles only;
+// efficiency is the 24h ratio from the view, not a reading field)
+const VIEW_METRICS = ['efficiency'];
+
+const ALERT_OPERATORS = ['above', 'below', 'outside', 'silent'];
+const ALERT_SEVERITIES = ['info', 'warning', 'critical'];
+const ALERT_STATES = ['pending', 'firing', 'acknowledged', 'resolved'];
+
+// Enabled rules are cached per instance; changes made through another
+// instance apply within this window
+const ALERT_RULE_CACHE_MS = (parseInt(process.env.ALERT_RULE_CACHE_SECONDS) || 30) * 1000;
+
+// Webhook for rules that do not name their own
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || null;
+
+const MAX_DURATION_SECONDS = 7 * 24 * 3600;
+const MAX_RULE_DEVICE_IDS = 1000;
+
+/**
+ * Alert Service
+ * User-defined alert rules evaluated against incoming telemetry
+ *
+ * Rules compare a metric with a threshold (above, below, outside a band)
+ * for at least durationSeconds, or fire when a device has been silent for
+ * durationSeconds. Reading rules are evaluated on ingest; silence and
+ * efficiency rules by the alert-evaluation job.
+ *
+ * Each rule/device pair has at most one open alert:
+ * pending -> firing -> acknowledged -> resolved. A pending alert whose
+ * condition clears before the duration is up is dropped without notice.
+ * Firing, acknowledged and resolved transitions queue a webhook
+ * notification in the same transaction (see webhookService).
+ */
+class AlertService {
+
+  constructor() {
+    this.rules = null;
+    this.rulesLoadedAt = 0;
+  }
+
+  // =====================================================
+  // Rules
+  // =====================================================
+
+  /**
+   * Create a rule in the caller's tenant
+   */
+  async createRule(ruleData) {
+    const rule = this.normalizeRule(ruleData);
+    this.validateRuleData(rule);
+
+    const result = await query(
+      `INSERT INTO alert_rules
+       (name, device_type, device_ids, metric, operator, threshold, threshold_high,
+        duration_seconds, severity, webhook_url, enabled)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [rule.name, rule.deviceType, rule.deviceIds, rule.metric, rule.operator,
+       rule.threshold, rule.thresholdHigh, rule.durationSeconds, rule.severity,
+       rule.webhookUrl, rule.enabled]
+    );
+
+    this.invalidateRules();
+    return this.formatRule(result.rows[0]);
+  }
+
+  /**
+   * List rules
+   */
+  async listRules() {
+    const result = await query('SELECT * FROM alert_rules ORDER BY id');
+    return result.rows.map(row => this.formatRule(row));
+  }
+
+  /**
+   * Get a single rule
+   */
+  async getRule(ruleId) {
+    if (!/^\d+$/.test(String(ruleId))) {
+      return null;
+    }
+
+    const result = await query('SELECT * FROM alert_rules WHERE id = $1', [ruleId]);
+    return result.rows[0] ? this.formatRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Update a rule; omitted fields keep their value
+   */
+  async updateRule(ruleId, updates) {
+    const existing = await this.getRule(ruleId);
+    if (!existing) {
+      return null;
+    }
+
+    const rule = this.normalizeRule({ ...existing, ...updates });
+    this.validateRuleData(rule);
+
+    const result = await query(
+      `UPDATE alert_rules SET
+         name = $2, device_type = $3, device_ids = $4, metric = $5, operator = $6,
+         threshold = $7, threshold_high = $8, duration_seconds = $9, severity = $10,
+         webhook_url = $11, enabled = $12, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [ruleId, rule.name, rule.deviceType, rule.deviceIds, rule.metric, rule.operator,
+       rule.threshold, rule.thresholdHigh, rule.durationSeconds, rule.severity,
+       rule.webhookUrl, rule.enabled]
+    );
+
+    this.invalidateRules();
+    return result.rows[0] ? this.formatRule(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a rule and its alerts
+   */
+  async deleteRule(ruleId) {
+    if (!/^\d+$/.test(String(ruleId))) {
+      return false;
+    }
+
+    const result = await query('DELETE FROM alert_rules WHERE id = $1', [ruleId]);
+    this.invalidateRules();
+    return result.rowCount > 0;
+  }
+
+  // =====================================================
+  // Alerts
+  // =====================================================
+
+  /**
+   * List alerts, newest first
+   * state may also be 'open' (anything not resolved)
+   */
+  async listAlerts(filters = {}) {
+    const { state, ruleId, deviceId, limit = 100 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (state === 'open') {
+      conditions.push("a.state <> 'resolved'");
+    } else if (state) {
+      params.push(state);
+      conditions.push(`a.state = $${params.length}`);
+    }
+    if (ruleId) {
+      params.push(ruleId);
+      conditions.push(`a.rule_id = $${params.length}`);
+    }
+    if (deviceId) {
+      params.push(deviceId);
+      conditions.push(`a.device_id = $${params.length}`);
+    }
+    params.push(limit);
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query(
+      `SELECT a.*, r.name as rule_name, r.severity
+       FROM alerts a
+       JOIN alert_rules r ON r.id = a.rule_id
+       ${where}
+       ORDER BY a.updated_at DESC, a.id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map(row => this.formatAlert(row));
+  }
+
+  /**
+   * Acknowledge a firing alert; it stays open until its condition clears
+   * Returns null if the alert does not exist
+   */
+  async acknowledgeAlert(alertId, acknowledgedBy = null) {
+    if (!/^\d+$/.test(String(alertId))) {
+      return null;
+    }
+
+    const { alert, queued } = await transaction(async (client) => {
+      const found = await client.query(
+        `SELECT a.*, r.name as rule_name, r.severity, r.webhook_url
+         FROM alerts a
+         JOIN alert_rules r ON r.id = a.rule_id
+         WHERE a.id = $1
+         FOR UPDATE OF a`,
+        [alertId]
+      );
+      const row = found.rows[0];
+      if (!row) {
+        return { alert: null, queued: false };
+      }
+      if (row.state !== 'firing') {
+        throw new Error(`Invalid state: alert ${alertId} is ${row.state}; only firing alerts can be acknowledged`);
+      }
+
+      const updated = await client.query(
+        `UPDATE alerts
+         SET state = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = $2, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [alertId, acknowledgedBy]
+      );
+      const acknowledged = { ...row, ...updated.rows[0] };
+      metricsService.increment('alert_transitions_total', { state: 'acknowledged' });
+
+      return {
+        alert: this.formatAlert(acknowledged),
+        queued: await this.queueNotification(client, acknowledged, 'acknowledged', row.webhook_url)
+      };
+    });
+
+    if (queued) {
+      this.kickDelivery();
+    }
+    return alert;
+  }
+
+  // =====================================================
+  // Evaluation
+  // =====================================================
+
+  /**
+   * Evaluate reading rules against committed readings of one type
+   * Called after ingestion commits; failures are logged, never thrown,
+   * so alerting cannot fail an ingest
+   */
+  async evaluateReadings(type, readings) {
+    try {
+      const tenantId = requestContext.currentTenant() || 'default';
+      const rules = (await this.getRules()).filter(rule =>
+        rule.deviceType === type && rule.tenantId === tenantId && !VIEW_METRICS.includes(rule.metric));
+      if (rules.length === 0) {
+        return;
+      }
+
+      const { idField } = deviceTypes.get(type);
+      const ordered = readings
+        .filter(reading => !isLate(reading.timestamp))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+      const observations = [];
+      for (const reading of ordered) {
+        const deviceId = reading[idField];
+        for (const rule of rules) {
+          if (rule.deviceIds && !rule.deviceIds.includes(deviceId)) {
+            continue;
+          }
+          // A reading ends any silence
+          const value = rule.operator === 'silent' ? 0 : reading[rule.metric];
+          observations.push({
+            rule,
+            deviceId,
+            value,
+            breach: rule.operator !== 'silent' && this.breaches(rule, value),
+            at: new Date(reading.timestamp)
+          });
+        }
+      }
+
+      await this.apply(observations);
+    } catch (error) {
+      logger.error('Alert evaluation error', { type, error });
+    }
+  }
+
+  /**
+   * Evaluate silence and efficiency rules (alert-evaluation job)
+   * Silence covers devices with a hot status; a device that never
+   * reported cannot go silent
+   */
+  async evaluateScheduled() {
+    const rules = (await this.getRules()).filter(rule =>
+      rule.operator === 'silent' || VIEW_METRICS.includes(rule.metric));
+    const now = new Date();
+    const observations = [];
+
+    for (const rule of rules) {
+      if (rule.operator === 'silent') {
+        const type = deviceTypes.get(rule.deviceType);
+        if (!type) {
+          continue;
+        }
+        const { idColumn } = type;
+        const result = await query(
+          `SELECT ${idColumn} as device_id, EXTRACT(EPOCH FROM NOW() - last_updated) as silent_seconds
+           FROM ${type.tables.status}
+           WHERE tenant_id = $1
+           AND ($2::varchar[] IS NULL OR ${idColumn} = ANY($2))`,
+          [rule.tenantId, rule.deviceIds]
+        );
+        for (const row of result.rows) {
+          const silentSeconds = Math.max(Math.round(parseFloat(row.silent_seconds)), 0);
+          observations.push({
+            rule,
+            deviceId: row.device_id,
+            value: silentSeconds,
+            breach: silentSeconds >= rule.durationSeconds,
+            at: now
+          });
+        }
+      } else {
+        const result = await query(
+          `SELECT vehicle_id, efficiency_ratio
+           FROM vehicle_24h_performance
+           WHERE tenant_id = $1
+           AND efficiency_ratio > 0
+           AND ($2::varchar[] IS NULL OR vehicle_id = ANY($2))`,
+          [rule.tenantId, rule.deviceIds]
+        );
+        for (const row of result.rows) {
+          const value = parseFloat(row.efficiency_ratio);
+          observations.push({
+            rule,
+            deviceId: row.vehicle_id,
+            value,
+            breach: this.breaches(rule, value),
+            at: now
+          });
+        }
+      }
+    }
+
+    const transitions = await this.apply(observations);
+    return { rules: rules.length, observations: observations.length, transitions };
+  }
+
+  /**
+   * Run observations through the alert state machine and persist the
+   * resulting changes in one transaction
+   * Returns the number of state transitions
+   */
+  async apply(observations) {
+    if (observations.length === 0) {
+      return 0;
+    }
+
+    const groups = new Map();
+    for (const observation of observations) {
+      const key = `${observation.rule.ruleId}|${observation.deviceId}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(observation);
+    }
+
+    const { transitions, queued } = await transaction(async (client) => {
+      const keys = [...groups.values()].map(group => group[0]);
+      const open = await client.query(
+        `SELECT * FROM alerts
+         WHERE state <> 'resolved'
+         AND (rule_id, device_id) IN (
+           SELECT * FROM unnest($1::bigint[], $2::varchar[])
+         )
+         FOR UPDATE`,
+        [keys.map(o => o.rule.ruleId), keys.map(o => o.deviceId)]
+      );
+      const openByKey = new Map(open.rows.map(row => [`${row.rule_id}|${row.device_id}`, row]));
+
+      let transitions = 0;
+      let queued = false;
+
+      for (const [key, group] of groups) {
+        const { rule, deviceId } = group[0];
+        const changes = this.transition(rule, openByKey.get(key) || null, group);
+
+        for (const change of changes) {
+          const row = await this.persist(client, rule, deviceId, change);
+          if (row && change.event) {
+            transitions++;
+            metricsService.increment('alert_transitions_total', { state: change.event });
+            queued = await this.queueNotification(client, { ...row, rule_name: rule.name, severity: rule.severity },
+              change.event, rule.webhookUrl) || queued;
+          }
+        }
+      }
+
+      return { transitions, queued };
+    });
+
+    if (queued) {
+      this.kickDelivery();
+    }
+    return transitions;
+  }
+
+  /**
+   * Fold a rule/device's observations (oldest first) into the writes that
+   * persist them, in order: [{ handle, action, alert, event }]
+   * handle tracks the row id across writes to the same alert
+   */
+  transition(rule, openAlert, observations) {
+    const writes = [];
+    const fireAfterMs = rule.operator === 'silent' ? 0 : rule.durationSeconds * 1000;
+    let current = openAlert ? { ...openAlert } : null;
+    let handle = openAlert ? { id: openAlert.id, stored: true } : null;
+    let dirty = false;
+
+    const write = (event) => {
+      writes.push({ handle, action: handle.stored ? 'update' : 'insert', alert: { ...current }, event });
+      handle.stored = true;
+      dirty = false;
+    };
+
+    for (const { value, breach, at } of observations) {
+      // Readings older than the last one evaluated (out of order) are ignored;
+      // silence is observed on the server clock, so any reading ends it
+      if (current && rule.operator !== 'silent' && at <= new Date(current.observed_at)) {
+        continue;
+      }
+
+      if (breach) {
+        if (!current) {
+          current = { state: 'pending', pending_since: at, fired_at: null, resolved_at: null };
+          handle = { id: null, stored: false };
+        }
+        current.value = value;
+        current.observed_at = at;
+        dirty = true;
+
+        if (current.state === 'pending' && at - new Date(current.pending_since) >= fireAfterMs) {
+          current.state = 'firing';
+          current.fired_at = at;
+          write('firing');
+        }
+      } else if (current) {
+        if (current.state === 'pending') {
+          // Cleared before it fired: drop it silently
+          if (handle.stored) {
+            writes.push({ handle, action: 'delete' });
+          }
+        } else {
+          current.state = 'resolved';
+          current.value = value;
+          current.observed_at = at;
+          current.resolved_at = at;
+          write('resolved');
+        }
+        current = null;
+        handle = null;
+        dirty = false;
+      }
+    }
+
+    if (current && dirty) {
+      write(null);
+    }
+    return writes;
+  }
+
+  /**
+   * Apply one write; returns the stored row (null when nothing was written)
+   */
+  async persist(client, rule, deviceId, change) {
+    const { handle, action, alert } = change;
+
+    if (action === 'delete') {
+      await client.query('DELETE FROM alerts WHERE id = $1', [handle.id]);
+      return null;
+    }
+
+    if (action === 'insert') {
+      const result = await client.query(
+        `INSERT INTO alerts
+         (tenant_id, rule_id, device_type, device_id, state, value, pending_since,
+          observed_at, fired_at, resolved_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (rule_id, device_id) WHERE state <> 'resolved' DO NOTHING
+         RETURNING *`,
+        [rule.tenantId, rule.ruleId, rule.deviceType, deviceId, alert.state, alert.value,
+         alert.pending_since, alert.observed_at, alert.fired_at, alert.resolved_at]
+      );
+      // Lost a race with a concurrent evaluation, which owns the alert now
+      if (result.rows.length === 0) {
+        return null;
+      }
+      handle.id = result.rows[0].id;
+      return result.rows[0];
+    }
+
+    if (!handle.id) {
+      return null;
+    }
+    const result = await client.query(
+      `UPDATE alerts
+       SET state = $2, value = $3, observed_at = $4, fired_at = $5, resolved_at = $6, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [handle.id, alert.state, alert.value, alert.observed_at, alert.fired_at, alert.resolved_at]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Queue a webhook notification for an alert event
+   * Returns true when one was queued (the rule or ALERT_WEBHOOK_URL names a webhook)
+   */
+  async queueNotification(client, alertRow, event, webhookUrl) {
+    const url = webhookUrl || ALERT_WEBHOOK_URL;
+    if (!url) {
+      return false;
+    }
+
+    const payload = {
+      event,
+      alert: this.formatAlert(alertRow),
+      sentAt: new Date().toISOString()
+    };
+
+    await client.query(
+      `INSERT INTO alert_notifications (tenant_id, alert_id, event, webhook_url, payload)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [alertRow.tenant_id, alertRow.id, event, url, JSON.stringify(payload)]
+    );
+    return true;
+  }
+
+  /**
+   * Start delivering queued notifications without waiting for them
+   * (unscoped, so one tenant's request also flushes other due deliveries)
+   */
+  kickDelivery() {
+    requestContext.run({ tenantId: null }, () => webhookService.deliverDue())
+      .catch(error => logger.error('Alert webhook delivery error', { error }));
+  }
+
+  /**
+   * Whether a value breaks a rule's threshold
+   */
+  breaches(rule, value) {
+    if (typeof value !== 'number' || isNaN(value)) {
+      return false;
+    }
+
+    switch (rule.operator) {
+      case 'above':
+        return value > rule.threshold;
+      case 'below':
+        return value < rule.threshold;
+      case 'outside':
+        return value < rule.threshold || value > rule.thresholdHigh;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Enabled rules of every tenant (cached)
+   * Loaded unscoped; evaluation filters by the reading's tenant
+   */
+  async getRules() {
+    if (this.rules && Date.now() - this.rulesLoadedAt < ALERT_RULE_CACHE_MS) {
+      return this.rules;
+    }
+
+    const result = await requestContext.run({ tenantId: null }, () =>
+      query('SELECT * FROM alert_rules WHERE enabled ORDER BY id'));
+    this.rules = result.rows.map(row => this.formatRule(row));
+    this.rulesLoadedAt = Date.now();
+    return this.rules;
+  }
+
+  invalidateRules() {
+    this.rules = null;
+  }
+
+  // =====================================================
+  // Validation & Formatting
+  // =====================================================
+
+  /**
+   * Fill defaults for optional rule fields
+   */
+  normalizeRule(data) {
+    return {
+      name: data.name,
+      deviceType: data.deviceType,
+      deviceIds: data.deviceIds ?? null,
+      metric: data.metric ?? null,
+      operator: data.operator,
+      threshold: data.threshold ?? null,
+      thresholdHigh: data.thresholdHigh ?? null,
+      durationSeconds: data.durationSeconds ?? 0,
+      severity: data.severity ?? 'warning',
+      webhookUrl: data.webhookUrl ?? null,
+      enabled: data.enabled ?? true
+    };
+  }
+
+  /**
+   * Validate a (normalized) rule
+   */
+  validateRuleData(rule) {
+    const {
+      name, deviceType, deviceIds, metric, operator, threshold, thresholdHigh,
+      durationSeconds, severity, webhookUrl, enabled
+    } = rule;
+
+    if (!name || typeof name !== 'string' || name.length > 255) {
+      throw new Error('Invalid name: must be a non-empty string of at most 255 characters');
+    }
+
+    if (!deviceTypes.get(deviceType)) {
+      throw new Error(`Invalid deviceType: must be one of ${deviceTypes.names().join(', ')}`);
+    }
+
+    if (deviceIds !== null && (!Array.isArray(deviceIds) || deviceIds.length === 0 ||
+        deviceIds.length > MAX_RULE_DEVICE_IDS || deviceIds.some(id => !id || typeof id !== 'string'))) {
+      throw new Error(`Invalid deviceIds: must be null (all devices) or 1 to ${MAX_RULE_DEVICE_IDS} device id strings`);
+    }
+
+    if (!ALERT_OPERATORS.includes(operator)) {
+      throw new Error(`Invalid operator: must be one of ${ALERT_OPERATORS.join(', ')}`);
+    }
+
+    if (!Number.isInteger(durationSeconds) || durationSeconds < 0 || durationSeconds > MAX_DURATION_SECONDS) {
+      throw new Error(`Invalid durationSeconds: must be an integer from 0 to ${MAX_DURATION_SECONDS}`);
+    }
+
+    if (operator === 'silent') {
+      if (metric !== null) {
+        throw new Error('Invalid metric: silent rules do not watch a metric');
+      }
+      if (durationSeconds === 0) {
+        throw new Error('Invalid durationSeconds: silent rules need the silence duration');
+      }
+    } else {
+      const metrics = alertMetrics(deviceType);
+      if (!metrics.includes(metric)) {
+        throw new Error(`Invalid metric: must be one of ${metrics.join(', ')} for ${deviceType} rules`);
+      }
+      if (typeof threshold !== 'number' || isNaN(threshold)) {
+        throw new Error('Invalid threshold: must be a number');
+      }
+      if (operator === 'outside' && (typeof thresholdHigh !== 'number' || !(thresholdHigh > threshold))) {
+        throw new Error('Invalid thresholdHigh: must be a number greater than threshold');
+      }
+    }
+
+    if (!ALERT_SEVERITIES.includes(severity)) {
+      throw new Error(`Invalid severity: must be one of ${ALERT_SEVERITIES.join(', ')}`);
+    }
+
+    if (webhookUrl !== null && (typeof webhookUrl !== 'string' || !webhookService.isAllowed(webhookUrl))) {
+      throw new Error('Invalid webhookUrl: must be an http(s) URL on an allowed host (ALERT_WEBHOOK_ALLOWED_HOSTS) or null');
+    }
+
+    if (typeof enabled !== 'boolean') {
+      throw new Error('Invalid enabled: must be a boolean');
+    }
+  }
+
+  formatRule(row) {
+    return {
+      ruleId: parseInt(row.id),
+      tenantId: row.tenant_id,
+      name: row.name,
+      deviceType: row.device_type,
+      deviceIds: row.device_ids,
+      metric: row.metric,
+      operator: row.operator,
+      threshold: row.threshold !== null ? parseFloat(row.threshold) : null,
+      thresholdHigh: row.threshold_high !== null ? parseFloat(row.threshold_high) : null,
+      durationSeconds: row.duration_seconds,
+      severity: row.severity,
+      webhookUrl: row.webhook_url,
+      enabled: row.enabled,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatAlert(row) {
+    return {
+      alertId: parseInt(row.id),
+      tenantId: row.tenant_id,
+      ruleId: parseInt(row.rule_id),
+      ruleName: row.rule_name,
+      severity: row.severity,
+      deviceType: row.device_type,
+      deviceId: row.device_id,
+      state: row.state,
+      value: row.value !== null && row.value !== undefined ? parseFloat(row.value) : null,
+      pendingSince: row.pending_since,
+      observedAt: row.observed_at,
+      firedAt: row.fired_at,
+      acknowledgedAt: row.acknowledged_at || null,
+      acknowledgedBy: row.acknowledged_by || null,
+      resolvedAt: row.resolved_at
+    };
+  }
+}
+
+/**
+ * Metrics a rule can watch for a device type: its numeric reading
+ * fields, plus the view metrics for vehicles
+ */
+function alertMetrics(deviceType) {
+  const { fields } = deviceTypes.get(deviceType);
+  const metrics = Object.keys(fields).filter(field => fields[field].type === 'number');
+  return deviceType === 'vehicle' ? [...metrics, ...VIEW_METRICS] : metrics;
+}
+
+module.exports = new AlertService();
+module.exports.alertMetrics = alertMetrics;
+module.exports.ALERT_OPERATORS = ALERT_OPERATORS;
+module.exports.ALERT_STATES = ALERT_STATES;
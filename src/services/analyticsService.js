@@ -1,9 +1,22 @@
 const { query } = require('../config/database');
+const metricsService = require('./metricsService');
+const connectivityService = require('./connectivityService');
+const deviceTypes = require('../deviceTypes');
+const { LATE_DATA_TOLERANCE_MS } = require('../utils/telemetry');
+const { currentTenant } = require('../utils/requestContext');
+const logger = require('../utils/logger');
+
+// AC->DC efficiency (%) below which a vehicle is flagged; configurable
+// per tenant and vehicle with alert rules on the efficiency metric
+const EFFICIENCY_ALERT_THRESHOLD = parseFloat(process.env.EFFICIENCY_ALERT_THRESHOLD) || 85;
 
 /**
  * Analytics Service
  * Provides fast analytical insights without full table scans
  * Uses materialized views and indexed queries
+ *
+ * Tables are tenant-isolated by row-level security; the materialized view
+ * is not, so its queries filter on the caller's tenant explicitly.
  */
 class AnalyticsService {
   
@@ -32,8 +45,9 @@ class AnalyticsService {
         last_reading,
         computed_at
        FROM vehicle_24h_performance 
-       WHERE vehicle_id = $1`,
-      [vehicleId]
+       WHERE vehicle_id = $1
+       AND ($2::text IS NULL OR tenant_id = $2)`,
+      [vehicleId, currentTenant()]
     );
 
     if (mvResult.rows.length > 0) {
@@ -55,7 +69,7 @@ class AnalyticsService {
     // Get vehicle DC data (uses index: idx_vehicle_history_time)
     const vehicleResult = await query(
       `SELECT 
-        SUM(kwh_delivered_dc) as total_dc_delivered,
+        SUM(kwh_delivered_dc_delta) as total_dc_delivered,
         AVG(battery_temp) as avg_battery_temp,
         COUNT(*) as reading_count,
         MIN(recorded_at) as first_reading,
@@ -66,15 +80,21 @@ class AnalyticsService {
       [vehicleId, timeWindow]
     );
 
-    // Get meter AC data (uses index: idx_meter_history_time)
-    // Assumes meter_id matches vehicle_id for correlation
+    // Get meter AC data from whichever meter(s) the vehicle was paired with
+    // (uses indexes: idx_pairings_vehicle, idx_meter_history_time)
     const meterResult = await query(
       `SELECT 
-        SUM(kwh_consumed_ac) as total_ac_consumed,
+        SUM(mh.kwh_consumed_ac_delta) as total_ac_consumed,
         COUNT(*) as reading_count
-       FROM meter_telemetry_history 
-       WHERE meter_id = $1 
-       AND recorded_at >= $2`,
+       FROM meter_vehicle_pairings p
+       JOIN meter_telemetry_history mh 
+         ON mh.meter_id = p.meter_id
+         AND mh.tenant_id = p.tenant_id
+         AND mh.recorded_at >= p.paired_from
+         AND (p.paired_to IS NULL OR mh.recorded_at < p.paired_to)
+       WHERE p.vehicle_id = $1 
+       AND (p.paired_to IS NULL OR p.paired_to > $2)
+       AND mh.recorded_at >= $2`,
       [vehicleId, timeWindow]
     );
 
@@ -108,38 +128,114 @@ class AnalyticsService {
       const start = Date.now();
       await query('SELECT refresh_analytics()');
       const duration = Date.now() - start;
+      metricsService.observe('mv_refresh_duration_seconds', { view: 'vehicle_24h_performance' }, duration / 1000);
       
-      console.log(`✅ Materialized view refreshed in ${duration}ms`);
+      logger.info('Materialized view refreshed', { view: 'vehicle_24h_performance', durationMs: duration });
       return { success: true, duration };
     } catch (error) {
-      console.error('❌ Failed to refresh materialized view:', error.message);
+      logger.error('Failed to refresh materialized view', { view: 'vehicle_24h_performance', error });
       throw error;
     }
   }
 
   /**
-   * Get system-wide statistics
+   * Seconds since the materialized view was last refreshed
+   * (null when it has never been populated)
+   */
+  async getMaterializedViewAge() {
+    const result = await query(
+      `SELECT EXTRACT(EPOCH FROM NOW() - MAX(computed_at)) as age_seconds
+       FROM vehicle_24h_performance`
+    );
+    const age = result.rows[0].age_seconds;
+    return age === null ? null : parseFloat(age);
+  }
+
+  /**
+   * Get system-wide statistics (the caller's tenant only when scoped)
    */
   async getSystemStats() {
     const result = await query('SELECT * FROM get_system_stats()');
     const stats = result.rows[0];
     
     return {
+      tenantId: currentTenant(),
       totalMeters: parseInt(stats.total_meters),
       totalVehicles: parseInt(stats.total_vehicles),
       meterHistoryCount: parseInt(stats.meter_history_count),
       vehicleHistoryCount: parseInt(stats.vehicle_history_count),
       totalRecords: parseInt(stats.total_records),
-      estimatedDailyRecords: (parseInt(stats.total_meters) + parseInt(stats.total_vehicles)) * 1440 // 60s intervals for 24h
+      estimatedDailyRecords: (parseInt(stats.total_meters) + parseInt(stats.total_vehicles)) * 1440, // 60s intervals for 24h
+      lateData: {
+        toleranceSeconds: LATE_DATA_TOLERANCE_MS / 1000,
+        lateRecordsAccepted: Object.fromEntries(deviceTypes.names().map(type =>
+          [type, metricsService.get('late_records_accepted_total', { type })])),
+        outOfOrderRecords: Object.fromEntries(deviceTypes.names().map(type =>
+          [type, metricsService.get('out_of_order_records_total', { type })]))
+      },
+      connectivity: await connectivityService.getSummary()
     };
   }
 
+  /**
+   * Per-tenant device counts and 24h energy totals
+   * Hot tables and the materialized view only, so no history scans
+   */
+  async getTenantStats() {
+    const result = await query(
+      `SELECT
+        t.tenant_id,
+        t.name,
+        t.created_at,
+        (SELECT COUNT(*) FROM meter_current_status m WHERE m.tenant_id = t.tenant_id) as total_meters,
+        (SELECT COUNT(*) FROM vehicle_current_status v WHERE v.tenant_id = t.tenant_id) as total_vehicles,
+        (SELECT COUNT(*) FROM vehicle_current_status v WHERE v.tenant_id = t.tenant_id AND v.is_charging) as vehicles_charging,
+        p.total_ac_consumed,
+        p.total_dc_delivered,
+        p.vehicle_readings,
+        p.meter_readings,
+        p.avg_efficiency
+       FROM tenants t
+       LEFT JOIN (
+         SELECT
+           tenant_id,
+           SUM(total_ac_consumed) as total_ac_consumed,
+           SUM(total_dc_delivered) as total_dc_delivered,
+           SUM(vehicle_readings) as vehicle_readings,
+           SUM(meter_readings) as meter_readings,
+           AVG(efficiency_ratio) FILTER (WHERE efficiency_ratio > 0) as avg_efficiency
+         FROM vehicle_24h_performance
+         GROUP BY tenant_id
+       ) p ON p.tenant_id = t.tenant_id
+       WHERE ($1::text IS NULL OR t.tenant_id = $1)
+       ORDER BY t.tenant_id`,
+      [currentTenant()]
+    );
+
+    return result.rows.map(row => ({
+      tenantId: row.tenant_id,
+      name: row.name,
+      createdAt: row.created_at,
+      totalMeters: parseInt(row.total_meters) || 0,
+      totalVehicles: parseInt(row.total_vehicles) || 0,
+      vehiclesCharging: parseInt(row.vehicles_charging) || 0,
+      last24h: {
+        totalEnergyConsumedAc: parseFloat(row.total_ac_consumed) || 0,
+        totalEnergyDeliveredDc: parseFloat(row.total_dc_delivered) || 0,
+        averageEfficiency: row.avg_efficiency !== null ? parseFloat(parseFloat(row.avg_efficiency).toFixed(2)) : null,
+        vehicleReadings: parseInt(row.vehicle_readings) || 0,
+        meterReadings: parseInt(row.meter_readings) || 0
+      }
+    }));
+  }
+
   /**
    * Get efficiency alerts for vehicles below threshold
    */
-  async getEfficiencyAlerts(threshold = 85) {
+  async getEfficiencyAlerts(threshold = EFFICIENCY_ALERT_THRESHOLD) {
     const result = await query(
       `SELECT 
+        tenant_id,
         vehicle_id,
         efficiency_ratio,
         total_ac_consumed,
@@ -148,17 +244,19 @@ class AnalyticsService {
        FROM vehicle_24h_performance 
        WHERE efficiency_ratio > 0 
        AND efficiency_ratio < $1
+       AND ($2::text IS NULL OR tenant_id = $2)
        ORDER BY efficiency_ratio ASC`,
-      [threshold]
+      [threshold, currentTenant()]
     );
 
     return result.rows.map(row => ({
+      tenantId: row.tenant_id,
       vehicleId: row.vehicle_id,
       efficiencyRatio: parseFloat(row.efficiency_ratio),
       totalAcConsumed: parseFloat(row.total_ac_consumed),
       totalDcDelivered: parseFloat(row.total_dc_delivered),
       avgBatteryTemp: parseFloat(row.avg_battery_temp),
-      alert: 'Low efficiency - possible hardware fault or energy leakage'
+      alert: `Efficiency below ${threshold}% - possible hardware fault or energy leakage`
     }));
   }
 
@@ -183,13 +281,25 @@ class AnalyticsService {
         timeWindow: '24 hours'
       },
       healthCheck: {
-        status: parseFloat(data.efficiency_ratio) >= 85 ? 'healthy' : 'warning',
-        message: parseFloat(data.efficiency_ratio) < 85 
-          ? 'Efficiency below 85% - investigate for hardware fault or energy leakage'
+        status: parseFloat(data.efficiency_ratio) >= EFFICIENCY_ALERT_THRESHOLD ? 'healthy' : 'warning',
+        message: parseFloat(data.efficiency_ratio) < EFFICIENCY_ALERT_THRESHOLD
+          ? `Efficiency below ${EFFICIENCY_ALERT_THRESHOLD}% - investigate for hardware fault or energy leakage`
           : 'Normal operation'
       }
     };
   }
 }
 
-module.exports = new AnalyticsService();
\ No newline at end of file
+// Materialized view age, read at scrape time (refreshes may run on
+// another instance)
+const analyticsService = new AnalyticsService();
+
+metricsService.addCollector(async () => {
+  const age = await analyticsService.getMaterializedViewAge();
+  return age === null ? [] : [
+    { name: 'mv_age_seconds', labels: { view: 'vehicle_24h_performance' }, value: age }
+  ];
+});
+
+module.exports = analyticsService;
+module.exports.EFFICIENCY_ALERT_THRESHOLD = EFFICIENCY_ALERT_THRESHOLD;
\ No newline at end of file
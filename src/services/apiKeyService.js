@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const deviceTypes = require('../deviceTypes');
+const logger = require('../utils/logger');
+
+const API_KEY_SCOPES = ['ingest', 'read', 'admin'];
+
+// Tenant ids: letters, digits, '-' and '_'
+const TENANT_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,99}$/;
+
+// Keys look like eie_<43 base64url chars>; the prefix identifies them in listings
+const KEY_PREFIX = 'eie_';
+const KEY_PREFIX_LENGTH = 12;
+
+// Authenticated keys are cached briefly to keep lookups off the hot path
+const API_KEY_CACHE_MS = (parseInt(process.env.API_KEY_CACHE_SECONDS) || 30) * 1000;
+
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API Key Service
+ * Issues and verifies API keys; only a SHA-256 hash of each key is stored
+ *
+ * Scopes:
+ * - ingest: POST telemetry, restricted to the key's meterIds/vehicleIds
+ *           and deviceIds ({ <type>: [ids] } for any registered type)
+ * - read:   read-only history, status, device and analytics endpoints
+ * - admin:  everything, including ingestion for any device
+ *
+ * A key belongs to one tenant and only sees that tenant's data; keys
+ * without a tenant are platform keys and see every tenant.
+ */
+class ApiKeyService {
+
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Create a key; the plaintext key is returned only here
+   */
+  async createKey(keyData) {
+    const {
+      name, scopes, tenantId = null, meterIds = [], vehicleIds = [], deviceIds = {}, expiresAt = null
+    } = keyData;
+
+    this.validateKeyData(keyData);
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+    const result = await query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, scopes, meter_ids, vehicle_ids, device_ids, expires_at, tenant_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [name, key.slice(0, KEY_PREFIX_LENGTH), this.hash(key), scopes,
+       meterIds.map(String), vehicleIds.map(String),
+       JSON.stringify(Object.fromEntries(Object.entries(deviceIds).map(([type, ids]) => [type, ids.map(String)]))),
+       expiresAt, tenantId]
+    );
+
+    return { ...this.formatKey(result.rows[0]), key };
+  }
+
+  /**
+   * List keys (never includes the key or its hash)
+   * tenantId restricts the list to one tenant's keys
+   */
+  async listKeys(tenantId = null) {
+    const result = await query(
+      `SELECT * FROM api_keys
+       WHERE ($1::text IS NULL OR tenant_id = $1)
+       ORDER BY created_at DESC`,
+      [tenantId]
+    );
+    return result.rows.map(row => this.formatKey(row));
+  }
+
+  /**
+   * Revoke a key; returns null if it does not exist (or belongs to
+   * another tenant when tenantId is given)
+   */
+  async revokeKey(keyId, tenantId = null) {
+    if (!/^\d+$/.test(String(keyId))) {
+      return null;
+    }
+
+    const result = await query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, NOW())
+       WHERE id = $1
+       AND ($2::text IS NULL OR tenant_id = $2)
+       RETURNING *`,
+      [keyId, tenantId]
+    );
+
+    // Drop cached entries so the revocation applies immediately here
+    for (const [hash, entry] of this.cache) {
+      if (entry.key.keyId === parseInt(keyId)) {
+        this.cache.delete(hash);
+      }
+    }
+
+    return result.rows[0] ? this.formatKey(result.rows[0]) : null;
+  }
+
+  /**
+   * Resolve a presented key to an active key record, or null
+   */
+  async authenticate(rawKey) {
+    if (!rawKey || !rawKey.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const hash = this.hash(rawKey);
+    const cached = this.cache.get(hash);
+    if (cached && cached.expires > Date.now()) {
+      return this.isActive(cached.key) ? cached.key : null;
+    }
+
+    const result = await query('SELECT * FROM api_keys WHERE key_hash = $1', [hash]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    // Only real keys are cached, so random guesses cannot grow the cache
+    const key = this.formatKey(result.rows[0]);
+    this.cache.set(hash, { key, expires: Date.now() + API_KEY_CACHE_MS });
+
+    if (!this.isActive(key)) {
+      return null;
+    }
+
+    this.touch(key);
+    return key;
+  }
+
+  /**
+   * Whether a key grants a scope (admin grants every scope)
+   */
+  hasScope(key, scope) {
+    return key.scopes.includes('admin') || key.scopes.includes(scope);
+  }
+
+  /**
+   * Whether a key may ingest telemetry for a device
+   */
+  allowsDevice(key, deviceType, deviceId) {
+    if (key.scopes.includes('admin')) {
+      return true;
+    }
+    if (!key.scopes.includes('ingest')) {
+      return false;
+    }
+
+    const legacy = { meter: key.meterIds, vehicle: key.vehicleIds }[deviceType] || [];
+    const allowed = [...legacy, ...((key.deviceIds || {})[deviceType] || [])];
+    return allowed.includes(String(deviceId));
+  }
+
+  isActive(key) {
+    return !key.revokedAt && (!key.expiresAt || new Date(key.expiresAt) > new Date());
+  }
+
+  /**
+   * Record key usage without delaying the request
+   */
+  touch(key) {
+    if (key.lastUsedAt && Date.now() - new Date(key.lastUsedAt).getTime() < LAST_USED_INTERVAL_MS) {
+      return;
+    }
+
+    key.lastUsedAt = new Date();
+    query('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [key.keyId])
+      .catch(error => logger.error('API key usage update error', { keyId: key.keyId, error }));
+  }
+
+  hash(rawKey) {
+    return crypto.createHash('sha256').update(rawKey).digest('hex');
+  }
+
+  /**
+   * Validate key creation data
+   */
+  validateKeyData(data) {
+    const { name, scopes, tenantId, meterIds = [], vehicleIds = [], deviceIds = {}, expiresAt } = data;
+
+    if (!name || typeof name !== 'string' || name.length > 255) {
+      throw new Error('Invalid name: must be a non-empty string of at most 255 characters');
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 ||
+        !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      throw new Error(`Invalid scopes: must be a non-empty array of ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    if (tenantId !== undefined && tenantId !== null && !TENANT_ID_PATTERN.test(tenantId)) {
+      throw new Error('Invalid tenantId: 1-100 letters, digits, "-" or "_"');
+    }
+
+    if (!Array.isArray(meterIds) || !Array.isArray(vehicleIds)) {
+      throw new Error('Invalid device binding: meterIds and vehicleIds must be arrays');
+    }
+
+    if (!deviceIds || typeof deviceIds !== 'object' || Array.isArray(deviceIds) ||
+        !Object.entries(deviceIds).every(([type, ids]) => deviceTypes.get(type) && Array.isArray(ids))) {
+      throw new Error(`Invalid device binding: deviceIds must map device types (${deviceTypes.names().join(', ')}) to arrays`);
+    }
+
+    const bound = meterIds.length + vehicleIds.length +
+      Object.values(deviceIds).reduce((sum, ids) => sum + ids.length, 0) > 0;
+    if (scopes.includes('ingest') && !scopes.includes('admin') && !bound) {
+      throw new Error('Invalid device binding: ingest keys must list at least one meterId, vehicleId or deviceIds entry');
+    }
+    if (bound && !scopes.includes('ingest')) {
+      throw new Error('Invalid device binding: meterIds/vehicleIds/deviceIds only apply to ingest keys');
+    }
+
+    if (expiresAt !== undefined && expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+      throw new Error('Invalid expiresAt: must be a valid timestamp');
+    }
+  }
+
+  /**
+   * Format key row for API response
+   */
+  formatKey(row) {
+    return {
+      keyId: parseInt(row.id),
+      name: row.name,
+      keyPrefix: row.key_prefix,
+      tenantId: row.tenant_id,
+      scopes: row.scopes,
+      meterIds: row.meter_ids,
+      vehicleIds: row.vehicle_ids,
+      deviceIds: row.device_ids || {},
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      lastUsedAt: row.last_used_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
+module.exports.TENANT_ID_PATTERN = TENANT_ID_PATTERN;
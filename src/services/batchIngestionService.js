@@ -0,0 +1,311 @@
+const { transaction } = require('../config/database');
+const alertService = require('./alertService');
+const metricsService = require('./metricsService');
+const telemetryService = require('./telemetryService');
+const deviceTypes = require('../deviceTypes');
+const { identifyTelemetryType, unknownTypeMessage, INGEST_CHUNK_SIZE } = require('../utils/telemetry');
+
+/**
+ * Batch Ingestion Service
+ * Validates batch records individually and commits them with
+ * per-record results
+ *
+ * Partial mode (default): valid records are committed, invalid ones are
+ * reported. A database error on a type's batch falls back to per-record
+ * writes in savepoints so one bad row cannot sink its neighbours.
+ *
+ * Atomic mode: any invalid record rejects the whole batch, and all
+ * device types are committed in a single transaction.
+ *
+ * Readings already stored (same device id and timestamp) are reported
+ * as duplicates rather than stored again.
+ */
+class BatchIngestionService {
+
+  /**
+   * Ingest classified batch entries
+   * entries: [{ index, type: <device type name>|'unknown', data }]
+   * authorize(entry) may return (or resolve to) an error message to reject
+   * a record (e.g. a device the API key is not bound to, or rate limited)
+   * Returns { accepted, duplicates, rejected, results } with results
+   * ordered by index, plus the accepted count per type under its plural
+   * (meters, vehicles, ...)
+   */
+  async ingest(entries, { atomic = false, authorize = null } = {}) {
+    const results = new Map();
+    const valid = Object.fromEntries(deviceTypes.names().map(type => [type, []]));
+
+    // 1. Validate each record on its own
+    for (const entry of entries) {
+      const invalid = this.validate(entry);
+      if (invalid) {
+        results.set(entry.index, this.rejected(entry, invalid));
+        continue;
+      }
+
+      const denied = authorize ? await authorize(entry) : null;
+      if (denied) {
+        results.set(entry.index, this.rejected(entry, denied));
+      } else {
+        valid[entry.type].push(entry);
+      }
+    }
+
+    // 2. Commit
+    if (atomic) {
+      if (results.size > 0) {
+        for (const entry of Object.values(valid).flat()) {
+          results.set(entry.index, {
+            index: entry.index,
+            type: entry.type,
+            status: 'skipped',
+            error: 'Not committed: batch contains invalid records (atomic mode)'
+          });
+        }
+      } else {
+        await transaction(async (client) => {
+          for (const type of Object.keys(valid)) {
+            if (valid[type].length > 0) {
+              const written = await telemetryService.forType(type).writeBatch(client, valid[type].map(entry => entry.data));
+              for (const result of this.writtenResults(valid[type], written)) {
+                results.set(result.index, result);
+              }
+            }
+          }
+        });
+      }
+    } else {
+      const outcomes = await Promise.all(
+        Object.keys(valid)
+          .filter(type => valid[type].length > 0)
+          .map(type => this.writePartial(type, valid[type]))
+      );
+      for (const outcome of outcomes) {
+        for (const result of outcome) {
+          results.set(result.index, result);
+        }
+      }
+    }
+
+    const ordered = [...results.values()].sort((a, b) => a.index - b.index);
+    const acceptedOfType = (type) => ordered.filter(r => r.status === 'accepted' && r.type === type).length;
+
+    for (const type of Object.keys(valid)) {
+      metricsService.increment('records_ingested_total', { type }, acceptedOfType(type));
+      metricsService.increment('records_duplicate_total', { type },
+        ordered.filter(r => r.status === 'duplicate' && r.type === type).length);
+    }
+
+    // Alert rules see the committed readings (late ones are skipped there)
+    for (const type of Object.keys(valid)) {
+      const committed = valid[type].filter(entry => results.get(entry.index).status === 'accepted');
+      if (committed.length > 0) {
+        await alertService.evaluateReadings(type, committed.map(entry => entry.data));
+      }
+    }
+
+    return {
+      accepted: ordered.filter(r => r.status === 'accepted').length,
+      duplicates: ordered.filter(r => r.status === 'duplicate').length,
+      rejected: ordered.filter(r => r.status === 'rejected' || r.status === 'skipped').length,
+      ...Object.fromEntries(deviceTypes.list().map(type => [type.plural, acceptedOfType(type.name)])),
+      results: ordered
+    };
+  }
+
+  /**
+   * Ingest a stream of parsed records ({ line, data } or { line, error },
+   * see utils/recordStream), committing INGEST_CHUNK_SIZE at a time
+   *
+   * Options:
+   *   authorize        as for ingest()
+   *   dryRun           validate only; valid records are counted, not stored
+   *   skipThroughLine  records up to this line were committed by an earlier
+   *                    run and are skipped (resumed imports)
+   *   onRejected(r)    called with each rejected record's result and line
+   *   onChunk(totals)  called after each chunk with the running totals
+   *
+   * Returns the totals { received, skipped, valid, accepted, duplicates,
+   * rejected, line } and the accepted count per type (as for ingest), plus
+   * the ids of devices with stored or skipped readings per type as
+   * deviceIds { meter: [...], vehicle: [...], ... }. A failure
+   * part-way (e.g. a broken stream) carries the totals so far as
+   * error.totals; chunks committed before it stay stored.
+   */
+  async ingestRecords(records, { authorize = null, dryRun = false, skipThroughLine = 0, onRejected = null, onChunk = null } = {}) {
+    const totals = {
+      received: 0,
+      skipped: 0,
+      valid: 0,
+      accepted: 0,
+      duplicates: 0,
+      rejected: 0,
+      ...Object.fromEntries(deviceTypes.list().map(type => [type.plural, 0])),
+      line: skipThroughLine
+    };
+    const deviceIds = Object.fromEntries(deviceTypes.names().map(type => [type, new Set()]));
+    let entries = [];
+    let lastLine = skipThroughLine;
+
+    const reject = (result) => {
+      totals.rejected++;
+      if (onRejected) {
+        onRejected(result);
+      }
+    };
+
+    const flush = async () => {
+      if (dryRun) {
+        for (const entry of entries) {
+          const invalid = this.validate(entry);
+          if (invalid) {
+            reject({ index: entry.index, line: entry.line, type: entry.type, status: 'rejected', error: invalid });
+          } else {
+            totals.valid++;
+          }
+        }
+      } else if (entries.length > 0) {
+        const outcome = await this.ingest(entries, { authorize });
+        const byIndex = new Map(entries.map(entry => [entry.index, entry]));
+        for (const key of ['accepted', 'duplicates', ...deviceTypes.list().map(type => type.plural)]) {
+          totals[key] += outcome[key];
+        }
+        totals.valid += outcome.accepted + outcome.duplicates;
+        for (const result of outcome.results) {
+          const entry = byIndex.get(result.index);
+          if (result.status === 'rejected') {
+            reject({ index: result.index, line: entry.line, type: result.type, status: result.status, error: result.error });
+          } else {
+            deviceIds[entry.type].add(deviceIdOf(entry.type, entry.data));
+          }
+        }
+      }
+
+      totals.line = lastLine;
+      entries = [];
+      if (onChunk) {
+        await onChunk({ ...totals });
+      }
+    };
+
+    try {
+      for await (const record of records) {
+        if (record.line <= skipThroughLine) {
+          totals.skipped++;
+          const type = record.data && typeof record.data === 'object' ? identifyTelemetryType(record.data) : 'unknown';
+          if (deviceIds[type]) {
+            deviceIds[type].add(deviceIdOf(type, record.data));
+          }
+          continue;
+        }
+
+        const index = totals.received++;
+        lastLine = record.line;
+        if (record.error) {
+          metricsService.increment('validation_failures_total', { type: 'unknown' });
+          reject({ index, line: record.line, type: 'unknown', status: 'rejected', error: record.error });
+          continue;
+        }
+
+        entries.push({
+          index,
+          line: record.line,
+          type: record.data && typeof record.data === 'object' ? identifyTelemetryType(record.data) : 'unknown',
+          data: record.data
+        });
+        if (entries.length >= INGEST_CHUNK_SIZE) {
+          await flush();
+        }
+      }
+      await flush();
+    } catch (error) {
+      error.totals = totals;
+      throw error;
+    }
+
+    return {
+      ...totals,
+      deviceIds: Object.fromEntries(Object.entries(deviceIds).map(([type, ids]) => [type, [...ids]]))
+    };
+  }
+
+  /**
+   * Validation error message for an entry, or null when it is valid
+   */
+  validate(entry) {
+    const service = telemetryService.forType(entry.type);
+    if (!service) {
+      metricsService.increment('validation_failures_total', { type: 'unknown' });
+      return unknownTypeMessage();
+    }
+
+    try {
+      service.validate(entry.data);
+      return null;
+    } catch (error) {
+      metricsService.increment('validation_failures_total', { type: entry.type });
+      return error.message;
+    }
+  }
+
+  /**
+   * Write one type's valid entries, isolating database failures per record
+   */
+  async writePartial(type, entries) {
+    const service = telemetryService.forType(type);
+
+    return await transaction(async (client) => {
+      // Fast path: the whole batch in one go
+      await client.query('SAVEPOINT batch_write');
+      try {
+        const written = await service.writeBatch(client, entries.map(entry => entry.data));
+        await client.query('RELEASE SAVEPOINT batch_write');
+        return this.writtenResults(entries, written);
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT batch_write');
+      }
+
+      // Slow path: find the offending rows one at a time
+      const results = [];
+      for (const entry of entries) {
+        await client.query('SAVEPOINT record_write');
+        try {
+          const written = await service.writeBatch(client, [entry.data]);
+          await client.query('RELEASE SAVEPOINT record_write');
+          results.push(...this.writtenResults([entry], written));
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT record_write');
+          results.push(this.rejected(entry, error.message));
+        }
+      }
+      return results;
+    });
+  }
+
+  /**
+   * Map a writeBatch outcome back to per-entry results
+   */
+  writtenResults(entries, written) {
+    const duplicates = new Set(written.duplicates || []);
+    return entries.map((entry, position) => duplicates.has(position)
+      ? { index: entry.index, type: entry.type, status: 'duplicate' }
+      : this.accepted(entry));
+  }
+
+  accepted(entry) {
+    return { index: entry.index, type: entry.type, status: 'accepted' };
+  }
+
+  rejected(entry, error) {
+    return { index: entry.index, type: entry.type, status: 'rejected', error };
+  }
+}
+
+/**
+ * Device id of a classified reading
+ */
+function deviceIdOf(type, data) {
+  return data[deviceTypes.get(type).idField];
+}
+
+module.exports = new BatchIngestionService();
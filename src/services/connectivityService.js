@@ -0,0 +1,298 @@
+const { query } = require('../config/database');
+const metricsService = require('./metricsService');
+const deviceTypes = require('../deviceTypes');
+const { WRITE_TENANT_SQL } = require('../utils/telemetry');
+
+// Reporting interval of devices without their own expected_interval_seconds
+// (telemetry arrives every 60 seconds)
+const DEVICE_EXPECTED_INTERVAL_SECONDS = parseInt(process.env.DEVICE_EXPECTED_INTERVAL_SECONDS) || 60;
+
+// A device is late after this many missed intervals, offline after this many
+const CONNECTIVITY_LATE_FACTOR = parseFloat(process.env.CONNECTIVITY_LATE_FACTOR) || 2;
+const CONNECTIVITY_OFFLINE_FACTOR = parseFloat(process.env.CONNECTIVITY_OFFLINE_FACTOR) || 5;
+
+const CONNECTIVITY_STATES = ['online', 'late', 'offline'];
+
+// Longest window accepted for uptime reports
+const MAX_UPTIME_HOURS = 24 * 90;
+
+/**
+ * Live connectivity of every device with a hot status, across the hot
+ * tables of all registered device types
+ * ($1 default interval, $2 late factor, $3 offline factor)
+ *
+ * state_at is when the device entered its state: the last reading for
+ * online, the moment its silence crossed the threshold otherwise
+ */
+function connectivitySql() {
+  const observed = deviceTypes.list().map(({ name, idColumn, tables }) => `
+    SELECT '${name}'::text AS device_type, s.${idColumn} AS device_id, s.tenant_id,
+      s.last_updated AS last_seen,
+      COALESCE(d.expected_interval_seconds, $1) AS interval_seconds
+    FROM ${tables.status} s
+    LEFT JOIN devices d
+      ON d.tenant_id = s.tenant_id AND d.device_type = '${name}' AND d.device_id = s.${idColumn}`);
+
+  return `
+  WITH observed AS (${observed.join('\n    UNION ALL')}
+  ),
+  thresholds AS (
+    SELECT *,
+      last_seen + make_interval(secs => interval_seconds * $2::float8) AS late_at,
+      last_seen + make_interval(secs => interval_seconds * $3::float8) AS offline_at
+    FROM observed
+  )
+  SELECT *,
+    CASE WHEN NOW() >= offline_at THEN 'offline'
+         WHEN NOW() >= late_at THEN 'late'
+         ELSE 'online' END AS state,
+    CASE WHEN NOW() >= offline_at THEN offline_at
+         WHEN NOW() >= late_at THEN late_at
+         ELSE last_seen END AS state_at
+  FROM thresholds`;
+}
+
+const CONNECTIVITY_PARAMS = [
+  DEVICE_EXPECTED_INTERVAL_SECONDS,
+  CONNECTIVITY_LATE_FACTOR,
+  CONNECTIVITY_OFFLINE_FACTOR
+];
+
+/**
+ * Connectivity Service
+ * Online / late / offline state per device from the hot-status tables
+ * (last_updated against the device's expected reporting interval), with
+ * a transition history for uptime reporting
+ *
+ * Reads compute the state live, so they never lag; the history is
+ * written by the device-connectivity job, which backdates each
+ * transition to when it actually happened.
+ */
+class ConnectivityService {
+
+  /**
+   * Devices in the given states, longest in that state first
+   */
+  async listDevices({ type = null, states = ['offline'], limit = 100 } = {}) {
+    const result = await query(
+      `SELECT c.*, dc.state AS recorded_state, dc.since AS recorded_since
+       FROM (${connectivitySql()}) c
+       LEFT JOIN device_connectivity dc
+         ON dc.tenant_id = c.tenant_id AND dc.device_type = c.device_type AND dc.device_id = c.device_id
+       WHERE c.state = ANY($4)
+       AND ($5::text IS NULL OR c.device_type = $5)
+       ORDER BY c.last_seen
+       LIMIT $6`,
+      [...CONNECTIVITY_PARAMS, states, type, limit]
+    );
+
+    return result.rows.map(row => this.formatConnectivity(row));
+  }
+
+  /**
+   * Device counts per type and state
+   */
+  async getSummary() {
+    const result = await query(
+      `SELECT device_type, state, COUNT(*) as devices
+       FROM (${connectivitySql()}) c
+       GROUP BY device_type, state`,
+      CONNECTIVITY_PARAMS
+    );
+
+    const summary = {};
+    for (const type of deviceTypes.names()) {
+      summary[type] = Object.fromEntries(CONNECTIVITY_STATES.map(state => [state, 0]));
+    }
+    for (const row of result.rows) {
+      summary[row.device_type][row.state] = parseInt(row.devices);
+    }
+
+    return {
+      expectedIntervalSeconds: DEVICE_EXPECTED_INTERVAL_SECONDS,
+      lateFactor: CONNECTIVITY_LATE_FACTOR,
+      offlineFactor: CONNECTIVITY_OFFLINE_FACTOR,
+      ...summary
+    };
+  }
+
+  /**
+   * Current state of one device of the current tenant (the default tenant
+   * when unscoped) with its transitions and uptime over the last `hours`;
+   * null for a device that never reported
+   *
+   * Uptime is the share of the window (from the device's first recorded
+   * state, if later) it was not offline; late counts as up.
+   */
+  async getDeviceConnectivity(deviceType, deviceId, hours = 24) {
+    const current = await query(
+      `SELECT c.*, dc.state AS recorded_state, dc.since AS recorded_since
+       FROM (${connectivitySql()}) c
+       LEFT JOIN device_connectivity dc
+         ON dc.tenant_id = c.tenant_id AND dc.device_type = c.device_type AND dc.device_id = c.device_id
+       WHERE c.device_type = $4 AND c.device_id = $5 AND c.tenant_id = ${WRITE_TENANT_SQL}`,
+      [...CONNECTIVITY_PARAMS, deviceType, deviceId]
+    );
+    if (current.rows.length === 0) {
+      return null;
+    }
+
+    const windowEnd = new Date();
+    const windowStart = new Date(windowEnd.getTime() - hours * 3600 * 1000);
+
+    // The last transition before the window gives the state at its start
+    const history = await query(
+      `(SELECT * FROM device_connectivity_history
+        WHERE tenant_id = $4 AND device_type = $1 AND device_id = $2 AND changed_at < $3
+        ORDER BY changed_at DESC, id DESC
+        LIMIT 1)
+       UNION ALL
+       (SELECT * FROM device_connectivity_history
+        WHERE tenant_id = $4 AND device_type = $1 AND device_id = $2 AND changed_at >= $3
+        ORDER BY changed_at, id)
+       ORDER BY changed_at, id`,
+      [deviceType, deviceId, windowStart, current.rows[0].tenant_id]
+    );
+
+    const connectivity = this.formatConnectivity(current.rows[0]);
+    const transitions = history.rows.map(row => this.formatTransition(row));
+
+    return {
+      ...connectivity,
+      window: {
+        from: windowStart,
+        to: windowEnd,
+        hours,
+        ...this.computeUptime(transitions, connectivity, windowStart, windowEnd)
+      },
+      transitions: transitions.filter(t => t.changedAt >= windowStart)
+    };
+  }
+
+  /**
+   * Seconds spent in each state within the window, and uptime percentage
+   * The live state is appended when the job has not recorded it yet
+   */
+  computeUptime(transitions, current, windowStart, windowEnd) {
+    const changes = transitions.map(t => ({ state: t.toState, at: t.changedAt }));
+    const last = changes[changes.length - 1];
+    if (!last || last.state !== current.state) {
+      changes.push({ state: current.state, at: new Date(current.since) });
+    }
+
+    const seconds = Object.fromEntries(CONNECTIVITY_STATES.map(state => [state, 0]));
+    changes.forEach((change, i) => {
+      const from = Math.max(change.at.getTime(), windowStart.getTime());
+      const to = Math.min(i + 1 < changes.length ? changes[i + 1].at.getTime() : windowEnd.getTime(), windowEnd.getTime());
+      if (to > from) {
+        seconds[change.state] += (to - from) / 1000;
+      }
+    });
+
+    const observed = CONNECTIVITY_STATES.reduce((sum, state) => sum + seconds[state], 0);
+    for (const state of CONNECTIVITY_STATES) {
+      seconds[state] = Math.round(seconds[state]);
+    }
+
+    return {
+      secondsInState: seconds,
+      uptimePercent: observed > 0
+        ? parseFloat((((observed - seconds.offline) / observed) * 100).toFixed(2))
+        : null
+    };
+  }
+
+  /**
+   * Record connectivity changes since the last run (device-connectivity job)
+   * Devices seen for the first time get a transition from null
+   */
+  async recordTransitions() {
+    const result = await query(
+      `WITH live AS (${connectivitySql()}),
+       changed AS (
+         SELECT l.*, dc.state AS from_state,
+           -- A reading cannot end a state before the state was recorded
+           GREATEST(l.state_at, dc.since) AS changed_at
+         FROM live l
+         LEFT JOIN device_connectivity dc
+           ON dc.tenant_id = l.tenant_id AND dc.device_type = l.device_type AND dc.device_id = l.device_id
+         WHERE dc.state IS DISTINCT FROM l.state
+       ),
+       upserted AS (
+         INSERT INTO device_connectivity (device_type, device_id, tenant_id, state, since)
+         SELECT device_type, device_id, tenant_id, state, changed_at FROM changed
+         ON CONFLICT (tenant_id, device_type, device_id) DO UPDATE SET
+           state = EXCLUDED.state,
+           since = EXCLUDED.since,
+           updated_at = NOW()
+       )
+       INSERT INTO device_connectivity_history
+         (tenant_id, device_type, device_id, from_state, to_state, changed_at, last_seen)
+       SELECT tenant_id, device_type, device_id, from_state, state, changed_at, last_seen
+       FROM changed
+       RETURNING device_type, from_state, to_state`,
+      CONNECTIVITY_PARAMS
+    );
+
+    const totals = { transitions: 0, newDevices: 0, online: 0, late: 0, offline: 0 };
+    for (const row of result.rows) {
+      if (row.from_state === null) {
+        totals.newDevices++;
+        continue;
+      }
+      totals.transitions++;
+      totals[row.to_state]++;
+      metricsService.increment('device_connectivity_transitions_total', {
+        type: row.device_type,
+        state: row.to_state
+      });
+    }
+    return totals;
+  }
+
+  formatConnectivity(row) {
+    // The recorded since holds while the job agrees with the live state
+    const since = row.recorded_state === row.state && row.recorded_since
+      ? row.recorded_since
+      : row.state_at;
+
+    return {
+      deviceType: row.device_type,
+      deviceId: row.device_id,
+      tenantId: row.tenant_id,
+      state: row.state,
+      since,
+      lastSeen: row.last_seen,
+      silentSeconds: Math.max(Math.round((Date.now() - new Date(row.last_seen).getTime()) / 1000), 0),
+      expectedIntervalSeconds: parseInt(row.interval_seconds)
+    };
+  }
+
+  formatTransition(row) {
+    return {
+      fromState: row.from_state,
+      toState: row.to_state,
+      changedAt: row.changed_at,
+      lastSeen: row.last_seen
+    };
+  }
+}
+
+const connectivityService = new ConnectivityService();
+
+metricsService.addCollector(async () => {
+  const result = await query(
+    `SELECT device_type, state, COUNT(*) as devices
+     FROM device_connectivity
+     GROUP BY device_type, state`
+  );
+  return result.rows.map(row => ({
+    name: 'device_connectivity',
+    labels: { type: row.device_type, state: row.state },
+    value: parseInt(row.devices)
+  }));
+});
+
+module.exports = connectivityService;
+module.exports.CONNECTIVITY_STATES = CONNECTIVITY_STATES;
+module.exports.MAX_UPTIME_HOURS = MAX_UPTIME_HOURS;
@@ -0,0 +1,222 @@
+const { WRITE_TENANT_SQL } = require('../utils/telemetry');
+
+const COUNTER_MODES = ['interval', 'cumulative'];
+
+// Mode for devices that are not registered (or have no explicit mode)
+const DEFAULT_COUNTER_MODE = COUNTER_MODES.includes(process.env.DEFAULT_COUNTER_MODE)
+  ? process.env.DEFAULT_COUNTER_MODE
+  : 'interval';
+
+// A drop from at least this fraction of counter_max is treated as a rollover
+const ROLLOVER_THRESHOLD = 0.9;
+
+/**
+ * Counter Service
+ * Converts energy register readings into interval deltas
+ *
+ * interval:   the device reports energy used since its last report,
+ *             so the delta is the raw value
+ * cumulative: the device reports a monotonically increasing register;
+ *             the delta is the difference from the previous reading,
+ *             with counter resets and rollovers detected
+ */
+class CounterService {
+
+  /**
+   * Load counter configuration for a set of devices
+   * Returns Map<deviceId, { mode, max }>
+   */
+  async getCounterConfig(client, deviceType, deviceIds) {
+    const result = await client.query(
+      `SELECT device_id, counter_mode, counter_max FROM devices
+       WHERE device_type = $1 AND device_id = ANY($2) AND tenant_id = ${WRITE_TENANT_SQL}`,
+      [deviceType, deviceIds]
+    );
+
+    const config = new Map();
+    for (const id of deviceIds) {
+      config.set(id, { mode: DEFAULT_COUNTER_MODE, max: null });
+    }
+    for (const row of result.rows) {
+      config.set(row.device_id, {
+        mode: row.counter_mode || DEFAULT_COUNTER_MODE,
+        max: row.counter_max !== null ? parseFloat(row.counter_max) : null
+      });
+    }
+    return config;
+  }
+
+  /**
+   * Compute the interval delta for a reading
+   * prevRaw is the previous register value (null if none)
+   * Returns { delta, event } where event is null, 'baseline', 'reset' or 'rollover'
+   */
+  computeDelta(prevRaw, raw, config) {
+    if (config.mode !== 'cumulative') {
+      return { delta: raw, event: null };
+    }
+
+    // First reading only establishes the register baseline
+    if (prevRaw === null || prevRaw === undefined) {
+      return { delta: 0, event: 'baseline' };
+    }
+
+    if (raw >= prevRaw) {
+      return { delta: this.round(raw - prevRaw), event: null };
+    }
+
+    // Register went backwards: wrapped past its maximum, or was reset to zero
+    if (config.max && prevRaw >= config.max * ROLLOVER_THRESHOLD) {
+      return { delta: this.round(config.max - prevRaw + raw), event: 'rollover' };
+    }
+
+    return { delta: raw, event: 'reset' };
+  }
+
+  /**
+   * Resolve deltas for readings of one device type inside a transaction
+   * spec: { deviceType, historyTable, idColumn, rawColumn } where the
+   * counter is stored (from the device type definition); deltas are
+   * stored in <rawColumn>_delta
+   * readings: [{ deviceId, raw, timestamp }] (any order)
+   *
+   * Cumulative readings are walked in time order together with the
+   * readings already stored around them: from the latest one before the
+   * set, through any stored within its span, to the first one after it.
+   * A stored reading that now follows a new one gets its delta recomputed
+   * (returned as that new reading's `successor`, written by
+   * applyCorrections once the reading is known to be inserted), so a late
+   * or backfilled reading does not count the same energy twice. A new
+   * reading at the timestamp of a stored one is a duplicate and leaves the
+   * sequence alone.
+   * Cumulative devices are locked per tenant until the transaction ends,
+   * so concurrent ingests of a device never share a baseline.
+   * Returns an array of { delta, event, successor? } aligned with the input.
+   */
+  async resolveDeltas(client, spec, readings) {
+    const deviceIds = [...new Set(readings.map(reading => reading.deviceId))];
+    const config = await this.getCounterConfig(client, spec.deviceType, deviceIds);
+
+    const results = new Array(readings.length);
+    const cumulative = readings
+      .map((reading, index) => ({ ...reading, index, at: new Date(reading.timestamp).getTime() }))
+      .filter(reading => config.get(reading.deviceId).mode === 'cumulative');
+
+    // Interval-mode readings pass through untouched
+    readings.forEach((reading, index) => {
+      if (config.get(reading.deviceId).mode !== 'cumulative') {
+        results[index] = { delta: reading.raw, event: null };
+      }
+    });
+
+    if (cumulative.length === 0) {
+      return results;
+    }
+
+    const spans = new Map();
+    for (const reading of cumulative) {
+      const span = spans.get(reading.deviceId);
+      if (!span) {
+        spans.set(reading.deviceId, { earliest: reading.at, latest: reading.at });
+      } else {
+        span.earliest = Math.min(span.earliest, reading.at);
+        span.latest = Math.max(span.latest, reading.at);
+      }
+    }
+
+    // Serialize counter resolution per device (sorted: no lock-order deadlocks)
+    const ids = [...spans.keys()].sort();
+    await client.query(
+      `SELECT pg_advisory_xact_lock(hashtext('counter:' || ${WRITE_TENANT_SQL} || ':' || $1 || ':' || d.id))
+       FROM unnest($2::text[]) WITH ORDINALITY AS d(id, position)
+       ORDER BY d.position`,
+      [spec.deviceType, ids]
+    );
+
+    const stored = await client.query(
+      `SELECT s.device_id, h.id, h.recorded_at, h.raw
+       FROM unnest($1::text[], $2::timestamptz[], $3::timestamptz[]) AS s(device_id, earliest, latest)
+       CROSS JOIN LATERAL (
+         (SELECT id, recorded_at, ${spec.rawColumn} as raw FROM ${spec.historyTable}
+          WHERE ${spec.idColumn} = s.device_id AND tenant_id = ${WRITE_TENANT_SQL}
+          AND recorded_at < s.earliest
+          ORDER BY recorded_at DESC LIMIT 1)
+         UNION ALL
+         (SELECT id, recorded_at, ${spec.rawColumn} FROM ${spec.historyTable}
+          WHERE ${spec.idColumn} = s.device_id AND tenant_id = ${WRITE_TENANT_SQL}
+          AND recorded_at BETWEEN s.earliest AND s.latest)
+         UNION ALL
+         (SELECT id, recorded_at, ${spec.rawColumn} FROM ${spec.historyTable}
+          WHERE ${spec.idColumn} = s.device_id AND tenant_id = ${WRITE_TENANT_SQL}
+          AND recorded_at > s.latest
+          ORDER BY recorded_at LIMIT 1)
+       ) h`,
+      [
+        ids,
+        ids.map(id => new Date(spans.get(id).earliest).toISOString()),
+        ids.map(id => new Date(spans.get(id).latest).toISOString())
+      ]
+    );
+
+    // Per device, stored and new readings in time order (stored first at
+    // equal times, so the new one is the duplicate)
+    const sequences = new Map(ids.map(id => [id, []]));
+    for (const row of stored.rows) {
+      sequences.get(row.device_id).push({
+        storedId: row.id,
+        raw: parseFloat(row.raw),
+        at: new Date(row.recorded_at).getTime()
+      });
+    }
+    for (const reading of cumulative) {
+      sequences.get(reading.deviceId).push(reading);
+    }
+
+    for (const [deviceId, sequence] of sequences) {
+      sequence.sort((a, b) => a.at - b.at || (a.storedId === undefined) - (b.storedId === undefined));
+
+      let previous = null;
+      for (const entry of sequence) {
+        const prevRaw = previous ? previous.raw : null;
+
+        if (entry.storedId === undefined) {
+          results[entry.index] = this.computeDelta(prevRaw, entry.raw, config.get(deviceId));
+          if (previous && previous.at === entry.at) {
+            continue;
+          }
+        } else if (previous && previous.storedId === undefined) {
+          // Stored successor of a new reading: its interval now starts there
+          results[previous.index].successor = { id: entry.storedId, ...this.computeDelta(prevRaw, entry.raw, config.get(deviceId)) };
+        }
+        previous = entry;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Write recomputed deltas of stored successors ([{ id, delta, event }],
+   * from resolveDeltas) for the new readings that were actually inserted
+   */
+  async applyCorrections(client, spec, corrections) {
+    if (corrections.length === 0) {
+      return;
+    }
+
+    await client.query(
+      `UPDATE ${spec.historyTable} h
+       SET ${spec.rawColumn}_delta = c.delta, counter_event = c.event
+       FROM unnest($1::bigint[], $2::numeric[], $3::varchar[]) AS c(id, delta, event)
+       WHERE h.id = c.id`,
+      [corrections.map(c => c.id), corrections.map(c => c.delta), corrections.map(c => c.event)]
+    );
+  }
+
+  round(value) {
+    return parseFloat(value.toFixed(4));
+  }
+}
+
+module.exports = new CounterService();
+module.exports.COUNTER_MODES = COUNTER_MODES;
@@ -0,0 +1,344 @@
+const { query, transaction } = require('../config/database');
+const { COUNTER_MODES } = require('./counterService');
+const deviceTypes = require('../deviceTypes');
+
+// Device types that take part in pairings, with their pairing column
+const PAIRING_COLUMNS = {
+  meter: 'meter_id',
+  vehicle: 'vehicle_id'
+};
+
+/**
+ * Device Service
+ * Device registry and time-bounded meter <-> vehicle pairings
+ */
+class DeviceService {
+
+  // =====================================================
+  // Devices
+  // =====================================================
+
+  /**
+   * Register a new device
+   * Without a counterMode the device follows DEFAULT_COUNTER_MODE
+   */
+  async createDevice(deviceData) {
+    const {
+      deviceId, deviceType, name = null, metadata = {},
+      counterMode, counterMax = null, expectedIntervalSeconds = null
+    } = deviceData;
+
+    this.validateDeviceData(deviceData);
+
+    const result = await query(
+      `INSERT INTO devices (device_id, device_type, name, metadata, counter_mode, counter_max, expected_interval_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (tenant_id, device_type, device_id) DO NOTHING
+       RETURNING *`,
+      [deviceId, deviceType, name, metadata, counterMode ?? null, counterMax, expectedIntervalSeconds]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Device already registered: ${deviceType} ${deviceId}`);
+    }
+
+    return this.formatDevice(result.rows[0]);
+  }
+
+  /**
+   * List registered devices, optionally filtered by type
+   */
+  async listDevices(deviceType) {
+    const result = deviceType
+      ? await query(
+        'SELECT * FROM devices WHERE device_type = $1 ORDER BY device_id',
+        [deviceType]
+      )
+      : await query('SELECT * FROM devices ORDER BY device_type, device_id');
+
+    return result.rows.map(row => this.formatDevice(row));
+  }
+
+  /**
+   * Get a single device
+   */
+  async getDevice(deviceType, deviceId) {
+    const result = await query(
+      'SELECT * FROM devices WHERE device_type = $1 AND device_id = $2',
+      [deviceType, deviceId]
+    );
+    return result.rows[0] ? this.formatDevice(result.rows[0]) : null;
+  }
+
+  /**
+   * Update device name/metadata/counter configuration/reporting interval
+   * Pass counterMax: null to clear the rollover limit, and
+   * expectedIntervalSeconds: null to fall back to the default interval
+   */
+  async updateDevice(deviceType, deviceId, updates) {
+    const { name, metadata, counterMode, counterMax, expectedIntervalSeconds } = updates;
+
+    this.validateDeviceUpdates(updates);
+
+    const result = await query(
+      `UPDATE devices SET
+         name = COALESCE($3, name),
+         metadata = COALESCE($4, metadata),
+         counter_mode = COALESCE($5, counter_mode),
+         counter_max = CASE WHEN $6 THEN $7::decimal ELSE counter_max END,
+         expected_interval_seconds = CASE WHEN $8 THEN $9::integer ELSE expected_interval_seconds END,
+         updated_at = NOW()
+       WHERE device_type = $1 AND device_id = $2
+       RETURNING *`,
+      [deviceType, deviceId, name ?? null, metadata ?? null,
+       counterMode ?? null, counterMax !== undefined, counterMax ?? null,
+       expectedIntervalSeconds !== undefined, expectedIntervalSeconds ?? null]
+    );
+    return result.rows[0] ? this.formatDevice(result.rows[0]) : null;
+  }
+
+  /**
+   * Remove a device and its pairings
+   */
+  async deleteDevice(deviceType, deviceId) {
+    return await transaction(async (client) => {
+      const column = PAIRING_COLUMNS[deviceType];
+      if (column) {
+        await client.query(
+          `DELETE FROM meter_vehicle_pairings WHERE ${column} = $1`,
+          [deviceId]
+        );
+      }
+
+      const result = await client.query(
+        'DELETE FROM devices WHERE device_type = $1 AND device_id = $2',
+        [deviceType, deviceId]
+      );
+      return result.rowCount > 0;
+    });
+  }
+
+  // =====================================================
+  // Pairings
+  // =====================================================
+
+  /**
+   * Pair a meter with a vehicle for a time interval
+   * A meter can only feed one vehicle at a time, so overlapping
+   * intervals on the same meter are rejected
+   */
+  async createPairing(pairingData) {
+    const { meterId, vehicleId, pairedFrom, pairedTo = null } = pairingData;
+
+    this.validatePairingData(pairingData);
+
+    return await transaction(async (client) => {
+      const devices = await client.query(
+        `SELECT device_type FROM devices
+         WHERE (device_type = 'meter' AND device_id = $1)
+         OR (device_type = 'vehicle' AND device_id = $2)`,
+        [meterId, vehicleId]
+      );
+      const types = devices.rows.map(row => row.device_type);
+      if (!types.includes('meter')) {
+        throw new Error(`Unknown meter: ${meterId}`);
+      }
+      if (!types.includes('vehicle')) {
+        throw new Error(`Unknown vehicle: ${vehicleId}`);
+      }
+
+      // Serialize pairing changes per meter
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`pairing:${meterId}`]);
+
+      const overlap = await client.query(
+        `SELECT id FROM meter_vehicle_pairings
+         WHERE meter_id = $1
+         AND tstzrange(paired_from, paired_to) && tstzrange($2::timestamptz, $3::timestamptz)
+         LIMIT 1`,
+        [meterId, pairedFrom, pairedTo]
+      );
+      if (overlap.rows.length > 0) {
+        throw new Error(`Meter ${meterId} is already paired during this interval (pairing ${overlap.rows[0].id})`);
+      }
+
+      const result = await client.query(
+        `INSERT INTO meter_vehicle_pairings (meter_id, vehicle_id, paired_from, paired_to)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [meterId, vehicleId, pairedFrom, pairedTo]
+      );
+      return this.formatPairing(result.rows[0]);
+    });
+  }
+
+  /**
+   * List pairings filtered by meter, vehicle and/or point in time
+   */
+  async listPairings(filters = {}) {
+    const { meterId, vehicleId, at } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (meterId) {
+      params.push(meterId);
+      conditions.push(`meter_id = $${params.length}`);
+    }
+    if (vehicleId) {
+      params.push(vehicleId);
+      conditions.push(`vehicle_id = $${params.length}`);
+    }
+    if (at) {
+      params.push(at);
+      conditions.push(`paired_from <= $${params.length} AND (paired_to IS NULL OR paired_to > $${params.length})`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query(
+      `SELECT * FROM meter_vehicle_pairings ${where} ORDER BY paired_from DESC`,
+      params
+    );
+    return result.rows.map(row => this.formatPairing(row));
+  }
+
+  /**
+   * Close an open pairing (vehicle unplugged)
+   * Pairings can only be shortened, never extended into a neighbour
+   */
+  async endPairing(pairingId, pairedTo) {
+    if (!/^\d+$/.test(String(pairingId))) {
+      return null;
+    }
+
+    const endTime = pairedTo || new Date().toISOString();
+    if (isNaN(new Date(endTime).getTime())) {
+      throw new Error('Invalid pairedTo: must be a valid ISO 8601 date string');
+    }
+
+    const result = await query(
+      `UPDATE meter_vehicle_pairings SET paired_to = $2
+       WHERE id = $1 AND paired_from < $2
+       AND (paired_to IS NULL OR paired_to >= $2)
+       RETURNING *`,
+      [pairingId, endTime]
+    );
+    return result.rows[0] ? this.formatPairing(result.rows[0]) : null;
+  }
+
+  /**
+   * Delete a pairing entirely (e.g. registered by mistake)
+   */
+  async deletePairing(pairingId) {
+    if (!/^\d+$/.test(String(pairingId))) {
+      return false;
+    }
+
+    const result = await query(
+      'DELETE FROM meter_vehicle_pairings WHERE id = $1',
+      [pairingId]
+    );
+    return result.rowCount > 0;
+  }
+
+  // =====================================================
+  // Validation & Formatting
+  // =====================================================
+
+  /**
+   * Validate device registration data
+   */
+  validateDeviceData(data) {
+    const { deviceId, deviceType } = data;
+
+    if (!deviceId || typeof deviceId !== 'string') {
+      throw new Error('Invalid deviceId: must be a non-empty string');
+    }
+
+    if (!deviceTypes.get(deviceType)) {
+      throw new Error(`Invalid deviceType: must be one of ${deviceTypes.names().join(', ')}`);
+    }
+
+    this.validateDeviceUpdates(data);
+  }
+
+  /**
+   * Validate mutable device fields
+   */
+  validateDeviceUpdates(data) {
+    const { metadata, counterMode, counterMax, expectedIntervalSeconds } = data;
+
+    if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null)) {
+      throw new Error('Invalid metadata: must be an object');
+    }
+
+    if (counterMode !== undefined && !COUNTER_MODES.includes(counterMode)) {
+      throw new Error(`Invalid counterMode: must be one of ${COUNTER_MODES.join(', ')}`);
+    }
+
+    if (counterMax !== undefined && counterMax !== null &&
+        (typeof counterMax !== 'number' || counterMax <= 0)) {
+      throw new Error('Invalid counterMax: must be a positive number or null');
+    }
+
+    if (expectedIntervalSeconds !== undefined && expectedIntervalSeconds !== null &&
+        (!Number.isInteger(expectedIntervalSeconds) || expectedIntervalSeconds <= 0)) {
+      throw new Error('Invalid expectedIntervalSeconds: must be a positive integer or null');
+    }
+  }
+
+  /**
+   * Validate pairing data
+   */
+  validatePairingData(data) {
+    const { meterId, vehicleId, pairedFrom, pairedTo } = data;
+
+    if (!meterId || typeof meterId !== 'string') {
+      throw new Error('Invalid meterId: must be a non-empty string');
+    }
+
+    if (!vehicleId || typeof vehicleId !== 'string') {
+      throw new Error('Invalid vehicleId: must be a non-empty string');
+    }
+
+    if (!pairedFrom || isNaN(new Date(pairedFrom).getTime())) {
+      throw new Error('Invalid pairedFrom: must be a valid ISO 8601 date string');
+    }
+
+    if (pairedTo !== undefined && pairedTo !== null) {
+      if (isNaN(new Date(pairedTo).getTime())) {
+        throw new Error('Invalid pairedTo: must be a valid ISO 8601 date string');
+      }
+      if (new Date(pairedTo) <= new Date(pairedFrom)) {
+        throw new Error('Invalid pairedTo: must be after pairedFrom');
+      }
+    }
+  }
+
+  formatDevice(row) {
+    return {
+      deviceId: row.device_id,
+      deviceType: row.device_type,
+      tenantId: row.tenant_id,
+      name: row.name,
+      metadata: row.metadata,
+      counterMode: row.counter_mode,
+      counterMax: row.counter_max !== null ? parseFloat(row.counter_max) : null,
+      expectedIntervalSeconds: row.expected_interval_seconds ?? null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  formatPairing(row) {
+    return {
+      pairingId: parseInt(row.id),
+      meterId: row.meter_id,
+      vehicleId: row.vehicle_id,
+      pairedFrom: row.paired_from,
+      pairedTo: row.paired_to,
+      active: row.paired_to === null || new Date(row.paired_to) > new Date()
+    };
+  }
+}
+
+module.exports = new DeviceService();
+module.exports.PAIRING_COLUMNS = PAIRING_COLUMNS;
@@ -0,0 +1,96 @@
+const { query } = require('../config/database');
+const deviceTypes = require('../deviceTypes');
+const { invalidTypeMessage } = require('../utils/telemetry');
+
+// Rows fetched per query while exporting
+const EXPORT_PAGE_SIZE = parseInt(process.env.EXPORT_PAGE_SIZE) || 10000;
+
+/**
+ * Exported fields of a device type: [field, column, kind]
+ * Field names match the ingestion payload, so exports can be imported
+ * again; the counter's interval delta is exported as <counter>Delta
+ */
+function exportFields(type) {
+  const fields = [[type.idField, type.idColumn, 'string']];
+  for (const [field, { column, type: kind }] of Object.entries(type.fields)) {
+    fields.push([field, column, kind]);
+    if (field === type.counter) {
+      fields.push([`${field}Delta`, `${column}_delta`, 'number']);
+    }
+  }
+  fields.push(['timestamp', 'recorded_at', 'timestamp']);
+  if (type.counter) {
+    fields.push(['counterEvent', 'counter_event', 'string']);
+  }
+  fields.push(['tenantId', 'tenant_id', 'string']);
+  return fields;
+}
+
+/**
+ * Export Service
+ * Reads stored history for bulk exports, oldest first, one page at a
+ * time so a range of any size streams with bounded memory
+ */
+class ExportService {
+
+  /**
+   * Yield history readings of one device type in [from, to), oldest
+   * first; deviceIds limits the export to those devices (all when empty)
+   */
+  async *readHistory(typeName, { deviceIds = [], from, to }) {
+    const type = deviceTypes.get(typeName);
+    if (!type) {
+      throw new Error(invalidTypeMessage());
+    }
+
+    const fields = exportFields(type);
+    const columns = fields.map(([, column]) => column).join(', ');
+    let cursor = null;
+
+    do {
+      const params = [from, to, deviceIds.length > 0 ? deviceIds : null];
+      let cursorCondition = '';
+      if (cursor) {
+        params.push(cursor.t, cursor.id);
+        cursorCondition = 'AND (recorded_at, id) > ($4, $5)';
+      }
+      params.push(EXPORT_PAGE_SIZE);
+
+      const result = await query(
+        `SELECT id, ${columns} FROM ${type.tables.history}
+         WHERE recorded_at >= $1 AND recorded_at < $2
+         AND ($3::varchar[] IS NULL OR ${type.idColumn} = ANY($3))
+         ${cursorCondition}
+         ORDER BY recorded_at, id
+         LIMIT $${params.length}`,
+        params
+      );
+
+      for (const row of result.rows) {
+        yield this.formatRow(fields, row);
+      }
+
+      const last = result.rows[result.rows.length - 1];
+      cursor = result.rows.length === EXPORT_PAGE_SIZE
+        ? { t: last.recorded_at, id: last.id }
+        : null;
+    } while (cursor);
+  }
+
+  /**
+   * History row as an export record (numbers as numbers, null when unset)
+   */
+  formatRow(fields, row) {
+    const record = {};
+    for (const [field, column, kind] of fields) {
+      const value = row[column];
+      record[field] = value === null || value === undefined
+        ? null
+        : kind === 'number' ? parseFloat(value) : value;
+    }
+    return record;
+  }
+}
+
+module.exports = new ExportService();
+module.exports.exportFields = exportFields;
@@ -0,0 +1,156 @@
+const { query, getPoolStats } = require('../config/database');
+const migrationService = require('./migrationService');
+const analyticsService = require('./analyticsService');
+const mqttIngestionService = require('./mqttIngestionService');
+
+// Each readiness check fails if it takes longer than this
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+// Not ready while requests queue for a connection longer than this on average
+const READY_POOL_WAIT_MS = parseInt(process.env.READY_POOL_WAIT_MS) || 1000;
+
+// Materialized view older than this is reported as stale
+const MV_STALE_AFTER_SECONDS = parseInt(process.env.MV_STALE_AFTER_SECONDS) || 900;
+
+/**
+ * Health Service
+ * Liveness (the process is up) and readiness (this instance can serve
+ * traffic) probes
+ *
+ * Readiness checks report pass, warn or fail; any fail makes the instance
+ * not ready. A stale materialized view only warns: analytics lag does not
+ * stop ingestion, and every instance shares the same view.
+ */
+class HealthService {
+  constructor() {
+    this.startedAt = new Date();
+    // Newest migration of this build, read from disk once
+    const migrations = migrationService.listMigrations();
+    this.latestMigration = migrations.length > 0 ? migrations[migrations.length - 1].version : null;
+  }
+
+  /**
+   * Liveness: answers without touching the database, so an outage does
+   * not get healthy processes restarted
+   */
+  liveness() {
+    return {
+      status: 'pass',
+      startedAt: this.startedAt,
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Readiness: run every check (in parallel, each time-boxed)
+   * Returns { status, ready, checks, timestamp }
+   */
+  async readiness() {
+    const checks = {
+      database: () => this.checkDatabase(),
+      pool: () => this.checkPool(),
+      schema: () => this.checkSchema(),
+      materializedView: () => this.checkMaterializedView()
+    };
+    if (mqttIngestionService.enabled) {
+      checks.mqtt = () => this.checkMqtt();
+    }
+
+    const results = await Promise.all(Object.entries(checks).map(async ([name, check]) => {
+      const start = Date.now();
+      try {
+        const result = await withTimeout(check(), HEALTH_CHECK_TIMEOUT_MS, `${name} check timed out`);
+        return [name, { ...result, durationMs: Date.now() - start }];
+      } catch (error) {
+        return [name, { status: 'fail', error: error.message, durationMs: Date.now() - start }];
+      }
+    }));
+
+    const statuses = results.map(([, result]) => result.status);
+    const status = statuses.includes('fail') ? 'fail' : statuses.includes('warn') ? 'warn' : 'pass';
+
+    return {
+      status,
+      ready: status !== 'fail',
+      checks: Object.fromEntries(results),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Round trip to Postgres
+   */
+  async checkDatabase() {
+    await query('SELECT 1');
+    return { status: 'pass' };
+  }
+
+  /**
+   * Connection pool saturation (requests queueing for a connection)
+   */
+  async checkPool() {
+    const pool = getPoolStats();
+    const saturated = pool.waiting > 0 && pool.avgWaitMs > READY_POOL_WAIT_MS;
+
+    return {
+      status: saturated ? 'fail' : pool.waiting > 0 ? 'warn' : 'pass',
+      ...pool
+    };
+  }
+
+  /**
+   * Schema version matches this build's migrations
+   * Migrations newer than this build (a later deploy) only warn
+   * (read-only: one query, no DDL or file reads per probe)
+   */
+  async checkSchema() {
+    const result = await query('SELECT max(version) as version FROM schema_migrations');
+    const current = result.rows[0].version;
+    const latest = this.latestMigration;
+    const order = (current || '').localeCompare(latest || '', undefined, { numeric: true });
+
+    return {
+      status: order < 0 ? 'fail' : order > 0 ? 'warn' : 'pass',
+      current,
+      latest
+    };
+  }
+
+  /**
+   * Materialized view freshness
+   */
+  async checkMaterializedView() {
+    const ageSeconds = await analyticsService.getMaterializedViewAge();
+
+    return {
+      status: ageSeconds === null || ageSeconds > MV_STALE_AFTER_SECONDS ? 'warn' : 'pass',
+      ageSeconds: ageSeconds === null ? null : Math.round(ageSeconds),
+      staleAfterSeconds: MV_STALE_AFTER_SECONDS
+    };
+  }
+
+  /**
+   * MQTT listener connection
+   * Only warns: HTTP ingestion and reads do not depend on the broker
+   */
+  async checkMqtt() {
+    return {
+      status: mqttIngestionService.connected ? 'pass' : 'warn',
+      connected: mqttIngestionService.connected
+    };
+  }
+}
+
+/**
+ * Reject when a promise does not settle within `ms`
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,92 @@
+const { query } = require('../config/database');
+
+// How long a stored response is replayed for a repeated Idempotency-Key
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+
+// A key still pending after this long (its request died) can be claimed again
+const IDEMPOTENCY_PENDING_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_PENDING_TIMEOUT_SECONDS) || 300;
+
+/**
+ * Idempotency Service
+ * Stores responses keyed by client-supplied Idempotency-Key headers
+ * (per tenant: rows are tenant-isolated by row-level security)
+ */
+class IdempotencyService {
+
+  /**
+   * Claim a key on a path for a request with the given body hash
+   * Inserts a pending row (no status yet); a row past the TTL, or left
+   * pending longer than IDEMPOTENCY_PENDING_TIMEOUT_SECONDS (a crashed
+   * request), is taken over. Returns false if the key is taken.
+   */
+  async claim(idempotencyKey, requestPath, requestHash) {
+    const result = await query(
+      `INSERT INTO idempotency_keys (idempotency_key, request_path, request_hash)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (tenant_id, idempotency_key, request_path)
+       DO UPDATE SET
+         request_hash = EXCLUDED.request_hash,
+         status_code = NULL,
+         response_body = NULL,
+         created_at = NOW()
+       WHERE idempotency_keys.created_at < NOW() - ($4 || ' hours')::INTERVAL
+       OR (idempotency_keys.status_code IS NULL
+           AND idempotency_keys.created_at < NOW() - ($5 || ' seconds')::INTERVAL)
+       RETURNING idempotency_key`,
+      [idempotencyKey, requestPath, requestHash, IDEMPOTENCY_TTL_HOURS, IDEMPOTENCY_PENDING_TIMEOUT_SECONDS]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Find the row holding a key on a path
+   * (status_code is null while the first request is still running)
+   */
+  async find(idempotencyKey, requestPath) {
+    const result = await query(
+      `SELECT status_code, response_body, request_hash FROM idempotency_keys
+       WHERE idempotency_key = $1
+       AND request_path = $2`,
+      [idempotencyKey, requestPath]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Store the response of a claimed key
+   * (the body hash is passed again for bodies hashed while streaming)
+   */
+  async complete(idempotencyKey, requestPath, requestHash, statusCode, responseBody) {
+    await query(
+      `UPDATE idempotency_keys
+       SET request_hash = $3, status_code = $4, response_body = $5
+       WHERE idempotency_key = $1 AND request_path = $2`,
+      [idempotencyKey, requestPath, requestHash, statusCode, responseBody]
+    );
+  }
+
+  /**
+   * Give up a claimed key so the request can be retried
+   */
+  async release(idempotencyKey, requestPath) {
+    await query(
+      `DELETE FROM idempotency_keys
+       WHERE idempotency_key = $1 AND request_path = $2 AND status_code IS NULL`,
+      [idempotencyKey, requestPath]
+    );
+  }
+
+  /**
+   * Delete keys older than the TTL
+   */
+  async purgeExpired() {
+    const result = await query(
+      `DELETE FROM idempotency_keys
+       WHERE created_at < NOW() - ($1 || ' hours')::INTERVAL`,
+      [IDEMPOTENCY_TTL_HOURS]
+    );
+    return { deleted: result.rowCount };
+  }
+}
+
+module.exports = new IdempotencyService();
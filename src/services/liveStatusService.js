@@ -0,0 +1,237 @@
+const { query, createClient } = require('../config/database');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const metricsService = require('./metricsService');
+const deviceTypes = require('../deviceTypes');
+
+// Postgres channel the hot-status triggers publish on (migration 005)
+const CHANNEL = 'hot_status';
+
+// Concurrent stream subscribers per instance
+const LIVE_MAX_SUBSCRIBERS = parseInt(process.env.LIVE_MAX_SUBSCRIBERS) || 1000;
+
+// Most devices sent per type in a subscribe backfill
+const LIVE_BACKFILL_LIMIT = parseInt(process.env.LIVE_BACKFILL_LIMIT) || 10000;
+
+const RECONNECT_MAX_DELAY_MS = 30000;
+
+/**
+ * Live Status Service
+ * Fans hot-status changes out to stream subscribers
+ *
+ * Changes arrive over Postgres LISTEN/NOTIFY (published by triggers on the
+ * hot tables when a write commits), so subscribers see writes made by any
+ * instance and any ingestion path. One dedicated connection listens while
+ * at least one subscriber is connected.
+ *
+ * Events: { type, deviceId, tenantId, status } where status is the hot row.
+ * After the listener reconnects, subscribers get { resync: true } since
+ * changes may have been missed in between.
+ *
+ * Subscribers are called in the request context (tenant) they subscribed
+ * from, not that of the notification or reconnect timer.
+ */
+class LiveStatusService {
+  constructor() {
+    this.subscribers = new Set();
+    this.client = null;
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Register a subscriber; filter: { type, deviceIds (Set), tenantId }
+   * Returns an unsubscribe function
+   */
+  async subscribe(filter, onEvent) {
+    if (this.subscribers.size >= LIVE_MAX_SUBSCRIBERS) {
+      throw new Error('Too many live subscribers');
+    }
+
+    await this.listen();
+
+    const subscriber = {
+      filter,
+      onEvent,
+      context: { ...requestContext.get(), tenantId: requestContext.currentTenant() }
+    };
+    this.subscribers.add(subscriber);
+
+    return () => {
+      this.subscribers.delete(subscriber);
+      if (this.subscribers.size === 0) {
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Current hot status of the devices matching a filter, as events
+   */
+  async backfill(filter) {
+    const types = filter.type ? [deviceTypes.get(filter.type)] : deviceTypes.list();
+    const deviceIds = filter.deviceIds ? [...filter.deviceIds] : null;
+    const events = [];
+
+    for (const type of types) {
+      const { idColumn } = type;
+      // row_to_json keeps values encoded exactly like the notifications
+      const result = await query(
+        `SELECT row_to_json(s) as status
+         FROM ${type.tables.status} s
+         WHERE ($1::varchar[] IS NULL OR ${idColumn} = ANY($1))
+         AND ($2::text IS NULL OR tenant_id = $2)
+         ORDER BY last_updated DESC
+         LIMIT $3`,
+        [deviceIds, filter.tenantId || null, LIVE_BACKFILL_LIMIT]
+      );
+      events.push(...result.rows.map(row => this.toEvent(type.name, row.status)));
+    }
+
+    return events;
+  }
+
+  /**
+   * Open the listening connection (shared by concurrent callers)
+   */
+  async listen() {
+    if (this.client) {
+      return;
+    }
+    if (!this.connecting) {
+      this.connecting = this.connect().finally(() => {
+        this.connecting = null;
+      });
+    }
+    await this.connecting;
+  }
+
+  async connect() {
+    const client = createClient();
+    client.on('notification', (message) => this.dispatch(message.payload));
+    client.on('error', (error) => this.reconnect(client, error));
+
+    try {
+      await client.connect();
+      await client.query(`LISTEN ${CHANNEL}`);
+    } catch (error) {
+      client.end().catch(() => {});
+      throw error;
+    }
+
+    this.client = client;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Replace a broken listening connection, backing off while the database
+   * is unreachable
+   */
+  reconnect(client, error) {
+    if (client !== this.client) {
+      return;
+    }
+
+    logger.warn('Live status listener lost its connection', { error });
+    this.client = null;
+    client.end().catch(() => {});
+    this.scheduleReconnect();
+  }
+
+  scheduleReconnect() {
+    if (this.subscribers.size === 0 || this.reconnectTimer) {
+      return;
+    }
+
+    const delay = Math.min(500 * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      try {
+        await this.listen();
+        logger.info('Live status listener reconnected');
+        this.broadcast({ resync: true });
+      } catch (error) {
+        logger.warn('Live status listener reconnect failed', { error, retryInMs: delay });
+        this.scheduleReconnect();
+      }
+    }, delay);
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Close the listening connection (no subscribers left, or shutdown)
+   */
+  close() {
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    const client = this.client;
+    this.client = null;
+    if (client) {
+      client.end().catch(() => {});
+    }
+  }
+
+  /**
+   * Deliver a notification to every subscriber whose filter matches
+   */
+  dispatch(payload) {
+    let notification;
+    try {
+      notification = JSON.parse(payload);
+    } catch (error) {
+      logger.warn('Malformed hot status notification', { error });
+      return;
+    }
+    if (!deviceTypes.get(notification.type)) {
+      return;
+    }
+
+    const event = this.toEvent(notification.type, notification.status);
+    for (const subscriber of this.subscribers) {
+      if (this.matches(subscriber.filter, event)) {
+        this.deliver(subscriber, event);
+      }
+    }
+  }
+
+  broadcast(event) {
+    for (const subscriber of this.subscribers) {
+      this.deliver(subscriber, event);
+    }
+  }
+
+  deliver(subscriber, event) {
+    try {
+      requestContext.run(subscriber.context, () => subscriber.onEvent(event));
+    } catch (error) {
+      logger.error('Live status subscriber error', { error });
+    }
+  }
+
+  matches(filter, event) {
+    return (!filter.type || filter.type === event.type)
+      && (!filter.tenantId || filter.tenantId === event.tenantId)
+      && (!filter.deviceIds || filter.deviceIds.has(event.deviceId));
+  }
+
+  toEvent(type, status) {
+    return {
+      type,
+      deviceId: status[deviceTypes.get(type).idColumn],
+      tenantId: status.tenant_id,
+      status
+    };
+  }
+}
+
+const liveStatusService = new LiveStatusService();
+
+metricsService.addCollector(() => [
+  { name: 'live_subscribers', value: liveStatusService.subscribers.size }
+]);
+
+module.exports = liveStatusService;
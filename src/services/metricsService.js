@@ -0,0 +1,194 @@
+const logger = require('../utils/logger');
+
+// Default histogram buckets (seconds)
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Exported metric families: [name, type, help, buckets?]
+const METRICS = [
+  ['http_requests_total', 'counter', 'HTTP requests by method, route and status'],
+  ['http_request_duration_seconds', 'histogram', 'HTTP request latency by method and route'],
+  ['records_ingested_total', 'counter', 'Telemetry records committed by type'],
+  ['records_duplicate_total', 'counter', 'Telemetry records ignored as already stored, by type'],
+  ['validation_failures_total', 'counter', 'Telemetry records rejected by validation, by type'],
+  ['late_records_accepted_total', 'counter', 'Records older than the late-data tolerance (cold storage only)'],
+  ['out_of_order_records_total', 'counter', 'Records older than the current hot status (cold storage only)'],
+  ['db_query_duration_seconds', 'histogram', 'Database query latency by SQL command'],
+  ['db_transaction_duration_seconds', 'histogram', 'Database transaction latency by outcome'],
+  ['db_pool_connections', 'gauge', 'Pooled database connections by state'],
+  ['db_pool_max_connections', 'gauge', 'Configured database pool size'],
+  ['db_pool_waiting_clients', 'gauge', 'Requests waiting for a database connection'],
+  ['db_pool_wait_seconds', 'gauge', 'Smoothed wait for a database connection'],
+  ['db_pool_errors_total', 'counter', 'Idle database connections lost and discarded by the pool'],
+  ['mv_refresh_duration_seconds', 'histogram', 'Materialized view refresh duration', [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]],
+  ['mv_age_seconds', 'gauge', 'Seconds since the materialized view was last refreshed'],
+  ['live_subscribers', 'gauge', 'Open live status stream connections'],
+  ['alert_transitions_total', 'counter', 'Alert state transitions by new state'],
+  ['alert_notifications_total', 'counter', 'Alert webhook delivery attempts by outcome'],
+  ['device_connectivity', 'gauge', 'Reporting devices by type and connectivity state'],
+  ['device_connectivity_transitions_total', 'counter', 'Device connectivity changes by type and new state'],
+  ['mqtt_messages_total', 'counter', 'MQTT telemetry messages by outcome'],
+  ['mqtt_connected', 'gauge', 'Whether the MQTT listener is connected to its broker'],
+  ['ocpp_messages_total', 'counter', 'OCPP calls from charge points by action and outcome'],
+  ['ocpp_connections', 'gauge', 'Charge points connected to this instance over OCPP']
+];
+
+/**
+ * Metrics Service
+ * In-process counters and histograms (per process, reset on restart),
+ * rendered in the Prometheus text exposition format
+ *
+ * Gauges that reflect external state (pool, materialized view age) are
+ * produced at scrape time by collectors registered with addCollector().
+ */
+class MetricsService {
+  constructor() {
+    this.counters = new Map();
+    this.histograms = new Map();
+    this.help = new Map();
+    this.collectors = [];
+
+    for (const [name, type, help, buckets] of METRICS) {
+      this.describe(name, type, help, buckets);
+    }
+  }
+
+  /**
+   * Register HELP/TYPE metadata for a metric
+   */
+  describe(name, type, help, buckets = DEFAULT_BUCKETS) {
+    this.help.set(name, { type, help, buckets });
+  }
+
+  /**
+   * Increment a counter, optionally split by labels
+   */
+  increment(name, labels = {}, value = 1) {
+    const key = this.key(name, labels);
+    const counter = this.counters.get(key) || { name, labels, value: 0 };
+    counter.value += value;
+    this.counters.set(key, counter);
+  }
+
+  /**
+   * Record an observation in a histogram
+   */
+  observe(name, labels, value) {
+    const key = this.key(name, labels);
+    let histogram = this.histograms.get(key);
+
+    if (!histogram) {
+      const buckets = (this.help.get(name) || {}).buckets || DEFAULT_BUCKETS;
+      histogram = { name, labels, buckets, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      this.histograms.set(key, histogram);
+    }
+
+    histogram.buckets.forEach((bound, i) => {
+      if (value <= bound) {
+        histogram.counts[i]++;
+      }
+    });
+    histogram.sum += value;
+    histogram.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function records the elapsed
+   * seconds in a histogram
+   */
+  startTimer(name, labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe(name, { ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  /**
+   * Register an async function returning gauge samples at scrape time:
+   * [{ name, labels, value }]
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Current value of a counter for the given labels
+   */
+  get(name, labels = {}) {
+    const counter = this.counters.get(this.key(name, labels));
+    return counter ? counter.value : 0;
+  }
+
+  /**
+   * All counters as { name, labels, value }
+   */
+  snapshot() {
+    return [...this.counters.values()].map(counter => ({ ...counter }));
+  }
+
+  /**
+   * Render every metric in Prometheus text format
+   * A failing collector is skipped so one broken source cannot hide the rest
+   */
+  async render() {
+    const families = new Map();
+    const family = (name, type) => {
+      if (!families.has(name)) {
+        families.set(name, { type: (this.help.get(name) || {}).type || type, lines: [] });
+      }
+      return families.get(name).lines;
+    };
+
+    for (const counter of this.counters.values()) {
+      family(counter.name, 'counter').push(this.sample(counter.name, counter.labels, counter.value));
+    }
+
+    for (const histogram of this.histograms.values()) {
+      const lines = family(histogram.name, 'histogram');
+      histogram.buckets.forEach((bound, i) => {
+        lines.push(this.sample(`${histogram.name}_bucket`, { ...histogram.labels, le: String(bound) }, histogram.counts[i]));
+      });
+      lines.push(this.sample(`${histogram.name}_bucket`, { ...histogram.labels, le: '+Inf' }, histogram.count));
+      lines.push(this.sample(`${histogram.name}_sum`, histogram.labels, histogram.sum));
+      lines.push(this.sample(`${histogram.name}_count`, histogram.labels, histogram.count));
+    }
+
+    const collected = await Promise.all(this.collectors.map(async (collector) => {
+      try {
+        return await collector();
+      } catch (error) {
+        logger.error('Metrics collector error', { error });
+        return [];
+      }
+    }));
+    for (const gauge of collected.flat()) {
+      family(gauge.name, 'gauge').push(this.sample(gauge.name, gauge.labels || {}, gauge.value));
+    }
+
+    const output = [];
+    for (const [name, { type, lines }] of families) {
+      const help = this.help.get(name);
+      if (help) {
+        output.push(`# HELP ${name} ${help.help}`);
+      }
+      output.push(`# TYPE ${name} ${type}`);
+      output.push(...lines);
+    }
+    return output.join('\n') + '\n';
+  }
+
+  sample(name, labels, value) {
+    const parts = Object.keys(labels).map(label =>
+      `${label}="${String(labels[label]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    );
+    return `${name}${parts.length > 0 ? `{${parts.join(',')}}` : ''} ${value}`;
+  }
+
+  key(name, labels) {
+    const parts = Object.keys(labels).sort().map(label => `${label}=${labels[label]}`);
+    return `${name}{${parts.join(',')}}`;
+  }
+}
+
+module.exports = new MetricsService();
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getClient, query } = require('../config/database');
+const logger = require('../utils/logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+
+// Migration files: NNN_name.up.sql / NNN_name.down.sql
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+// A migration whose up file contains this line runs outside a transaction
+// (needed for e.g. CREATE INDEX CONCURRENTLY)
+const NO_TRANSACTION = /^--\s*migrate:no-transaction\s*$/m;
+
+// Advisory lock key serializing migration runs across instances
+const MIGRATION_LOCK_KEY = 'schema_migrations';
+
+/**
+ * Migration Service
+ * Versioned, ordered schema migrations tracked in schema_migrations
+ */
+class MigrationService {
+
+  /**
+   * Migrations on disk, ordered by version
+   */
+  listMigrations() {
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+      const match = file.match(MIGRATION_FILE);
+      if (!match) {
+        continue;
+      }
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name };
+      migration[direction] = path.join(MIGRATIONS_DIR, file);
+      migrations.set(version, migration);
+    }
+
+    return [...migrations.values()]
+      .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }))
+      .map(migration => {
+        if (!migration.up) {
+          throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+        }
+        const upSql = fs.readFileSync(migration.up, 'utf8');
+        return {
+          ...migration,
+          id: `${migration.version}_${migration.name}`,
+          checksum: crypto.createHash('sha256').update(upSql).digest('hex'),
+          transactional: !NO_TRANSACTION.test(upSql)
+        };
+      });
+  }
+
+  /**
+   * Applied migrations, ordered by version
+   */
+  async getApplied(client = { query }) {
+    await client.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMPTZ DEFAULT NOW(),
+        execution_ms INTEGER
+      )`
+    );
+
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations'
+    );
+    return result.rows.sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+  }
+
+  /**
+   * Applied / pending migrations and checksum drift
+   */
+  async status() {
+    const migrations = this.listMigrations();
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return {
+      current: applied.length > 0 ? applied[applied.length - 1].version : null,
+      latest: migrations.length > 0 ? migrations[migrations.length - 1].version : null,
+      migrations: migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          status: row ? 'applied' : 'pending',
+          appliedAt: row ? row.applied_at : null,
+          modified: row ? row.checksum !== migration.checksum : false
+        };
+      }),
+      // Applied in the database but unknown to this build (newer deploy)
+      unknown: applied
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, appliedAt: row.applied_at }))
+    };
+  }
+
+  /**
+   * Apply all pending migrations in order
+   */
+  async migrate() {
+    return await this.withLock(async (client) => {
+      const applied = new Set((await this.getApplied(client)).map(row => row.version));
+      const pending = this.listMigrations().filter(migration => !applied.has(migration.version));
+      const ran = [];
+
+      for (const migration of pending) {
+        const start = Date.now();
+        const sql = fs.readFileSync(migration.up, 'utf8');
+
+        await this.run(client, migration.transactional, async () => {
+          await client.query(sql);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+             VALUES ($1, $2, $3, $4)`,
+            [migration.version, migration.name, migration.checksum, Date.now() - start]
+          );
+        });
+
+        logger.info('Applied migration', { migration: migration.id, durationMs: Date.now() - start });
+        ran.push(migration.id);
+      }
+
+      return { applied: ran };
+    });
+  }
+
+  /**
+   * Roll back the most recent `steps` applied migrations
+   */
+  async rollback(steps = 1) {
+    return await this.withLock(async (client) => {
+      const migrations = new Map(this.listMigrations().map(migration => [migration.version, migration]));
+      const targets = (await this.getApplied(client)).reverse().slice(0, steps);
+      const rolledBack = [];
+
+      for (const row of targets) {
+        const migration = migrations.get(row.version);
+        if (!migration || !migration.down) {
+          throw new Error(`Cannot roll back ${row.version}_${row.name}: no down file`);
+        }
+
+        const sql = fs.readFileSync(migration.down, 'utf8');
+        await this.run(client, migration.transactional, async () => {
+          await client.query(sql);
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [row.version]);
+        });
+
+        logger.info('Rolled back migration', { migration: migration.id });
+        rolledBack.push(migration.id);
+      }
+
+      return { rolledBack };
+    });
+  }
+
+  /**
+   * Fail fast when the database is behind this build's migrations
+   */
+  async assertUpToDate() {
+    const { migrations, unknown } = await this.status();
+    const pending = migrations.filter(migration => migration.status === 'pending');
+
+    if (pending.length > 0) {
+      throw new Error(
+        `Database schema is out of date: ${pending.length} pending migration(s) ` +
+        `(${pending.map(m => `${m.version}_${m.name}`).join(', ')}). Run "npm run migrate".`
+      );
+    }
+
+    for (const migration of migrations.filter(m => m.modified)) {
+      logger.warn('Migration was modified after it was applied', { migration: `${migration.version}_${migration.name}` });
+    }
+    if (unknown.length > 0) {
+      logger.warn('Database has migrations newer than this build', { count: unknown.length });
+    }
+  }
+
+  /**
+   * Run a step in its own transaction (unless the migration opted out)
+   */
+  async run(client, transactional, step) {
+    if (!transactional) {
+      return await step();
+    }
+
+    await client.query('BEGIN');
+    try {
+      await step();
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Hold a session advisory lock so only one instance migrates at a time
+   */
+  async withLock(callback) {
+    const client = await getClient();
+    try {
+      await client.query('SELECT pg_advisory_lock(hashtext($1))', [MIGRATION_LOCK_KEY]);
+      try {
+        return await callback(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [MIGRATION_LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new MigrationService();
@@ -0,0 +1,281 @@
+const os = require('os');
+const { isConnectionError } = require('../config/database');
+const metricsService = require('./metricsService');
+const telemetryService = require('./telemetryService');
+const { identifyTelemetryType, unknownTypeMessage } = require('../utils/telemetry');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+
+// Broker to subscribe to (e.g. mqtt://broker:1883); the listener is off when unset
+const MQTT_URL = process.env.MQTT_URL || null;
+
+// Comma-separated topic filters (wildcards and $share/ groups allowed)
+const MQTT_TOPICS = (process.env.MQTT_TOPICS || 'telemetry/#')
+  .split(',')
+  .map(topic => topic.trim())
+  .filter(Boolean);
+
+// Subscription QoS; 1 or 2 for at-least-once delivery with ack after commit
+const MQTT_QOS = [0, 1, 2].includes(parseInt(process.env.MQTT_QOS)) ? parseInt(process.env.MQTT_QOS) : 1;
+
+// Rejected messages are republished here ('off' drops them)
+const MQTT_DEAD_LETTER_TOPIC = process.env.MQTT_DEAD_LETTER_TOPIC || 'dead-letter/telemetry';
+
+// Tenant MQTT telemetry is stored under (unset: the default tenant)
+const MQTT_TENANT_ID = process.env.MQTT_TENANT_ID || null;
+
+// Stable client ID: the session (and unacknowledged messages) survive restarts
+const MQTT_CLIENT_ID = process.env.MQTT_CLIENT_ID || `energy-ingestion-${os.hostname()}`;
+
+// Retry delay for messages that failed on a database outage; doubles per
+// attempt up to the cap
+const RETRY_BASE_MS = 500;
+const MQTT_RETRY_MAX_MS = parseInt(process.env.MQTT_RETRY_MAX_MS) || 30000;
+
+/**
+ * MQTT Ingestion Service
+ * Subscribes to telemetry topics and feeds each message through the same
+ * type detection and meter/vehicle ingestion as POST /v1/ingest
+ *
+ * Messages are handled one at a time and acknowledged (PUBACK / PUBCOMP)
+ * only once their outcome is final: committed, a duplicate, or rejected
+ * and republished to the dead-letter topic. While the database is
+ * unavailable the current message is retried with backoff and the broker
+ * holds the rest; on shutdown it is left unacknowledged, so the broker
+ * redelivers it to the next session.
+ */
+class MqttIngestionService {
+
+  constructor() {
+    this.client = null;
+    this.connected = false;
+    this.stopping = false;
+    this.inFlight = null;
+    this.wakeRetry = null;
+  }
+
+  /**
+   * Whether the listener is configured in this instance
+   */
+  get enabled() {
+    return Boolean(MQTT_URL) || this.client !== null;
+  }
+
+  /**
+   * Connect and subscribe
+   * `client` replaces the mqtt.js connection (e.g. a broker stand-in in
+   * tests): an EventEmitter with subscribe(), publish() and end() whose
+   * handleMessage(packet, callback) is called for each message and acks
+   * it once the callback runs without an error
+   */
+  start({ client } = {}) {
+    if (this.client) {
+      return this.client;
+    }
+    if (!client && !MQTT_URL) {
+      return null;
+    }
+
+    this.stopping = false;
+    this.client = client || require('mqtt').connect(MQTT_URL, {
+      clientId: MQTT_CLIENT_ID,
+      clean: false,
+      username: process.env.MQTT_USERNAME,
+      password: process.env.MQTT_PASSWORD,
+      reconnectPeriod: 5000
+    });
+
+    // mqtt.js acks a message, and hands over the next one, only when
+    // handleMessage calls back
+    this.client.handleMessage = (packet, callback) => {
+      this.inFlight = this.handleMessage(packet)
+        .then(() => callback(), (error) => callback(error))
+        .finally(() => {
+          this.inFlight = null;
+        });
+    };
+
+    this.client.on('connect', (connack) => {
+      this.connected = true;
+      logger.info('MQTT connected', { clientId: MQTT_CLIENT_ID, sessionPresent: Boolean(connack && connack.sessionPresent) });
+      // A resumed session still holds the subscriptions
+      if (!connack || !connack.sessionPresent) {
+        this.subscribe();
+      }
+    });
+    this.client.on('close', () => {
+      if (this.connected && !this.stopping) {
+        logger.warn('MQTT connection lost');
+      }
+      this.connected = false;
+    });
+    this.client.on('error', (error) => {
+      logger.warn('MQTT client error', { error });
+    });
+
+    return this.client;
+  }
+
+  /**
+   * Subscribe to the configured topics
+   */
+  subscribe() {
+    const topics = Object.fromEntries(MQTT_TOPICS.map(topic => [topic, { qos: MQTT_QOS }]));
+
+    this.client.subscribe(topics, (error, granted = []) => {
+      if (error) {
+        logger.error('MQTT subscribe failed', { topics: MQTT_TOPICS, error });
+        return;
+      }
+      // QoS 128 marks a subscription the broker refused
+      const refused = granted.filter(grant => grant.qos === 128).map(grant => grant.topic);
+      if (refused.length > 0) {
+        logger.error('MQTT subscription refused', { topics: refused });
+      }
+      logger.info('MQTT subscribed', {
+        subscriptions: granted.filter(grant => grant.qos !== 128).map(grant => ({ topic: grant.topic, qos: grant.qos }))
+      });
+    });
+  }
+
+  /**
+   * Disconnect once the message in progress is settled
+   */
+  async stop() {
+    if (!this.client) {
+      return;
+    }
+
+    this.stopping = true;
+    if (this.wakeRetry) {
+      this.wakeRetry();
+    }
+    await this.inFlight;
+
+    const client = this.client;
+    await new Promise(resolve => client.end(false, {}, resolve));
+    this.client = null;
+    this.connected = false;
+  }
+
+  /**
+   * Process one message until its outcome is final
+   * Throws (leaving the message unacknowledged) only when stopping
+   */
+  async handleMessage(packet) {
+    const context = { mqttTopic: packet.topic };
+    if (MQTT_TENANT_ID) {
+      context.tenantId = MQTT_TENANT_ID;
+    }
+
+    return requestContext.run(context, async () => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const outcome = await this.process(packet.topic, packet.payload);
+          metricsService.increment('mqtt_messages_total', { outcome });
+          return outcome;
+        } catch (error) {
+          if (this.stopping) {
+            throw error;
+          }
+
+          const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), MQTT_RETRY_MAX_MS);
+          metricsService.increment('mqtt_messages_total', { outcome: 'retried' });
+          logger.warn('MQTT message processing failed, retrying', { attempt, retryInMs: delay, error });
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, delay);
+            this.wakeRetry = () => {
+              clearTimeout(timer);
+              resolve();
+            };
+          });
+          this.wakeRetry = null;
+
+          if (this.stopping) {
+            throw error;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Ingest one message payload
+   * Returns 'ingested', 'duplicate', 'rejected' or 'ignored'; throws for
+   * transient failures (database unavailable, dead-letter publish failed)
+   */
+  async process(topic, payload) {
+    // Overlapping subscriptions must not feed rejects back in
+    if (topic === MQTT_DEAD_LETTER_TOPIC) {
+      return 'ignored';
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload.toString('utf8'));
+    } catch (error) {
+      return this.reject(topic, payload, 'Invalid payload: expected JSON object');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return this.reject(topic, payload, 'Invalid payload: expected JSON object');
+    }
+
+    const service = telemetryService.forType(identifyTelemetryType(data));
+    if (!service) {
+      metricsService.increment('validation_failures_total', { type: 'unknown' });
+      return this.reject(topic, payload, unknownTypeMessage());
+    }
+
+    let result;
+    try {
+      result = await service.ingest(data);
+    } catch (error) {
+      if (isTransient(error)) {
+        throw error;
+      }
+      return this.reject(topic, payload, error.message);
+    }
+
+    return result.duplicate ? 'duplicate' : 'ingested';
+  }
+
+  /**
+   * Republish a rejected message to the dead-letter topic
+   * Resolves once the broker has taken it, so the original is only acked
+   * after its reject is safe
+   */
+  async reject(topic, payload, reason) {
+    logger.warn('MQTT message rejected', { reason });
+
+    if (MQTT_DEAD_LETTER_TOPIC !== 'off') {
+      const message = JSON.stringify({
+        topic,
+        error: reason,
+        payload: payload.toString('utf8'),
+        rejectedAt: new Date().toISOString()
+      });
+      await new Promise((resolve, reject) => {
+        this.client.publish(MQTT_DEAD_LETTER_TOPIC, message, { qos: MQTT_QOS }, (error) => {
+          return error ? reject(error) : resolve();
+        });
+      });
+    }
+
+    return 'rejected';
+  }
+}
+
+/**
+ * Failures worth retrying: the database connection broke or none was free
+ */
+function isTransient(error) {
+  return isConnectionError(error) || /timeout exceeded when trying to connect/i.test(error.message || '');
+}
+
+const mqttIngestionService = new MqttIngestionService();
+
+metricsService.addCollector(() => mqttIngestionService.enabled ? [
+  { name: 'mqtt_connected', value: mqttIngestionService.connected ? 1 : 0 }
+] : []);
+
+module.exports = mqttIngestionService;
@@ -0,0 +1,729 @@
+const { query, transaction, isConnectionError } = require('../config/database');
+const telemetryService = require('./telemetryService');
+const sessionService = require('./sessionService');
+const metricsService = require('./metricsService');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const { WRITE_TENANT_SQL } = require('../utils/telemetry');
+
+// Heartbeat interval handed to charge points in BootNotification
+const OCPP_HEARTBEAT_INTERVAL_SECONDS = parseInt(process.env.OCPP_HEARTBEAT_INTERVAL_SECONDS) || 300;
+
+// OCPP 1.6 defaults for omitted sampledValue fields
+const DEFAULT_MEASURAND = 'Energy.Active.Import.Register';
+const DEFAULT_LOCATION = 'Outlet';
+
+// Energy register units (to Wh)
+const ENERGY_UNITS = { Wh: 1, kWh: 1000 };
+
+// Line-to-line voltages are left out of the (phase-to-neutral) average
+const LINE_TO_LINE = /^L\d-L\d$/;
+
+/**
+ * Error answered to the charge point as a CALLERROR with the given
+ * OCPP error code
+ */
+function ocppError(code, message) {
+  const error = new Error(message);
+  error.ocppCode = code;
+  return error;
+}
+
+/**
+ * OCPP Service
+ * Central System side of the OCPP 1.6J telemetry subset: charge point
+ * registration, connector status, transactions and meter values
+ *
+ * MeterValues become telemetry through the regular ingestion services:
+ * - meter "<chargePointId>-<connectorId>" (registered with a cumulative
+ *   counter): Energy.Active.Import.Register at the Inlet (or the Outlet
+ *   when the Inlet is not sampled) with the average phase Voltage
+ * - vehicle = the transaction's idTag, while a transaction runs: SoC,
+ *   Temperature (location EV preferred) and the Outlet energy delivered
+ *   since its previous reading
+ * A transaction pairs the connector meter with the vehicle while it runs,
+ * so AC energy is attributed to the vehicle's charging session.
+ *
+ * Charge point ids are unique per tenant; calls run in the charge point's
+ * tenant context.
+ */
+class OcppService {
+
+  constructor() {
+    this.registeredMeters = new Set();
+  }
+
+  /**
+   * Answer one CALL from a charge point
+   * Returns the CALLRESULT payload; throws errors carrying ocppCode
+   */
+  async handleCall(chargePointId, action, payload) {
+    const handlers = {
+      BootNotification: () => this.bootNotification(chargePointId, payload),
+      Heartbeat: () => this.heartbeat(chargePointId),
+      StatusNotification: () => this.statusNotification(chargePointId, payload),
+      Authorize: () => this.authorize(payload),
+      StartTransaction: () => this.startTransaction(chargePointId, payload),
+      StopTransaction: () => this.stopTransaction(chargePointId, payload),
+      MeterValues: () => this.meterValues(chargePointId, payload)
+    };
+
+    if (!handlers[action]) {
+      throw ocppError('NotImplemented', `Action not supported: ${action}`);
+    }
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw ocppError('FormationViolation', 'Payload must be a JSON object');
+    }
+
+    try {
+      const result = await handlers[action]();
+      metricsService.increment('ocpp_messages_total', { action, outcome: 'accepted' });
+      return result;
+    } catch (error) {
+      metricsService.increment('ocpp_messages_total', { action, outcome: 'error' });
+      if (!error.ocppCode) {
+        error.ocppCode = 'InternalError';
+      }
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // Charge points
+  // =====================================================
+
+  /**
+   * BootNotification: register the charge point
+   */
+  async bootNotification(chargePointId, payload) {
+    requireString(payload, 'chargePointVendor');
+    requireString(payload, 'chargePointModel');
+
+    await query(
+      `INSERT INTO ocpp_charge_points
+       (charge_point_id, vendor, model, serial_number, firmware_version, last_boot_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (tenant_id, charge_point_id) DO UPDATE SET
+         vendor = EXCLUDED.vendor,
+         model = EXCLUDED.model,
+         serial_number = EXCLUDED.serial_number,
+         firmware_version = EXCLUDED.firmware_version,
+         last_boot_at = NOW(),
+         updated_at = NOW()`,
+      [chargePointId, payload.chargePointVendor, payload.chargePointModel,
+       payload.chargePointSerialNumber || null, payload.firmwareVersion || null]
+    );
+
+    return {
+      status: 'Accepted',
+      currentTime: new Date().toISOString(),
+      interval: OCPP_HEARTBEAT_INTERVAL_SECONDS
+    };
+  }
+
+  async heartbeat(chargePointId) {
+    await this.ensureChargePoint(chargePointId);
+    await query(
+      `UPDATE ocpp_charge_points SET last_heartbeat_at = NOW()
+       WHERE charge_point_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}`,
+      [chargePointId]
+    );
+    return { currentTime: new Date().toISOString() };
+  }
+
+  /**
+   * StatusNotification: record connector status (connector 0 is the
+   * charge point itself)
+   */
+  async statusNotification(chargePointId, payload) {
+    const connectorId = requireConnectorId(payload);
+    requireString(payload, 'status');
+    requireString(payload, 'errorCode');
+    const statusAt = payload.timestamp ? requireTimestamp(payload, 'timestamp') : new Date().toISOString();
+
+    await this.ensureChargePoint(chargePointId);
+    await query(
+      `INSERT INTO ocpp_connectors (charge_point_id, connector_id, status, error_code, info, status_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (tenant_id, charge_point_id, connector_id) DO UPDATE SET
+         status = EXCLUDED.status,
+         error_code = EXCLUDED.error_code,
+         info = EXCLUDED.info,
+         status_at = EXCLUDED.status_at,
+         updated_at = NOW()
+       WHERE ocpp_connectors.status_at <= EXCLUDED.status_at`,
+      [chargePointId, connectorId, payload.status, payload.errorCode, payload.info || null, statusAt]
+    );
+
+    return {};
+  }
+
+  /**
+   * Authorize: the engine records telemetry and does not authorize
+   * charging, so every idTag is accepted
+   */
+  async authorize(payload) {
+    requireIdTag(payload);
+    return { idTagInfo: { status: 'Accepted' } };
+  }
+
+  // =====================================================
+  // Transactions
+  // =====================================================
+
+  /**
+   * StartTransaction: open a transaction and pair the connector meter
+   * with the vehicle (idTag) from its start
+   *
+   * A retried StartTransaction gets the same transactionId; a transaction
+   * still open on the connector (its StopTransaction was lost) is closed
+   * at the new start.
+   */
+  async startTransaction(chargePointId, payload) {
+    const connectorId = requireConnectorId(payload);
+    if (connectorId === 0) {
+      throw ocppError('PropertyConstraintViolation', 'Transactions run on a connector (connectorId > 0)');
+    }
+    const idTag = requireIdTag(payload);
+    const meterStart = requireInteger(payload, 'meterStart');
+    const startedAt = requireTimestamp(payload, 'timestamp');
+    const meterId = meterIdFor(chargePointId, connectorId);
+
+    await this.ensureChargePoint(chargePointId);
+    await this.ensureMeter(chargePointId, connectorId);
+
+    const transactionId = await transaction(async (client) => {
+      const known = await client.query(
+        `SELECT * FROM ocpp_transactions
+         WHERE charge_point_id = $1 AND connector_id = $2 AND tenant_id = ${WRITE_TENANT_SQL}
+         AND (stopped_at IS NULL OR started_at = $3)
+         FOR UPDATE`,
+        [chargePointId, connectorId, startedAt]
+      );
+
+      const retried = known.rows.find(row => new Date(row.started_at).getTime() === new Date(startedAt).getTime());
+      if (retried) {
+        return retried.id;
+      }
+
+      const current = known.rows[0];
+      if (current) {
+        logger.warn('OCPP transaction superseded', { chargePointId, transactionId: current.id });
+        await this.closeTransaction(client, current, { stoppedAt: startedAt, meterStop: null, reason: 'Superseded' });
+      }
+
+      // The meter feeds this vehicle from now on
+      await client.query(
+        `UPDATE meter_vehicle_pairings SET paired_to = $2
+         WHERE meter_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}
+         AND paired_to IS NULL AND paired_from < $2`,
+        [meterId, startedAt]
+      );
+      const pairing = await client.query(
+        `INSERT INTO meter_vehicle_pairings (meter_id, vehicle_id, paired_from)
+         VALUES ($1, $2, $3)
+         RETURNING id`,
+        [meterId, idTag, startedAt]
+      );
+
+      const inserted = await client.query(
+        `INSERT INTO ocpp_transactions
+         (charge_point_id, connector_id, id_tag, meter_id, vehicle_id, meter_start_wh, started_at, pairing_id)
+         VALUES ($1, $2, $3, $4, $3, $5, $6, $7)
+         RETURNING id`,
+        [chargePointId, connectorId, idTag, meterId, meterStart, startedAt, pairing.rows[0].id]
+      );
+      return inserted.rows[0].id;
+    });
+
+    return {
+      transactionId,
+      idTagInfo: { status: 'Accepted' }
+    };
+  }
+
+  /**
+   * StopTransaction: record its final meter values, close it and its
+   * pairing, then build the vehicle's charging session and link it
+   */
+  async stopTransaction(chargePointId, payload) {
+    const transactionId = requireInteger(payload, 'transactionId');
+    const meterStop = requireInteger(payload, 'meterStop');
+    const stoppedAt = requireTimestamp(payload, 'timestamp');
+
+    const existing = await this.getTransaction(chargePointId, transactionId);
+    if (!existing) {
+      // Answered anyway, or the charge point would retry it forever
+      logger.warn('OCPP StopTransaction for unknown transaction', { chargePointId, transactionId });
+      return { idTagInfo: { status: 'Accepted' } };
+    }
+
+    if (Array.isArray(payload.transactionData)) {
+      await this.recordMeterValues(chargePointId, existing.connector_id, existing, payload.transactionData);
+    }
+
+    const stopped = await transaction(async (client) => {
+      const locked = await client.query(
+        'SELECT * FROM ocpp_transactions WHERE id = $1 FOR UPDATE',
+        [transactionId]
+      );
+      const current = locked.rows[0];
+      if (current.stopped_at) {
+        return current;
+      }
+      return await this.closeTransaction(client, current, {
+        stoppedAt,
+        meterStop,
+        reason: payload.reason || 'Local'
+      });
+    });
+
+    try {
+      await this.linkSession(stopped);
+    } catch (error) {
+      // The charging-sessions job links it on its next run
+      logger.warn('OCPP session link failed', { transactionId, error });
+    }
+
+    return { idTagInfo: { status: 'Accepted' } };
+  }
+
+  /**
+   * Stop a transaction and end its pairing (on an open transaction)
+   */
+  async closeTransaction(client, row, { stoppedAt, meterStop, reason }) {
+    const result = await client.query(
+      `UPDATE ocpp_transactions SET
+         stopped_at = GREATEST($2::timestamptz, started_at),
+         meter_stop_wh = $3,
+         stop_reason = $4,
+         updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [row.id, stoppedAt, meterStop, reason]
+    );
+
+    if (row.pairing_id) {
+      await client.query(
+        `UPDATE meter_vehicle_pairings SET paired_to = $2
+         WHERE id = $1 AND paired_to IS NULL AND paired_from < $2`,
+        [row.pairing_id, stoppedAt]
+      );
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Sessionize the transaction's vehicle and link the charging session
+   * of its tenant that overlaps the transaction the most
+   */
+  async linkSession(row, { sessionize = true } = {}) {
+    if (sessionize) {
+      await sessionService.sessionizeVehicle(row.vehicle_id);
+    }
+
+    const result = await query(
+      `UPDATE ocpp_transactions t SET session_id = s.id, updated_at = NOW()
+       FROM (
+         SELECT id FROM charging_sessions
+         WHERE vehicle_id = $2 AND tenant_id = $5
+         AND started_at < $4 AND ended_at > $3
+         ORDER BY LEAST(ended_at, $4::timestamptz) - GREATEST(started_at, $3::timestamptz) DESC
+         LIMIT 1
+       ) s
+       WHERE t.id = $1
+       RETURNING t.session_id`,
+      [row.id, row.vehicle_id, row.started_at, row.stopped_at, row.tenant_id]
+    );
+    return result.rows[0] ? result.rows[0].session_id : null;
+  }
+
+  /**
+   * Link sessions for transactions stopped recently without one
+   * (run by the charging-sessions job once it has built the sessions)
+   */
+  async linkPendingSessions(since = new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+    const pending = await query(
+      `SELECT * FROM ocpp_transactions
+       WHERE stopped_at >= $1 AND session_id IS NULL`,
+      [since]
+    );
+
+    let linked = 0;
+    for (const row of pending.rows) {
+      if (await this.linkSession(row, { sessionize: false })) {
+        linked++;
+      }
+    }
+    return { transactions: pending.rows.length, linked };
+  }
+
+  // =====================================================
+  // Meter values
+  // =====================================================
+
+  /**
+   * MeterValues: ingest the sampled values as meter and vehicle telemetry
+   */
+  async meterValues(chargePointId, payload) {
+    const connectorId = requireConnectorId(payload);
+    if (!Array.isArray(payload.meterValue)) {
+      throw ocppError('FormationViolation', 'meterValue must be an array');
+    }
+
+    let tx = null;
+    if (payload.transactionId !== undefined) {
+      tx = await this.getTransaction(chargePointId, requireInteger(payload, 'transactionId'));
+    } else if (connectorId > 0) {
+      const open = await query(
+        `SELECT * FROM ocpp_transactions
+         WHERE charge_point_id = $1 AND connector_id = $2 AND tenant_id = ${WRITE_TENANT_SQL}
+         AND stopped_at IS NULL`,
+        [chargePointId, connectorId]
+      );
+      tx = open.rows[0] || null;
+    }
+
+    await this.ensureChargePoint(chargePointId);
+    await this.recordMeterValues(chargePointId, connectorId, tx, payload.meterValue);
+    return {};
+  }
+
+  /**
+   * Ingest MeterValue entries in time order
+   * Readings failing validation are logged and skipped (the charge point
+   * cannot correct them); database outages propagate so the charge point
+   * retries the message
+   */
+  async recordMeterValues(chargePointId, connectorId, tx, meterValues) {
+    const meterId = meterIdFor(chargePointId, connectorId);
+    const samples = meterValues
+      .map(meterValue => parseMeterValue(meterValue))
+      .filter(sample => sample !== null)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    let lastVehicleWh = tx ? parseFloat(tx.last_vehicle_wh ?? tx.meter_start_wh) : null;
+
+    for (const sample of samples) {
+      const registerWh = sample.energy.Inlet ?? sample.energy.Outlet;
+      if (registerWh !== undefined && sample.voltage !== undefined) {
+        await this.ensureMeter(chargePointId, connectorId);
+        await this.ingest('meter', {
+          meterId,
+          kwhConsumedAc: registerWh / 1000,
+          voltage: sample.voltage,
+          timestamp: sample.timestamp
+        });
+      }
+
+      const outletWh = sample.energy.Outlet;
+      if (tx && outletWh !== undefined && sample.soc !== undefined && sample.temperature !== undefined) {
+        const stored = await this.ingest('vehicle', {
+          vehicleId: tx.vehicle_id,
+          soc: sample.soc,
+          kwhDeliveredDc: Math.max(outletWh - lastVehicleWh, 0) / 1000,
+          batteryTemp: sample.temperature,
+          timestamp: sample.timestamp
+        });
+        if (stored) {
+          lastVehicleWh = outletWh;
+        }
+      }
+    }
+
+    if (tx && lastVehicleWh !== parseFloat(tx.last_vehicle_wh ?? tx.meter_start_wh)) {
+      await query(
+        'UPDATE ocpp_transactions SET last_vehicle_wh = $2, updated_at = NOW() WHERE id = $1',
+        [tx.id, lastVehicleWh]
+      );
+    }
+  }
+
+  /**
+   * Ingest one reading of a device type; returns whether it was stored
+   */
+  async ingest(type, reading) {
+    try {
+      const result = await telemetryService.forType(type).ingest(reading);
+      return result.stored;
+    } catch (error) {
+      if (isConnectionError(error)) {
+        throw error;
+      }
+      logger.warn('OCPP reading rejected', { type, error });
+      return false;
+    }
+  }
+
+  // =====================================================
+  // Lookups & registration
+  // =====================================================
+
+  async getTransaction(chargePointId, transactionId) {
+    const result = await query(
+      `SELECT * FROM ocpp_transactions
+       WHERE id = $1 AND charge_point_id = $2 AND tenant_id = ${WRITE_TENANT_SQL}`,
+      [transactionId, chargePointId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Charge point row for stations that skipped BootNotification
+   */
+  async ensureChargePoint(chargePointId) {
+    await query(
+      `INSERT INTO ocpp_charge_points (charge_point_id) VALUES ($1)
+       ON CONFLICT (tenant_id, charge_point_id) DO NOTHING`,
+      [chargePointId]
+    );
+  }
+
+  /**
+   * Register a connector's meter with a cumulative counter, unless it is
+   * registered already
+   */
+  async ensureMeter(chargePointId, connectorId) {
+    const meterId = meterIdFor(chargePointId, connectorId);
+    const registered = tenantKey(requestContext.currentTenant(), meterId);
+    if (this.registeredMeters.has(registered)) {
+      return;
+    }
+
+    await query(
+      `INSERT INTO devices (device_id, device_type, name, metadata, counter_mode)
+       VALUES ($1, 'meter', $2, $3, 'cumulative')
+       ON CONFLICT (tenant_id, device_type, device_id) DO NOTHING`,
+      [meterId, `${chargePointId} connector ${connectorId}`, { ocpp: { chargePointId, connectorId } }]
+    );
+    this.registeredMeters.add(registered);
+  }
+
+  // =====================================================
+  // Reads
+  // =====================================================
+
+  /**
+   * Charge points with their connectors
+   * `connected` holds the tenantKey()s of the charge points with an open
+   * connection on this instance
+   */
+  async listChargePoints(connected = new Set()) {
+    const result = await query(
+      `SELECT cp.*,
+        COALESCE(
+          JSON_AGG(c ORDER BY c.connector_id) FILTER (WHERE c.connector_id IS NOT NULL),
+          '[]'
+        ) as connectors
+       FROM ocpp_charge_points cp
+       LEFT JOIN ocpp_connectors c
+         ON c.tenant_id = cp.tenant_id AND c.charge_point_id = cp.charge_point_id
+       GROUP BY cp.tenant_id, cp.charge_point_id
+       ORDER BY cp.charge_point_id, cp.tenant_id`
+    );
+
+    return result.rows.map(row =>
+      this.formatChargePoint(row, connected.has(tenantKey(row.tenant_id, row.charge_point_id))));
+  }
+
+  /**
+   * Transactions, newest first
+   */
+  async listTransactions(filters = {}) {
+    const { chargePointId, vehicleId, open, limit = 100 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (chargePointId) {
+      params.push(chargePointId);
+      conditions.push(`charge_point_id = $${params.length}`);
+    }
+    if (vehicleId) {
+      params.push(vehicleId);
+      conditions.push(`vehicle_id = $${params.length}`);
+    }
+    if (open) {
+      conditions.push('stopped_at IS NULL');
+    }
+
+    params.push(limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const result = await query(
+      `SELECT * FROM ocpp_transactions ${where}
+       ORDER BY started_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map(row => this.formatTransaction(row));
+  }
+
+  formatChargePoint(row, connected) {
+    return {
+      chargePointId: row.charge_point_id,
+      tenantId: row.tenant_id,
+      connected,
+      vendor: row.vendor,
+      model: row.model,
+      serialNumber: row.serial_number,
+      firmwareVersion: row.firmware_version,
+      lastBootAt: row.last_boot_at,
+      lastHeartbeatAt: row.last_heartbeat_at,
+      connectors: row.connectors.map(connector => ({
+        connectorId: connector.connector_id,
+        meterId: connector.connector_id > 0 ? meterIdFor(row.charge_point_id, connector.connector_id) : null,
+        status: connector.status,
+        errorCode: connector.error_code,
+        info: connector.info,
+        statusAt: connector.status_at
+      }))
+    };
+  }
+
+  formatTransaction(row) {
+    return {
+      transactionId: row.id,
+      chargePointId: row.charge_point_id,
+      connectorId: row.connector_id,
+      idTag: row.id_tag,
+      meterId: row.meter_id,
+      vehicleId: row.vehicle_id,
+      startedAt: row.started_at,
+      stoppedAt: row.stopped_at,
+      stopReason: row.stop_reason,
+      meterStartWh: parseInt(row.meter_start_wh),
+      meterStopWh: row.meter_stop_wh !== null ? parseInt(row.meter_stop_wh) : null,
+      energyKwh: row.meter_stop_wh !== null
+        ? parseFloat(((row.meter_stop_wh - row.meter_start_wh) / 1000).toFixed(3))
+        : null,
+      pairingId: row.pairing_id !== null ? parseInt(row.pairing_id) : null,
+      sessionId: row.session_id !== null ? parseInt(row.session_id) : null
+    };
+  }
+}
+
+/**
+ * Key of an id within its tenant (unauthenticated calls write to the
+ * 'default' tenant)
+ */
+function tenantKey(tenantId, id) {
+  return `${tenantId || 'default'}:${id}`;
+}
+
+/**
+ * Meter device id of a connector
+ */
+function meterIdFor(chargePointId, connectorId) {
+  return `${chargePointId}-${connectorId}`;
+}
+
+/**
+ * Reduce one MeterValue to { timestamp, energy: { <location>: Wh },
+ * voltage, soc, temperature }; null without a valid timestamp
+ * Per-phase energy registers and signed data are ignored
+ */
+function parseMeterValue(meterValue) {
+  if (!meterValue || isNaN(new Date(meterValue.timestamp).getTime())) {
+    return null;
+  }
+
+  const sample = { timestamp: meterValue.timestamp, energy: {} };
+  const voltages = [];
+  const temperatures = {};
+
+  for (const sampled of meterValue.sampledValue || []) {
+    const value = parseFloat(sampled.value);
+    if (sampled.format === 'SignedData' || !Number.isFinite(value)) {
+      continue;
+    }
+
+    const location = sampled.location || DEFAULT_LOCATION;
+    switch (sampled.measurand || DEFAULT_MEASURAND) {
+      case 'Energy.Active.Import.Register':
+        if (!sampled.phase && ENERGY_UNITS[sampled.unit || 'Wh']) {
+          sample.energy[location] = value * ENERGY_UNITS[sampled.unit || 'Wh'];
+        }
+        break;
+      case 'Voltage':
+        if (!LINE_TO_LINE.test(sampled.phase || '')) {
+          voltages.push(value);
+        }
+        break;
+      case 'SoC':
+        sample.soc = value;
+        break;
+      case 'Temperature':
+        temperatures[location] = toCelsius(value, sampled.unit);
+        break;
+    }
+  }
+
+  if (voltages.length > 0) {
+    sample.voltage = parseFloat((voltages.reduce((sum, v) => sum + v, 0) / voltages.length).toFixed(2));
+  }
+  const temperature = temperatures.EV ?? Object.values(temperatures)[0];
+  if (temperature !== undefined) {
+    sample.temperature = temperature;
+  }
+
+  return sample;
+}
+
+function toCelsius(value, unit = 'Celsius') {
+  if (unit === 'Fahrenheit') {
+    return parseFloat(((value - 32) * 5 / 9).toFixed(2));
+  }
+  if (unit === 'K') {
+    return parseFloat((value - 273.15).toFixed(2));
+  }
+  return value;
+}
+
+// =====================================================
+// Payload validation (OCPP error codes)
+// =====================================================
+
+function requireString(payload, field) {
+  if (typeof payload[field] !== 'string' || payload[field].length === 0) {
+    throw ocppError(payload[field] === undefined ? 'FormationViolation' : 'TypeConstraintViolation',
+      `${field} must be a non-empty string`);
+  }
+  return payload[field];
+}
+
+// IdToken: at most 20 characters
+function requireIdTag(payload) {
+  const idTag = requireString(payload, 'idTag');
+  if (idTag.length > 20) {
+    throw ocppError('PropertyConstraintViolation', 'idTag must be at most 20 characters');
+  }
+  return idTag;
+}
+
+function requireInteger(payload, field) {
+  if (!Number.isInteger(payload[field])) {
+    throw ocppError(payload[field] === undefined ? 'FormationViolation' : 'TypeConstraintViolation',
+      `${field} must be an integer`);
+  }
+  return payload[field];
+}
+
+function requireConnectorId(payload) {
+  const connectorId = requireInteger(payload, 'connectorId');
+  if (connectorId < 0) {
+    throw ocppError('PropertyConstraintViolation', 'connectorId must not be negative');
+  }
+  return connectorId;
+}
+
+function requireTimestamp(payload, field) {
+  const value = requireString(payload, field);
+  if (isNaN(new Date(value).getTime())) {
+    throw ocppError('TypeConstraintViolation', `${field} must be an ISO 8601 date`);
+  }
+  return value;
+}
+
+module.exports = new OcppService();
+module.exports.parseMeterValue = parseMeterValue;
+module.exports.meterIdFor = meterIdFor;
+module.exports.tenantKey = tenantKey;
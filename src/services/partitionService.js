@@ -0,0 +1,256 @@
+const { query, transaction } = require('../config/database');
+const logger = require('../utils/logger');
+const deviceTypes = require('../deviceTypes');
+
+// Partitioned history tables of all registered device types
+const historyTables = () => deviceTypes.list().map(type => type.tables.history);
+
+// Partition width: 'day' or 'month'
+const PARTITION_INTERVAL = process.env.PARTITION_INTERVAL === 'month' ? 'month' : 'day';
+
+// Number of future partitions kept ahead of the current one
+const PARTITION_PREMAKE = parseInt(process.env.PARTITION_PREMAKE) || 7;
+
+// History older than this is dropped partition by partition
+const RETENTION_DAYS = parseInt(process.env.RETENTION_DAYS) || 90;
+
+/**
+ * Partition Service
+ * Lifecycle management for the range-partitioned history tables
+ *
+ * - ensurePartitions: pre-creates the current and next PARTITION_PREMAKE
+ *   partitions and creates partitions for past periods within retention
+ *   that hold rows (late, backfilled or imported history), moving those
+ *   rows out of the default partition; the default partition only keeps
+ *   outliers (beyond the premade range or older than retention)
+ * - applyRetention: detaches and drops partitions entirely older than
+ *   RETENTION_DAYS, so retention never row-deletes from live partitions
+ */
+class PartitionService {
+
+  /**
+   * Partition inventory for both history tables
+   */
+  async getInventory() {
+    const tables = {};
+
+    for (const table of historyTables()) {
+      const partitions = await this.listPartitions(table);
+      tables[table] = {
+        partitionCount: partitions.filter(p => !p.isDefault).length,
+        totalBytes: partitions.reduce((sum, p) => sum + p.totalBytes, 0),
+        partitions
+      };
+    }
+
+    return {
+      interval: PARTITION_INTERVAL,
+      premake: PARTITION_PREMAKE,
+      retentionDays: RETENTION_DAYS,
+      tables
+    };
+  }
+
+  /**
+   * List partitions of a history table with their bounds and sizes
+   * (row counts are planner estimates, accurate after ANALYZE)
+   */
+  async listPartitions(table) {
+    const result = await query(
+      `SELECT
+        child.relname as partition_name,
+        pg_get_expr(child.relpartbound, child.oid) = 'DEFAULT' as is_default,
+        substring(pg_get_expr(child.relpartbound, child.oid) from 'FROM \\(''([^'']+)''\\)')::timestamptz as range_from,
+        substring(pg_get_expr(child.relpartbound, child.oid) from 'TO \\(''([^'']+)''\\)')::timestamptz as range_to,
+        GREATEST(child.reltuples, 0)::bigint as estimated_rows,
+        pg_total_relation_size(child.oid) as total_bytes
+       FROM pg_inherits i
+       JOIN pg_class parent ON parent.oid = i.inhparent
+       JOIN pg_class child ON child.oid = i.inhrelid
+       WHERE parent.relname = $1
+       ORDER BY range_from ASC NULLS FIRST`,
+      [table]
+    );
+
+    return result.rows.map(row => ({
+      name: row.partition_name,
+      isDefault: row.is_default,
+      from: row.range_from,
+      to: row.range_to,
+      estimatedRows: parseInt(row.estimated_rows) || 0,
+      totalBytes: parseInt(row.total_bytes) || 0
+    }));
+  }
+
+  /**
+   * Create missing partitions from the current period up to
+   * PARTITION_PREMAKE periods ahead, plus one for every past period
+   * within retention that has rows in the default partition
+   */
+  async ensurePartitions(now = new Date()) {
+    const created = [];
+    const start = this.periodStart(now);
+    const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+    for (const table of historyTables()) {
+      const existing = (await this.listPartitions(table)).filter(p => !p.isDefault);
+      const periods = await this.pastPeriodsInDefault(table, cutoff, start);
+      for (let i = 0; i <= PARTITION_PREMAKE; i++) {
+        periods.push(this.addPeriods(start, i));
+      }
+
+      for (const from of periods) {
+        const to = this.addPeriods(from, 1);
+
+        // Only fill the parts of the period not already covered
+        for (const gap of this.uncovered(from, to, existing)) {
+          const name = await this.createPartition(table, gap.from, gap.to);
+          existing.push({ from: gap.from, to: gap.to });
+          created.push({ table, partition: name, from: gap.from, to: gap.to });
+        }
+      }
+    }
+
+    if (created.length > 0) {
+      logger.info('Created history partitions', { count: created.length, partitions: created.map(p => p.partition) });
+    }
+    return { created };
+  }
+
+  /**
+   * Detach and drop partitions whose whole range is older than the
+   * retention cutoff; stray old rows in the default partition are deleted
+   */
+  async applyRetention(retentionDays = RETENTION_DAYS, now = new Date()) {
+    const cutoff = new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000);
+    const dropped = [];
+    let defaultRowsDeleted = 0;
+
+    for (const table of historyTables()) {
+      const partitions = await this.listPartitions(table);
+
+      for (const partition of partitions) {
+        if (partition.isDefault || !partition.to || new Date(partition.to) > cutoff) {
+          continue;
+        }
+
+        await transaction(async (client) => {
+          await client.query(`ALTER TABLE ${table} DETACH PARTITION ${partition.name}`);
+          await client.query(`DROP TABLE ${partition.name}`);
+        });
+        dropped.push({ table, partition: partition.name, to: partition.to });
+      }
+
+      const result = await query(
+        `DELETE FROM ${table}_default WHERE recorded_at < $1`,
+        [cutoff]
+      );
+      defaultRowsDeleted += result.rowCount;
+    }
+
+    if (dropped.length > 0) {
+      logger.info('Dropped expired history partitions', { count: dropped.length, retentionDays });
+    }
+    return { cutoff, dropped, defaultRowsDeleted };
+  }
+
+  /**
+   * Full maintenance pass: pre-create, then retire
+   */
+  async maintain(now = new Date()) {
+    const ensured = await this.ensurePartitions(now);
+    const retention = await this.applyRetention(RETENTION_DAYS, now);
+    return { ...ensured, ...retention };
+  }
+
+  /**
+   * Starts of the periods before `before` with rows in the default
+   * partition at or after the retention cutoff
+   */
+  async pastPeriodsInDefault(table, cutoff, before) {
+    const result = await query(
+      `SELECT DISTINCT to_char(recorded_at AT TIME ZONE 'UTC', 'YYYY-MM-DD') as day
+       FROM ${table}_default
+       WHERE recorded_at >= $1 AND recorded_at < $2`,
+      [cutoff, before]
+    );
+
+    const starts = result.rows.map(row => this.periodStart(new Date(`${row.day}T00:00:00Z`)).getTime());
+    return [...new Set(starts)].sort((a, b) => a - b).map(time => new Date(time));
+  }
+
+  /**
+   * Create one partition, moving any rows for its range out of the
+   * default partition first (attaching would fail otherwise)
+   */
+  async createPartition(table, from, to) {
+    const name = `${table}_p${from.toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+    await transaction(async (client) => {
+      await client.query(
+        `CREATE TABLE ${name} (LIKE ${table} INCLUDING DEFAULTS INCLUDING CONSTRAINTS)`
+      );
+      await client.query(
+        `WITH moved AS (
+           DELETE FROM ${table}_default
+           WHERE recorded_at >= $1 AND recorded_at < $2
+           RETURNING *
+         )
+         INSERT INTO ${name} SELECT * FROM moved`,
+        [from, to]
+      );
+      await client.query(
+        `ALTER TABLE ${table} ATTACH PARTITION ${name}
+         FOR VALUES FROM ('${from.toISOString()}') TO ('${to.toISOString()}')`
+      );
+    });
+
+    return name;
+  }
+
+  /**
+   * Sub-ranges of [from, to) not covered by existing partitions
+   * (a null bound on an existing partition means MINVALUE/MAXVALUE)
+   */
+  uncovered(from, to, existing) {
+    const covered = existing
+      .map(p => ({
+        from: p.from ? new Date(p.from) : new Date(-8.64e15),
+        to: p.to ? new Date(p.to) : new Date(8.64e15)
+      }))
+      .filter(p => p.from < to && p.to > from)
+      .sort((a, b) => a.from - b.from);
+
+    const gaps = [];
+    let cursor = from;
+    for (const range of covered) {
+      if (range.from > cursor) {
+        gaps.push({ from: cursor, to: range.from });
+      }
+      if (range.to > cursor) {
+        cursor = range.to;
+      }
+    }
+    if (cursor < to) {
+      gaps.push({ from: cursor, to });
+    }
+    return gaps;
+  }
+
+  /**
+   * Start of the UTC day/month containing a date
+   */
+  periodStart(date) {
+    return PARTITION_INTERVAL === 'month'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1))
+      : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  }
+
+  addPeriods(date, count) {
+    return PARTITION_INTERVAL === 'month'
+      ? new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1))
+      : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + count));
+  }
+}
+
+module.exports = new PartitionService();
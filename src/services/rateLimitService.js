@@ -0,0 +1,117 @@
+// Set to 'false' to disable rate limiting
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Token bucket limits: `perMinute` tokens refill per minute, up to `burst`
+const RATE_LIMITS = {
+  // Ingest requests per device (a healthy device reports once a minute;
+  // a batch costs each device it carries one token)
+  device: {
+    perMinute: parseInt(process.env.RATE_LIMIT_DEVICE_PER_MINUTE) || 120,
+    burst: parseInt(process.env.RATE_LIMIT_DEVICE_BURST) || 120
+  },
+  // Requests per API key (or client IP when authentication is disabled)
+  apiKey: {
+    perMinute: parseInt(process.env.RATE_LIMIT_API_KEY_PER_MINUTE) || 600,
+    burst: parseInt(process.env.RATE_LIMIT_API_KEY_BURST) || 100
+  }
+};
+
+// Idle buckets are full again, so they can be forgotten
+const MEMORY_STORE_SWEEP_MS = 60 * 1000;
+
+/**
+ * In-memory token bucket store (per process)
+ *
+ * A store implements:
+ *   take(key, { capacity, refillPerMs, cost }) =>
+ *     Promise<{ allowed, remaining, retryAfterMs }>
+ * so buckets can live in a shared backend (e.g. Redis) for multi-instance
+ * deployments via rateLimitService.useStore(store).
+ */
+class MemoryTokenBucketStore {
+
+  constructor() {
+    this.buckets = new Map();
+    this.sweeper = setInterval(() => this.sweep(), MEMORY_STORE_SWEEP_MS);
+    this.sweeper.unref();
+  }
+
+  async take(key, { capacity, refillPerMs, cost = 1 }) {
+    const now = Date.now();
+    const bucket = this.buckets.get(key) || { tokens: capacity, updatedAt: now, capacity, refillPerMs };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+
+    return {
+      allowed: false,
+      remaining: Math.floor(bucket.tokens),
+      retryAfterMs: Math.ceil((cost - bucket.tokens) / refillPerMs)
+    };
+  }
+
+  /**
+   * Drop buckets that have refilled completely
+   */
+  sweep(now = Date.now()) {
+    for (const [key, bucket] of this.buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs >= bucket.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Rate Limit Service
+ * Token-bucket limits per device and per API key
+ */
+class RateLimitService {
+
+  constructor() {
+    this.store = new MemoryTokenBucketStore();
+  }
+
+  /**
+   * Replace the bucket store (see MemoryTokenBucketStore for the interface)
+   */
+  useStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Take `cost` tokens from a bucket
+   * kind: 'device' | 'apiKey'
+   * Returns { allowed, limit, remaining, retryAfterSeconds }
+   */
+  async consume(kind, id, cost = 1) {
+    const limit = RATE_LIMITS[kind];
+
+    if (!RATE_LIMIT_ENABLED) {
+      return { allowed: true, limit: limit.perMinute, remaining: limit.burst, retryAfterSeconds: 0 };
+    }
+
+    const result = await this.store.take(`${kind}:${id}`, {
+      capacity: limit.burst,
+      refillPerMs: limit.perMinute / 60000,
+      cost
+    });
+
+    return {
+      allowed: result.allowed,
+      limit: limit.perMinute,
+      remaining: result.remaining,
+      retryAfterSeconds: Math.ceil(result.retryAfterMs / 1000)
+    };
+  }
+}
+
+module.exports = new RateLimitService();
+module.exports.MemoryTokenBucketStore = MemoryTokenBucketStore;
+module.exports.RATE_LIMITS = RATE_LIMITS;
@@ -0,0 +1,330 @@
+const os = require('os');
+const { getClient, query } = require('../config/database');
+const { parseCron, nextRun } = require('../utils/cron');
+const logger = require('../utils/logger');
+const requestContext = require('../utils/requestContext');
+const analyticsService = require('./analyticsService');
+const partitionService = require('./partitionService');
+const idempotencyService = require('./idempotencyService');
+const sessionService = require('./sessionService');
+const alertService = require('./alertService');
+const webhookService = require('./webhookService');
+const connectivityService = require('./connectivityService');
+const ocppService = require('./ocppService');
+
+// Set to 'false' to run no jobs in this instance (e.g. API-only replicas)
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+
+// Job run history older than this is purged by the retention job
+const JOB_HISTORY_DAYS = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+
+// Resolved alerts (and their notifications) older than this are purged
+const ALERT_HISTORY_DAYS = parseInt(process.env.ALERT_HISTORY_DAYS) || 90;
+
+// Device connectivity transitions older than this are purged
+const CONNECTIVITY_HISTORY_DAYS = parseInt(process.env.CONNECTIVITY_HISTORY_DAYS) || 90;
+
+// setTimeout cannot wait longer than this; longer waits are re-armed
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Built-in jobs; each schedule can be overridden (or set to 'off')
+ * through its env variable
+ */
+const JOBS = [
+  {
+    name: 'analytics-refresh',
+    description: 'Refresh the vehicle_24h_performance materialized view',
+    env: 'JOB_ANALYTICS_REFRESH_CRON',
+    schedule: '*/5 * * * *',
+    run: () => analyticsService.refreshMaterializedView()
+  },
+  {
+    name: 'partition-maintenance',
+    description: 'Create upcoming and backfilled history partitions',
+    env: 'JOB_PARTITION_MAINTENANCE_CRON',
+    schedule: '0 * * * *',
+    run: () => partitionService.ensurePartitions()
+  },
+  {
+    name: 'retention',
+    description: 'Drop expired history partitions, idempotency keys, job runs, resolved alerts and connectivity history',
+    env: 'JOB_RETENTION_CRON',
+    schedule: '30 3 * * *',
+    run: async () => {
+      const history = await partitionService.applyRetention();
+      const idempotency = await idempotencyService.purgeExpired();
+      const jobRuns = await query(
+        `DELETE FROM job_runs
+         WHERE started_at < NOW() - ($1 || ' days')::INTERVAL`,
+        [JOB_HISTORY_DAYS]
+      );
+      const alerts = await query(
+        `DELETE FROM alerts
+         WHERE state = 'resolved' AND resolved_at < NOW() - ($1 || ' days')::INTERVAL`,
+        [ALERT_HISTORY_DAYS]
+      );
+      const connectivity = await query(
+        `DELETE FROM device_connectivity_history
+         WHERE changed_at < NOW() - ($1 || ' days')::INTERVAL`,
+        [CONNECTIVITY_HISTORY_DAYS]
+      );
+      return {
+        droppedPartitions: history.dropped.length,
+        defaultRowsDeleted: history.defaultRowsDeleted,
+        idempotencyKeysDeleted: idempotency.deleted,
+        jobRunsDeleted: jobRuns.rowCount,
+        resolvedAlertsDeleted: alerts.rowCount,
+        connectivityTransitionsDeleted: connectivity.rowCount
+      };
+    }
+  },
+  {
+    name: 'charging-sessions',
+    description: 'Build charging sessions for recently active vehicles and link OCPP transactions to them',
+    env: 'JOB_CHARGING_SESSIONS_CRON',
+    schedule: '*/10 * * * *',
+    run: async () => {
+      const sessions = await sessionService.sessionizeAll();
+      const ocppTransactions = await ocppService.linkPendingSessions();
+      return { ...sessions, ocppTransactions };
+    }
+  },
+  {
+    name: 'alert-evaluation',
+    description: 'Evaluate silence and efficiency alert rules and retry webhook deliveries',
+    env: 'JOB_ALERT_EVALUATION_CRON',
+    schedule: '* * * * *',
+    run: async () => {
+      const evaluation = await alertService.evaluateScheduled();
+      const webhooks = await webhookService.deliverDue();
+      return { ...evaluation, webhooks };
+    }
+  },
+  {
+    name: 'device-connectivity',
+    description: 'Record device online / late / offline transitions',
+    env: 'JOB_DEVICE_CONNECTIVITY_CRON',
+    schedule: '* * * * *',
+    run: () => connectivityService.recordTransitions()
+  }
+];
+
+/**
+ * Scheduler Service
+ * In-process cron scheduler for maintenance jobs
+ *
+ * Every instance arms the same timers; a session-level advisory lock per
+ * job makes sure only one instance actually runs a job at a time (the
+ * others record the tick as skipped). Runs are persisted in job_runs.
+ */
+class SchedulerService {
+
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+
+    for (const job of JOBS) {
+      const expression = process.env[job.env] || job.schedule;
+      this.jobs.set(job.name, {
+        ...job,
+        enabled: expression !== 'off',
+        schedule: expression !== 'off' ? parseCron(expression) : null,
+        timer: null,
+        running: false,
+        nextRunAt: null,
+        lastSkippedAt: null
+      });
+    }
+  }
+
+  /**
+   * Arm timers for every enabled job
+   */
+  start() {
+    if (!SCHEDULER_ENABLED || this.started) {
+      return;
+    }
+
+    this.started = true;
+    for (const job of this.jobs.values()) {
+      if (job.enabled) {
+        this.arm(job);
+      }
+    }
+    logger.info('Scheduler started', { jobs: [...this.jobs.values()].filter(j => j.enabled).map(j => j.name) });
+  }
+
+  /**
+   * Clear all timers (running jobs finish on their own)
+   */
+  stop() {
+    this.started = false;
+    for (const job of this.jobs.values()) {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRunAt = null;
+    }
+  }
+
+  /**
+   * Schedule the next tick of a job
+   */
+  arm(job, target = nextRun(job.schedule)) {
+    job.nextRunAt = target;
+    const delay = Math.min(target.getTime() - Date.now(), MAX_TIMER_MS);
+
+    job.timer = setTimeout(async () => {
+      if (Date.now() < target.getTime()) {
+        return this.arm(job, target);
+      }
+
+      try {
+        await this.runJob(job.name);
+      } catch (error) {
+        // Failure is already recorded in job_runs
+      }
+
+      if (this.started) {
+        this.arm(job);
+      }
+    }, Math.max(delay, 0));
+
+    // Pending jobs never keep the process alive on shutdown
+    job.timer.unref();
+  }
+
+  /**
+   * Run a job now if no other instance holds its lock
+   * Returns the run record, or null when skipped
+   */
+  async runJob(name, trigger = 'schedule') {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (job.running) {
+      job.lastSkippedAt = new Date();
+      return null;
+    }
+
+    const client = await getClient();
+    try {
+      const lock = await client.query(
+        'SELECT pg_try_advisory_lock(hashtext($1)) as acquired',
+        [`job:${name}`]
+      );
+      if (!lock.rows[0].acquired) {
+        job.lastSkippedAt = new Date();
+        return null;
+      }
+
+      job.running = true;
+      try {
+        // Logs written while the job runs carry its name
+        return await requestContext.run({ job: name }, () => this.execute(job, trigger));
+      } finally {
+        job.running = false;
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [`job:${name}`]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Execute a job and record the run
+   */
+  async execute(job, trigger) {
+    const started = await query(
+      `INSERT INTO job_runs (job_name, status, triggered_by, instance)
+       VALUES ($1, 'running', $2, $3)
+       RETURNING id`,
+      [job.name, trigger, INSTANCE_ID]
+    );
+    const runId = started.rows[0].id;
+    const start = Date.now();
+
+    try {
+      const result = await job.run();
+      const finished = await query(
+        `UPDATE job_runs
+         SET status = 'succeeded', finished_at = NOW(), duration_ms = $2, result = $3
+         WHERE id = $1
+         RETURNING *`,
+        [runId, Date.now() - start, JSON.stringify(result === undefined ? null : result)]
+      );
+      return this.formatRun(finished.rows[0]);
+    } catch (error) {
+      logger.error('Job failed', { runId, durationMs: Date.now() - start, error });
+      await query(
+        `UPDATE job_runs
+         SET status = 'failed', finished_at = NOW(), duration_ms = $2, error = $3
+         WHERE id = $1`,
+        [runId, Date.now() - start, error.message]
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Jobs with their schedule, next run and recent run history
+   */
+  async getJobs(historyLimit = 10) {
+    const result = await query(
+      `SELECT * FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY job_name ORDER BY started_at DESC) as rn
+        FROM job_runs
+       ) runs
+       WHERE rn <= $1
+       ORDER BY job_name, started_at DESC`,
+      [historyLimit]
+    );
+
+    const runsByJob = new Map();
+    for (const row of result.rows) {
+      if (!runsByJob.has(row.job_name)) {
+        runsByJob.set(row.job_name, []);
+      }
+      runsByJob.get(row.job_name).push(this.formatRun(row));
+    }
+
+    return {
+      schedulerEnabled: SCHEDULER_ENABLED,
+      instance: INSTANCE_ID,
+      jobs: [...this.jobs.values()].map(job => ({
+        name: job.name,
+        description: job.description,
+        enabled: job.enabled,
+        schedule: job.schedule ? job.schedule.expression : null,
+        running: job.running,
+        nextRunAt: job.nextRunAt,
+        lastSkippedAt: job.lastSkippedAt,
+        lastRun: (runsByJob.get(job.name) || [])[0] || null,
+        history: runsByJob.get(job.name) || []
+      }))
+    };
+  }
+
+  /**
+   * Format job run row for API response
+   */
+  formatRun(row) {
+    return {
+      runId: parseInt(row.id),
+      status: row.status,
+      trigger: row.triggered_by,
+      instance: row.instance,
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms !== null ? parseInt(row.duration_ms) : null,
+      result: row.result,
+      error: row.error
+    };
+  }
+}
+
+module.exports = new SchedulerService();
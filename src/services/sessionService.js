@@ -0,0 +1,341 @@
+const { query, transaction } = require('../config/database');
+const requestContext = require('../utils/requestContext');
+const { WRITE_TENANT_SQL } = require('../utils/telemetry');
+
+// A gap longer than this between readings closes a session
+const SESSION_GAP_MS = (parseInt(process.env.SESSION_GAP_MINUTES) || 10) * 60 * 1000;
+
+// How far back the first sessionizer run for a vehicle looks
+const SESSION_LOOKBACK_MS = (parseInt(process.env.SESSION_LOOKBACK_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// ingested_at is the start of the ingest transaction, which may commit
+// after a sessionizer run that started later; readings ingested within
+// this margin before a run are checked again by the next one
+const SESSION_INGEST_MARGIN_MS = (parseInt(process.env.SESSION_INGEST_MARGIN_SECONDS) || 300) * 1000;
+
+/**
+ * Session Service
+ * Builds discrete charging sessions from vehicle and meter history
+ *
+ * A reading is "charging" when SoC rose since the previous reading or
+ * DC energy was delivered in its interval. Consecutive charging readings
+ * form a session; a non-charging reading or a reporting gap closes it.
+ */
+class SessionService {
+
+  /**
+   * Incrementally (re)build sessions for a vehicle of the current tenant
+   * (the default tenant when unscoped)
+   * Resumes from the open session or the vehicle's watermark (the newest
+   * reading already sessionized), so repeated calls are idempotent.
+   * Readings that arrived since the last run but are older than the
+   * watermark reopen the history from the reading before them.
+   */
+  async sessionizeVehicle(vehicleId) {
+    return await transaction(async (client) => {
+      // Serialize sessionizer runs per vehicle
+      await client.query(
+        `SELECT pg_advisory_xact_lock(hashtext('sessions:' || ${WRITE_TENANT_SQL} || ':' || $1))`,
+        [vehicleId]
+      );
+
+      const watermark = await client.query(
+        `SELECT readings_through, ingested_through FROM session_watermarks
+         WHERE vehicle_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}`,
+        [vehicleId]
+      );
+      const reopenFrom = watermark.rows.length > 0
+        ? await this.findLateReadings(client, vehicleId, watermark.rows[0])
+        : null;
+
+      const last = await client.query(
+        `SELECT id, status, started_at, ended_at FROM charging_sessions
+         WHERE vehicle_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}
+         ORDER BY started_at DESC
+         LIMIT 1`,
+        [vehicleId]
+      );
+
+      let resumeFrom;
+      if (reopenFrom) {
+        // Sessions the late readings can extend, merge or split are rebuilt
+        const reopened = await client.query(
+          `DELETE FROM charging_sessions
+           WHERE vehicle_id = $1 AND tenant_id = ${WRITE_TENANT_SQL} AND ended_at >= $2
+           RETURNING started_at`,
+          [vehicleId, reopenFrom]
+        );
+        resumeFrom = new Date(Math.min(reopenFrom, ...reopened.rows.map(row => row.started_at)));
+      } else if (last.rows.length > 0 && last.rows[0].status === 'active') {
+        // Open session is recomputed from scratch
+        resumeFrom = last.rows[0].started_at;
+        await client.query('DELETE FROM charging_sessions WHERE id = $1', [last.rows[0].id]);
+      } else if (watermark.rows.length > 0) {
+        resumeFrom = watermark.rows[0].readings_through;
+      } else if (last.rows.length > 0) {
+        resumeFrom = last.rows[0].ended_at;
+      } else {
+        resumeFrom = new Date(Date.now() - SESSION_LOOKBACK_MS);
+      }
+
+      // Include the reading at resumeFrom as the baseline for the first delta
+      const readings = await client.query(
+        `SELECT soc, kwh_delivered_dc_delta, recorded_at
+         FROM vehicle_telemetry_history
+         WHERE vehicle_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}
+         AND recorded_at >= $2
+         ORDER BY recorded_at ASC`,
+        [vehicleId, resumeFrom]
+      );
+
+      const sessions = this.detectSessions(readings.rows);
+      const stored = [];
+
+      for (const session of sessions) {
+        const ac = await this.computeSessionAc(client, vehicleId, session.startedAt, session.endedAt);
+        const efficiencyRatio = ac.kwhConsumedAc > 0
+          ? parseFloat((session.kwhDeliveredDc / ac.kwhConsumedAc * 100).toFixed(2))
+          : 0;
+
+        const result = await client.query(
+          `INSERT INTO charging_sessions
+           (vehicle_id, status, started_at, ended_at, soc_start, soc_end,
+            kwh_delivered_dc, kwh_consumed_ac, efficiency_ratio, meter_ids, reading_count)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+           ON CONFLICT (tenant_id, vehicle_id, started_at)
+           DO UPDATE SET
+             status = EXCLUDED.status,
+             ended_at = EXCLUDED.ended_at,
+             soc_end = EXCLUDED.soc_end,
+             kwh_delivered_dc = EXCLUDED.kwh_delivered_dc,
+             kwh_consumed_ac = EXCLUDED.kwh_consumed_ac,
+             efficiency_ratio = EXCLUDED.efficiency_ratio,
+             meter_ids = EXCLUDED.meter_ids,
+             reading_count = EXCLUDED.reading_count,
+             updated_at = NOW()
+           RETURNING *`,
+          [vehicleId, session.status, session.startedAt, session.endedAt,
+           session.socStart, session.socEnd, session.kwhDeliveredDc,
+           ac.kwhConsumedAc, efficiencyRatio, ac.meterIds, session.readingCount]
+        );
+        stored.push(this.formatSession(result.rows[0]));
+      }
+
+      // Advance the watermark even without sessions, so the next run
+      // starts here rather than at the lookback window
+      const newest = readings.rows[readings.rows.length - 1];
+      await client.query(
+        `INSERT INTO session_watermarks (vehicle_id, readings_through, ingested_through)
+         VALUES ($1, $2, NOW() - ($3 || ' milliseconds')::INTERVAL)
+         ON CONFLICT (tenant_id, vehicle_id)
+         DO UPDATE SET
+           readings_through = EXCLUDED.readings_through,
+           ingested_through = EXCLUDED.ingested_through`,
+        [vehicleId, newest ? newest.recorded_at : resumeFrom, SESSION_INGEST_MARGIN_MS]
+      );
+
+      return { vehicleId, sessions: stored.length };
+    });
+  }
+
+  /**
+   * Time of the reading preceding the earliest late reading (ingested
+   * after the watermark's run but recorded before its newest reading),
+   * or of the late reading itself if none precedes it; null without late
+   * readings. Only the lookback window is searched.
+   */
+  async findLateReadings(client, vehicleId, watermark) {
+    const late = await client.query(
+      `SELECT min(recorded_at) as recorded_at FROM vehicle_telemetry_history
+       WHERE vehicle_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}
+       AND recorded_at >= $2 AND recorded_at < $3
+       AND ingested_at > $4`,
+      [vehicleId, new Date(Date.now() - SESSION_LOOKBACK_MS), watermark.readings_through, watermark.ingested_through]
+    );
+    const lateAt = late.rows[0].recorded_at;
+    if (!lateAt) {
+      return null;
+    }
+
+    // The preceding reading is the baseline for the late one's delta
+    const previous = await client.query(
+      `SELECT max(recorded_at) as recorded_at FROM vehicle_telemetry_history
+       WHERE vehicle_id = $1 AND tenant_id = ${WRITE_TENANT_SQL}
+       AND recorded_at < $2`,
+      [vehicleId, lateAt]
+    );
+    return previous.rows[0].recorded_at || lateAt;
+  }
+
+  /**
+   * Sessionize every vehicle that reported since the given time
+   * Each vehicle is sessionized scoped to its own tenant
+   */
+  async sessionizeAll(since = new Date(Date.now() - 24 * 60 * 60 * 1000)) {
+    const vehicles = await query(
+      'SELECT tenant_id, vehicle_id FROM vehicle_current_status WHERE last_updated >= $1',
+      [since]
+    );
+
+    let sessions = 0;
+    for (const row of vehicles.rows) {
+      const result = await requestContext.run({ tenantId: row.tenant_id }, () =>
+        this.sessionizeVehicle(row.vehicle_id));
+      sessions += result.sessions;
+    }
+
+    return { vehicles: vehicles.rows.length, sessions };
+  }
+
+  /**
+   * Walk an ascending reading stream and cut it into sessions
+   * The reading preceding the first charging reading is the session start
+   * (its SoC is the starting SoC and its timestamp opens the interval)
+   */
+  detectSessions(readings, now = Date.now()) {
+    const sessions = [];
+    let current = null;
+    let prev = null;
+
+    for (const row of readings) {
+      const reading = {
+        soc: parseFloat(row.soc),
+        kwhDc: parseFloat(row.kwh_delivered_dc_delta) || 0,
+        at: new Date(row.recorded_at)
+      };
+
+      const gap = prev ? reading.at - prev.at : Infinity;
+      const charging = prev !== null && gap <= SESSION_GAP_MS &&
+        (reading.soc > prev.soc || reading.kwhDc > 0);
+
+      if (charging) {
+        if (!current) {
+          current = {
+            startedAt: prev.at,
+            socStart: prev.soc,
+            kwhDeliveredDc: 0,
+            readingCount: 1
+          };
+        }
+        current.endedAt = reading.at;
+        current.socEnd = reading.soc;
+        current.kwhDeliveredDc += reading.kwhDc;
+        current.readingCount++;
+      } else if (current) {
+        sessions.push({ ...current, status: 'completed' });
+        current = null;
+      }
+
+      prev = reading;
+    }
+
+    if (current) {
+      // Trailing session stays open until the vehicle goes quiet
+      const status = now - current.endedAt.getTime() > SESSION_GAP_MS ? 'completed' : 'active';
+      sessions.push({ ...current, status });
+    }
+
+    return sessions.map(session => ({
+      ...session,
+      kwhDeliveredDc: parseFloat(session.kwhDeliveredDc.toFixed(4))
+    }));
+  }
+
+  /**
+   * Sum AC from the meter(s) paired with the vehicle during the session
+   */
+  async computeSessionAc(client, vehicleId, startedAt, endedAt) {
+    const result = await client.query(
+      `SELECT
+        COALESCE(SUM(mh.kwh_consumed_ac_delta), 0) as kwh_consumed_ac,
+        COALESCE(ARRAY_AGG(DISTINCT mh.meter_id) FILTER (WHERE mh.meter_id IS NOT NULL), '{}') as meter_ids
+       FROM meter_vehicle_pairings p
+       JOIN meter_telemetry_history mh
+         ON mh.meter_id = p.meter_id
+         AND mh.tenant_id = p.tenant_id
+         AND mh.recorded_at >= p.paired_from
+         AND (p.paired_to IS NULL OR mh.recorded_at < p.paired_to)
+       WHERE p.vehicle_id = $1 AND p.tenant_id = ${WRITE_TENANT_SQL}
+       AND mh.recorded_at > $2
+       AND mh.recorded_at <= $3`,
+      [vehicleId, startedAt, endedAt]
+    );
+
+    return {
+      kwhConsumedAc: parseFloat(result.rows[0].kwh_consumed_ac) || 0,
+      meterIds: result.rows[0].meter_ids
+    };
+  }
+
+  /**
+   * List sessions for a vehicle, newest first
+   */
+  async getVehicleSessions(vehicleId, filters = {}) {
+    const { from, to, limit = 100 } = filters;
+    const conditions = ['vehicle_id = $1'];
+    const params = [vehicleId];
+
+    if (from) {
+      params.push(from);
+      conditions.push(`ended_at >= $${params.length}`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`started_at <= $${params.length}`);
+    }
+    params.push(limit);
+
+    const result = await query(
+      `SELECT * FROM charging_sessions
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY started_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+    return result.rows.map(row => this.formatSession(row));
+  }
+
+  /**
+   * Get a single session
+   */
+  async getSession(sessionId) {
+    if (!/^\d+$/.test(String(sessionId))) {
+      return null;
+    }
+
+    const result = await query(
+      'SELECT * FROM charging_sessions WHERE id = $1',
+      [sessionId]
+    );
+    return result.rows[0] ? this.formatSession(result.rows[0]) : null;
+  }
+
+  /**
+   * Format session row for API response
+   */
+  formatSession(row) {
+    return {
+      sessionId: parseInt(row.id),
+      tenantId: row.tenant_id,
+      vehicleId: row.vehicle_id,
+      status: row.status,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+      durationMinutes: Math.round((new Date(row.ended_at) - new Date(row.started_at)) / 60000),
+      soc: {
+        start: parseFloat(row.soc_start),
+        end: parseFloat(row.soc_end),
+        gained: parseFloat((row.soc_end - row.soc_start).toFixed(2))
+      },
+      energy: {
+        kwhConsumedAc: parseFloat(row.kwh_consumed_ac) || 0,
+        kwhDeliveredDc: parseFloat(row.kwh_delivered_dc) || 0,
+        efficiencyRatio: parseFloat(row.efficiency_ratio) || 0
+      },
+      meterIds: row.meter_ids,
+      readingCount: parseInt(row.reading_count) || 0
+    };
+  }
+}
+
+module.exports = new SessionService();
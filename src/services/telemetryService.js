@@ -0,0 +1,597 @@
+const { query, transaction } = require('../config/database');
+const counterService = require('./counterService');
+const metricsService = require('./metricsService');
+const alertService = require('./alertService');
+const deviceTypes = require('../deviceTypes');
+const { isLate, chunk, WRITE_TENANT_SQL } = require('../utils/telemetry');
+
+// Postgres array type used with unnest() per field type
+const SQL_TYPES = {
+  string: 'varchar',
+  number: 'numeric',
+  boolean: 'boolean',
+  timestamp: 'timestamptz'
+};
+
+/**
+ * Telemetry Service
+ * Handles telemetry ingestion with Hot/Cold storage strategy for one
+ * registered device type (see src/deviceTypes); get one per type with
+ * forType(name)
+ */
+class TelemetryService {
+
+  constructor(type) {
+    this.type = type;
+  }
+
+  /**
+   * Ingest single telemetry reading
+   * Strategy: INSERT to history (cold) + UPSERT to current status (hot)
+   * Hot status only moves forward in time: late readings (outside the
+   * tolerance window) and out-of-order readings go to cold storage only
+   */
+  async ingest(data) {
+    const { name, idField, counter } = this.type;
+    const deviceId = data[idField];
+    const { timestamp } = data;
+
+    // Validate data
+    try {
+      this.validate(data);
+    } catch (error) {
+      metricsService.increment('validation_failures_total', { type: name });
+      throw error;
+    }
+
+    const result = await transaction(async (client) => {
+      // Interval energy (delta) from the device's counter mode
+      const [resolved] = await this.resolveCounters(client, [data]);
+
+      // 1. COLD STORAGE: Append to history (INSERT only - audit trail)
+      // (tenant, device id, recorded_at) is unique, so a retried reading is a no-op
+      const inserted = await this.insertHistory(client, [{ reading: data, counter: resolved }]);
+
+      if (inserted.size === 0) {
+        return {
+          [idField]: deviceId,
+          type: name,
+          stored: false,
+          duplicate: true,
+          timestamp
+        };
+      }
+      await this.applyCounterCorrections(client, [resolved]);
+
+      // Derived hot-status fields (e.g. isCharging) against the hot row
+      const previous = await this.previousStatus(client, [deviceId]);
+      const derived = this.derive(data, previous.get(deviceId));
+
+      // 2. HOT STORAGE: Update current status (UPSERT - fast dashboard reads)
+      const late = isLate(timestamp);
+      const hotUpdated = late
+        ? false
+        : await this.upsertCurrentStatus(client, [{ ...data, ...derived }]) > 0;
+
+      if (late) {
+        metricsService.increment('late_records_accepted_total', { type: name });
+      } else if (!hotUpdated) {
+        metricsService.increment('out_of_order_records_total', { type: name });
+      }
+
+      return {
+        [idField]: deviceId,
+        type: name,
+        stored: true,
+        duplicate: false,
+        late,
+        hotStatusUpdated: hotUpdated,
+        timestamp,
+        ...derived,
+        ...(counter ? { [`${counter}Delta`]: resolved.delta, counterEvent: resolved.event } : {})
+      };
+    });
+
+    metricsService.increment(result.duplicate ? 'records_duplicate_total' : 'records_ingested_total', { type: name });
+
+    // Alert rules see readings that moved the hot status forward
+    if (result.hotStatusUpdated) {
+      await alertService.evaluateReadings(name, [data]);
+    }
+    return result;
+  }
+
+  /**
+   * Batch ingest for high-throughput scenarios
+   * Optimized for 10,000+ devices sending data every 60 seconds
+   */
+  async ingestBatch(batch) {
+    if (!batch || batch.length === 0) {
+      return { count: 0 };
+    }
+
+    return await transaction(async (client) => this.writeBatch(client, batch));
+  }
+
+  /**
+   * Write a batch of validated readings on an open transaction
+   * Lets callers compose batches across types or isolate them in savepoints
+   *
+   * Set-based: history is inserted from parallel arrays via unnest() (one
+   * parameter per column, so no 65535-parameter ceiling) and hot status
+   * gets one deduplicated upsert, both in INGEST_CHUNK_SIZE chunks.
+   *
+   * Returns { count, duplicates, late, outOfOrder } where duplicates holds
+   * the batch positions of readings already stored (or repeated in the batch)
+   */
+  async writeBatch(client, batch) {
+    const { name, idField } = this.type;
+
+    // Drop repeats of (device id, timestamp) within the batch itself
+    const seen = new Set();
+    const duplicates = [];
+    const unique = [];
+    batch.forEach((reading, position) => {
+      const key = readingKey(reading[idField], reading.timestamp);
+      if (seen.has(key)) {
+        duplicates.push(position);
+      } else {
+        seen.add(key);
+        unique.push({ reading, position });
+      }
+    });
+
+    // Interval energy (delta) per record from each device's counter mode
+    const counters = await this.resolveCounters(client, unique.map(({ reading }) => reading));
+    unique.forEach((item, index) => { item.counter = counters[index]; });
+
+    // 1. COLD STORAGE: set-based append to history
+    const insertedKeys = await this.insertHistory(client, unique);
+
+    // Readings that hit the unique key were stored by an earlier request
+    const stored = [];
+    const storedCounters = [];
+    for (const { reading, position, counter } of unique) {
+      if (insertedKeys.has(readingKey(reading[idField], reading.timestamp))) {
+        stored.push(reading);
+        storedCounters.push(counter);
+      } else {
+        duplicates.push(position);
+      }
+    }
+    await this.applyCounterCorrections(client, storedCounters);
+
+    // 2. HOT STORAGE: newest non-late reading per device, one set-based upsert
+    const byDevice = new Map();
+    for (const reading of stored) {
+      if (!byDevice.has(reading[idField])) {
+        byDevice.set(reading[idField], []);
+      }
+      byDevice.get(reading[idField]).push(reading);
+    }
+
+    // Derived fields compare with the previous reading (in this batch, else hot storage)
+    const hot = await this.previousStatus(client, [...byDevice.keys()]);
+
+    const candidates = [];
+    let late = 0;
+    for (const [deviceId, readings] of byDevice) {
+      readings.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+      late += readings.filter(reading => isLate(reading.timestamp)).length;
+
+      const newest = readings[readings.length - 1];
+      if (isLate(newest.timestamp)) {
+        continue;
+      }
+
+      const previous = readings.length > 1 ? readings[readings.length - 2] : hot.get(deviceId);
+      candidates.push({ ...newest, ...this.derive(newest, previous) });
+    }
+
+    const applied = await this.upsertCurrentStatus(client, candidates);
+    const outOfOrder = candidates.length - applied;
+
+    metricsService.increment('late_records_accepted_total', { type: name }, late);
+    metricsService.increment('out_of_order_records_total', { type: name }, outOfOrder);
+
+    return { count: stored.length, duplicates: duplicates.sort((a, b) => a - b), late, outOfOrder };
+  }
+
+  /**
+   * Interval deltas of the readings' energy counter, aligned with the input
+   * ({ delta: null, event: null } for types without a counter)
+   */
+  async resolveCounters(client, readings) {
+    const { idField, counter } = this.type;
+    if (!counter) {
+      return readings.map(() => ({ delta: null, event: null }));
+    }
+
+    return counterService.resolveDeltas(
+      client,
+      this.counterSpec(),
+      readings.map(reading => ({ deviceId: reading[idField], raw: reading[counter], timestamp: reading.timestamp }))
+    );
+  }
+
+  /**
+   * Recompute the stored successors of inserted readings (counters from
+   * resolveCounters; readings that turned out to be duplicates are left out)
+   */
+  async applyCounterCorrections(client, counters) {
+    const corrections = counters.filter(counter => counter.successor).map(counter => counter.successor);
+    if (corrections.length > 0) {
+      await counterService.applyCorrections(client, this.counterSpec(), corrections);
+    }
+  }
+
+  counterSpec() {
+    const { name, counterColumn, tables, idColumn } = this.type;
+    return { deviceType: name, historyTable: tables.history, idColumn, rawColumn: counterColumn };
+  }
+
+  /**
+   * Append readings ([{ reading, counter }]) to history, skipping those
+   * already stored; returns the readingKeys of the rows inserted
+   */
+  async insertHistory(client, items) {
+    const { idField, idColumn, fields, counterColumn, tables } = this.type;
+
+    const columns = [
+      { column: idColumn, sqlType: SQL_TYPES.string, value: ({ reading }) => reading[idField] },
+      ...Object.entries(fields).map(([field, spec]) => ({
+        column: spec.column,
+        sqlType: SQL_TYPES[spec.type],
+        value: ({ reading }) => reading[field] ?? null
+      })),
+      { column: 'recorded_at', sqlType: SQL_TYPES.timestamp, value: ({ reading }) => reading.timestamp }
+    ];
+    if (counterColumn) {
+      columns.push(
+        { column: `${counterColumn}_delta`, sqlType: SQL_TYPES.number, value: ({ counter }) => counter.delta },
+        { column: 'counter_event', sqlType: SQL_TYPES.string, value: ({ counter }) => counter.event }
+      );
+    }
+
+    const insertedKeys = new Set();
+    for (const rows of chunk(items)) {
+      const inserted = await client.query(
+        `INSERT INTO ${tables.history}
+         (${columns.map(({ column }) => column).join(', ')})
+         SELECT * FROM unnest(${columns.map(({ sqlType }, i) => `$${i + 1}::${sqlType}[]`).join(', ')})
+         ON CONFLICT (tenant_id, ${idColumn}, recorded_at) DO NOTHING
+         RETURNING ${idColumn}, recorded_at`,
+        columns.map(({ value }) => rows.map(value))
+      );
+      for (const row of inserted.rows) {
+        insertedKeys.add(readingKey(row[idColumn], row.recorded_at));
+      }
+    }
+    return insertedKeys;
+  }
+
+  /**
+   * Apply readings (with derived fields) to hot storage unless a newer one
+   * is already there; rebuild also copies tenant_id and skips equal times
+   * Returns the number of rows written
+   */
+  async upsertCurrentStatus(client, readings, { rebuild = false } = {}) {
+    const { idField, idColumn, fields, hotStatus, tables } = this.type;
+
+    const columns = [
+      { column: idColumn, sqlType: SQL_TYPES.string, value: reading => reading[idField] },
+      ...(rebuild ? [{ column: 'tenant_id', sqlType: SQL_TYPES.string, value: reading => reading.tenantId }] : []),
+      ...hotStatus.fields.map(field => ({
+        column: fields[field].column,
+        sqlType: SQL_TYPES[fields[field].type],
+        value: reading => reading[field] ?? null
+      })),
+      ...Object.entries(hotStatus.derived).map(([field, spec]) => ({
+        column: spec.column,
+        sqlType: SQL_TYPES[spec.type],
+        value: reading => reading[field] ?? null
+      })),
+      { column: 'last_updated', sqlType: SQL_TYPES.timestamp, value: reading => reading.timestamp }
+    ];
+    const updates = columns
+      .filter(({ column }) => column !== idColumn && column !== 'tenant_id')
+      .map(({ column }) => `${column} = EXCLUDED.${column},`);
+
+    let applied = 0;
+    for (const rows of chunk(readings)) {
+      const result = await client.query(
+        `INSERT INTO ${tables.status}
+         (${columns.map(({ column }) => column).join(', ')})
+         SELECT * FROM unnest(${columns.map(({ sqlType }, i) => `$${i + 1}::${sqlType}[]`).join(', ')})
+         ON CONFLICT (tenant_id, ${idColumn})
+         DO UPDATE SET
+           ${updates.join('\n           ')}
+           ingested_at = NOW()
+         WHERE ${tables.status}.last_updated ${rebuild ? '<' : '<='} EXCLUDED.last_updated`,
+        columns.map(({ value }) => rows.map(value))
+      );
+      applied += result.rowCount;
+    }
+    return applied;
+  }
+
+  /**
+   * Hot status of the given devices as readings, for derived fields
+   * Returns Map<deviceId, reading> (empty for types without derived fields)
+   */
+  async previousStatus(client, deviceIds) {
+    const { idColumn, tables, hotStatus } = this.type;
+    if (Object.keys(hotStatus.derived).length === 0 || deviceIds.length === 0) {
+      return new Map();
+    }
+
+    const result = await client.query(
+      `SELECT * FROM ${tables.status} WHERE ${idColumn} = ANY($1) AND tenant_id = ${WRITE_TENANT_SQL}`,
+      [deviceIds]
+    );
+    return new Map(result.rows.map(row => [row[idColumn], this.fromRow(row)]));
+  }
+
+  /**
+   * Derived hot-status fields of a reading given the device's previous one
+   */
+  derive(reading, previous) {
+    const derived = {};
+    for (const [field, spec] of Object.entries(this.type.hotStatus.derived)) {
+      derived[field] = spec.compute(reading, previous);
+    }
+    return derived;
+  }
+
+  /**
+   * History or hot-status row as a reading (numbers as numbers)
+   */
+  fromRow(row) {
+    const { idField, idColumn, fields } = this.type;
+    const reading = { [idField]: row[idColumn], timestamp: row.recorded_at || row.last_updated };
+    for (const [field, spec] of Object.entries(fields)) {
+      const value = row[spec.column];
+      if (value !== undefined) {
+        reading[field] = value !== null && spec.type === 'number' ? parseFloat(value) : value;
+      }
+    }
+    if (row.tenant_id !== undefined) {
+      reading.tenantId = row.tenant_id;
+    }
+    return reading;
+  }
+
+  /**
+   * Rebuild hot status of the given devices from their newest stored
+   * reading (after bulk imports, which may bring readings newer than the
+   * hot row, late or not); derived fields compare with the reading before.
+   * Hot status still only moves forward.
+   * Returns the number of devices updated
+   */
+  async rebuildCurrentStatus(deviceIds) {
+    const { idColumn, tables, hotStatus } = this.type;
+    const depth = Object.keys(hotStatus.derived).length > 0 ? 2 : 1;
+
+    let updated = 0;
+    for (const ids of chunk(deviceIds)) {
+      const result = await query(
+        `SELECT h.* FROM unnest($1::varchar[]) AS d(device_id)
+         CROSS JOIN LATERAL (
+           SELECT * FROM ${tables.history}
+           WHERE ${idColumn} = d.device_id AND tenant_id = ${WRITE_TENANT_SQL}
+           ORDER BY recorded_at DESC
+           LIMIT ${depth}
+         ) h`,
+        [ids]
+      );
+
+      const newest = new Map();
+      const previous = new Map();
+      for (const row of result.rows) {
+        const reading = this.fromRow(row);
+        (newest.has(row[idColumn]) ? previous : newest).set(row[idColumn], reading);
+      }
+
+      const readings = [...newest].map(([deviceId, reading]) => ({
+        ...reading,
+        ...this.derive(reading, previous.get(deviceId))
+      }));
+      updated += await this.upsertCurrentStatus({ query }, readings, { rebuild: true });
+    }
+    return updated;
+  }
+
+  /**
+   * Get current status of a device (from hot storage - no table scan)
+   */
+  async getCurrentStatus(deviceId) {
+    const { idColumn, tables } = this.type;
+    const result = await query(
+      `SELECT * FROM ${tables.status} WHERE ${idColumn} = $1`,
+      [deviceId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get raw historical data for a device within time range
+   * Keyset-paginated newest first on (recorded_at, id)
+   */
+  async getHistory(deviceId, startTime, endTime, options = {}) {
+    const { idColumn, tables } = this.type;
+    const { limit = 1000, cursor = null } = options;
+    const params = [deviceId, startTime, endTime];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.t, cursor.id);
+      cursorCondition = 'AND (recorded_at, id) < ($4, $5)';
+    }
+    params.push(limit + 1);
+
+    const result = await query(
+      `SELECT * FROM ${tables.history}
+       WHERE ${idColumn} = $1
+       AND recorded_at BETWEEN $2 AND $3
+       ${cursorCondition}
+       ORDER BY recorded_at DESC, id DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+      rows,
+      nextCursor: result.rows.length > limit
+        ? { t: last.recorded_at.toISOString(), id: last.id }
+        : null
+    };
+  }
+
+  /**
+   * Get downsampled historical data for a device
+   * Aggregates readings into fixed-width buckets (bucketSeconds), newest
+   * first: min/max/avg per numeric field, plus the counter's delta sum
+   */
+  async getHistoryAggregated(deviceId, startTime, endTime, bucketSeconds, options = {}) {
+    const { idColumn, tables, fields, counterColumn } = this.type;
+    const { limit = 1000, cursor = null } = options;
+    const params = [deviceId, startTime, endTime, bucketSeconds];
+    let cursorCondition = '';
+
+    if (cursor) {
+      params.push(cursor.t);
+      cursorCondition = 'AND recorded_at < $5';
+    }
+    params.push(limit + 1);
+
+    const aggregates = [];
+    for (const { column, type } of Object.values(fields)) {
+      if (type !== 'number') {
+        continue;
+      }
+      aggregates.push(
+        `MIN(${column}) as ${column}_min`,
+        `MAX(${column}) as ${column}_max`,
+        `AVG(${column}) as ${column}_avg`
+      );
+      if (column === counterColumn) {
+        aggregates.push(`SUM(${column}_delta) as ${column}_sum`);
+      }
+    }
+
+    const result = await query(
+      `SELECT
+        to_timestamp(floor(extract(epoch FROM recorded_at) / $4) * $4) as bucket_start,
+        COUNT(*) as reading_count,
+        ${aggregates.join(',\n        ')}
+       FROM ${tables.history}
+       WHERE ${idColumn} = $1
+       AND recorded_at BETWEEN $2 AND $3
+       ${cursorCondition}
+       GROUP BY bucket_start
+       ORDER BY bucket_start DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+      rows,
+      nextCursor: result.rows.length > limit
+        ? { t: last.bucket_start.toISOString() }
+        : null
+    };
+  }
+
+  /**
+   * Validate telemetry data against the type's field schema
+   */
+  validate(data) {
+    const { idField, fields } = this.type;
+
+    if (!data[idField] || typeof data[idField] !== 'string') {
+      throw new Error(`Invalid ${idField}: must be a non-empty string`);
+    }
+
+    for (const [field, spec] of Object.entries(fields)) {
+      const value = data[field];
+      if (spec.required === false && (value === undefined || value === null)) {
+        continue;
+      }
+      const problem = fieldProblem(spec, value);
+      if (problem) {
+        throw new Error(`Invalid ${field}: ${problem}`);
+      }
+    }
+
+    const { timestamp } = data;
+    if (!timestamp) {
+      throw new Error('Invalid timestamp: timestamp is required');
+    }
+
+    const parsedDate = new Date(timestamp);
+    if (isNaN(parsedDate.getTime())) {
+      throw new Error('Invalid timestamp: must be a valid ISO 8601 date string');
+    }
+  }
+}
+
+/**
+ * Why a value does not match its field spec, or null when it does
+ */
+function fieldProblem({ type, min, max }, value) {
+  if (type === 'string') {
+    return typeof value === 'string' ? null : 'must be a string';
+  }
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be a boolean';
+  }
+
+  const inRange = typeof value === 'number' &&
+    (min === undefined || value >= min) &&
+    (max === undefined || value <= max);
+  if (inRange) {
+    return null;
+  }
+  if (min !== undefined && max !== undefined) {
+    return `must be a number between ${min} and ${max}`;
+  }
+  if (min === 0) {
+    return 'must be a positive number';
+  }
+  if (min !== undefined) {
+    return `must be a number of at least ${min}`;
+  }
+  return max !== undefined ? `must be a number of at most ${max}` : 'must be a number';
+}
+
+/**
+ * Natural idempotency key of a reading (millisecond precision)
+ */
+function readingKey(deviceId, timestamp) {
+  return `${deviceId}|${new Date(timestamp).getTime()}`;
+}
+
+const services = new Map();
+
+/**
+ * Service for a registered device type, or null for unknown types
+ */
+function forType(name) {
+  if (!services.has(name)) {
+    const type = deviceTypes.get(name);
+    if (!type) {
+      return null;
+    }
+    services.set(name, new TelemetryService(type));
+  }
+  return services.get(name);
+}
+
+module.exports = {
+  TelemetryService,
+  forType
+};
@@ -0,0 +1,51 @@
+const { query } = require('../config/database');
+const { TENANT_ID_PATTERN } = require('./apiKeyService');
+
+/**
+ * Tenant Service
+ * Customer fleets sharing the deployment; each device, reading and
+ * session belongs to exactly one tenant
+ */
+class TenantService {
+
+  /**
+   * Register a tenant
+   */
+  async createTenant(tenantData) {
+    const { tenantId, name = null } = tenantData;
+
+    if (!tenantId || typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) {
+      throw new Error('Invalid tenantId: 1-100 letters, digits, "-" or "_"');
+    }
+    if (name !== null && (typeof name !== 'string' || name.length > 255)) {
+      throw new Error('Invalid name: must be a string of at most 255 characters');
+    }
+
+    const result = await query(
+      `INSERT INTO tenants (tenant_id, name)
+       VALUES ($1, $2)
+       ON CONFLICT (tenant_id) DO NOTHING
+       RETURNING *`,
+      [tenantId, name]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`Tenant already exists: ${tenantId}`);
+    }
+
+    return this.formatTenant(result.rows[0]);
+  }
+
+  /**
+   * Format tenant row for API response
+   */
+  formatTenant(row) {
+    return {
+      tenantId: row.tenant_id,
+      name: row.name,
+      createdAt: row.created_at
+    };
+  }
+}
+
+module.exports = new TenantService();
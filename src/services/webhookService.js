@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+const logger = require('../utils/logger');
+const metricsService = require('./metricsService');
+
+// Per-request timeout for webhook deliveries
+const ALERT_WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+
+// Deliveries are given up (status 'failed') after this many attempts
+const ALERT_WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.ALERT_WEBHOOK_MAX_ATTEMPTS) || 8;
+
+// When set, bodies are signed: X-Alert-Signature: sha256=<hex HMAC>
+const ALERT_WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET || null;
+
+// Hosts rule webhooks may point at (comma-separated), besides the host of
+// ALERT_WEBHOOK_URL; rules cannot make the engine call anywhere else
+const ALERT_WEBHOOK_ALLOWED_HOSTS = new Set(
+  [process.env.ALERT_WEBHOOK_URL ? hostOf(process.env.ALERT_WEBHOOK_URL) : null]
+    .concat((process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '').split(','))
+    .map(host => host && host.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+// First retry delay; doubles with each attempt (capped at an hour)
+const RETRY_BASE_SECONDS = 30;
+const RETRY_MAX_SECONDS = 3600;
+
+// Notifications claimed per round; a claim hides them from other
+// instances for CLAIM_LEASE_SECONDS
+const DELIVERY_BATCH_SIZE = 50;
+const CLAIM_LEASE_SECONDS = 300;
+
+/**
+ * Webhook Service
+ * Delivers queued alert notifications (alert_notifications outbox) by
+ * HTTP POST, retrying failures with exponential backoff
+ *
+ * Rows are claimed with FOR UPDATE SKIP LOCKED, so several instances can
+ * deliver side by side without sending a notification twice (unless an
+ * instance dies mid-delivery, when its claim expires and another retries:
+ * receivers should deduplicate on X-Alert-Delivery).
+ *
+ * Only http(s) URLs on the operator's allowed hosts are called, and
+ * redirects are not followed.
+ */
+class WebhookService {
+
+  constructor() {
+    this.sweeping = null;
+    this.requested = false;
+  }
+
+  /**
+   * Deliver every due notification
+   * Concurrent calls share one sweep; a call made during a sweep runs
+   * another round afterwards so fresh notifications are not left waiting
+   * Returns { delivered, retrying, failed }
+   */
+  async deliverDue() {
+    if (this.sweeping) {
+      this.requested = true;
+      return this.sweeping;
+    }
+
+    this.sweeping = (async () => {
+      const totals = { delivered: 0, retrying: 0, failed: 0 };
+      do {
+        this.requested = false;
+        const round = await this.sweep();
+        for (const outcome of Object.keys(totals)) {
+          totals[outcome] += round[outcome];
+        }
+      } while (this.requested);
+      return totals;
+    })().finally(() => {
+      this.sweeping = null;
+    });
+
+    return this.sweeping;
+  }
+
+  async sweep() {
+    const totals = { delivered: 0, retrying: 0, failed: 0 };
+
+    for (;;) {
+      const claimed = await query(
+        `UPDATE alert_notifications
+         SET next_attempt_at = NOW() + ($2 || ' seconds')::INTERVAL
+         WHERE id IN (
+           SELECT id FROM alert_notifications
+           WHERE status = 'pending' AND next_attempt_at <= NOW()
+           ORDER BY id
+           LIMIT $1
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [DELIVERY_BATCH_SIZE, CLAIM_LEASE_SECONDS]
+      );
+
+      // In id order, so an alert's firing notice goes out before its resolution
+      for (const notification of claimed.rows.sort((a, b) => a.id - b.id)) {
+        totals[await this.deliver(notification)]++;
+      }
+
+      if (claimed.rows.length < DELIVERY_BATCH_SIZE) {
+        return totals;
+      }
+    }
+  }
+
+  /**
+   * Attempt one delivery and record the outcome
+   */
+  async deliver(notification) {
+    const attempts = notification.attempts + 1;
+
+    try {
+      await this.post(notification);
+      await query(
+        `UPDATE alert_notifications
+         SET status = 'delivered', attempts = $2, delivered_at = NOW(), last_error = NULL
+         WHERE id = $1`,
+        [notification.id, attempts]
+      );
+      metricsService.increment('alert_notifications_total', { outcome: 'delivered' });
+      return 'delivered';
+    } catch (error) {
+      const failed = error.permanent || attempts >= ALERT_WEBHOOK_MAX_ATTEMPTS;
+      const delay = Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), RETRY_MAX_SECONDS);
+
+      await query(
+        `UPDATE alert_notifications
+         SET status = $3, attempts = $2, last_error = $4,
+             next_attempt_at = NOW() + ($5 || ' seconds')::INTERVAL
+         WHERE id = $1`,
+        [notification.id, attempts, failed ? 'failed' : 'pending', error.message, delay]
+      );
+
+      const outcome = failed ? 'failed' : 'retrying';
+      metricsService.increment('alert_notifications_total', { outcome });
+      logger.warn('Alert webhook delivery failed', {
+        notificationId: notification.id,
+        alertId: notification.alert_id,
+        attempts,
+        retryInSeconds: failed ? null : delay,
+        error
+      });
+      return outcome;
+    }
+  }
+
+  /**
+   * POST the notification payload; non-2xx responses count as failures
+   */
+  async post(notification) {
+    if (!this.isAllowed(notification.webhook_url)) {
+      const error = new Error('Webhook host is not allowed');
+      error.permanent = true;
+      throw error;
+    }
+
+    const body = JSON.stringify(notification.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'energy-ingestion-engine',
+      'X-Alert-Event': notification.event,
+      'X-Alert-Delivery': String(notification.id)
+    };
+    if (ALERT_WEBHOOK_SECRET) {
+      headers['X-Alert-Signature'] = 'sha256=' +
+        crypto.createHmac('sha256', ALERT_WEBHOOK_SECRET).update(body).digest('hex');
+    }
+
+    const response = await fetch(notification.webhook_url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'error',
+      signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Whether a webhook URL is http(s) on an allowed host
+   */
+  isAllowed(webhookUrl) {
+    const host = hostOf(webhookUrl);
+    return host !== null && ALERT_WEBHOOK_ALLOWED_HOSTS.has(host);
+  }
+}
+
+/**
+ * Lower-case host name of an http(s) URL (null for anything else)
+ */
+function hostOf(webhookUrl) {
+  let url;
+  try {
+    url = new URL(webhookUrl);
+  } catch (error) {
+    return null;
+  }
+  return ['http:', 'https:'].includes(url.protocol) ? url.hostname.toLowerCase() : null;
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,120 @@
+/**
+ * Minimal 5-field cron expressions (minute hour day-of-month month day-of-week)
+ * Supports *, lists (1,5), ranges (1-5) and steps (*\/15, 10-50/10).
+ * Expressions are evaluated in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+// Upper bound on the search for the next matching minute (~4 years)
+const MAX_SEARCH_MINUTES = 4 * 366 * 24 * 60;
+
+/**
+ * Parse one cron field into the set of values it matches
+ */
+function parseField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const [, range, from, to, step] = match;
+    const start = range === '*' ? min : parseInt(from);
+    const end = range === '*' ? max : (to !== undefined ? parseInt(to) : (step ? max : start));
+    const increment = step ? parseInt(step) : 1;
+
+    if (start < min || end > max || start > end || increment < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let v = start; v <= end; v += increment) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * Returns { expression, minute, hour, dayOfMonth, month, dayOfWeek, ... }
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Invalid cron expression "${expression}": expected 5 fields`);
+  }
+
+  const schedule = { expression };
+  FIELDS.forEach((field, i) => {
+    schedule[field.name] = parseField(parts[i], field);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (schedule.dayOfWeek.has(7)) {
+    schedule.dayOfWeek.add(0);
+  }
+
+  // Standard cron: when both day fields are restricted, either may match
+  schedule.anyDayOfMonth = parts[2] === '*';
+  schedule.anyDayOfWeek = parts[4] === '*';
+
+  return schedule;
+}
+
+function matchesDay(schedule, date) {
+  const dom = schedule.dayOfMonth.has(date.getUTCDate());
+  const dow = schedule.dayOfWeek.has(date.getUTCDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dom && dow;
+  }
+  return dom || dow;
+}
+
+/**
+ * Next time strictly after `from` that matches the schedule
+ */
+function nextRun(schedule, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+    if (!schedule.month.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+      continue;
+    }
+    if (!schedule.hour.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minute.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  throw new Error(`Cron expression "${schedule.expression}" never matches`);
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
@@ -0,0 +1,122 @@
+/**
+ * History query helpers
+ * Shared time-range, cursor and bucket handling for history endpoints
+ */
+
+// Supported downsampling buckets (seconds)
+const BUCKETS = {
+  '1m': 60,
+  '15m': 15 * 60,
+  '1h': 60 * 60,
+  '1d': 24 * 60 * 60
+};
+
+const DEFAULT_LIMIT = 1000;
+const MAX_LIMIT = 10000;
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse and validate a from/to range (defaults to the last 24 hours)
+ */
+function parseTimeRange(from, to) {
+  const end = to ? new Date(to) : new Date();
+  if (isNaN(end.getTime())) {
+    throw new Error('Invalid to: must be a valid ISO 8601 date string');
+  }
+
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_MS);
+  if (isNaN(start.getTime())) {
+    throw new Error('Invalid from: must be a valid ISO 8601 date string');
+  }
+
+  if (start > end) {
+    throw new Error('Invalid range: from must be before to');
+  }
+
+  return { from: start.toISOString(), to: end.toISOString() };
+}
+
+/**
+ * Clamp a requested page size
+ */
+function parseLimit(limit) {
+  const parsed = parseInt(limit);
+  if (!parsed || parsed < 1) {
+    return DEFAULT_LIMIT;
+  }
+  return Math.min(parsed, MAX_LIMIT);
+}
+
+/**
+ * Resolve a bucket name to its width in seconds
+ */
+function parseBucket(bucket) {
+  if (bucket === undefined || bucket === null || bucket === '') {
+    return null;
+  }
+  if (!BUCKETS[bucket]) {
+    throw new Error(`Invalid bucket: must be one of ${Object.keys(BUCKETS).join(', ')}`);
+  }
+  return BUCKETS[bucket];
+}
+
+/**
+ * Cursors are opaque base64url tokens over (recorded_at, id) for raw
+ * pages and over the bucket start for aggregated pages
+ * (decodeCursor(cursor, { withId: true }) for raw pages)
+ */
+function encodeCursor(parts) {
+  return Buffer.from(JSON.stringify(parts)).toString('base64url');
+}
+
+function decodeCursor(cursor, { withId = false } = {}) {
+  if (!cursor) {
+    return null;
+  }
+  try {
+    const parts = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!parts || isNaN(new Date(parts.t).getTime())) {
+      throw new Error();
+    }
+    // Row ids are BIGSERIAL values, serialized as digit strings
+    if (withId && (typeof parts.id !== 'string' || !/^\d{1,19}$/.test(parts.id))) {
+      throw new Error();
+    }
+    return parts;
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+}
+
+/**
+ * Shape an aggregated row: `<field>_<min|max|avg|sum>` columns are
+ * grouped into { field: { min, max, avg, sum } } with camelCase names
+ */
+function formatBucketRow(row) {
+  const formatted = {
+    bucketStart: row.bucket_start,
+    readingCount: parseInt(row.reading_count) || 0
+  };
+
+  for (const [column, value] of Object.entries(row)) {
+    const match = column.match(/^(.+)_(min|max|avg|sum)$/);
+    if (!match) {
+      continue;
+    }
+    const field = match[1].replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+    formatted[field] = formatted[field] || {};
+    formatted[field][match[2]] = value === null ? null : parseFloat(value);
+  }
+
+  return formatted;
+}
+
+module.exports = {
+  BUCKETS,
+  parseTimeRange,
+  parseLimit,
+  parseBucket,
+  encodeCursor,
+  decodeCursor,
+  formatBucketRow
+};
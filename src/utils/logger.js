@@ -0,0 +1,91 @@
+const requestContext = require('./requestContext');
+require('dotenv').config();
+
+// Severity order; LOG_LEVEL drops everything less severe
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : 'info';
+
+// Field names whose values are never written out
+const SENSITIVE_KEYS = /pass(word)?$|secret$|token$|^authorization$|cookie$|^(x-)?api[-_]?key$|^key$|^params$/i;
+
+// Plaintext API keys embedded in strings (e.g. an echoed header)
+const API_KEY_PATTERN = /eie_[A-Za-z0-9_-]+/g;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Structured logger
+ * One JSON object per line with time, level, msg, the request context
+ * (requestId, tenantId, job) and the given fields. Errors are expanded to
+ * name/message/code/stack; sensitive fields are redacted.
+ */
+function log(level, msg, fields = {}) {
+  if (LEVELS[level] > LEVELS[LOG_LEVEL]) {
+    return;
+  }
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...requestContext.get(),
+    ...redact(fields)
+  };
+
+  const stream = LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Copy of a value with sensitive fields and embedded keys masked
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth);
+  }
+  if (typeof value === 'string') {
+    return value.replace(API_KEY_PATTERN, `eie_${REDACTED}`);
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (depth >= 5) {
+    return '[Object]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEYS.test(key) && item !== undefined ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+function serializeError(error) {
+  const serialized = { name: error.name, message: error.message };
+  if (error.code) {
+    serialized.code = error.code;
+  }
+  serialized.stack = error.stack;
+  return serialized;
+}
+
+/**
+ * Whether messages at `level` are currently written
+ */
+function isEnabled(level) {
+  return LEVELS[level] <= LEVELS[LOG_LEVEL];
+}
+
+module.exports = {
+  error: (msg, fields) => log('error', msg, fields),
+  warn: (msg, fields) => log('warn', msg, fields),
+  info: (msg, fields) => log('info', msg, fields),
+  debug: (msg, fields) => log('debug', msg, fields),
+  isEnabled,
+  redact,
+  LOG_LEVEL
+};
@@ -0,0 +1,217 @@
+/**
+ * Streaming record readers
+ * Parse CSV and NDJSON telemetry from a byte stream one line at a time,
+ * so bodies and files of any size are never held in memory at once
+ */
+const zlib = require('zlib');
+const { pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const deviceTypes = require('../deviceTypes');
+
+// Content types read as record streams, by format
+const STREAM_FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+// Longest accepted line; protects against bodies without line breaks
+const MAX_LINE_LENGTH = 64 * 1024;
+
+// CSV columns that stay strings even when they look numeric: device ids,
+// string fields of registered device types and the timestamp
+const csvStringColumns = () => new Set([
+  'timestamp',
+  ...deviceTypes.list().flatMap(type => [
+    type.idField,
+    ...Object.keys(type.fields).filter(field => type.fields[field].type === 'string')
+  ])
+]);
+
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Wrap a stream in a decompressor for its Content-Encoding
+ * Errors of the source (e.g. an aborted upload) surface on the returned
+ * stream; throws for encodings that are not supported
+ */
+function decodeStream(stream, encoding = 'identity') {
+  let decompressor;
+  switch ((encoding || 'identity').trim().toLowerCase()) {
+    case 'identity':
+      return stream;
+    case 'gzip':
+    case 'x-gzip':
+      decompressor = zlib.createGunzip();
+      break;
+    case 'deflate':
+      decompressor = zlib.createInflate();
+      break;
+    default:
+      throw new Error(`Unsupported Content-Encoding: ${encoding}`);
+  }
+
+  return pipeline(stream, decompressor, () => {});
+}
+
+/**
+ * Yield the lines of a byte stream (without line terminators)
+ * The stream is only read as fast as the consumer asks for lines.
+ * Throws for an overlong line, complete or still waiting for its break.
+ */
+async function* readLines(stream) {
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+
+  for await (const data of stream) {
+    const lines = (pending + decoder.write(data)).split('\n');
+    pending = lines.pop();
+    checkLineLength(pending);
+    for (const line of lines) {
+      checkLineLength(line);
+      yield line.endsWith('\r') ? line.slice(0, -1) : line;
+    }
+  }
+
+  pending += decoder.end();
+  checkLineLength(pending);
+  if (pending.length > 0) {
+    yield pending.endsWith('\r') ? pending.slice(0, -1) : pending;
+  }
+}
+
+/**
+ * Reject a line longer than MAX_LINE_LENGTH
+ */
+function checkLineLength(line) {
+  if (line.length > MAX_LINE_LENGTH) {
+    throw new Error(`Invalid body: line longer than ${MAX_LINE_LENGTH} characters`);
+  }
+}
+
+/**
+ * Yield { line, data } per record of a CSV or NDJSON stream, with the
+ * 1-based line number; records that cannot be parsed come as
+ * { line, error } so the caller can report them and carry on
+ *
+ * CSV needs a header row naming the JSON fields (e.g. meterId,
+ * kwhConsumedAc,voltage,timestamp). Numeric cells become numbers, empty
+ * cells are left out, so one file may mix rows of several device types.
+ */
+async function* readRecords(stream, format) {
+  if (!STREAM_FORMATS[format]) {
+    throw new Error(`Unsupported format: ${format}`);
+  }
+
+  const stringColumns = csvStringColumns();
+  let header = null;
+  let lineNumber = 0;
+
+  for await (const line of readLines(stream)) {
+    lineNumber++;
+    if (line.trim() === '') {
+      continue;
+    }
+
+    if (format === 'ndjson') {
+      try {
+        yield { line: lineNumber, data: JSON.parse(line) };
+      } catch (error) {
+        yield { line: lineNumber, error: 'Invalid record: expected JSON object' };
+      }
+      continue;
+    }
+
+    let cells;
+    try {
+      cells = parseCsvLine(line);
+    } catch (error) {
+      yield { line: lineNumber, error: error.message };
+      continue;
+    }
+
+    if (!header) {
+      header = cells.map(cell => cell.trim());
+      if (header.some(column => column === '')) {
+        throw new Error('Invalid CSV header: empty column name');
+      }
+      continue;
+    }
+
+    if (cells.length !== header.length) {
+      yield { line: lineNumber, error: `Invalid record: expected ${header.length} columns, got ${cells.length}` };
+      continue;
+    }
+
+    const data = {};
+    header.forEach((column, i) => {
+      const value = cells[i].trim();
+      if (value === '') {
+        return;
+      }
+      data[column] = !stringColumns.has(column) && NUMBER_PATTERN.test(value)
+        ? Number(value)
+        : value;
+    });
+    yield { line: lineNumber, data };
+  }
+}
+
+/**
+ * Split one CSV line into cells (RFC 4180 quoting, "" escapes a quote)
+ * Quoted cells may not span lines
+ */
+function parseCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char !== '"') {
+        cell += char;
+      } else if (line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = false;
+      }
+    } else if (char === '"' && cell.trim() === '') {
+      cell = '';
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Invalid record: unterminated quoted field');
+  }
+  cells.push(cell);
+  return cells;
+}
+
+/**
+ * One CSV line from cell values (quoted where needed, null as empty)
+ */
+function formatCsvLine(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) {
+      return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+module.exports = {
+  STREAM_FORMATS,
+  decodeStream,
+  readLines,
+  readRecords,
+  parseCsvLine,
+  formatCsvLine
+};
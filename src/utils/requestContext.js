@@ -0,0 +1,37 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Per-request context carried across async calls
+ * (request ID from the logging middleware, tenant from the auth middleware;
+ * read by the database layer and the logger)
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with the given context
+ * (merged over the enclosing one, so nested scopes keep the request ID)
+ */
+function run(context, callback) {
+  return storage.run({ ...get(), ...context }, callback);
+}
+
+/**
+ * Current context, or an empty object outside a request
+ */
+function get() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Tenant the current request is scoped to, or null for unscoped
+ * (platform keys, background jobs)
+ */
+function currentTenant() {
+  return get().tenantId || null;
+}
+
+module.exports = {
+  run,
+  get,
+  currentTenant
+};
@@ -0,0 +1,78 @@
+/**
+ * Telemetry ingestion helpers
+ */
+const deviceTypes = require('../deviceTypes');
+
+// Readings older than this (relative to now) are "late": they are still
+// stored in cold storage but never applied to hot status
+const LATE_DATA_TOLERANCE_MS = (parseInt(process.env.LATE_DATA_TOLERANCE_SECONDS) || 3600) * 1000;
+
+// Records per set-based statement in batch writes
+const INGEST_CHUNK_SIZE = parseInt(process.env.INGEST_CHUNK_SIZE) || 5000;
+
+// Tenant that rows written on this connection belong to (the tenant_id
+// column default). Ingestion reads prior state of that tenant only, also
+// on unscoped connections that see every tenant.
+const WRITE_TENANT_SQL = "COALESCE(current_tenant(), 'default')";
+
+/**
+ * Whether a reading falls outside the late-data tolerance window
+ */
+function isLate(timestamp, now = Date.now()) {
+  return now - new Date(timestamp).getTime() > LATE_DATA_TOLERANCE_MS;
+}
+
+/**
+ * Identify telemetry type based on payload structure
+ * Returns the name of the first registered device type whose detection
+ * rule matches (see src/deviceTypes), or 'unknown'
+ */
+function identifyTelemetryType(data) {
+  const type = deviceTypes.detect(data);
+  return type ? type.name : 'unknown';
+}
+
+/**
+ * Error message for payloads that match no registered device type
+ */
+function unknownTypeMessage() {
+  return `Unknown telemetry type. Expected ${alternatives(deviceTypes.names())} format.`;
+}
+
+/**
+ * Error message for a type parameter that names no registered device type
+ */
+function invalidTypeMessage(parameter = null) {
+  return `Invalid type: ${parameter ? `${parameter} ` : ''}must be ${alternatives(deviceTypes.names().map(name => `"${name}"`))}`;
+}
+
+/**
+ * "a", "a or b", "a, b or c"
+ */
+function alternatives(items) {
+  return items.length > 1
+    ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}`
+    : items.join('');
+}
+
+/**
+ * Split an array into chunks of at most `size` items
+ */
+function chunk(items, size = INGEST_CHUNK_SIZE) {
+  const chunks = [];
+  for (let start = 0; start < items.length; start += size) {
+    chunks.push(items.slice(start, start + size));
+  }
+  return chunks;
+}
+
+module.exports = {
+  LATE_DATA_TOLERANCE_MS,
+  INGEST_CHUNK_SIZE,
+  WRITE_TENANT_SQL,
+  isLate,
+  identifyTelemetryType,
+  unknownTypeMessage,
+  invalidTypeMessage,
+  chunk
+};
@@ -0,0 +1,162 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.ALERT_WEBHOOK_URL = 'https://ops.example.com/alerts';
+process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = 'hooks.example.com, Other.Example.com';
+process.env.ALERT_WEBHOOK_MAX_ATTEMPTS = '2';
+
+const database = require('../src/config/database');
+const alertService = require('../src/services/alertService');
+const webhookService = require('../src/services/webhookService');
+const logger = require('../src/utils/logger');
+
+/**
+ * Meter voltage rule posting to webhookUrl
+ */
+function rule(webhookUrl) {
+  return { name: 'High voltage', deviceType: 'meter', metric: 'voltage', operator: 'above', threshold: 250, webhookUrl };
+}
+
+/**
+ * Vehicle reading `minutes` minutes ago
+ */
+function vehicleReading(vehicleId, minutes, batteryTemp) {
+  return {
+    vehicleId,
+    soc: 50,
+    kwhDeliveredDc: 1,
+    batteryTemp,
+    timestamp: new Date(Date.now() - minutes * 60 * 1000).toISOString()
+  };
+}
+
+/**
+ * Queued notifications, oldest first
+ */
+async function notifications() {
+  const result = await database.query(
+    `SELECT event, status, attempts, last_error,
+            next_attempt_at > NOW() + INTERVAL '20 seconds' as backing_off
+     FROM alert_notifications
+     ORDER BY id`
+  );
+  return result.rows;
+}
+
+beforeAll(() => database.migrate());
+
+afterAll(() => database.closePool());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('alert lifecycle', () => {
+  let batteryRule;
+
+  beforeAll(async () => {
+    batteryRule = await alertService.createRule({
+      name: 'Hot battery',
+      deviceType: 'vehicle',
+      metric: 'batteryTemp',
+      operator: 'above',
+      threshold: 45,
+      durationSeconds: 120,
+      webhookUrl: 'https://hooks.example.com/battery'
+    });
+  });
+
+  // Deliveries are driven by the tests, not kicked off in the background
+  beforeEach(() => jest.spyOn(alertService, 'kickDelivery').mockImplementation(() => {}));
+
+  async function alertsOf(deviceId) {
+    return alertService.listAlerts({ ruleId: batteryRule.ruleId, deviceId });
+  }
+
+  test('a breach is pending until it lasts the rule duration, then fires and resolves', async () => {
+    await alertService.evaluateReadings('vehicle', [vehicleReading('AL1', 10, 50)]);
+    expect((await alertsOf('AL1')).map(alert => alert.state)).toEqual(['pending']);
+
+    await alertService.evaluateReadings('vehicle', [vehicleReading('AL1', 9, 48)]);
+    expect((await alertsOf('AL1')).map(alert => alert.state)).toEqual(['pending']);
+    expect(await notifications()).toEqual([]);
+
+    await alertService.evaluateReadings('vehicle', [vehicleReading('AL1', 7, 52)]);
+    expect((await alertsOf('AL1')).map(alert => alert.state)).toEqual(['firing']);
+
+    await alertService.evaluateReadings('vehicle', [vehicleReading('AL1', 5, 30)]);
+    const [resolved] = await alertsOf('AL1');
+    expect(resolved).toMatchObject({ state: 'resolved', value: 30 });
+
+    expect((await notifications()).map(n => [n.event, n.status])).toEqual([
+      ['firing', 'pending'],
+      ['resolved', 'pending']
+    ]);
+    expect(alertService.kickDelivery).toHaveBeenCalledTimes(2);
+  });
+
+  test('a breach that clears before the duration is dropped silently', async () => {
+    await alertService.evaluateReadings('vehicle', [vehicleReading('AL2', 10, 50), vehicleReading('AL2', 9, 30)]);
+
+    expect(await alertsOf('AL2')).toEqual([]);
+    expect(await notifications()).toHaveLength(2);
+  });
+
+  test('failed deliveries are retried with backoff, then given up', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 500 }));
+
+    expect(await webhookService.deliverDue()).toEqual({ delivered: 0, retrying: 2, failed: 0 });
+    expect(await notifications()).toEqual([
+      { event: 'firing', status: 'pending', attempts: 1, last_error: 'Webhook responded with HTTP 500', backing_off: true },
+      { event: 'resolved', status: 'pending', attempts: 1, last_error: 'Webhook responded with HTTP 500', backing_off: true }
+    ]);
+
+    // Nothing is due until the backoff has passed
+    expect(await webhookService.deliverDue()).toEqual({ delivered: 0, retrying: 0, failed: 0 });
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    await database.query('UPDATE alert_notifications SET next_attempt_at = NOW()');
+    fetch.mockReset();
+    fetch.mockResolvedValueOnce(new Response(null, { status: 204 }))
+      .mockResolvedValueOnce(new Response(null, { status: 503 }));
+
+    expect(await webhookService.deliverDue()).toEqual({ delivered: 1, retrying: 0, failed: 1 });
+    expect((await notifications()).map(n => [n.event, n.status, n.attempts])).toEqual([
+      ['firing', 'delivered', 2],
+      ['resolved', 'failed', 2]
+    ]);
+
+    // Firing goes out before its resolution, with the delivery id to deduplicate on
+    const [url, { headers, body }] = fetch.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/battery');
+    expect(headers).toMatchObject({ 'X-Alert-Event': 'firing' });
+    expect(JSON.parse(body)).toMatchObject({ event: 'firing', alert: { deviceId: 'AL1', state: 'firing' } });
+  });
+});
+
+describe('alert webhooks', () => {
+  test('rules only name webhooks on allowed hosts', async () => {
+    await expect(alertService.createRule(rule('https://hooks.example.com/a')))
+      .resolves.toMatchObject({ webhookUrl: 'https://hooks.example.com/a' });
+    await expect(alertService.createRule(rule('http://other.example.com:8080/b'))).resolves.toBeTruthy();
+    await expect(alertService.createRule(rule('https://ops.example.com/c'))).resolves.toBeTruthy();
+
+    for (const url of ['http://169.254.169.254/latest/meta-data', 'http://localhost:5432/', 'http://10.0.0.1/',
+      'ftp://hooks.example.com/', 'https://hooks.example.com.evil.test/', 42]) {
+      await expect(alertService.createRule(rule(url))).rejects.toThrow('Invalid webhookUrl');
+    }
+  });
+
+  test('deliveries to a host no longer allowed fail without a request', async () => {
+    const fetch = jest.spyOn(global, 'fetch');
+
+    await expect(webhookService.post({ webhook_url: 'http://127.0.0.1/', payload: {}, event: 'firing', id: 1 }))
+      .rejects.toMatchObject({ permanent: true });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('redirects are not followed', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(null, { status: 204 }));
+
+    await webhookService.post({ webhook_url: 'https://hooks.example.com/a', payload: {}, event: 'firing', id: 1 });
+    expect(fetch).toHaveBeenCalledWith('https://hooks.example.com/a', expect.objectContaining({ redirect: 'error' }));
+  });
+});
@@ -0,0 +1,115 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'true';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const apiKeyService = require('../src/services/apiKeyService');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+function meterReading(meterId) {
+  return {
+    meterId,
+    kwhConsumedAc: 1.5,
+    voltage: 230,
+    timestamp: new Date(Date.now() - 60 * 1000).toISOString()
+  };
+}
+
+function bearer(key) {
+  return { Authorization: `Bearer ${key.key}` };
+}
+
+describe('API key authentication', () => {
+  const keys = {};
+
+  beforeAll(() => database.migrate());
+
+  beforeAll(async () => {
+    await database.query("INSERT INTO tenants (tenant_id) VALUES ('tenant-a'), ('tenant-b')");
+    keys.ingest = await apiKeyService.createKey({ name: 'meter A', scopes: ['ingest'], meterIds: ['K-A'] });
+    keys.read = await apiKeyService.createKey({ name: 'dashboard', scopes: ['read'] });
+    keys.admin = await apiKeyService.createKey({ name: 'platform', scopes: ['admin'] });
+    keys.tenantAdmin = await apiKeyService.createKey({ name: 'tenant ops', scopes: ['admin'], tenantId: 'tenant-a' });
+  });
+
+  afterAll(() => database.closePool());
+
+  test('keys are stored as hashes only', async () => {
+    const result = await database.query('SELECT key_prefix, key_hash FROM api_keys WHERE id = $1', [keys.read.keyId]);
+
+    expect(result.rows[0].key_hash).toBe(apiKeyService.hash(keys.read.key));
+    expect(result.rows[0].key_hash).not.toContain(keys.read.key);
+    expect(keys.read.key.startsWith(result.rows[0].key_prefix)).toBe(true);
+  });
+
+  test('requests without a valid key get 401', async () => {
+    const missing = await request(app).get('/v1/devices');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer');
+
+    const unknown = await request(app).get('/v1/devices').set('X-API-Key', 'eie_not-a-real-key');
+    expect(unknown.status).toBe(401);
+  });
+
+  test('a key only reaches the routes its scopes grant', async () => {
+    expect((await request(app).get('/v1/devices').set(bearer(keys.read))).status).toBe(200);
+    expect((await request(app).get('/v1/devices').set('X-API-Key', keys.admin.key)).status).toBe(200);
+
+    const ingest = await request(app).post('/v1/ingest').set(bearer(keys.read)).send(meterReading('K-A'));
+    expect(ingest.status).toBe(403);
+    expect(ingest.body.error).toBe('API key lacks the "ingest" scope');
+
+    expect((await request(app).get('/v1/devices').set(bearer(keys.ingest))).status).toBe(403);
+  });
+
+  test('an ingest key only accepts its own devices', async () => {
+    const own = await request(app).post('/v1/ingest').set(bearer(keys.ingest)).send(meterReading('K-A'));
+    expect(own.status).toBe(201);
+
+    const other = await request(app).post('/v1/ingest').set(bearer(keys.ingest)).send(meterReading('K-B'));
+    expect(other.status).toBe(403);
+    expect(other.body.error).toBe('API key is not allowed to ingest for meter K-B');
+  });
+
+  test('platform endpoints refuse tenant-bound keys', async () => {
+    const tenant = await request(app).post('/v1/analytics/refresh').set(bearer(keys.tenantAdmin));
+    expect(tenant.status).toBe(403);
+
+    const platform = await request(app).post('/v1/analytics/refresh').set(bearer(keys.admin));
+    expect(platform.status).toBe(200);
+  });
+
+  test('a tenant-bound key cannot act for another tenant', async () => {
+    const own = await request(app).get('/v1/devices').set(bearer(keys.tenantAdmin)).set('X-Tenant-Id', 'tenant-a');
+    expect(own.status).toBe(200);
+
+    const other = await request(app).get('/v1/devices').set(bearer(keys.tenantAdmin)).set('X-Tenant-Id', 'tenant-b');
+    expect(other.status).toBe(403);
+    expect(other.body.error).toBe('API key is bound to tenant tenant-a');
+
+    const invalid = await request(app).get('/v1/devices').set(bearer(keys.admin)).set('X-Tenant-Id', 'no spaces');
+    expect(invalid.status).toBe(400);
+  });
+
+  test('a revoked key is refused immediately', async () => {
+    const key = await apiKeyService.createKey({ name: 'short-lived', scopes: ['read'] });
+    expect((await request(app).get('/v1/devices').set(bearer(key))).status).toBe(200);
+
+    await apiKeyService.revokeKey(key.keyId);
+
+    expect((await request(app).get('/v1/devices').set(bearer(key))).status).toBe(401);
+  });
+
+  test('ingest keys must be bound to devices', () => {
+    expect(() => apiKeyService.validateKeyData({ name: 'unbound', scopes: ['ingest'] }))
+      .toThrow('ingest keys must list at least one meterId');
+    expect(() => apiKeyService.validateKeyData({ name: 'bad', scopes: ['read'], tenantId: 'a b' }))
+      .toThrow('Invalid tenantId');
+  });
+});
@@ -0,0 +1,121 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+const meters = telemetryService.forType('meter');
+
+/**
+ * Meter reading `minute` minutes into 2026
+ */
+function meterReading(meterId, minute = 0, fields = {}) {
+  return {
+    meterId,
+    kwhConsumedAc: 1.5,
+    voltage: 230,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString(),
+    ...fields
+  };
+}
+
+function vehicleReading(vehicleId, minute = 0) {
+  return {
+    vehicleId,
+    soc: 50,
+    kwhDeliveredDc: 1,
+    batteryTemp: 25,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString()
+  };
+}
+
+function ingestBatch(records, query = {}) {
+  return request(app).post('/v1/ingest/batch').query(query).send(records);
+}
+
+async function storedReadings(meterId) {
+  const result = await database.query(
+    'SELECT count(*)::int as count FROM meter_telemetry_history WHERE meter_id = $1',
+    [meterId]
+  );
+  return result.rows[0].count;
+}
+
+describe('batch ingestion results', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('valid records are committed and each record gets a result', async () => {
+    const response = await ingestBatch([
+      meterReading('B1'),
+      meterReading('B1', 1, { voltage: 'high' }),
+      { temperature: 20 },
+      vehicleReading('BV1')
+    ]);
+
+    expect(response.status).toBe(207);
+    expect(response.body.data).toMatchObject({ received: 4, accepted: 2, rejected: 2, meters: 1, vehicles: 1 });
+    expect(response.body.data.results.map(r => [r.index, r.type, r.status])).toEqual([
+      [0, 'meter', 'accepted'],
+      [1, 'meter', 'rejected'],
+      [2, 'unknown', 'rejected'],
+      [3, 'vehicle', 'accepted']
+    ]);
+    expect(response.body.data.results[1].error).toMatch(/voltage/);
+    expect(await storedReadings('B1')).toBe(1);
+  });
+
+  test('repeated readings are reported as duplicates', async () => {
+    const response = await ingestBatch([meterReading('B2'), meterReading('B2', 1)]);
+    expect(response.status).toBe(201);
+
+    const repeat = await ingestBatch([meterReading('B2'), meterReading('B2', 2)]);
+    expect(repeat.status).toBe(201);
+    expect(repeat.body.data).toMatchObject({ accepted: 1, duplicates: 1, rejected: 0 });
+    expect(repeat.body.data.results.map(r => r.status)).toEqual(['duplicate', 'accepted']);
+  });
+
+  test('nothing is committed in atomic mode when a record is invalid', async () => {
+    const response = await ingestBatch([meterReading('B3'), meterReading('B3', 1, { voltage: -5 })], { atomic: 'true' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data).toMatchObject({ atomic: true, accepted: 0, rejected: 2 });
+    expect(response.body.data.results.map(r => r.status)).toEqual(['skipped', 'rejected']);
+    expect(await storedReadings('B3')).toBe(0);
+
+    const valid = await ingestBatch([meterReading('B3'), meterReading('B3', 1)], { atomic: 'true' });
+    expect(valid.status).toBe(201);
+    expect(await storedReadings('B3')).toBe(2);
+  });
+
+  test('a record the database refuses is rejected on its own', async () => {
+    const writeBatch = meters.writeBatch.bind(meters);
+    jest.spyOn(meters, 'writeBatch').mockImplementation((client, readings) => {
+      if (readings.some(reading => reading.meterId === 'B4-BAD')) {
+        throw new Error('value out of range');
+      }
+      return writeBatch(client, readings);
+    });
+
+    const response = await ingestBatch([meterReading('B4'), meterReading('B4-BAD'), meterReading('B4', 1)]);
+
+    expect(response.status).toBe(207);
+    expect(response.body.data.results.map(r => [r.status, r.error])).toEqual([
+      ['accepted', undefined],
+      ['rejected', 'value out of range'],
+      ['accepted', undefined]
+    ]);
+    expect(await storedReadings('B4')).toBe(2);
+  });
+});
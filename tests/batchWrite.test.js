@@ -0,0 +1,81 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.INGEST_CHUNK_SIZE = '50';
+
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+
+const meters = telemetryService.forType('meter');
+
+/**
+ * `count` readings per meter, one a minute up to a minute ago
+ */
+function readings(meterIds, count) {
+  const start = Date.now() - (count + 1) * 60 * 1000;
+  return meterIds.flatMap(meterId => Array.from({ length: count }, (_, minute) => ({
+    meterId,
+    kwhConsumedAc: 0.5,
+    voltage: 220 + minute,
+    timestamp: new Date(start + minute * 60 * 1000).toISOString()
+  })));
+}
+
+/**
+ * Write a batch on one transaction, recording the statements it runs
+ */
+async function writeBatch(batch) {
+  const statements = [];
+  const result = await database.transaction(client => meters.writeBatch({
+    query: (text, params) => {
+      statements.push({ text, params });
+      return client.query(text, params);
+    }
+  }, batch));
+  return { result, statements };
+}
+
+describe('set-based batch writes', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('history and hot status are written in chunks, not per record', async () => {
+    const meterIds = Array.from({ length: 30 }, (_, i) => `W${i}`);
+    const { result, statements } = await writeBatch(readings(meterIds, 4));
+
+    expect(result).toMatchObject({ count: 120, duplicates: [] });
+    // 120 readings: three history chunks; 30 devices: one hot-status upsert
+    const history = statements.filter(({ text }) => /INSERT INTO meter_telemetry_history/.test(text));
+    expect(history).toHaveLength(3);
+    expect(statements.filter(({ text }) => /INSERT INTO meter_current_status/.test(text))).toHaveLength(1);
+
+    // One array parameter per column, however many rows
+    for (const { params } of history) {
+      expect(params.every(Array.isArray)).toBe(true);
+      expect(params.length).toBeLessThan(20);
+    }
+
+    const hot = await database.query(
+      "SELECT count(*)::int as devices, min(voltage)::float as voltage FROM meter_current_status WHERE meter_id LIKE 'W%'"
+    );
+    // Each device holds its newest reading
+    expect(hot.rows[0]).toEqual({ devices: 30, voltage: 223 });
+  });
+
+  test('repeats within the batch and of stored readings are duplicates', async () => {
+    const [first, second] = readings(['D1'], 2);
+    await meters.ingestBatch([first]);
+
+    const { result } = await writeBatch([first, second, second]);
+
+    expect(result).toMatchObject({ count: 1, duplicates: [0, 2] });
+  });
+
+  test('a batch beyond the bind parameter limit of a VALUES list is stored', async () => {
+    // 12000 rows of 6+ columns would take over 65535 parameters as VALUES
+    const batch = readings(Array.from({ length: 100 }, (_, i) => `X${i}`), 120);
+    const result = await meters.ingestBatch(batch);
+
+    expect(result.count).toBe(12000);
+  }, 60000);
+});
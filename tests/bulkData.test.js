@@ -0,0 +1,145 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.INGEST_CHUNK_SIZE = '2';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const database = require('../src/config/database');
+const batchIngestionService = require('../src/services/batchIngestionService');
+const telemetryService = require('../src/services/telemetryService');
+const { importFile, exportHistory } = require('../scripts/bulk-data');
+
+const meters = telemetryService.forType('meter');
+
+const FROM = '2026-01-01T00:00:00.000Z';
+const TO = '2026-01-02T00:00:00.000Z';
+
+/**
+ * CSV meter readings, one a minute into 2026
+ */
+function meterCsv(meterId, minutes, extraLines = []) {
+  return [
+    'meterId,kwhConsumedAc,voltage,timestamp',
+    ...minutes.map(minute => `${meterId},1.5,${230 + minute},${new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString()}`),
+    ...extraLines
+  ].join('\n') + '\n';
+}
+
+async function storedReadings(meterId) {
+  const result = await database.query(
+    'SELECT count(*)::int as count FROM meter_telemetry_history WHERE meter_id = $1',
+    [meterId]
+  );
+  return result.rows[0].count;
+}
+
+describe('bulk data CLI', () => {
+  let dir;
+
+  beforeAll(() => database.migrate());
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bulk-data-'));
+  });
+
+  afterAll(async () => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await database.closePool();
+  });
+
+  // The CLI reports progress on the console
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  function writeFile(name, content) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  test('a dry run validates without storing anything', async () => {
+    const file = writeFile('dry.csv', meterCsv('BD1', [0, 1], ['BD1,1.5,-5,2026-01-01T00:05:00.000Z']));
+
+    const totals = await importFile(file, { 'dry-run': true });
+
+    expect(totals).toMatchObject({ received: 3, valid: 2, rejected: 1, accepted: 0 });
+    expect(await storedReadings('BD1')).toBe(0);
+    expect(fs.existsSync(`${file}.import-progress.json`)).toBe(false);
+  });
+
+  test('an import stores valid records, reports rejects and rebuilds hot status', async () => {
+    const file = writeFile('import.csv', meterCsv('BD2', [0, 1, 2], ['BD2,1.5,high,2026-01-01T00:05:00.000Z']));
+    const rejects = path.join(dir, 'rejects.ndjson');
+
+    const totals = await importFile(file, { rejects });
+
+    expect(totals).toMatchObject({ accepted: 3, rejected: 1, meters: 3 });
+    expect(await storedReadings('BD2')).toBe(3);
+    expect(fs.readFileSync(rejects, 'utf8').trim().split('\n').map(line => JSON.parse(line)))
+      .toEqual([{ line: 5, error: expect.stringMatching(/voltage/) }]);
+
+    // Old readings are never timely, so only the rebuild sets hot status
+    const status = await meters.getCurrentStatus('BD2');
+    expect(parseFloat(status.voltage)).toBe(232);
+    expect(fs.existsSync(`${file}.import-progress.json`)).toBe(false);
+  });
+
+  test('an interrupted import resumes after its last committed chunk', async () => {
+    const file = writeFile('resume.csv', meterCsv('BD3', [0, 1, 2, 3, 4]));
+    const ingestRecords = batchIngestionService.ingestRecords.bind(batchIngestionService);
+    jest.spyOn(batchIngestionService, 'ingestRecords').mockImplementation((records, options) =>
+      ingestRecords(records, {
+        ...options,
+        onChunk: async (progress) => {
+          await options.onChunk(progress);
+          throw new Error('killed');
+        }
+      }));
+
+    await expect(importFile(file, {})).rejects.toThrow('killed');
+    expect(JSON.parse(fs.readFileSync(`${file}.import-progress.json`, 'utf8'))).toMatchObject({ line: 3, accepted: 2 });
+    expect(await storedReadings('BD3')).toBe(2);
+
+    batchIngestionService.ingestRecords.mockRestore();
+    const totals = await importFile(file, {});
+
+    expect(totals).toMatchObject({ skipped: 2, received: 3, accepted: 3, duplicates: 0 });
+    expect(await storedReadings('BD3')).toBe(5);
+    expect(fs.existsSync(`${file}.import-progress.json`)).toBe(false);
+  });
+
+  test('a file changed since the interrupted import is refused', async () => {
+    const file = writeFile('changed.csv', meterCsv('BD4', [0, 1]));
+    fs.writeFileSync(`${file}.import-progress.json`, JSON.stringify({ size: 1, modifiedAt: FROM, line: 2 }));
+
+    await expect(importFile(file, {})).rejects.toThrow('changed since the interrupted import; rerun with --restart');
+
+    await expect(importFile(file, { restart: true })).resolves.toMatchObject({ skipped: 0, accepted: 2 });
+  });
+
+  test('exports a device and time range that imports back as duplicates', async () => {
+    const csv = path.join(dir, 'export.csv');
+    const ndjson = path.join(dir, 'export.ndjson');
+
+    expect(await exportHistory({ type: 'meter', devices: 'BD2,BD3', from: FROM, to: '2026-01-01T00:02:00.000Z', out: csv })).toBe(4);
+    const lines = fs.readFileSync(csv, 'utf8').trim().split('\n');
+    expect(lines[0]).toBe('meterId,kwhConsumedAc,kwhConsumedAcDelta,voltage,timestamp,counterEvent,tenantId');
+    expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['BD2', 'BD3', 'BD2', 'BD3']);
+
+    expect(await exportHistory({ type: 'meter', devices: 'BD2', from: FROM, to: TO, out: ndjson })).toBe(3);
+    const [first] = fs.readFileSync(ndjson, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(first).toMatchObject({ meterId: 'BD2', voltage: 230, timestamp: expect.stringMatching(/^2026-01-01T00:00:00/) });
+
+    expect(await importFile(ndjson, {})).toMatchObject({ accepted: 0, duplicates: 3, rejected: 0 });
+  });
+
+  test('unknown types and formats are refused', async () => {
+    await expect(exportHistory({ type: 'toaster' })).rejects.toThrow('--type');
+    await expect(exportHistory({ type: 'meter', out: path.join(dir, 'out.xlsx') })).rejects.toThrow('Unknown format "xlsx"');
+  });
+});
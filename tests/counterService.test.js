@@ -0,0 +1,155 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.DEFAULT_COUNTER_MODE = 'cumulative';
+
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+const deviceService = require('../src/services/deviceService');
+const counterService = require('../src/services/counterService');
+
+const meters = telemetryService.forType('meter');
+
+/**
+ * Reading of a cumulative meter at minute `minute` of the day
+ */
+function reading(meterId, minute, kwhConsumedAc) {
+  return {
+    meterId,
+    kwhConsumedAc,
+    voltage: 230,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString()
+  };
+}
+
+/**
+ * Stored [minute, delta, event] of a meter in time order
+ */
+async function storedDeltas(meterId) {
+  const result = await database.query(
+    `SELECT recorded_at, kwh_consumed_ac_delta, counter_event FROM meter_telemetry_history
+     WHERE meter_id = $1 ORDER BY recorded_at`,
+    [meterId]
+  );
+  return result.rows.map(row => [
+    new Date(row.recorded_at).getUTCMinutes(),
+    parseFloat(row.kwh_consumed_ac_delta),
+    row.counter_event
+  ]);
+}
+
+describe('counterService', () => {
+  beforeAll(async () => {
+    await database.migrate();
+    for (const meterId of ['C1', 'C2', 'C3', 'C4', 'C5', 'C6']) {
+      await deviceService.createDevice({ deviceId: meterId, deviceType: 'meter', counterMode: 'cumulative' });
+    }
+  });
+
+  afterAll(() => database.closePool());
+
+  test('computeDelta handles baseline, increase, rollover and reset', () => {
+    const config = { mode: 'cumulative', max: 1000 };
+    expect(counterService.computeDelta(null, 100, config)).toEqual({ delta: 0, event: 'baseline' });
+    expect(counterService.computeDelta(100, 120.5, config)).toEqual({ delta: 20.5, event: null });
+    expect(counterService.computeDelta(995, 5, config)).toEqual({ delta: 10, event: 'rollover' });
+    expect(counterService.computeDelta(100, 3, config)).toEqual({ delta: 3, event: 'reset' });
+    expect(counterService.computeDelta(100, 7, { mode: 'interval', max: null })).toEqual({ delta: 7, event: null });
+  });
+
+  test('a late reading takes its energy from the stored successor', async () => {
+    await meters.ingest(reading('C1', 1, 100));
+    await meters.ingest(reading('C1', 3, 120));
+    const late = await meters.ingest(reading('C1', 2, 110));
+
+    expect(late.kwhConsumedAcDelta).toBe(10);
+    expect(await storedDeltas('C1')).toEqual([
+      [1, 0, 'baseline'],
+      [2, 10, null],
+      [3, 10, null]
+    ]);
+  });
+
+  test('a reading before the first one becomes the baseline', async () => {
+    await meters.ingest(reading('C2', 5, 150));
+    await meters.ingest(reading('C2', 4, 140));
+
+    expect(await storedDeltas('C2')).toEqual([
+      [4, 0, 'baseline'],
+      [5, 10, null]
+    ]);
+  });
+
+  test('a batch that skips over a stored reading does not count it twice', async () => {
+    await meters.ingest(reading('C3', 2, 110));
+    await meters.ingestBatch([reading('C3', 3, 120), reading('C3', 1, 100), reading('C3', 4, 125)]);
+
+    const deltas = await storedDeltas('C3');
+    expect(deltas).toEqual([
+      [1, 0, 'baseline'],
+      [2, 10, null],
+      [3, 10, null],
+      [4, 5, null]
+    ]);
+    expect(deltas.reduce((sum, [, delta]) => sum + delta, 0)).toBe(25);
+  });
+
+  test('duplicates leave the stored sequence alone', async () => {
+    await meters.ingestBatch([reading('C4', 1, 100), reading('C4', 2, 110), reading('C4', 3, 120)]);
+    const result = await meters.ingestBatch([reading('C4', 2, 90), reading('C4', 3, 120)]);
+
+    expect(result).toMatchObject({ count: 0, duplicates: [0, 1] });
+    expect(await storedDeltas('C4')).toEqual([
+      [1, 0, 'baseline'],
+      [2, 10, null],
+      [3, 10, null]
+    ]);
+  });
+
+  test('resolving cumulative deltas locks the device until the transaction ends', async () => {
+    const locks = await database.transaction(async (client) => {
+      await meters.writeBatch(client, [reading('C5', 1, 100)]);
+      const result = await client.query("SELECT count(*)::int as count FROM pg_locks WHERE locktype = 'advisory'");
+      return result.rows[0].count;
+    });
+
+    expect(locks).toBe(1);
+  });
+
+  test('a late reading that is not inserted leaves its stored successor alone', async () => {
+    await meters.ingestBatch([reading('C6', 1, 100), reading('C6', 3, 120)]);
+
+    // As if a concurrent request stored the same reading first
+    jest.spyOn(meters, 'insertHistory').mockResolvedValueOnce(new Set());
+    const late = await meters.ingest(reading('C6', 2, 110));
+
+    expect(late.duplicate).toBe(true);
+    expect(await storedDeltas('C6')).toEqual([
+      [1, 0, 'baseline'],
+      [3, 20, null]
+    ]);
+  });
+
+  test('a register above a million kWh is stored up to its rollover', async () => {
+    await deviceService.createDevice({ deviceId: 'R1', deviceType: 'meter', counterMode: 'cumulative', counterMax: 10000000 });
+    await meters.ingestBatch([reading('R1', 1, 9999990), reading('R1', 2, 9999999.5), reading('R1', 3, 2.5)]);
+
+    expect(await storedDeltas('R1')).toEqual([
+      [1, 0, 'baseline'],
+      [2, 9.5, null],
+      [3, 3, 'rollover']
+    ]);
+  });
+
+  test('a device registered without a counter mode follows DEFAULT_COUNTER_MODE', async () => {
+    const device = await deviceService.createDevice({ deviceId: 'D1', deviceType: 'meter' });
+    expect(device.counterMode).toBeNull();
+
+    await meters.ingest(reading('D1', 1, 100));
+    await meters.ingest(reading('D1', 2, 104));
+
+    expect(await storedDeltas('D1')).toEqual([
+      [1, 0, 'baseline'],
+      [2, 4, null]
+    ]);
+  });
+});
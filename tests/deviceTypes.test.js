@@ -0,0 +1,161 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const deviceTypes = require('../src/deviceTypes');
+const logger = require('../src/utils/logger');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+// A type added the way the README describes: a definition and its tables
+const INVERTER = {
+  name: 'inverter',
+  plural: 'inverters',
+  idField: 'inverterId',
+  idColumn: 'inverter_id',
+  fields: {
+    acPowerKw: { column: 'ac_power_kw', type: 'number', min: 0 },
+    dcVoltage: { column: 'dc_voltage', type: 'number', min: 0, max: 1500 },
+    mode: { column: 'mode', type: 'string', required: false }
+  },
+  detect: ['inverterId', 'acPowerKw'],
+  tables: {
+    history: 'inverter_telemetry_history',
+    status: 'inverter_current_status'
+  },
+  hotStatus: {
+    derived: {
+      producing: { column: 'producing', type: 'boolean', compute: (reading) => reading.acPowerKw > 0 }
+    }
+  }
+};
+
+const INVERTER_TABLES = `
+  CREATE TABLE inverter_telemetry_history (
+    id BIGSERIAL,
+    inverter_id VARCHAR(100) NOT NULL,
+    ac_power_kw DECIMAL(10, 3) NOT NULL,
+    dc_voltage DECIMAL(8, 2) NOT NULL,
+    mode VARCHAR(20),
+    recorded_at TIMESTAMPTZ NOT NULL,
+    ingested_at TIMESTAMPTZ DEFAULT NOW(),
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    PRIMARY KEY (id, recorded_at),
+    UNIQUE (tenant_id, inverter_id, recorded_at)
+  ) PARTITION BY RANGE (recorded_at);
+  CREATE TABLE inverter_telemetry_history_default PARTITION OF inverter_telemetry_history DEFAULT;
+  CREATE TABLE inverter_current_status (
+    inverter_id VARCHAR(100) NOT NULL,
+    ac_power_kw DECIMAL(10, 3) NOT NULL,
+    dc_voltage DECIMAL(8, 2) NOT NULL,
+    mode VARCHAR(20),
+    producing BOOLEAN NOT NULL,
+    last_updated TIMESTAMPTZ NOT NULL,
+    ingested_at TIMESTAMPTZ DEFAULT NOW(),
+    tenant_id VARCHAR(100) NOT NULL DEFAULT COALESCE(current_tenant(), 'default'),
+    PRIMARY KEY (tenant_id, inverter_id)
+  );
+`;
+
+/**
+ * Inverter reading `minutes` minutes ago
+ */
+function inverterReading(inverterId, minutes, fields = {}) {
+  return {
+    inverterId,
+    acPowerKw: 4.2,
+    dcVoltage: 600,
+    mode: 'mppt',
+    timestamp: new Date(Date.now() - minutes * 60 * 1000).toISOString(),
+    ...fields
+  };
+}
+
+describe('device type registry', () => {
+  test('definitions are checked when registered', () => {
+    expect(() => deviceTypes.register({ ...INVERTER, name: 'Inverter' })).toThrow('name must be 1-20 lowercase');
+    expect(() => deviceTypes.register({ ...INVERTER, name: 'meter' })).toThrow('meter is already registered');
+    expect(() => deviceTypes.register({ ...INVERTER, name: 'bad_table', tables: { history: 'x; DROP TABLE y', status: 's' } }))
+      .toThrow('tables.history and tables.status are required');
+    expect(() => deviceTypes.register({ ...INVERTER, name: 'bad_field', fields: { power: { column: 'power', type: 'float' } } }))
+      .toThrow('field power needs a column and a type');
+    expect(() => deviceTypes.register({ ...INVERTER, name: 'bad_counter', counter: 'mode' }))
+      .toThrow('counter must name a number field');
+    expect(deviceTypes.names()).toEqual(['meter', 'vehicle']);
+  });
+
+  test('payloads are matched in registration order', () => {
+    expect(deviceTypes.detect({ meterId: 'M1', kwhConsumedAc: 1, voltage: 230 }).name).toBe('meter');
+    expect(deviceTypes.detect({ vehicleId: 'V1', soc: 50, kwhDeliveredDc: 1 }).name).toBe('vehicle');
+    expect(deviceTypes.detect({ inverterId: 'I1', acPowerKw: 1 })).toBeNull();
+    expect(deviceTypes.detect([])).toBeNull();
+  });
+});
+
+describe('a registered device type', () => {
+  beforeAll(() => database.migrate());
+
+  beforeAll(async () => {
+    await database.query(INVERTER_TABLES);
+    deviceTypes.register(INVERTER);
+  });
+
+  afterAll(() => database.closePool());
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('is listed with its payload schema', async () => {
+    const response = await request(app).get('/v1/device-types');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.types.map(type => type.name)).toEqual(['meter', 'vehicle', 'inverter']);
+    expect(response.body.data.types[2]).toMatchObject({ idField: 'inverterId', derived: ['producing'] });
+  });
+
+  test('ingests through the polymorphic endpoint with its hot-status projection', async () => {
+    await request(app).post('/v1/ingest').send(inverterReading('INV-1', 3, { acPowerKw: 0 }));
+    const response = await request(app).post('/v1/ingest').send(inverterReading('INV-1', 1));
+
+    expect(response.status).toBe(201);
+
+    const status = await request(app).get('/v1/ingest/status/inverter/INV-1');
+    expect(status.status).toBe(200);
+    expect(status.body.data).toMatchObject({ inverter_id: 'INV-1', mode: 'mppt', producing: true });
+    expect(parseFloat(status.body.data.ac_power_kw)).toBe(4.2);
+
+    const history = await request(app).get('/v1/history/inverter/INV-1')
+      .query({ from: new Date(Date.now() - 3600 * 1000).toISOString() });
+    expect(history.status).toBe(200);
+    expect(history.body.data).toMatchObject({ inverterId: 'INV-1', count: 2 });
+  });
+
+  test('validates readings against its schema', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const response = await request(app).post('/v1/ingest').send(inverterReading('INV-2', 1, { dcVoltage: 2000 }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/dcVoltage/);
+  });
+
+  test('is counted separately in mixed batches', async () => {
+    const response = await request(app).post('/v1/ingest/batch').send([
+      inverterReading('INV-3', 2),
+      { meterId: 'DT-M1', kwhConsumedAc: 1, voltage: 230, timestamp: new Date(Date.now() - 60 * 1000).toISOString() }
+    ]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ accepted: 2, inverters: 1, meters: 1, vehicles: 0 });
+  });
+
+  test('is accepted wherever routes take a device type', async () => {
+    expect((await request(app).get('/v1/ingest/status/toaster/T1')).status).toBe(400);
+    expect((await request(app).get('/v1/ingest/status/inverter/nope')).status).toBe(404);
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+const analyticsService = require('../src/services/analyticsService');
+const logger = require('../src/utils/logger');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+const meters = telemetryService.forType('meter');
+
+// Readings start two hours ago, one per minute offset
+const START = Date.now() - 2 * 60 * 60 * 1000;
+
+/**
+ * ISO timestamp `minute` minutes after START
+ */
+function at(minute) {
+  return new Date(START + minute * 60 * 1000).toISOString();
+}
+
+/**
+ * Ingest one cumulative meter register per [minute, kWh] pair
+ */
+function ingestMeter(meterId, readings) {
+  return meters.ingestBatch(readings.map(([minute, kwh]) => ({
+    meterId, kwhConsumedAc: kwh, voltage: 230, timestamp: at(minute)
+  })));
+}
+
+/**
+ * Register a pairing from/to minute offsets (open-ended without `to`)
+ */
+function pair(meterId, vehicleId, from, to = null) {
+  return request(app).post('/v1/devices/pairings').send({
+    meterId, vehicleId, pairedFrom: at(from), pairedTo: to === null ? null : at(to)
+  });
+}
+
+describe('device registry and pairings', () => {
+  beforeAll(() => database.migrate());
+
+  beforeAll(async () => {
+    // Rejected requests are logged by the controller
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    for (const device of [
+      { deviceId: 'R-M1', deviceType: 'meter', counterMode: 'cumulative' },
+      { deviceId: 'R-M2', deviceType: 'meter', counterMode: 'cumulative' },
+      { deviceId: 'R-V1', deviceType: 'vehicle' },
+      { deviceId: 'R-V2', deviceType: 'vehicle' }
+    ]) {
+      const response = await request(app).post('/v1/devices').send(device);
+      expect(response.status).toBe(201);
+    }
+  });
+
+  afterAll(() => database.closePool());
+
+  test('registers, reads and deletes devices', async () => {
+    const duplicate = await request(app).post('/v1/devices').send({ deviceId: 'R-M1', deviceType: 'meter' });
+    expect(duplicate.status).toBe(400);
+
+    const created = await request(app).post('/v1/devices').send({ deviceId: 'R-M9', deviceType: 'meter', name: 'Spare' });
+    expect(created.body.data).toMatchObject({ deviceId: 'R-M9', deviceType: 'meter', name: 'Spare' });
+
+    const read = await request(app).get('/v1/devices/meter/R-M9');
+    expect(read.body.data).toMatchObject({ deviceId: 'R-M9', name: 'Spare' });
+
+    expect((await request(app).delete('/v1/devices/meter/R-M9')).status).toBe(200);
+    expect((await request(app).get('/v1/devices/meter/R-M9')).status).toBe(404);
+  });
+
+  test('pairings need registered devices and may not overlap on a meter', async () => {
+    expect((await pair('R-M1', 'R-V9', 0)).body.error).toBe('Unknown vehicle: R-V9');
+
+    const first = await pair('R-M1', 'R-V1', 0, 60);
+    expect(first.status).toBe(201);
+
+    const overlapping = await pair('R-M1', 'R-V2', 30, 90);
+    expect(overlapping.status).toBe(400);
+    expect(overlapping.body.error).toMatch(/already paired during this interval/);
+
+    // Back to back is fine
+    expect((await pair('R-M1', 'R-V2', 60)).status).toBe(201);
+
+    const atMinute = await request(app).get('/v1/devices/pairings').query({ meterId: 'R-M1', at: at(30) });
+    expect(atMinute.body.data.pairings.map(p => p.vehicleId)).toEqual(['R-V1']);
+  });
+
+  test('AC energy is summed from the meters a vehicle was plugged into', async () => {
+    // R-V1 moves from R-M1 (minutes 0-60) to R-M2 (from minute 70)
+    expect((await pair('R-M2', 'R-V1', 70)).status).toBe(201);
+
+    await ingestMeter('R-M1', [[0, 100], [30, 103], [60, 106], [90, 110]]);
+    await ingestMeter('R-M2', [[60, 50], [80, 52], [100, 55]]);
+
+    const performance = await analyticsService.computePerformanceOnDemand('R-V1');
+    // R-M1 before minute 60 (its reading at 30), R-M2 from minute 70 (80 and 100)
+    expect(performance.performance.totalEnergyConsumedAc).toBe(3 + 2 + 3);
+
+    const other = await analyticsService.computePerformanceOnDemand('R-V2');
+    // R-M1 from minute 60: its readings at 60 and 90
+    expect(other.performance.totalEnergyConsumedAc).toBe(3 + 4);
+
+    // The materialized view attributes energy the same way
+    await analyticsService.refreshMaterializedView();
+    const response = await request(app).get('/v1/analytics/performance/R-V1');
+    expect(response.body.data.performance.totalEnergyConsumedAc).toBe(3 + 2 + 3);
+  });
+
+  test('ending a pairing only shortens it', async () => {
+    const open = await request(app).get('/v1/devices/pairings').query({ meterId: 'R-M2' });
+    const pairingId = open.body.data.pairings[0].pairingId;
+
+    const extended = await request(app).patch(`/v1/devices/pairings/${pairingId}`).send({ pairedTo: at(60) });
+    expect(extended.status).toBe(404);
+
+    const ended = await request(app).patch(`/v1/devices/pairings/${pairingId}`).send({ pairedTo: at(110) });
+    expect(ended.body.data.pairedTo).toBe(at(110));
+  });
+});
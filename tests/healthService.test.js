@@ -0,0 +1,46 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const database = require('../src/config/database');
+const migrationService = require('../src/services/migrationService');
+const healthService = require('../src/services/healthService');
+
+/**
+ * Record a migration version as applied
+ */
+function markApplied(version) {
+  return database.query(
+    "INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, 'test', '')",
+    [version]
+  );
+}
+
+describe('healthService.checkSchema', () => {
+  const latest = healthService.latestMigration;
+
+  beforeAll(async () => {
+    await database.migrate();
+    await migrationService.getApplied();
+  });
+
+  afterAll(() => database.closePool());
+
+  test('fails while migrations are pending', async () => {
+    await markApplied('001');
+    expect(await healthService.checkSchema()).toEqual({ status: 'fail', current: '001', latest });
+  });
+
+  test('passes at this build\'s latest migration without listing migrations', async () => {
+    const status = jest.spyOn(migrationService, 'status');
+    const list = jest.spyOn(migrationService, 'listMigrations');
+    await markApplied(latest);
+
+    expect(await healthService.checkSchema()).toEqual({ status: 'pass', current: latest, latest });
+    expect(status).not.toHaveBeenCalled();
+    expect(list).not.toHaveBeenCalled();
+  });
+
+  test('only warns about migrations newer than this build', async () => {
+    await markApplied('1000');
+    expect(await healthService.checkSchema()).toMatchObject({ status: 'warn', latest });
+  });
+});
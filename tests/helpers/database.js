@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const requestContext = require('../../src/utils/requestContext');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../database/migrations');
+
+// Role the application connects as: owns the schema but is no superuser,
+// so row-level security applies as in production
+const APP_ROLE = 'energy_app';
+
+const TRANSACTION_CONTROL = /^\s*(BEGIN|COMMIT|ROLLBACK)\s*$/i;
+
+/**
+ * In-process PostgreSQL (PGlite) standing in for src/config/database
+ *
+ *   jest.mock('../src/config/database', () => require('./helpers/database'));
+ *
+ * migrate() applies every up migration; queries then run as APP_ROLE with
+ * app.tenant_id set from the request context, like pooled connections.
+ * One connection: run work sequentially, and closePool() after the tests.
+ */
+const db = new PGlite();
+
+/**
+ * Apply all up migrations in version order
+ */
+async function migrate() {
+  await db.exec(`
+    CREATE ROLE ${APP_ROLE} NOSUPERUSER;
+    GRANT ALL ON SCHEMA public TO ${APP_ROLE};
+    GRANT SET ON PARAMETER app.tenant_id TO ${APP_ROLE};
+    SET ROLE ${APP_ROLE};
+  `);
+
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.up.sql'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  for (const file of files) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+}
+
+/**
+ * pg-style query on a PGlite connection or transaction
+ * (parameterless multi-statement scripts go through exec, like pg's
+ * simple query protocol)
+ */
+async function run(connection, text, params = []) {
+  // Not before ROLLBACK, which must run in an aborted transaction
+  if (!TRANSACTION_CONTROL.test(text)) {
+    await connection.query("SELECT set_config('app.tenant_id', $1, false)", [requestContext.currentTenant() || '']);
+  }
+
+  if (params.length === 0 && /;\s*\S/.test(text)) {
+    const results = await connection.exec(text);
+    return results[results.length - 1];
+  }
+  return connection.query(text, params);
+}
+
+async function query(text, params) {
+  return run(db, text, params);
+}
+
+async function transaction(callback) {
+  return db.transaction(tx => callback({ query: (text, params) => run(tx, text, params) }));
+}
+
+async function getClient() {
+  return {
+    query: (text, params) => run(db, text, params),
+    release: () => {}
+  };
+}
+
+module.exports = {
+  db,
+  migrate,
+  query,
+  transaction,
+  getClient,
+  isConnectionError: jest.requireActual('../../src/config/database').isConnectionError,
+  getPoolStats: () => ({ max: 1, total: 1, idle: 1, waiting: 0, avgWaitMs: 0 }),
+  closePool: () => db.close()
+};
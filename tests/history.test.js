@@ -0,0 +1,21 @@
+const { encodeCursor, decodeCursor } = require('../src/utils/history');
+
+describe('history cursors', () => {
+  const t = '2026-01-01T00:00:00.000Z';
+
+  test('round-trip raw and aggregated cursors', () => {
+    expect(decodeCursor(encodeCursor({ t, id: '42' }), { withId: true })).toEqual({ t, id: '42' });
+    expect(decodeCursor(encodeCursor({ t }))).toEqual({ t });
+  });
+
+  test('reject raw cursors without a valid id', () => {
+    for (const parts of [{ t }, { t, id: null }, { t, id: 42 }, { t, id: '4x' }, { t, id: ['1'] }]) {
+      expect(() => decodeCursor(encodeCursor(parts), { withId: true })).toThrow('Invalid cursor');
+    }
+  });
+
+  test('reject undecodable cursors and bad times', () => {
+    expect(() => decodeCursor('not a cursor')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor({ t: 'yesterday', id: '1' }), { withId: true })).toThrow('Invalid cursor');
+  });
+});
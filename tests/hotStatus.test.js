@@ -0,0 +1,83 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.LATE_DATA_TOLERANCE_SECONDS = '600';
+
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+const metricsService = require('../src/services/metricsService');
+
+const vehicles = telemetryService.forType('vehicle');
+
+/**
+ * Vehicle reading `minutes` minutes ago
+ */
+function reading(vehicleId, minutes, soc) {
+  return {
+    vehicleId,
+    soc,
+    kwhDeliveredDc: 0,
+    batteryTemp: 25,
+    timestamp: new Date(Date.now() - minutes * 60 * 1000).toISOString()
+  };
+}
+
+async function hotSoc(vehicleId) {
+  const status = await vehicles.getCurrentStatus(vehicleId);
+  return status ? parseFloat(status.soc) : null;
+}
+
+async function historyCount(vehicleId) {
+  const result = await database.query(
+    'SELECT count(*)::int as count FROM vehicle_telemetry_history WHERE vehicle_id = $1',
+    [vehicleId]
+  );
+  return result.rows[0].count;
+}
+
+function counter(name) {
+  return metricsService.get(name, { type: 'vehicle' });
+}
+
+describe('hot status ordering', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('an out-of-order reading is stored without rolling the status back', async () => {
+    const outOfOrder = counter('out_of_order_records_total');
+
+    await vehicles.ingest(reading('H1', 1, 80));
+    const older = await vehicles.ingest(reading('H1', 3, 60));
+
+    expect(older).toMatchObject({ stored: true, late: false, hotStatusUpdated: false });
+    expect(await hotSoc('H1')).toBe(80);
+    expect(await historyCount('H1')).toBe(2);
+    expect(counter('out_of_order_records_total')).toBe(outOfOrder + 1);
+  });
+
+  test('a reading outside the tolerance window only reaches cold storage', async () => {
+    const late = counter('late_records_accepted_total');
+
+    const result = await vehicles.ingest(reading('H2', 15, 40));
+
+    expect(result).toMatchObject({ stored: true, late: true, hotStatusUpdated: false });
+    expect(await hotSoc('H2')).toBeNull();
+    expect(await historyCount('H2')).toBe(1);
+    expect(counter('late_records_accepted_total')).toBe(late + 1);
+  });
+
+  test('a batch moves each device to its newest timely reading', async () => {
+    await vehicles.ingest(reading('H4', 2, 70));
+
+    const result = await vehicles.ingestBatch([
+      reading('H3', 5, 50),
+      reading('H3', 3, 55),
+      reading('H3', 20, 30),
+      reading('H4', 4, 65)
+    ]);
+
+    expect(result).toMatchObject({ count: 4, late: 1, outOfOrder: 1 });
+    expect(await hotSoc('H3')).toBe(55);
+    expect(await hotSoc('H4')).toBe(70);
+  });
+});
@@ -0,0 +1,89 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const idempotencyService = require('../src/services/idempotencyService');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+function reading(meterId, minute = 0) {
+  return {
+    meterId,
+    kwhConsumedAc: 1.5,
+    voltage: 230,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString()
+  };
+}
+
+function ingest(key, body) {
+  return request(app).post('/v1/ingest').set('Idempotency-Key', key).send(body);
+}
+
+function ingestNdjson(key, readings) {
+  return request(app)
+    .post('/v1/ingest/batch')
+    .set('Idempotency-Key', key)
+    .set('Content-Type', 'application/x-ndjson')
+    .send(readings.map(r => JSON.stringify(r)).join('\n'));
+}
+
+describe('idempotency middleware', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('stores the response before sending it and replays it', async () => {
+    const first = await ingest('k-replay', reading('I1'));
+    expect(first.status).toBe(201);
+
+    const stored = await idempotencyService.find('k-replay', '/v1/ingest');
+    expect(stored).toMatchObject({ status_code: 201, response_body: first.body });
+
+    const repeat = await ingest('k-replay', reading('I1'));
+    expect(repeat.status).toBe(201);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(repeat.body).toEqual(first.body);
+  });
+
+  test('rejects a key reused with a different body', async () => {
+    await ingest('k-body', reading('I2'));
+
+    const reused = await ingest('k-body', reading('I2', 1));
+    expect(reused.status).toBe(422);
+  });
+
+  test('answers 409 while the first request is still running', async () => {
+    expect(await idempotencyService.claim('k-pending', '/v1/ingest', null)).toBe(true);
+
+    const repeat = await ingest('k-pending', reading('I3'));
+    expect(repeat.status).toBe(409);
+  });
+
+  test('releases the key after a failed request', async () => {
+    const failed = await ingest('k-retry', { meterId: 'I4', voltage: 'high' });
+    expect(failed.status).toBe(400);
+
+    const retried = await ingest('k-retry', reading('I4'));
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('hashes streamed bodies', async () => {
+    const readings = [reading('I5'), reading('I5', 1)];
+    const first = await ingestNdjson('k-stream', readings);
+    expect(first.status).toBe(201);
+
+    const repeat = await ingestNdjson('k-stream', readings);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(repeat.body).toEqual(first.body);
+
+    const reused = await ingestNdjson('k-stream', [reading('I5', 2)]);
+    expect(reused.status).toBe(422);
+  });
+});
@@ -0,0 +1,71 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+process.env.RATE_LIMIT_DEVICE_BURST = '2';
+process.env.RATE_LIMIT_DEVICE_PER_MINUTE = '1';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json({ limit: '10mb' }));
+app.use('/v1', routes);
+
+/**
+ * A day of one-minute readings for a meter (a backfill)
+ */
+function dayOfReadings(meterId) {
+  const start = Date.UTC(2026, 0, 1);
+  return Array.from({ length: 1440 }, (_, minute) => ({
+    meterId,
+    kwhConsumedAc: 0.01,
+    voltage: 230,
+    timestamp: new Date(start + minute * 60 * 1000).toISOString()
+  }));
+}
+
+describe('batch ingestion rate limits', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('a JSON batch costs each device one token, not one per reading', async () => {
+    const response = await request(app)
+      .post('/v1/ingest/batch')
+      .send([...dayOfReadings('J1'), ...dayOfReadings('J2')]);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ accepted: 2880, rejected: 0 });
+  });
+
+  test('a streamed NDJSON backfill is accepted in full', async () => {
+    const body = dayOfReadings('S1').map(reading => JSON.stringify(reading)).join('\n');
+
+    const response = await request(app)
+      .post('/v1/ingest/batch')
+      .set('Content-Type', 'application/x-ndjson')
+      .send(body);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ received: 1440, accepted: 1440, rejected: 0 });
+  });
+
+  test('a device over its limit has all its readings in the batch rejected', async () => {
+    const [first, second, third] = dayOfReadings('L1');
+
+    for (const reading of [first, second]) {
+      const allowed = await request(app).post('/v1/ingest/batch').send([reading]);
+      expect(allowed.status).toBe(201);
+    }
+
+    const limited = await request(app)
+      .post('/v1/ingest/batch')
+      .send([third, { ...third, timestamp: new Date(Date.UTC(2026, 0, 2)).toISOString() }]);
+
+    expect(limited.status).toBe(400);
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(limited.body.data).toMatchObject({ accepted: 0, rejected: 2 });
+  });
+});
@@ -0,0 +1,65 @@
+jest.mock('../src/services/liveStatusService', () => ({
+  subscribe: jest.fn(),
+  backfill: jest.fn(async () => [])
+}));
+
+const { EventEmitter } = require('events');
+const liveStatusService = require('../src/services/liveStatusService');
+const liveController = require('../src/controllers/liveController');
+
+/**
+ * Response stand-in: records writes and emits 'close' on demand
+ */
+class ResponseStandIn extends EventEmitter {
+  constructor() {
+    super();
+    this.writes = [];
+    this.headersSent = false;
+  }
+
+  set() {
+    return this;
+  }
+
+  flushHeaders() {
+    this.headersSent = true;
+  }
+
+  write(chunk) {
+    this.writes.push(chunk);
+  }
+}
+
+const req = { query: { backfill: 'false' }, tenantId: null };
+
+describe('liveController.streamStatus', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('a client gone before the subscription is set up is unsubscribed', async () => {
+    const unsubscribe = jest.fn();
+    let resolveSubscribe;
+    liveStatusService.subscribe.mockReturnValue(new Promise(resolve => { resolveSubscribe = resolve; }));
+
+    const res = new ResponseStandIn();
+    const streaming = liveController.streamStatus(req, res);
+    res.emit('close');
+    resolveSubscribe(unsubscribe);
+    await streaming;
+
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+    expect(res.headersSent).toBe(false);
+  });
+
+  test('closing an open stream unsubscribes once', async () => {
+    const unsubscribe = jest.fn();
+    liveStatusService.subscribe.mockResolvedValue(unsubscribe);
+
+    const res = new ResponseStandIn();
+    await liveController.streamStatus(req, res);
+    expect(res.headersSent).toBe(true);
+
+    res.emit('close');
+    res.emit('close');
+    expect(unsubscribe).toHaveBeenCalledTimes(1);
+  });
+});
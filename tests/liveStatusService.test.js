@@ -0,0 +1,55 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const database = require('../src/config/database');
+const requestContext = require('../src/utils/requestContext');
+const telemetryService = require('../src/services/telemetryService');
+const liveStatusService = require('../src/services/liveStatusService');
+
+const meters = telemetryService.forType('meter');
+
+/**
+ * Run a callback scoped to a tenant, as the auth middleware does
+ */
+function asTenant(tenantId, callback) {
+  return requestContext.run({ tenantId }, callback);
+}
+
+describe('liveStatusService resync', () => {
+  beforeAll(async () => {
+    await database.migrate();
+    await database.query("INSERT INTO tenants (tenant_id) VALUES ('tenant-a'), ('tenant-b')");
+    for (const [tenantId, voltage] of [['tenant-a', 230], ['tenant-b', 240]]) {
+      await asTenant(tenantId, () => meters.ingest({
+        meterId: 'S1', kwhConsumedAc: 1, voltage, timestamp: new Date(Date.now() - 60000).toISOString()
+      }));
+    }
+    // No LISTEN connection in tests
+    jest.spyOn(liveStatusService, 'listen').mockResolvedValue();
+  });
+
+  afterAll(() => database.closePool());
+
+  test('each subscriber reads its snapshot in its own tenant', async () => {
+    const snapshots = {};
+    const unsubscribes = [];
+    // Chained, as the test database runs one query at a time
+    let reads = Promise.resolve();
+    for (const tenantId of ['tenant-a', 'tenant-b']) {
+      unsubscribes.push(await asTenant(tenantId, () => liveStatusService.subscribe({}, (event) => {
+        if (event.resync) {
+          reads = snapshots[tenantId] = reads
+            .then(() => liveStatusService.backfill({}))
+            .then(events => events.map(e => [e.tenantId, parseFloat(e.status.voltage)]));
+        }
+      })));
+    }
+
+    // The reconnect timer inherits the context it was scheduled from
+    await asTenant('tenant-a', () => liveStatusService.scheduleReconnect());
+    await new Promise(resolve => setTimeout(resolve, 700));
+
+    expect(await snapshots['tenant-a']).toEqual([['tenant-a', 230]]);
+    expect(await snapshots['tenant-b']).toEqual([['tenant-b', 240]]);
+    unsubscribes.forEach(unsubscribe => unsubscribe());
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+process.env.LOG_LEVEL = 'info';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const logger = require('../src/utils/logger');
+const requestLogging = require('../src/middleware/requestLogging');
+const requestContext = require('../src/utils/requestContext');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(requestLogging);
+app.use(express.json());
+app.use('/v1', routes);
+
+/**
+ * Log entries written to stdout and stderr while `callback` runs
+ */
+async function captureLogs(callback) {
+  const lines = [];
+  const capture = chunk => {
+    lines.push(...String(chunk).split('\n').filter(Boolean));
+    return true;
+  };
+  jest.spyOn(process.stdout, 'write').mockImplementation(capture);
+  jest.spyOn(process.stderr, 'write').mockImplementation(capture);
+  try {
+    await callback();
+  } finally {
+    jest.restoreAllMocks();
+  }
+  return lines.map(line => JSON.parse(line));
+}
+
+describe('structured logger', () => {
+  test('writes one JSON object per line at or above LOG_LEVEL', async () => {
+    const logs = await captureLogs(() => {
+      logger.debug('hidden');
+      logger.info('shown', { count: 2 });
+      logger.error('failed', { error: Object.assign(new Error('boom'), { code: 'E1' }) });
+    });
+
+    expect(logs.map(entry => entry.msg)).toEqual(['shown', 'failed']);
+    expect(logs[0]).toMatchObject({ level: 'info', msg: 'shown', count: 2 });
+    expect(new Date(logs[0].time).toISOString()).toBe(logs[0].time);
+    expect(logs[1].error).toMatchObject({ name: 'Error', message: 'boom', code: 'E1' });
+    expect(logger.isEnabled('debug')).toBe(false);
+  });
+
+  test('sensitive values are redacted', async () => {
+    const [entry] = await captureLogs(() => logger.info('redaction', {
+      password: 'hunter2',
+      headers: { Authorization: 'Bearer abc', 'x-api-key': 'eie_abc', accept: 'json' },
+      params: ['M1', 230],
+      note: 'client sent eie_Zm9vYmFy-_x in the body'
+    }));
+
+    expect(entry).toMatchObject({
+      password: '[REDACTED]',
+      headers: { Authorization: '[REDACTED]', 'x-api-key': '[REDACTED]', accept: 'json' },
+      params: '[REDACTED]',
+      note: 'client sent eie_[REDACTED] in the body'
+    });
+  });
+
+  test('entries carry the request context', async () => {
+    const [entry] = await captureLogs(() =>
+      requestContext.run({ requestId: 'req-1', tenantId: 'tenant-a' }, () => logger.info('scoped'))
+    );
+
+    expect(entry).toMatchObject({ msg: 'scoped', requestId: 'req-1', tenantId: 'tenant-a' });
+  });
+});
+
+describe('request correlation', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('X-Request-Id reaches controller logs and the access log', async () => {
+    let response;
+    const logs = await captureLogs(async () => {
+      response = await request(app).post('/v1/ingest').set('X-Request-Id', 'trace-42').send({
+        meterId: 'LG1', kwhConsumedAc: 1, voltage: -1, timestamp: new Date().toISOString()
+      });
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.headers['x-request-id']).toBe('trace-42');
+    expect(logs.find(entry => entry.msg === 'Ingestion error')).toMatchObject({ level: 'error', requestId: 'trace-42' });
+    expect(logs.find(entry => entry.msg === 'Request completed')).toMatchObject({
+      requestId: 'trace-42',
+      method: 'POST',
+      route: '/v1/ingest',
+      status: 400
+    });
+  });
+
+  test('a malformed request ID is replaced', async () => {
+    let response;
+    const logs = await captureLogs(async () => {
+      response = await request(app).get('/v1/device-types').set('X-Request-Id', 'not a valid id!');
+    });
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(logs.find(entry => entry.msg === 'Request completed').requestId).toBe(response.headers['x-request-id']);
+  });
+
+  test('API keys in request headers never reach the access log', async () => {
+    const logs = await captureLogs(() =>
+      request(app).get('/v1/device-types').set('X-API-Key', 'eie_secret-value')
+    );
+
+    expect(logs.map(entry => entry.msg)).toContain('Request completed');
+    expect(JSON.stringify(logs)).not.toContain('secret-value');
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const metricsService = require('../src/services/metricsService');
+const analyticsService = require('../src/services/analyticsService');
+const requestMetrics = require('../src/middleware/metrics');
+const logger = require('../src/utils/logger');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(requestMetrics);
+app.use(express.json());
+app.use('/v1', routes);
+
+/**
+ * Sample lines of one metric in the rendered output
+ */
+async function samples(name) {
+  const output = await metricsService.render();
+  return output.split('\n').filter(line => line.startsWith(`${name}{`) || line.startsWith(`${name} `));
+}
+
+beforeAll(() => database.migrate());
+
+afterAll(() => database.closePool());
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('Prometheus rendering', () => {
+  test('counters carry HELP, TYPE and escaped labels', async () => {
+    metricsService.increment('validation_failures_total', { type: 'test "quoted"\\type' }, 2);
+
+    const output = await metricsService.render();
+
+    expect(output).toContain('# HELP validation_failures_total Telemetry records rejected by validation, by type');
+    expect(output).toContain('# TYPE validation_failures_total counter');
+    expect(output).toContain('validation_failures_total{type="test \\"quoted\\"\\\\type"} 2');
+  });
+
+  test('histogram buckets are cumulative', async () => {
+    metricsService.describe('test_duration_seconds', 'histogram', 'Test latency', [0.1, 1]);
+    metricsService.observe('test_duration_seconds', { op: 'a' }, 0.05);
+    metricsService.observe('test_duration_seconds', { op: 'a' }, 0.5);
+    metricsService.observe('test_duration_seconds', { op: 'a' }, 5);
+
+    expect(await samples('test_duration_seconds_bucket')).toEqual([
+      'test_duration_seconds_bucket{op="a",le="0.1"} 1',
+      'test_duration_seconds_bucket{op="a",le="1"} 2',
+      'test_duration_seconds_bucket{op="a",le="+Inf"} 3'
+    ]);
+    expect(await samples('test_duration_seconds_sum')).toEqual(['test_duration_seconds_sum{op="a"} 5.55']);
+    expect(await samples('test_duration_seconds_count')).toEqual(['test_duration_seconds_count{op="a"} 3']);
+  });
+
+  test('a failing collector does not hide the other metrics', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    let failed = false;
+    metricsService.addCollector(() => {
+      if (!failed) {
+        failed = true;
+        throw new Error('collector down');
+      }
+      return [];
+    });
+    metricsService.addCollector(() => [{ name: 'test_gauge', labels: { source: 'ok' }, value: 7 }]);
+
+    expect(await samples('test_gauge')).toEqual(['test_gauge{source="ok"} 7']);
+    expect(logger.error).toHaveBeenCalledWith('Metrics collector error', expect.anything());
+  });
+});
+
+describe('service metrics', () => {
+  test('requests are counted per route pattern, not per path', async () => {
+    await request(app).get('/v1/history/meter/MX1');
+    await request(app).get('/v1/history/meter/MX2');
+    await request(app).get('/v1/nowhere');
+
+    expect(metricsService.get('http_requests_total', { method: 'GET', route: '/v1/history/:type/:id', status: '200' })).toBe(2);
+    expect(metricsService.get('http_requests_total', { method: 'GET', route: 'unmatched', status: '404' })).toBe(1);
+    expect(await samples('http_request_duration_seconds_count')).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/v1/history/:type/:id"} 2'
+    );
+  });
+
+  test('ingested records and validation failures are counted by type', async () => {
+    const ingested = metricsService.get('records_ingested_total', { type: 'meter' });
+    const invalid = metricsService.get('validation_failures_total', { type: 'meter' });
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await request(app).post('/v1/ingest').send({
+      meterId: 'MX3', kwhConsumedAc: 1, voltage: 230, timestamp: new Date().toISOString()
+    });
+    await request(app).post('/v1/ingest').send({
+      meterId: 'MX3', kwhConsumedAc: 1, voltage: -1, timestamp: new Date().toISOString()
+    });
+
+    expect(metricsService.get('records_ingested_total', { type: 'meter' })).toBe(ingested + 1);
+    expect(metricsService.get('validation_failures_total', { type: 'meter' })).toBe(invalid + 1);
+  });
+
+  test('materialized view refresh duration and age are exported', async () => {
+    await request(app).post('/v1/ingest').send({
+      vehicleId: 'MXV1', soc: 50, kwhDeliveredDc: 1, batteryTemp: 25,
+      timestamp: new Date(Date.now() - 60 * 1000).toISOString()
+    });
+    await analyticsService.refreshMaterializedView();
+
+    expect(await samples('mv_refresh_duration_seconds_count')).toEqual([
+      'mv_refresh_duration_seconds_count{view="vehicle_24h_performance"} 1'
+    ]);
+    const [age] = await samples('mv_age_seconds');
+    expect(age).toMatch(/^mv_age_seconds\{view="vehicle_24h_performance"\} [\d.]+$/);
+    expect(parseFloat(age.split(' ')[1])).toBeLessThan(60);
+  });
+});
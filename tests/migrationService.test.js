@@ -0,0 +1,94 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const database = require('../src/config/database');
+const migrationService = require('../src/services/migrationService');
+const logger = require('../src/utils/logger');
+
+/**
+ * Tables in the public schema, besides schema_migrations
+ */
+async function tables() {
+  const result = await database.query(
+    `SELECT tablename FROM pg_tables
+     WHERE schemaname = 'public' AND tablename <> 'schema_migrations'
+     ORDER BY tablename`
+  );
+  return result.rows.map(row => row.tablename);
+}
+
+describe('migrationService', () => {
+  const migrations = migrationService.listMigrations();
+  const latest = migrations[migrations.length - 1].version;
+
+  afterAll(() => database.closePool());
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('fails fast before the schema is migrated', async () => {
+    await expect(migrationService.assertUpToDate()).rejects.toThrow(
+      `Database schema is out of date: ${migrations.length} pending migration(s)`
+    );
+  });
+
+  test('applies every migration in order, once', async () => {
+    const { applied } = await migrationService.migrate();
+    expect(applied).toEqual(migrations.map(migration => migration.id));
+
+    const status = await migrationService.status();
+    expect(status).toMatchObject({ current: latest, latest, unknown: [] });
+    expect(status.migrations.every(m => m.status === 'applied' && !m.modified)).toBe(true);
+    await expect(migrationService.assertUpToDate()).resolves.toBeUndefined();
+
+    expect(await migrationService.migrate()).toEqual({ applied: [] });
+  }, 60000);
+
+  test('rolls every migration back and applies them again', async () => {
+    const schema = await tables();
+
+    const { rolledBack } = await migrationService.rollback(migrations.length);
+    expect(rolledBack).toEqual(migrations.map(migration => migration.id).reverse());
+    expect(await tables()).toEqual([]);
+    expect((await migrationService.status()).current).toBeNull();
+
+    await migrationService.migrate();
+    expect(await tables()).toEqual(schema);
+  }, 120000);
+
+  test('a failed migration leaves nothing behind', async () => {
+    await migrationService.rollback(1);
+    const last = migrations[migrations.length - 1];
+    jest.spyOn(migrationService, 'listMigrations').mockReturnValue([
+      ...migrations.slice(0, -1),
+      { ...last, up: __filename }
+    ]);
+
+    await expect(migrationService.migrate()).rejects.toThrow();
+    expect((await migrationService.status()).current).toBe(migrations[migrations.length - 2].version);
+
+    jest.restoreAllMocks();
+    await migrationService.migrate();
+  }, 60000);
+
+  test('reports migrations edited after they were applied', async () => {
+    const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(migrationService, 'listMigrations').mockReturnValue(
+      migrations.map(migration => migration.version === '001' ? { ...migration, checksum: 'edited' } : migration)
+    );
+
+    const status = await migrationService.status();
+    expect(status.migrations.filter(m => m.modified).map(m => m.version)).toEqual(['001']);
+
+    await migrationService.assertUpToDate();
+    expect(warn).toHaveBeenCalledWith('Migration was modified after it was applied', { migration: migrations[0].id });
+  });
+
+  test('refuses to roll back a migration without a down file', async () => {
+    const last = migrations[migrations.length - 1];
+    jest.spyOn(migrationService, 'listMigrations').mockReturnValue([
+      ...migrations.slice(0, -1),
+      { ...last, down: undefined }
+    ]);
+
+    await expect(migrationService.rollback()).rejects.toThrow(`Cannot roll back ${last.id}: no down file`);
+  });
+});
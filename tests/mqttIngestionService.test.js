@@ -0,0 +1,155 @@
+const { EventEmitter } = require('events');
+
+jest.mock('../src/services/telemetryService', () => ({
+  forType: jest.fn()
+}));
+
+const telemetryService = require('../src/services/telemetryService');
+const mqttIngestionService = require('../src/services/mqttIngestionService');
+
+const reading = { meterId: 'M1', kwhConsumedAc: 12.5, voltage: 230, timestamp: '2026-01-01T00:00:00Z' };
+
+/**
+ * Broker stand-in: delivers messages through handleMessage like mqtt.js
+ * and records acks (callbacks without an error) and publishes
+ */
+class BrokerStandIn extends EventEmitter {
+  constructor() {
+    super();
+    this.events = [];
+    this.published = [];
+  }
+
+  subscribe(topics, callback) {
+    callback(null, Object.keys(topics).map(topic => ({ topic, qos: topics[topic].qos })));
+  }
+
+  publish(topic, message, options, callback) {
+    this.events.push('publish');
+    this.published.push({ topic, message: JSON.parse(message), options });
+    callback();
+  }
+
+  end(force, options, callback) {
+    callback();
+  }
+
+  deliver(topic, payload) {
+    return new Promise((resolve, reject) => {
+      this.handleMessage({ topic, payload: Buffer.from(payload) }, (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.events.push('ack');
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Promise resolved from outside
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+describe('mqttIngestionService', () => {
+  let broker;
+  let service;
+
+  beforeEach(() => {
+    broker = new BrokerStandIn();
+    service = { ingest: jest.fn() };
+    telemetryService.forType.mockImplementation(type => type === 'meter' ? service : null);
+    mqttIngestionService.start({ client: broker });
+    broker.emit('connect', { sessionPresent: false });
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    await mqttIngestionService.stop();
+  });
+
+  test('holds the ack until the reading is committed', async () => {
+    const commit = deferred();
+    service.ingest.mockImplementation(async () => {
+      await commit.promise;
+      broker.events.push('commit');
+      return { stored: true, duplicate: false };
+    });
+
+    const delivered = broker.deliver('telemetry/meter', JSON.stringify(reading));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(service.ingest).toHaveBeenCalledWith(reading);
+    expect(broker.events).toEqual([]);
+
+    commit.resolve();
+    await delivered;
+
+    expect(broker.events).toEqual(['commit', 'ack']);
+  });
+
+  test('retries a transient database error with backoff before acking', async () => {
+    jest.useFakeTimers();
+    const outage = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    service.ingest
+      .mockRejectedValueOnce(outage)
+      .mockRejectedValueOnce(outage)
+      .mockResolvedValueOnce({ stored: true, duplicate: false });
+
+    const delivered = broker.deliver('telemetry/meter', JSON.stringify(reading));
+
+    await jest.advanceTimersByTimeAsync(0);
+    expect(service.ingest).toHaveBeenCalledTimes(1);
+
+    // First retry after 500 ms
+    await jest.advanceTimersByTimeAsync(499);
+    expect(service.ingest).toHaveBeenCalledTimes(1);
+    await jest.advanceTimersByTimeAsync(1);
+    expect(service.ingest).toHaveBeenCalledTimes(2);
+    expect(broker.events).toEqual([]);
+
+    // Second retry waits twice as long
+    await jest.advanceTimersByTimeAsync(999);
+    expect(service.ingest).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(1);
+    await delivered;
+
+    expect(service.ingest).toHaveBeenCalledTimes(3);
+    expect(broker.events).toEqual(['ack']);
+    expect(broker.published).toEqual([]);
+  });
+
+  test('publishes a rejected reading to the dead-letter topic, then acks', async () => {
+    service.ingest.mockRejectedValue(new Error('Invalid voltage: must be a non-negative number'));
+
+    await broker.deliver('telemetry/meter', JSON.stringify(reading));
+
+    expect(service.ingest).toHaveBeenCalledTimes(1);
+    expect(broker.events).toEqual(['publish', 'ack']);
+    expect(broker.published).toHaveLength(1);
+    expect(broker.published[0].topic).toBe('dead-letter/telemetry');
+    expect(broker.published[0].message).toMatchObject({
+      topic: 'telemetry/meter',
+      error: 'Invalid voltage: must be a non-negative number',
+      payload: JSON.stringify(reading)
+    });
+  });
+
+  test('dead-letters payloads that are not telemetry', async () => {
+    await broker.deliver('telemetry/meter', 'not json');
+    await broker.deliver('telemetry/other', JSON.stringify({ sensorId: 'S1' }));
+
+    expect(service.ingest).not.toHaveBeenCalled();
+    expect(broker.events).toEqual(['publish', 'ack', 'publish', 'ack']);
+    expect(broker.published.map(({ message }) => message.error)).toEqual([
+      'Invalid payload: expected JSON object',
+      'Unknown telemetry type. Expected meter or vehicle format.'
+    ]);
+  });
+});
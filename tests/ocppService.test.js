@@ -0,0 +1,194 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const database = require('../src/config/database');
+const ocppService = require('../src/services/ocppService');
+const logger = require('../src/utils/logger');
+
+/**
+ * Timestamp `minutes` minutes ago
+ */
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+/**
+ * MeterValue with inlet and outlet registers, phase voltages, SoC and
+ * battery temperature
+ */
+function meterValue(minutes, { inletWh, outletWh, soc }) {
+  return {
+    timestamp: minutesAgo(minutes),
+    sampledValue: [
+      { measurand: 'Energy.Active.Import.Register', location: 'Inlet', unit: 'Wh', value: String(inletWh) },
+      { measurand: 'Energy.Active.Import.Register', location: 'Outlet', unit: 'kWh', value: String(outletWh / 1000) },
+      { measurand: 'Voltage', phase: 'L1-N', value: '229' },
+      { measurand: 'Voltage', phase: 'L2-N', value: '231' },
+      { measurand: 'Voltage', phase: 'L1-L2', value: '400' },
+      { measurand: 'SoC', location: 'EV', value: String(soc) },
+      { measurand: 'Temperature', location: 'Body', value: '40' },
+      { measurand: 'Temperature', location: 'EV', value: '31' }
+    ]
+  };
+}
+
+async function meterReadings(meterId) {
+  const result = await database.query(
+    `SELECT kwh_consumed_ac::float as kwh, kwh_consumed_ac_delta::float as delta, voltage::float as voltage
+     FROM meter_telemetry_history
+     WHERE meter_id = $1 ORDER BY recorded_at`,
+    [meterId]
+  );
+  return result.rows;
+}
+
+async function vehicleReadings(vehicleId) {
+  const result = await database.query(
+    `SELECT soc::float as soc, kwh_delivered_dc::float as kwh, battery_temp::float as temp
+     FROM vehicle_telemetry_history
+     WHERE vehicle_id = $1 ORDER BY recorded_at`,
+    [vehicleId]
+  );
+  return result.rows;
+}
+
+describe('OCPP transactions', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a charge point registers itself and its connectors', async () => {
+    const boot = await ocppService.handleCall('CP1', 'BootNotification', {
+      chargePointVendor: 'Acme', chargePointModel: 'AC22', firmwareVersion: '1.2.3'
+    });
+    expect(boot).toMatchObject({ status: 'Accepted', interval: 300 });
+
+    await ocppService.handleCall('CP1', 'StatusNotification', { connectorId: 1, status: 'Available', errorCode: 'NoError' });
+
+    const [chargePoint] = await ocppService.listChargePoints(new Set([ocppService.tenantKey(null, 'CP1')]));
+    expect(chargePoint).toMatchObject({ chargePointId: 'CP1', connected: true, vendor: 'Acme', firmwareVersion: '1.2.3' });
+    expect(chargePoint.connectors).toMatchObject([{ connectorId: 1, meterId: 'CP1-1', status: 'Available' }]);
+  });
+
+  test('StartTransaction, MeterValues and StopTransaction record the charge', async () => {
+    const startedAt = minutesAgo(30);
+    const start = await ocppService.handleCall('CP1', 'StartTransaction', {
+      connectorId: 1, idTag: 'EV-1', meterStart: 10000, timestamp: startedAt
+    });
+    expect(start.idTagInfo.status).toBe('Accepted');
+
+    // A retried StartTransaction gets the same transaction
+    const retried = await ocppService.handleCall('CP1', 'StartTransaction', {
+      connectorId: 1, idTag: 'EV-1', meterStart: 10000, timestamp: startedAt
+    });
+    expect(retried.transactionId).toBe(start.transactionId);
+
+    await ocppService.handleCall('CP1', 'MeterValues', {
+      connectorId: 1,
+      transactionId: start.transactionId,
+      meterValue: [
+        meterValue(15, { inletWh: 14000, outletWh: 13500, soc: 40 }),
+        meterValue(20, { inletWh: 12000, outletWh: 11800, soc: 30 })
+      ]
+    });
+
+    await ocppService.handleCall('CP1', 'StopTransaction', {
+      transactionId: start.transactionId,
+      meterStop: 17000,
+      timestamp: minutesAgo(5),
+      reason: 'EVDisconnected',
+      transactionData: [meterValue(10, { inletWh: 16500, outletWh: 16000, soc: 55 })]
+    });
+
+    const [tx] = await ocppService.listTransactions({ chargePointId: 'CP1' });
+    expect(tx).toMatchObject({
+      transactionId: start.transactionId,
+      connectorId: 1,
+      meterId: 'CP1-1',
+      vehicleId: 'EV-1',
+      stopReason: 'EVDisconnected',
+      meterStartWh: 10000,
+      meterStopWh: 17000,
+      energyKwh: 7
+    });
+
+    // Connector meter: the cumulative inlet register with the
+    // phase-to-neutral voltage
+    expect(await meterReadings('CP1-1')).toEqual([
+      { kwh: 12, delta: 0, voltage: 230 },
+      { kwh: 14, delta: 2, voltage: 230 },
+      { kwh: 16.5, delta: 2.5, voltage: 230 }
+    ]);
+    const meter = await database.query("SELECT counter_mode FROM devices WHERE device_id = 'CP1-1'");
+    expect(meter.rows[0].counter_mode).toBe('cumulative');
+
+    // Vehicle: outlet energy since the previous sample, EV temperature
+    expect(await vehicleReadings('EV-1')).toEqual([
+      { soc: 30, kwh: 1.8, temp: 31 },
+      { soc: 40, kwh: 1.7, temp: 31 },
+      { soc: 55, kwh: 2.5, temp: 31 }
+    ]);
+
+    // The meter fed the vehicle for exactly the transaction
+    const pairing = await database.query(
+      'SELECT meter_id, vehicle_id, paired_from, paired_to FROM meter_vehicle_pairings WHERE id = $1',
+      [tx.pairingId]
+    );
+    expect(pairing.rows[0]).toMatchObject({ meter_id: 'CP1-1', vehicle_id: 'EV-1' });
+    expect(pairing.rows[0].paired_from.toISOString()).toBe(new Date(tx.startedAt).toISOString());
+    expect(pairing.rows[0].paired_to.toISOString()).toBe(new Date(tx.stoppedAt).toISOString());
+
+    // ...and the vehicle's charging session is linked to it
+    const session = await database.query('SELECT vehicle_id FROM charging_sessions WHERE id = $1', [tx.sessionId]);
+    expect(session.rows).toEqual([{ vehicle_id: 'EV-1' }]);
+  });
+
+  test('a new start closes a transaction whose stop was lost', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    const first = await ocppService.handleCall('CP1', 'StartTransaction', {
+      connectorId: 2, idTag: 'EV-2', meterStart: 0, timestamp: minutesAgo(20)
+    });
+    const second = await ocppService.handleCall('CP1', 'StartTransaction', {
+      connectorId: 2, idTag: 'EV-3', meterStart: 500, timestamp: minutesAgo(10)
+    });
+
+    const open = await ocppService.listTransactions({ chargePointId: 'CP1', open: true });
+    expect(open.map(tx => tx.transactionId)).toEqual([second.transactionId]);
+
+    const [superseded] = await ocppService.listTransactions({ vehicleId: 'EV-2' });
+    expect(superseded).toMatchObject({ transactionId: first.transactionId, stopReason: 'Superseded' });
+  });
+
+  test('MeterValues outside a transaction only feed the connector meter', async () => {
+    await ocppService.handleCall('CP2', 'MeterValues', {
+      connectorId: 1,
+      meterValue: [meterValue(3, { inletWh: 500, outletWh: 500, soc: 80 })]
+    });
+
+    expect(await meterReadings('CP2-1')).toHaveLength(1);
+    const [chargePoint] = (await ocppService.listChargePoints()).filter(cp => cp.chargePointId === 'CP2');
+    expect(chargePoint).toMatchObject({ connected: false, vendor: null });
+  });
+
+  test('a StopTransaction for an unknown transaction is still accepted', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    const response = await ocppService.handleCall('CP1', 'StopTransaction', {
+      transactionId: 999999, meterStop: 1, timestamp: minutesAgo(1)
+    });
+
+    expect(response).toEqual({ idTagInfo: { status: 'Accepted' } });
+  });
+
+  test('malformed calls are answered with OCPP error codes', async () => {
+    await expect(ocppService.handleCall('CP1', 'DataTransfer', {})).rejects.toMatchObject({ ocppCode: 'NotImplemented' });
+    await expect(ocppService.handleCall('CP1', 'StartTransaction', {
+      connectorId: 1, idTag: 'X'.repeat(21), meterStart: 0, timestamp: minutesAgo(1)
+    })).rejects.toMatchObject({ ocppCode: 'PropertyConstraintViolation' });
+    await expect(ocppService.handleCall('CP1', 'StartTransaction', {
+      connectorId: 1, idTag: 'EV-1', meterStart: '0', timestamp: minutesAgo(1)
+    })).rejects.toMatchObject({ ocppCode: 'TypeConstraintViolation' });
+    await expect(ocppService.handleCall('CP1', 'Heartbeat', [])).rejects.toMatchObject({ ocppCode: 'FormationViolation' });
+  });
+});
@@ -0,0 +1,68 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+const partitionService = require('../src/services/partitionService');
+
+const meters = telemetryService.forType('meter');
+
+const NOW = new Date(Date.UTC(2026, 5, 15, 12));
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Meter reading `days` days before NOW
+ */
+function reading(meterId, days) {
+  return {
+    meterId,
+    kwhConsumedAc: 1,
+    voltage: 230,
+    timestamp: new Date(NOW.getTime() - days * DAY).toISOString()
+  };
+}
+
+/**
+ * Rows of a meter in the default partition
+ */
+async function rowsInDefault(meterId) {
+  const result = await database.query(
+    'SELECT count(*)::int as count FROM meter_telemetry_history_default WHERE meter_id = $1',
+    [meterId]
+  );
+  return result.rows[0].count;
+}
+
+describe('partitionService', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('creates the current and upcoming partitions', async () => {
+    const { created } = await partitionService.ensurePartitions(NOW);
+
+    expect(created.map(p => p.partition)).toContain('meter_telemetry_history_p20260615');
+    expect(created.map(p => p.partition)).toContain('meter_telemetry_history_p20260622');
+  });
+
+  test('moves backfilled history within retention out of the default partition', async () => {
+    await meters.ingestBatch([reading('P1', 3), reading('P1', 30), reading('P1', 365)]);
+    expect(await rowsInDefault('P1')).toBe(3);
+
+    const { created } = await partitionService.ensurePartitions(NOW);
+
+    expect(created.filter(p => p.table === 'meter_telemetry_history').map(p => p.partition).sort()).toEqual([
+      'meter_telemetry_history_p20260516',
+      'meter_telemetry_history_p20260612'
+    ]);
+    // Only the reading older than retention stays behind
+    expect(await rowsInDefault('P1')).toBe(1);
+
+    const stored = await database.query('SELECT count(*)::int as count FROM meter_telemetry_history WHERE meter_id = $1', ['P1']);
+    expect(stored.rows[0].count).toBe(3);
+  });
+
+  test('a second pass creates nothing', async () => {
+    const { created } = await partitionService.ensurePartitions(NOW);
+    expect(created).toEqual([]);
+  });
+});
@@ -0,0 +1,150 @@
+jest.mock('../src/config/database', () => ({
+  ...require('./helpers/database'),
+  getPoolStats: jest.fn()
+}));
+
+process.env.AUTH_ENABLED = 'false';
+process.env.RATE_LIMIT_DEVICE_PER_MINUTE = '60';
+process.env.RATE_LIMIT_DEVICE_BURST = '2';
+process.env.RATE_LIMIT_API_KEY_PER_MINUTE = '60';
+process.env.RATE_LIMIT_API_KEY_BURST = '5';
+process.env.LOAD_SHED_POOL_WAIT_MS = '100';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const rateLimitService = require('../src/services/rateLimitService');
+const { loadShedding } = require('../src/middleware/rateLimit');
+const routes = require('../src/routes');
+
+const { MemoryTokenBucketStore } = rateLimitService;
+
+const app = express();
+app.use(express.json());
+app.use('/v1', loadShedding);
+app.use('/v1', routes);
+
+const IDLE_POOL = { max: 10, total: 2, idle: 2, waiting: 0, avgWaitMs: 0 };
+const SLOW_POOL = { max: 10, total: 10, idle: 0, waiting: 4, avgWaitMs: 250 };
+
+function meterReading(meterId, minute = 0) {
+  return {
+    meterId,
+    kwhConsumedAc: 1.5,
+    voltage: 230,
+    timestamp: new Date(Date.UTC(2026, 0, 1, 0, minute)).toISOString()
+  };
+}
+
+describe('token buckets', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a bucket allows its burst, then refills over time', async () => {
+    const store = new MemoryTokenBucketStore();
+    const bucket = { capacity: 2, refillPerMs: 1 / 1000 };
+    let now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    expect(await store.take('k', bucket)).toEqual({ allowed: true, remaining: 1, retryAfterMs: 0 });
+    expect(await store.take('k', bucket)).toEqual({ allowed: true, remaining: 0, retryAfterMs: 0 });
+    expect(await store.take('k', bucket)).toEqual({ allowed: false, remaining: 0, retryAfterMs: 1000 });
+
+    now += 400;
+    expect(await store.take('k', bucket)).toMatchObject({ allowed: false, retryAfterMs: 600 });
+
+    now += 600;
+    expect(await store.take('k', bucket)).toMatchObject({ allowed: true, remaining: 0 });
+
+    // Never beyond capacity, however long it sits idle
+    now += 60000;
+    expect(await store.take('k', bucket)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  test('full buckets are swept', async () => {
+    const store = new MemoryTokenBucketStore();
+    await store.take('k', { capacity: 2, refillPerMs: 1 / 1000 });
+
+    store.sweep(Date.now() + 500);
+    expect(store.buckets.size).toBe(1);
+
+    store.sweep(Date.now() + 1000);
+    expect(store.buckets.size).toBe(0);
+  });
+});
+
+describe('rate limits', () => {
+  beforeAll(() => database.migrate());
+
+  // Every test starts with full buckets and an idle pool
+  beforeEach(() => {
+    rateLimitService.useStore(new MemoryTokenBucketStore());
+    database.getPoolStats.mockReturnValue(IDLE_POOL);
+  });
+
+  afterAll(() => database.closePool());
+
+  test('a device beyond its burst gets 429 with Retry-After', async () => {
+    expect((await request(app).post('/v1/ingest').send(meterReading('RL1', 0))).status).toBe(201);
+    expect((await request(app).post('/v1/ingest').send(meterReading('RL1', 1))).status).toBe(201);
+
+    const limited = await request(app).post('/v1/ingest').send(meterReading('RL1', 2));
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('1');
+    expect(limited.body).toMatchObject({ error: 'Rate limit exceeded for meter RL1', retryAfter: 1 });
+
+    // Other devices have their own bucket
+    expect((await request(app).post('/v1/ingest').send(meterReading('RL2'))).status).toBe(201);
+  });
+
+  test('a batch costs each device one token', async () => {
+    await request(app).post('/v1/ingest').send(meterReading('RL3', 0));
+    await request(app).post('/v1/ingest').send(meterReading('RL3', 1));
+
+    const response = await request(app).post('/v1/ingest/batch').send([
+      meterReading('RL3', 2),
+      meterReading('RL4', 0),
+      meterReading('RL4', 1),
+      meterReading('RL4', 2)
+    ]);
+
+    expect(response.status).toBe(207);
+    expect(response.headers['retry-after']).toBe('1');
+    expect(response.body.data.results.map(r => r.status)).toEqual(['rejected', 'accepted', 'accepted', 'accepted']);
+    expect(response.body.data.results[0].error).toBe('Rate limit exceeded for meter RL3');
+  });
+
+  test('a client beyond its API key burst gets 429 with Retry-After', async () => {
+    for (let i = 0; i < 5; i++) {
+      const response = await request(app).get('/v1/device-types');
+      expect(response.status).toBe(200);
+      expect(response.headers['x-ratelimit-remaining']).toBe(String(4 - i));
+    }
+
+    const limited = await request(app).get('/v1/device-types');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBe('1');
+    expect(limited.headers['x-ratelimit-limit']).toBe('60');
+  });
+
+  test('a pluggable store decides every limit', async () => {
+    const take = jest.fn().mockResolvedValue({ allowed: false, remaining: 0, retryAfterMs: 30000 });
+    rateLimitService.useStore({ take });
+
+    const response = await request(app).get('/v1/device-types');
+
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('30');
+    expect(take).toHaveBeenCalledWith(expect.stringMatching(/^apiKey:ip:/), { capacity: 5, refillPerMs: 60 / 60000, cost: 1 });
+  });
+
+  test('requests are shed with 503 while the pool queue is slow', async () => {
+    database.getPoolStats.mockReturnValue(SLOW_POOL);
+
+    const shed = await request(app).get('/v1/device-types');
+    expect(shed.status).toBe(503);
+    expect(shed.headers['retry-after']).toBe('2');
+
+    // Health checks are never shed
+    expect((await request(app).get('/v1/health/live')).status).toBe(200);
+  });
+});
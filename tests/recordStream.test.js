@@ -0,0 +1,61 @@
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const { readLines, readRecords, decodeStream, parseCsvLine } = require('../src/utils/recordStream');
+
+/**
+ * Collect everything an async iterable yields
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('recordStream', () => {
+  test('readLines splits across chunks and strips CRLF', async () => {
+    const stream = Readable.from([Buffer.from('a,b\r\nc'), Buffer.from('d\ne'), Buffer.from('f')]);
+    expect(await collect(readLines(stream))).toEqual(['a,b', 'cd', 'ef']);
+  });
+
+  test('readLines rejects an overlong line that arrives complete in one chunk', async () => {
+    const stream = Readable.from([Buffer.from(`short\n${'x'.repeat(64 * 1024 + 1)}\nnext\n`)]);
+    await expect(collect(readLines(stream))).rejects.toThrow('Invalid body: line longer than 65536 characters');
+  });
+
+  test('readLines rejects an overlong line without a line break', async () => {
+    const stream = Readable.from([Buffer.from('x'.repeat(40 * 1024)), Buffer.from('x'.repeat(40 * 1024))]);
+    await expect(collect(readLines(stream))).rejects.toThrow('Invalid body: line longer than 65536 characters');
+  });
+
+  test('readRecords parses CSV with typed cells and reports bad rows', async () => {
+    const csv = [
+      'meterId,kwhConsumedAc,voltage,timestamp',
+      '0042,1.5,230,2026-01-01T00:00:00Z',
+      '0043,2',
+      '"M,1",,231,2026-01-01T00:01:00Z'
+    ].join('\n');
+
+    expect(await collect(readRecords(Readable.from([Buffer.from(csv)]), 'csv'))).toEqual([
+      { line: 2, data: { meterId: '0042', kwhConsumedAc: 1.5, voltage: 230, timestamp: '2026-01-01T00:00:00Z' } },
+      { line: 3, error: 'Invalid record: expected 4 columns, got 2' },
+      { line: 4, data: { meterId: 'M,1', voltage: 231, timestamp: '2026-01-01T00:01:00Z' } }
+    ]);
+  });
+
+  test('readRecords reads gzipped NDJSON', async () => {
+    const ndjson = '{"vehicleId":"V1","soc":50}\nnot json\n';
+    const stream = decodeStream(Readable.from([zlib.gzipSync(ndjson)]), 'gzip');
+
+    expect(await collect(readRecords(stream, 'ndjson'))).toEqual([
+      { line: 1, data: { vehicleId: 'V1', soc: 50 } },
+      { line: 2, error: 'Invalid record: expected JSON object' }
+    ]);
+  });
+
+  test('parseCsvLine unescapes quotes', () => {
+    expect(parseCsvLine('"a ""b""",c')).toEqual(['a "b"', 'c']);
+    expect(() => parseCsvLine('"open')).toThrow('Invalid record: unterminated quoted field');
+  });
+});
@@ -0,0 +1,134 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+process.env.JOB_RETENTION_CRON = 'off';
+process.env.JOB_PARTITION_MAINTENANCE_CRON = '15 */6 * * *';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const { parseCron, nextRun } = require('../src/utils/cron');
+const schedulerService = require('../src/services/schedulerService');
+const analyticsService = require('../src/services/analyticsService');
+const connectivityService = require('../src/services/connectivityService');
+const logger = require('../src/utils/logger');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+/**
+ * Next run of an expression after a UTC time, as an ISO string
+ */
+function next(expression, from) {
+  return nextRun(parseCron(expression), new Date(from)).toISOString();
+}
+
+/**
+ * A job's entry in a getJobs() listing
+ */
+function job(jobs, name) {
+  return jobs.find(j => j.name === name);
+}
+
+describe('cron expressions', () => {
+  test('find the next matching minute in UTC', () => {
+    expect(next('*/5 * * * *', '2026-03-01T12:03:30Z')).toBe('2026-03-01T12:05:00.000Z');
+    expect(next('*/5 * * * *', '2026-03-01T12:05:00Z')).toBe('2026-03-01T12:10:00.000Z');
+    expect(next('30 3 * * *', '2026-03-01T04:00:00Z')).toBe('2026-03-02T03:30:00.000Z');
+    expect(next('0 0 1 * *', '2026-12-15T00:00:00Z')).toBe('2027-01-01T00:00:00.000Z');
+    // Sunday, written as 7
+    expect(next('0 12 * * 7', '2026-03-02T00:00:00Z')).toBe('2026-03-08T12:00:00.000Z');
+  });
+
+  test('reject malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow();
+  });
+});
+
+describe('schedulerService', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(async () => {
+    schedulerService.stop();
+    await database.closePool();
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('schedules come from the environment', async () => {
+    const response = await request(app).get('/v1/admin/jobs');
+
+    expect(response.status).toBe(200);
+    expect(job(response.body.data.jobs, 'retention')).toMatchObject({ enabled: false, schedule: null });
+    expect(job(response.body.data.jobs, 'partition-maintenance')).toMatchObject({ enabled: true, schedule: '15 */6 * * *' });
+  });
+
+  test('arming a job exposes its next run', async () => {
+    schedulerService.start();
+    const response = await request(app).get('/v1/admin/jobs');
+    schedulerService.stop();
+
+    const refresh = job(response.body.data.jobs, 'analytics-refresh');
+    expect(new Date(refresh.nextRunAt).getUTCMinutes() % 5).toBe(0);
+    expect(new Date(refresh.nextRunAt).getTime()).toBeGreaterThan(Date.now() - 1000);
+    expect(job(response.body.data.jobs, 'retention').nextRunAt).toBeNull();
+  });
+
+  test('a manual run is recorded in the job history', async () => {
+    const run = await request(app).post('/v1/admin/jobs/analytics-refresh/run');
+
+    expect(run.status).toBe(200);
+    expect(run.body.data).toMatchObject({ status: 'succeeded', trigger: 'manual' });
+    expect(run.body.data.result).toMatchObject({ success: true });
+
+    const response = await request(app).get('/v1/admin/jobs');
+    const refresh = job(response.body.data.jobs, 'analytics-refresh');
+    expect(refresh.lastRun).toMatchObject({ runId: run.body.data.runId, status: 'succeeded' });
+    expect(refresh.history).toHaveLength(1);
+
+    expect((await request(app).post('/v1/admin/jobs/nope/run')).status).toBe(404);
+  });
+
+  test('a failing job is recorded as failed', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    jest.spyOn(analyticsService, 'refreshMaterializedView').mockRejectedValue(new Error('view is locked'));
+
+    await expect(schedulerService.runJob('analytics-refresh')).rejects.toThrow('view is locked');
+
+    const { jobs } = await schedulerService.getJobs();
+    expect(job(jobs, 'analytics-refresh').lastRun).toMatchObject({ status: 'failed', error: 'view is locked', trigger: 'schedule' });
+  });
+
+  test('a job that is still running is skipped', async () => {
+    const connectivity = schedulerService.jobs.get('device-connectivity');
+    connectivity.running = true;
+    try {
+      expect(await schedulerService.runJob('device-connectivity')).toBeNull();
+      expect((await request(app).post('/v1/admin/jobs/device-connectivity/run')).status).toBe(409);
+    } finally {
+      connectivity.running = false;
+    }
+
+    const { jobs } = await schedulerService.getJobs();
+    expect(job(jobs, 'device-connectivity').lastRun).toBeNull();
+    expect(job(jobs, 'device-connectivity').lastSkippedAt).not.toBeNull();
+  });
+
+  test('a run holds the job lock and releases it', async () => {
+    const advisoryLocks = async () => (await database.query(
+      "SELECT count(*)::int as count FROM pg_locks WHERE locktype = 'advisory'"
+    )).rows[0].count;
+    let held = null;
+    jest.spyOn(connectivityService, 'recordTransitions').mockImplementation(async () => {
+      held = await advisoryLocks();
+    });
+
+    await schedulerService.runJob('device-connectivity');
+
+    expect(held).toBe(1);
+    expect(await advisoryLocks()).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+process.env.AUTH_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const database = require('../src/config/database');
+const telemetryService = require('../src/services/telemetryService');
+const sessionService = require('../src/services/sessionService');
+const routes = require('../src/routes');
+
+const app = express();
+app.use(express.json());
+app.use('/v1', routes);
+
+const vehicles = telemetryService.forType('vehicle');
+
+// Readings start two hours ago, one per minute offset
+const START = Date.now() - 2 * 60 * 60 * 1000;
+
+/**
+ * Ingest vehicle readings given as [minute, soc] pairs
+ */
+function ingest(vehicleId, readings) {
+  return vehicles.ingestBatch(readings.map(([minute, soc]) => ({
+    vehicleId,
+    soc,
+    kwhDeliveredDc: 0,
+    batteryTemp: 25,
+    timestamp: new Date(START + minute * 60 * 1000).toISOString()
+  })));
+}
+
+/**
+ * Stored sessions of a vehicle as [start minute, end minute, soc start, soc end]
+ */
+async function sessionsOf(vehicleId) {
+  const sessions = await sessionService.getVehicleSessions(vehicleId);
+  return sessions.reverse().map(session => [
+    Math.round((new Date(session.startedAt) - START) / 60000),
+    Math.round((new Date(session.endedAt) - START) / 60000),
+    session.soc.start,
+    session.soc.end
+  ]);
+}
+
+async function watermarkOf(vehicleId) {
+  const result = await database.query(
+    'SELECT readings_through FROM session_watermarks WHERE vehicle_id = $1',
+    [vehicleId]
+  );
+  return result.rows[0] ? Math.round((new Date(result.rows[0].readings_through) - START) / 60000) : null;
+}
+
+describe('sessionService', () => {
+  beforeAll(() => database.migrate());
+
+  afterAll(() => database.closePool());
+
+  test('listing sessions does not sessionize', async () => {
+    await ingest('G1', [[0, 50], [1, 55], [2, 60]]);
+
+    const response = await request(app).get('/v1/vehicles/G1/sessions');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.count).toBe(0);
+    expect(await watermarkOf('G1')).toBeNull();
+  });
+
+  test('the watermark advances when no session is found', async () => {
+    await ingest('W1', [[0, 50], [1, 50], [2, 50]]);
+    await sessionService.sessionizeVehicle('W1');
+    expect(await watermarkOf('W1')).toBe(2);
+
+    await ingest('W1', [[3, 50]]);
+    await sessionService.sessionizeVehicle('W1');
+    expect(await watermarkOf('W1')).toBe(3);
+    expect(await sessionsOf('W1')).toEqual([]);
+  });
+
+  test('late readings before the last session end reopen it', async () => {
+    await ingest('L1', [[0, 50], [1, 55], [2, 60], [3, 65], [20, 65], [21, 65]]);
+    await sessionService.sessionizeVehicle('L1');
+    expect(await sessionsOf('L1')).toEqual([[0, 3, 50, 65]]);
+
+    // Buffered readings uploaded after the run extend the session
+    await ingest('L1', [[5, 68], [8, 70]]);
+    await sessionService.sessionizeVehicle('L1');
+
+    expect(await sessionsOf('L1')).toEqual([[0, 8, 50, 70]]);
+    expect(await watermarkOf('L1')).toBe(21);
+  });
+
+  test('late readings from an ingest that started before the last run are found', async () => {
+    await ingest('T1', [[0, 50], [1, 55], [2, 60], [3, 65], [20, 65], [21, 65]]);
+    await sessionService.sessionizeVehicle('T1');
+
+    // Committed after the run, stamped with its transaction start before it
+    await ingest('T1', [[5, 68], [8, 70]]);
+    await database.query(
+      "UPDATE vehicle_telemetry_history SET ingested_at = NOW() - INTERVAL '1 minute' WHERE vehicle_id = $1 AND soc > 65",
+      ['T1']
+    );
+    await sessionService.sessionizeVehicle('T1');
+
+    expect(await sessionsOf('T1')).toEqual([[0, 8, 50, 70]]);
+  });
+
+  test('late readings between sessions merge them', async () => {
+    await ingest('M1', [[0, 50], [1, 55], [20, 58], [21, 60], [40, 60], [41, 60]]);
+    await sessionService.sessionizeVehicle('M1');
+    expect(await sessionsOf('M1')).toEqual([[0, 1, 50, 55], [20, 21, 58, 60]]);
+
+    await ingest('M1', [[8, 56], [15, 57]]);
+    await sessionService.sessionizeVehicle('M1');
+
+    expect(await sessionsOf('M1')).toEqual([[0, 21, 50, 60]]);
+  });
+});
@@ -0,0 +1,3 @@
+// Keep test output to jest's own: only errors are logged and dotenv stays quiet
+process.env.LOG_LEVEL = 'error';
+process.env.DOTENV_CONFIG_QUIET = 'true';
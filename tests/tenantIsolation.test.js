@@ -0,0 +1,167 @@
+jest.mock('../src/config/database', () => require('./helpers/database'));
+
+const database = require('../src/config/database');
+const requestContext = require('../src/utils/requestContext');
+const telemetryService = require('../src/services/telemetryService');
+const deviceService = require('../src/services/deviceService');
+const sessionService = require('../src/services/sessionService');
+const connectivityService = require('../src/services/connectivityService');
+const ocppService = require('../src/services/ocppService');
+
+const meters = telemetryService.forType('meter');
+const vehicles = telemetryService.forType('vehicle');
+
+/**
+ * Run a callback scoped to a tenant, as the auth middleware does
+ */
+function asTenant(tenantId, callback) {
+  return requestContext.run({ tenantId }, callback);
+}
+
+/**
+ * ISO timestamp `minutes` before now (recent, so hot status applies)
+ */
+function minutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+describe('tenants sharing a device id', () => {
+  beforeAll(async () => {
+    await database.migrate();
+    await database.query("INSERT INTO tenants (tenant_id) VALUES ('tenant-a'), ('tenant-b')");
+  });
+
+  afterAll(() => database.closePool());
+
+  test('readings at the same timestamp are stored for both tenants', async () => {
+    const timestamp = minutesAgo(5);
+
+    const a = await asTenant('tenant-a', () =>
+      meters.ingest({ meterId: 'M1', kwhConsumedAc: 1.5, voltage: 230, timestamp }));
+    const b = await asTenant('tenant-b', () =>
+      meters.ingest({ meterId: 'M1', kwhConsumedAc: 2.5, voltage: 240, timestamp }));
+
+    expect(a).toMatchObject({ stored: true, duplicate: false, hotStatusUpdated: true });
+    expect(b).toMatchObject({ stored: true, duplicate: false, hotStatusUpdated: true });
+
+    const statusA = await asTenant('tenant-a', () => meters.getCurrentStatus('M1'));
+    const statusB = await asTenant('tenant-b', () => meters.getCurrentStatus('M1'));
+    expect(parseFloat(statusA.voltage)).toBe(230);
+    expect(parseFloat(statusB.voltage)).toBe(240);
+
+    const history = await database.query(
+      'SELECT tenant_id, kwh_consumed_ac FROM meter_telemetry_history WHERE meter_id = $1 ORDER BY tenant_id',
+      ['M1']
+    );
+    expect(history.rows.map(row => [row.tenant_id, parseFloat(row.kwh_consumed_ac)])).toEqual([
+      ['tenant-a', 1.5],
+      ['tenant-b', 2.5]
+    ]);
+  });
+
+  test('a retried reading is still a duplicate within its tenant', async () => {
+    const reading = { meterId: 'M2', kwhConsumedAc: 1, voltage: 230, timestamp: minutesAgo(4) };
+
+    await asTenant('tenant-a', () => meters.ingest(reading));
+    const retried = await asTenant('tenant-a', () => meters.ingest(reading));
+    const other = await asTenant('tenant-b', () => meters.ingestBatch([reading]));
+
+    expect(retried).toMatchObject({ stored: false, duplicate: true });
+    expect(other).toMatchObject({ count: 1, duplicates: [] });
+  });
+
+  test('hot status advances per tenant', async () => {
+    await asTenant('tenant-a', () =>
+      vehicles.ingestBatch([{ vehicleId: 'V1', soc: 50, kwhDeliveredDc: 0, batteryTemp: 25, timestamp: minutesAgo(3) }]));
+    await asTenant('tenant-b', () =>
+      vehicles.ingestBatch([{ vehicleId: 'V1', soc: 80, kwhDeliveredDc: 0, batteryTemp: 30, timestamp: minutesAgo(10) }]));
+
+    const statusA = await asTenant('tenant-a', () => vehicles.getCurrentStatus('V1'));
+    const statusB = await asTenant('tenant-b', () => vehicles.getCurrentStatus('V1'));
+    expect(parseFloat(statusA.soc)).toBe(50);
+    expect(parseFloat(statusB.soc)).toBe(80);
+  });
+
+  test('each tenant can register the device id', async () => {
+    const device = { deviceId: 'M1', deviceType: 'meter' };
+
+    await asTenant('tenant-a', () => deviceService.createDevice(device));
+    await expect(asTenant('tenant-b', () => deviceService.createDevice(device)))
+      .resolves.toMatchObject({ deviceId: 'M1', deviceType: 'meter' });
+    await expect(asTenant('tenant-b', () => deviceService.createDevice(device)))
+      .rejects.toThrow('Device already registered: meter M1');
+  });
+
+  test('sessions are built from each tenant\'s own readings', async () => {
+    for (const [tenantId, socs] of [['tenant-a', [20, 30, 40]], ['tenant-b', [60, 70]]]) {
+      await asTenant(tenantId, () => vehicles.ingestBatch(socs.map((soc, i) => ({
+        vehicleId: 'V2', soc, kwhDeliveredDc: i === 0 ? 0 : 5, batteryTemp: 25, timestamp: minutesAgo(40 - i)
+      }))));
+    }
+
+    await sessionService.sessionizeAll();
+
+    const sessionsA = await asTenant('tenant-a', () => sessionService.getVehicleSessions('V2'));
+    const sessionsB = await asTenant('tenant-b', () => sessionService.getVehicleSessions('V2'));
+    expect(sessionsA.map(session => [session.tenantId, session.soc.start, session.soc.end]))
+      .toEqual([['tenant-a', 20, 40]]);
+    expect(sessionsB.map(session => [session.tenantId, session.soc.start, session.soc.end]))
+      .toEqual([['tenant-b', 60, 70]]);
+  });
+
+  test('connectivity is tracked per tenant', async () => {
+    await connectivityService.recordTransitions();
+
+    const recorded = await database.query(
+      "SELECT tenant_id, state FROM device_connectivity WHERE device_type = 'meter' AND device_id = 'M1' ORDER BY tenant_id"
+    );
+    expect(recorded.rows).toEqual([
+      { tenant_id: 'tenant-a', state: 'offline' },
+      { tenant_id: 'tenant-b', state: 'offline' }
+    ]);
+  });
+
+  test('unscoped connectivity reads only the default tenant\'s device', async () => {
+    await meters.ingest({ meterId: 'M3', kwhConsumedAc: 1, voltage: 230, timestamp: minutesAgo(1) });
+    await asTenant('tenant-a', () =>
+      meters.ingest({ meterId: 'M3', kwhConsumedAc: 1, voltage: 230, timestamp: minutesAgo(30) }));
+    await connectivityService.recordTransitions();
+
+    const connectivity = await connectivityService.getDeviceConnectivity('meter', 'M3');
+    expect(connectivity).toMatchObject({ tenantId: 'default', state: 'online' });
+    expect(connectivity.transitions.map(t => t.toState)).toEqual(['online']);
+  });
+
+  test('each tenant can run a charge point with the same id', async () => {
+    const startedAt = minutesAgo(2);
+    const transactions = {};
+    for (const tenantId of ['tenant-a', 'tenant-b']) {
+      await asTenant(tenantId, async () => {
+        await ocppService.handleCall('CP1', 'BootNotification', { chargePointVendor: tenantId, chargePointModel: 'X' });
+        await ocppService.handleCall('CP1', 'StatusNotification', { connectorId: 1, status: 'Charging', errorCode: 'NoError' });
+        const started = await ocppService.handleCall('CP1', 'StartTransaction', {
+          connectorId: 1, idTag: 'V3', meterStart: 0, timestamp: startedAt
+        });
+        transactions[tenantId] = started.transactionId;
+      });
+    }
+    expect(transactions['tenant-a']).not.toBe(transactions['tenant-b']);
+
+    const connected = new Set([ocppService.tenantKey('tenant-a', 'CP1')]);
+    const pointsA = await asTenant('tenant-a', () => ocppService.listChargePoints(connected));
+    const pointsB = await asTenant('tenant-b', () => ocppService.listChargePoints(connected));
+    expect(pointsA.map(point => [point.vendor, point.connected, point.connectors.length]))
+      .toEqual([['tenant-a', true, 1]]);
+    expect(pointsB.map(point => [point.vendor, point.connected, point.connectors.length]))
+      .toEqual([['tenant-b', false, 1]]);
+
+    // Stopping one tenant's transaction leaves the other's open
+    await asTenant('tenant-a', () => ocppService.handleCall('CP1', 'StopTransaction', {
+      transactionId: transactions['tenant-b'], meterStop: 100, timestamp: minutesAgo(1)
+    }));
+    const open = await database.query(
+      "SELECT tenant_id FROM ocpp_transactions WHERE charge_point_id = 'CP1' AND stopped_at IS NULL ORDER BY tenant_id"
+    );
+    expect(open.rows.map(row => row.tenant_id)).toEqual(['tenant-a', 'tenant-b']);
+  });
+});